@@ -15,7 +15,9 @@
  * FEATURES:
  * - Handles data loading from Google Sheets
  * - Supports batch updates for performance
- * - Lists available spreadsheets
+ * - Appends rows for manually entered and split transactions
+ * - Lists available spreadsheets and their tabs
+ * - Reads and writes any tab via tab-qualified ranges ("'2025'!A:Z")
  * - Includes proper CORS headers
  * - Error handling and logging
  */
@@ -32,6 +34,8 @@ function doGet(e) {
   try {
     if (action === 'listSheets') {
       response = handleListSheets();
+    } else if (action === 'listTabs') {
+      response = handleListTabs(e.parameter.sheetId);
     } else {
       // Default data loading
       const sheetId = e.parameter.sheetId;
@@ -43,16 +47,17 @@ function doGet(e) {
       
       console.log(`Loading data from sheet: ${sheetId}, range: ${range}`);
       
+      // Tab-qualified ranges read that tab, plain ranges read the first sheet
       const spreadsheet = SpreadsheetApp.openById(sheetId);
-      const sheet = spreadsheet.getActiveSheet();
-      const values = sheet.getRange(range).getValues();
+      const dataRange = spreadsheet.getRange(range);
+      const values = dataRange.getValues();
       
       console.log(`Loaded ${values.length} rows of data`);
       
       response = {
         success: true,
         values: values,
-        sheetName: sheet.getName(),
+        sheetName: dataRange.getSheet().getName(),
         lastUpdated: new Date().toISOString()
       };
     }
@@ -85,6 +90,8 @@ function doPost(e) {
       response = handleBatchUpdate(data);
     } else if (method === 'UPDATE') {
       response = handleUpdate(data);
+    } else if (method === 'APPEND') {
+      response = handleAppend(data);
     } else {
       throw new Error('Unknown method: ' + method);
     }
@@ -149,6 +156,27 @@ function handleListSheets() {
   }
 }
 
+/**
+ * List the tabs of a spreadsheet so the app can offer a tab selector
+ */
+function handleListTabs(sheetId) {
+  if (!sheetId) {
+    throw new Error('Sheet ID is required');
+  }
+  
+  const info = getSpreadsheetInfo(sheetId);
+  if (!info.success) {
+    throw new Error(info.error);
+  }
+  
+  return {
+    success: true,
+    spreadsheetName: info.spreadsheetName,
+    tabs: info.sheets,
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Handle batch updates for performance - updates multiple cells at once
  */
@@ -163,8 +191,8 @@ function handleBatchUpdate(data) {
     
     console.log(`Starting batch update: ${updates.length} updates for sheet ${sheetId}`);
     
+    // Ranges may be tab-qualified ("'2025'!H12") - each update goes to its own tab
     const spreadsheet = SpreadsheetApp.openById(sheetId);
-    const sheet = spreadsheet.getActiveSheet();
     
     let updatedCount = 0;
     const startTime = new Date();
@@ -179,7 +207,7 @@ function handleBatchUpdate(data) {
         const value = update.value;
         
         if (range && value !== undefined) {
-          sheet.getRange(range).setValue(value);
+          spreadsheet.getRange(range).setValue(value);
           updatedCount++;
         }
       });
@@ -228,21 +256,20 @@ function handleUpdate(data) {
     console.log(`Updating range: ${range} in sheet: ${sheetId}`);
     
     const spreadsheet = SpreadsheetApp.openById(sheetId);
-    const sheet = spreadsheet.getActiveSheet();
     
     if (values && values.length > 0) {
       if (values.length === 1 && values[0].length === 1) {
         // Single cell update
-        sheet.getRange(range).setValue(values[0][0]);
+        spreadsheet.getRange(range).setValue(values[0][0]);
         console.log(`Updated single cell ${range} with value: ${values[0][0]}`);
       } else {
         // Multi-cell update
-        sheet.getRange(range).setValues(values);
+        spreadsheet.getRange(range).setValues(values);
         console.log(`Updated range ${range} with ${values.length} rows`);
       }
     } else {
       // Clear the range if no values provided
-      sheet.getRange(range).clear();
+      spreadsheet.getRange(range).clear();
       console.log(`Cleared range: ${range}`);
     }
     
@@ -262,6 +289,48 @@ function handleUpdate(data) {
   }
 }
 
+/**
+ * Append rows below the last row of a tab (the first tab when none is given)
+ */
+function handleAppend(data) {
+  try {
+    const sheetId = data.sheetId;
+    const rows = data.rows;
+    
+    if (!sheetId || !rows || !Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Sheet ID and rows array are required');
+    }
+    
+    const spreadsheet = SpreadsheetApp.openById(sheetId);
+    const sheet = data.tab ? spreadsheet.getSheetByName(data.tab) : spreadsheet.getSheets()[0];
+    if (!sheet) {
+      throw new Error('Tab not found: ' + data.tab);
+    }
+    
+    // setValues needs every row to be the same width
+    const width = Math.max.apply(null, rows.map(row => row.length));
+    const values = rows.map(row => row.concat(new Array(width - row.length).fill('')));
+    const firstRow = sheet.getLastRow() + 1;
+    
+    sheet.getRange(firstRow, 1, values.length, width).setValues(values);
+    console.log(`Appended ${values.length} rows to ${sheet.getName()} at row ${firstRow}`);
+    
+    return {
+      success: true,
+      firstRow: firstRow,
+      updatedRows: values.length,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error in append:', error);
+    return {
+      success: false,
+      error: error.toString(),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Create response with proper CORS headers for web app access
  */
@@ -5,29 +5,36 @@ export const CONFIG = {
     DISCOVERY_DOC: 'https://sheets.googleapis.com/$discovery/rest?version=v4',
     SCOPES: 'https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/drive.readonly',
     DEFAULT_CLIENT_ID: 'YOUR_CLIENT_ID_HERE',
-    DEFAULT_API_KEY: 'YOUR_API_KEY_HERE'
+    DEFAULT_API_KEY: 'YOUR_API_KEY_HERE',
+    DEFAULT_TAB: 'Sheet1', // Used until tabs are chosen in the sheet picker
+    DATA_COLUMNS: 'A:Z'
   },
 
   // UI Configuration
   UI: {
     DEFAULT_LIMIT: 50,
     TOAST_DURATION: 5000,
-    LOADING_TIMEOUT: 10000
+    LOADING_TIMEOUT: 10000,
+    PREVIEW_ROWS: 5 // Rows shown in import and column mapping previews
   },
 
   // Category Groups
   CATEGORY_GROUPS: {
     'Living Expenses': ['Groceries', 'Utilities', 'Rent', 'Insurance', 'Healthcare'],
     'Lifestyle': ['Dining', 'Entertainment', 'Shopping', 'Travel', 'Hobbies'],
-    'Financial': ['CC Payment', 'Savings', 'Investments', 'Bank Fees'],
-    'Personal': ['Transportation', 'Education', 'Gifts', 'Other']
+    'Financial': ['CC Payment', 'Transfer', 'Savings', 'Investments', 'Bank Fees'],
+    'Personal': ['Transportation', 'Education', 'Gifts', 'Other'],
+    'Income': ['Income', 'Interest']
   },
 
+  // Inflows in this group's categories are income; inflows elsewhere are refunds
+  INCOME_GROUP: 'Income',
+
   // Default Categories
   CATEGORIES: [
     'Transportation', 'Groceries', 'Dining', 'Entertainment', 
     'Utilities', 'Healthcare', 'Travel', 'Shopping', 
-    'CC Payment', 'Other', 'Uncategorized'
+    'CC Payment', 'Transfer', 'Income', 'Interest', 'Other', 'Uncategorized'
   ],
 
   // LocalStorage Keys
@@ -39,15 +46,145 @@ export const CONFIG = {
     SHEET_ID: 'budgetTracker_sheetId',
     MERCHANT_GROUPS: 'budgetTracker_merchantGroups',
     CATEGORIES: 'budgetTracker_categories',
-    CATEGORY_GROUPS: 'budgetTracker_categoryGroups'
+    CATEGORY_GROUPS: 'budgetTracker_categoryGroups',
+    IMPORT_PROFILES: 'budgetTracker_importProfiles',
+    IGNORED_DUPLICATES: 'budgetTracker_ignoredDuplicates',
+    COLUMN_MAPPINGS: 'budgetTracker_columnMappings',
+    SELECTED_TABS: 'budgetTracker_selectedTabs',
+    CATEGORY_RULES: 'budgetTracker_categoryRules',
+    BUDGETS: 'budgetTracker_budgets',
+    PAY_SCHEDULE: 'budgetTracker_paySchedule',
+    FISCAL_YEAR_START: 'budgetTracker_fiscalYearStart',
+    SAVED_SEARCHES: 'budgetTracker_savedSearches',
+    TRANSFER_DECISIONS: 'budgetTracker_transferDecisions',
+    ACCOUNTS: 'budgetTracker_accounts',
+    REGIONAL_SETTINGS: 'budgetTracker_regionalSettings',
+    EXCHANGE_RATES: 'budgetTracker_exchangeRates',
+    LLM_SETTINGS: 'budgetTracker_llmSettings',
+    MERCHANT_ALIASES: 'budgetTracker_merchantAliases',
+    MERCHANT_PATTERNS: 'budgetTracker_merchantPatterns'
+  },
+
+  // Statement Import Configuration
+  IMPORT: {
+    SUPPORTED_FORMATS: ['csv', 'ofx', 'qfx'],
+    // Header row used when importing without a connected sheet
+    DEFAULT_HEADERS: ['Account', 'Amount', 'Merchant', 'Description', 'Date', 'ID', 'Notes', 'Category', 'Merchant Group']
+  },
+
+  // Offline cache and write queue (IndexedDB)
+  OFFLINE: {
+    DB_NAME: 'budgetTracker',
+    DB_VERSION: 2
+  },
+
+  // Duplicate Detection Configuration
+  DUPLICATES: {
+    DATE_WINDOW_DAYS: 3 // Same charge posted this many days apart is still a duplicate
   },
 
-  // Merchant Patterns for Auto-Categorization
-  MERCHANT_PATTERNS: {
-    'Groceries': ['walmart', 'target', 'kroger', 'safeway', 'whole foods', 'trader joe', 'costco', 'sam\'s club'],
-    'Transportation': ['shell', 'exxon', 'chevron', 'bp', 'uber', 'lyft', 'taxi'],
-    'Dining': ['mcdonald', 'starbucks', 'subway', 'pizza', 'restaurant', 'cafe', 'diner'],
-    'Entertainment': ['netflix', 'spotify', 'movie', 'theater', 'game', 'amazon prime'],
-    'Utilities': ['electric', 'gas company', 'water', 'internet', 'phone', 'cable']
-  }
+  // Regional settings: display locale, day/month order of sheet dates and first day of the week
+  REGIONAL: {
+    LOCALE: 'en-US',
+    DATE_FORMAT: 'auto',
+    WEEK_START: 0, // 0 = Sunday, 1 = Monday
+    LOCALES: {
+      'en-US': 'English (United States)',
+      'en-CA': 'English (Canada)',
+      'fr-CA': 'Français (Canada)',
+      'en-GB': 'English (United Kingdom)',
+      'en-AU': 'English (Australia)',
+      'de-DE': 'Deutsch (Deutschland)',
+      'fr-FR': 'Français (France)',
+      'es-ES': 'Español (España)',
+      'es-MX': 'Español (México)'
+    }
+  },
+
+  // Reporting currency. Amounts in other currencies are converted with stored exchange rates
+  CURRENCY: {
+    BASE: 'CAD',
+    CODES: ['CAD', 'USD', 'EUR', 'GBP', 'AUD', 'CHF', 'JPY', 'MXN']
+  },
+
+  // Merchant cleaning model. The provider, model, prompt and temperature can be changed in the app
+  MERCHANT_CLEANING: {
+    PROVIDER: 'openai', // openai, compatible (Ollama, llama.cpp, LM Studio) or heuristic
+    TEMPERATURE: 0.1,
+    MAX_TOKENS: 50, // Per merchant name
+    BATCH_SIZE: 25, // Names sent in one request
+    CONCURRENCY: 3, // Requests in flight at once
+    MAX_RETRIES: 4, // Retries of a rate-limited or failed request
+    RETRY_DELAY_MS: 1000 // First retry delay; doubles each time unless the server sends Retry-After
+  },
+
+  // Smart Grouping of similar merchant names. The threshold can be changed in the grouping dialog
+  MERCHANT_GROUPING: {
+    SIMILARITY_THRESHOLD: 0.85, // Score (0-1) a merchant needs against a group to join it
+    MIN_THRESHOLD: 0.6,
+    MAX_THRESHOLD: 0.98
+  },
+
+  // Transfers between your own accounts and credit card payments - not spending or income
+  TRANSFERS: {
+    DATE_WINDOW_DAYS: 4, // The two sides of a transfer can post this many days apart
+    CATEGORIES: ['CC Payment', 'Transfer'],
+    KEYWORDS: ['transfer', 'xfer', 'e-tfr', 'payment - thank you', 'payment thank you', 'autopay', 'credit card payment', 'cc payment']
+  },
+
+  // Default pay schedule - payweeks run from one pay date to the day before the next
+  PAY_SCHEDULE: {
+    frequency: 'biweekly', // weekly, biweekly, semimonthly or monthly
+    anchorDate: '2024-01-05', // Any regular pay date
+    secondDay: 20, // Second pay day of the month for semi-monthly pay
+    weekendShift: 'before', // Pay early ('before'), late ('after') or 'none' on weekends and holidays
+    holidays: []
+  },
+
+  // Period Navigation
+  PERIODS: {
+    DEFAULT_PERIOD: 'month',
+    FISCAL_YEAR_START: 0 // Month the fiscal year begins in (0 = January, 3 = April)
+  },
+
+  // Budget Configuration
+  BUDGETS: {
+    DEFAULT_PERIOD: 'month',
+    HISTORY_PERIODS: 6 // Past periods shown in the budget vs. actual history
+  },
+
+  // Recurring Transaction Detection
+  RECURRING: {
+    MIN_OCCURRENCES: 3, // Charges needed before a weekly/bi-weekly/monthly series counts
+    CADENCE_MATCH_RATIO: 0.75, // Share of gaps (and amounts) that must fit the pattern
+    AMOUNT_TOLERANCE: 0.2, // Amounts within 20% of the typical charge count as the same
+    PRICE_CHANGE_MIN: 0.5 // Smallest change in the latest charge reported as a price change
+  },
+
+  // Starter auto-categorization rules, editable from the Categories view.
+  // Higher priority rules win when several set the same field
+  DEFAULT_RULES: [
+    { id: 'default-groceries', name: 'Grocery stores', priority: 10, enabled: true,
+      conditions: { merchant: "walmart|target|kroger|safeway|whole foods|trader joe|costco|sam's club" }, actions: { category: 'Groceries' } },
+    { id: 'default-transportation', name: 'Fuel and rides', priority: 10, enabled: true,
+      conditions: { merchant: 'shell|exxon|chevron|bp|uber|lyft|taxi' }, actions: { category: 'Transportation' } },
+    { id: 'default-dining', name: 'Restaurants and cafes', priority: 10, enabled: true,
+      conditions: { merchant: 'mcdonald|starbucks|subway|pizza|restaurant|cafe|diner' }, actions: { category: 'Dining' } },
+    { id: 'default-entertainment', name: 'Streaming and entertainment', priority: 10, enabled: true,
+      conditions: { merchant: 'netflix|spotify|movie|theater|game|amazon prime' }, actions: { category: 'Entertainment' } },
+    { id: 'default-utilities', name: 'Utilities', priority: 10, enabled: true,
+      conditions: { merchant: 'electric|gas company|water|internet|phone|cable' }, actions: { category: 'Utilities' } }
+  ],
+
+  // Starter merchant cleaning patterns, editable from the Merchants view. Tried in order; 'name'
+  // patterns turn a matching merchant into the replacement, 'replace' patterns substitute the match
+  DEFAULT_MERCHANT_PATTERNS: [
+    { id: 'default-walmart', name: 'Walmart', enabled: true, pattern: 'wal[-\\s]?mart\\s*#?\\d*', flags: 'i', mode: 'name', replacement: 'Wal-Mart' },
+    { id: 'default-costco', name: 'Costco', enabled: true, pattern: 'costco\\s*(wholesale)?\\s*#?\\d*', flags: 'i', mode: 'name', replacement: 'Costco' },
+    { id: 'default-tim-hortons', name: 'Tim Hortons', enabled: true, pattern: 'tim\\s*hortons?\\s*#?\\d*', flags: 'i', mode: 'name', replacement: 'Tim Hortons' },
+    { id: 'default-mcdonalds', name: "McDonald's", enabled: true, pattern: "mcdonald'?s\\s*#?\\d*", flags: 'i', mode: 'name', replacement: "McDonald's" },
+    { id: 'default-shoppers', name: 'Shoppers Drug Mart', enabled: true, pattern: 'shoppers?\\s*drug\\s*mart\\s*#?\\d*', flags: 'i', mode: 'name', replacement: 'Shoppers Drug Mart' },
+    { id: 'default-store-number', name: 'Strip store numbers', enabled: true, pattern: '^(.+?)\\s*#\\d+.*$', flags: 'i', mode: 'replace', replacement: '$1' },
+    { id: 'default-location-code', name: 'Strip location codes', enabled: true, pattern: '^(.+?)\\s*\\d{4,}.*$', flags: 'i', mode: 'replace', replacement: '$1' }
+  ]
 };
\ No newline at end of file
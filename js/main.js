@@ -2,35 +2,92 @@
 import { CONFIG } from '../config/settings.js';
 import { Storage } from './utils/storage.js';
 import { UI } from './utils/ui.js';
+import { Formatters } from './utils/formatters.js';
 import { URLParser } from './utils/url-parser.js';
+import { DateParser, DATE_FORMATS } from './utils/date-parser.js';
 import { SheetsAPI } from './modules/sheets-api.js';
 import { CategoryManager } from './modules/categories.js';
 import { ChartManager } from './modules/charts.js';
 import { DrivePicker } from './modules/drive-picker.js';
+import { ColumnMappingWizard } from './modules/column-mapping-wizard.js';
+import { ImportManager } from './modules/import-manager.js';
+import { RuleEditor } from './modules/rule-editor.js';
 import { MerchantCleaner } from './services/merchant-cleaner.js';
+import { LLM_PROVIDERS, DEFAULT_MERCHANT_PROMPT } from './services/llm-provider.js';
+import { MerchantAliases } from './services/merchant-aliases.js';
+import { MerchantPatterns, PATTERN_MODES } from './services/merchant-patterns.js';
+import { MerchantSimilarity } from './services/merchant-similarity.js';
+import { DuplicateDetector } from './services/duplicate-detector.js';
+import { RecurringDetector, CADENCES } from './services/recurring-detector.js';
+import { BudgetModel } from './services/budget-model.js';
+import { PaySchedule, PAY_FREQUENCIES } from './services/pay-schedule.js';
+import { PeriodCalendar, PERIOD_LABELS } from './services/period-calendar.js';
+import { ColumnMapper } from './services/column-mapper.js';
+import { StatementImporter } from './services/statement-importer.js';
+import { RulesEngine, RULE_ACTIONS } from './services/rules-engine.js';
+import { TransactionQuery } from './services/transaction-query.js';
+import { TransactionSplits } from './services/transaction-splits.js';
+import { TransferMatcher } from './services/transfer-matcher.js';
+import { CashFlow } from './services/cash-flow.js';
+import { AccountLedger } from './services/account-ledger.js';
+import { Tags } from './services/tags.js';
+import { ExchangeRates } from './services/exchange-rates.js';
+import { ReportExporter } from './services/report-exporter.js';
+
+// Fields that can be edited from the transactions table, with the sheet column each writes to
+const EDITABLE_FIELDS = {
+  category: 'Category',
+  merchantGroup: 'Merchant Group',
+  notes: 'Notes',
+  tags: 'Tags',
+  account: 'Account'
+};
+
+// A tag as a quoted argument for an inline onclick handler
+const tagArgument = (tag) => `'${tag.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/"/g, '&quot;')}'`;
 
 class BudgetTrackerApp {
   constructor() {
     // Initialize core modules
     this.sheetsAPI = new SheetsAPI();
+    this.paySchedule = new PaySchedule(Storage.getPaySchedule());
+    this.regionalSettings = Storage.getRegionalSettings();
+    this.periodCalendar = new PeriodCalendar(this.paySchedule, Storage.getFiscalYearStart(), this.regionalSettings.weekStart);
     this.categoryManager = new CategoryManager(this.sheetsAPI);
     this.chartManager = new ChartManager();
+    this.applyRegionalSettings();
     this.drivePicker = new DrivePicker(this.sheetsAPI);
+    this.importManager = new ImportManager(this.sheetsAPI);
+    this.columnMappingWizard = new ColumnMappingWizard(this.sheetsAPI);
+    this.ruleEditor = new RuleEditor(this.categoryManager.rulesEngine, this.categoryManager);
     this.merchantCleaner = new MerchantCleaner();
+    this.duplicateDetector = new DuplicateDetector(this.merchantCleaner);
+    this.transferMatcher = new TransferMatcher();
+    const savedRates = Storage.getExchangeRates();
+    this.exchangeRates = new ExchangeRates(savedRates.base, savedRates.rates);
+    Formatters.setBaseCurrency(this.exchangeRates.base);
+    this.missingRateCurrencies = new Set(); // Currencies seen without an exchange rate
+    this.recurringDetector = new RecurringDetector(this.merchantCleaner);
     
     // Application state
     this.rowsData = [];
+    this.rowSources = []; // rowsData index -> { tab, row } it was loaded from
+    this.loadedTabs = [];
     this.currentView = 'dashboard';
     this.currentLimit = CONFIG.UI.DEFAULT_LIMIT;
-    this.currentPeriod = 'month';
-    this.selectedMonth = new Date().getMonth();
-    this.selectedYear = new Date().getFullYear();
-    this.selectedDay = null;
+    this.currentPeriod = CONFIG.PERIODS.DEFAULT_PERIOD;
+    this.periodOffset = 0; // Periods before (negative) or after the current one
+    this.customRange = null; // { start, end } picked in the date range dialog
     this.transactionSearchTerm = '';
+    this.transactionTagFilter = ''; // Tag the transactions table is limited to
+    this.selectedTransactionRows = new Set(); // rowsData indices ticked in the transactions table
+    this.visibleTransactionRows = []; // rowsData indices the transactions table is showing
+    this.bulkEditField = 'category';
+    this.bulkTagMode = 'add'; // Bulk tagging adds or removes tags
     this.dashboardInitialized = false;
     this.dataChanged = true;
-    this.budgets = {};
-    this.budgetPeriod = 'payweek'; // Base period for budget storage
+    this.budgetModel = null; // Loaded per sheet when the budgets view opens
+    this.budgetPeriodOffset = 0; // Budget periods stepped from the one at the selected range
     this.currentMerchantStep = 1;
     
     // Merchant editing cache for responsive UI
@@ -41,7 +98,7 @@ class BudgetTrackerApp {
       changedRows: new Set() // row indices that need Google Sheets updates
     };
     
-    // Column indices (will be set during data load)
+    // Column mapping: semantic field -> column index (set during data load)
     this.columnIndices = {
       account: -1,
       category: -1,
@@ -62,6 +119,10 @@ class BudgetTrackerApp {
       // Setup event listeners
       this.setupEventListeners();
       
+      // Show queued offline writes in the header
+      this.sheetsAPI.onSyncStatusChange = (status) => this.renderSyncStatus(status);
+      this.sheetsAPI.refreshSyncStatus();
+      
       // Setup navigation
       this.setupNavigation();
       
@@ -91,10 +152,10 @@ class BudgetTrackerApp {
     
     if (credentials.useAppsScript && credentials.appsScriptUrl && credentials.sheetId) {
       this.hideConnectionUI();
-      this.loadDataFromAppsScript();
+      this.startSession(credentials.sheetId, () => this.loadDataFromAppsScript());
     } else if (credentials.sheetId && credentials.apiKey !== CONFIG.GOOGLE.DEFAULT_API_KEY) {
       this.hideConnectionUI();
-      this.loadData(credentials.sheetId);
+      this.startSession(credentials.sheetId, () => this.loadData(credentials.sheetId));
     } else {
       this.showConnectionUI();
       this.initializeEmptyViews();
@@ -103,6 +164,13 @@ class BudgetTrackerApp {
 
   // Setup event listeners
   setupEventListeners() {
+    // Statement import drop zone
+    this.importManager.setupDropZone();
+    
+    // Replay writes queued while offline once the connection returns
+    window.addEventListener('online', () => this.sheetsAPI.syncPendingWrites());
+    window.addEventListener('offline', () => this.sheetsAPI.refreshSyncStatus());
+    
     // Window resize
     window.addEventListener('resize', () => {
       this.chartManager.resizeCharts();
@@ -184,8 +252,9 @@ class BudgetTrackerApp {
         this.renderMerchantsView();
         break;
       case 'categories':
-        const transactions = this.getFilteredRows();
+        const transactions = this.getCountedRows();
         this.categoryManager.renderCategories(null, transactions);
+        this.ruleEditor.renderRules();
         break;
       case 'transactions':
         this.renderTransactionsView();
@@ -193,6 +262,12 @@ class BudgetTrackerApp {
       case 'budgets':
         this.renderBudgetsView();
         break;
+      case 'cashflow':
+        this.renderCashFlowView();
+        break;
+      case 'accounts':
+        this.renderAccountsView();
+        break;
     }
   }
 
@@ -287,14 +362,16 @@ class BudgetTrackerApp {
     pickerContainer.innerHTML = `
       <h3 style="margin: 0 0 0.5rem 0; font-size: 1rem; color: var(--text-primary);">📊 Select Your Budget Sheet</h3>
       <p style="margin: 0 0 1rem 0; font-size: 0.875rem; color: var(--text-secondary);">Found ${sheets.length} spreadsheet(s) in your Google Drive:</p>
-      <select id="sheet-picker-select" class="input-standard" style="width: 100%; margin-bottom: 0.5rem;">
+      <select id="sheet-picker-select" class="input-standard" style="width: 100%; margin-bottom: 0.5rem;"
+              onchange="window.budgetApp?.showTabSelector(this.value)">
         <option value="">Choose a sheet...</option>
         ${sortedSheets.map(sheet => `
           <option value="${sheet.id}" data-name="${sheet.name}">
-            ${sheet.name} (Modified: ${new Date(sheet.lastModified).toLocaleDateString()})
+            ${sheet.name} (Modified: ${Formatters.date(new Date(sheet.lastModified))})
           </option>
         `).join('')}
       </select>
+      <div id="sheet-picker-tabs" style="margin-bottom: 0.5rem;"></div>
       <div style="display: flex; gap: 0.5rem; justify-content: flex-end;">
         <button onclick="window.budgetApp?.cancelSheetSelection()" class="btn btn-secondary">Cancel</button>
         <button onclick="window.budgetApp?.selectSheet()" class="btn btn-primary">Connect to Selected Sheet</button>
@@ -304,6 +381,44 @@ class BudgetTrackerApp {
     UI.showToast(`Found ${sheets.length} sheets. Please select one to continue.`, 'success');
   }
 
+  // List the tabs of the chosen spreadsheet so several can be combined
+  async showTabSelector(sheetId) {
+    const container = document.getElementById('sheet-picker-tabs');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    if (!sheetId) return;
+    
+    try {
+      container.innerHTML = '<small style="color: var(--text-secondary);">Loading tabs...</small>';
+      const tabs = await this.sheetsAPI.listTabs(sheetId);
+      
+      if (tabs.length === 0) {
+        container.innerHTML = '<small style="color: var(--text-secondary);">Update your Apps Script to choose tabs - the first tab will be loaded.</small>';
+        return;
+      }
+      
+      const previousTabs = Storage.getSelectedTabs(sheetId);
+      const hasPrevious = tabs.some(tab => previousTabs.includes(tab.name));
+      
+      container.innerHTML = `
+        <div style="font-size: 0.875rem; color: var(--text-secondary); margin-bottom: 0.25rem;">Tabs to load (combined into one dataset):</div>
+        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem 1rem;">
+          ${tabs.map((tab, index) => `
+            <label style="font-size: 0.875rem;">
+              <input type="checkbox" data-tab-name="${tab.name}"
+                     ${(hasPrevious ? previousTabs.includes(tab.name) : index === 0) ? 'checked' : ''}>
+              ${tab.name}${tab.rows ? ` <span style="color: var(--text-secondary);">(${tab.rows} rows)</span>` : ''}
+            </label>
+          `).join('')}
+        </div>
+      `;
+    } catch (error) {
+      container.innerHTML = '';
+      UI.handleError(error, 'Loading tabs');
+    }
+  }
+
   // Handle sheet selection
   async selectSheet() {
     const select = document.getElementById('sheet-picker-select');
@@ -316,6 +431,16 @@ class BudgetTrackerApp {
       return;
     }
 
+    const tabCheckboxes = document.querySelectorAll('#sheet-picker-tabs input[data-tab-name]');
+    const selectedTabs = Array.from(tabCheckboxes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.dataset.tabName);
+
+    if (tabCheckboxes.length > 0 && selectedTabs.length === 0) {
+      UI.showToast('Please select at least one tab', 'error');
+      return;
+    }
+
     try {
       // Update credentials with selected sheet
       this.sheetsAPI.updateCredentials({ 
@@ -324,6 +449,10 @@ class BudgetTrackerApp {
         sheetId: selectedSheetId
       });
 
+      if (selectedTabs.length > 0) {
+        Storage.saveSelectedTabs(selectedSheetId, selectedTabs);
+      }
+
       UI.showToast(`Connecting to ${selectedSheetName}...`, 'info');
       
       // Load data from the selected sheet
@@ -408,21 +537,11 @@ class BudgetTrackerApp {
       UI.setProgress(10);
       
       const credentials = Storage.getCredentials();
-      const response = await this.sheetsAPI.appsScriptRequest('GET', {
-        sheetId: credentials.sheetId,
-        range: 'Sheet1!A:Z'
-      });
-
-      if (response.error) {
-        throw new Error(`Apps Script error: ${response.error}`);
-      }
+      const dataRows = await this.loadSelectedTabs(credentials.sheetId);
 
       UI.setStep(2, 'Loading transaction data...');
       UI.setProgress(30);
       
-      const dataRows = response.values || [];
-      this.rowsData = dataRows;
-      
       // Calculate and show stats
       const transactionCount = Math.max(0, dataRows.length - 1); // Exclude header
       UI.updateStats(transactionCount, 0, 0);
@@ -431,7 +550,7 @@ class BudgetTrackerApp {
       UI.setProgress(50);
       
       // Find column indices
-      await this.findColumnIndices();
+      await this.findColumnIndices({ promptIfUnmapped: true });
       
       // Count unique merchants
       const uniqueMerchants = this.countUniqueMerchants();
@@ -476,13 +595,11 @@ class BudgetTrackerApp {
       UI.setStep(1, 'Connecting to Google Sheets API...');
       UI.setProgress(10);
       
-      const dataRows = await this.sheetsAPI.loadData(sheetId);
+      const dataRows = await this.loadSelectedTabs(sheetId);
       
       UI.setStep(2, 'Loading transaction data...');
       UI.setProgress(30);
       
-      this.rowsData = dataRows;
-      
       // Calculate and show stats
       const transactionCount = Math.max(0, dataRows.length - 1); // Exclude header
       UI.updateStats(transactionCount, 0, 0);
@@ -491,7 +608,7 @@ class BudgetTrackerApp {
       UI.setProgress(50);
       
       // Find column indices
-      await this.findColumnIndices();
+      await this.findColumnIndices({ promptIfUnmapped: true });
       
       // Count unique merchants
       const uniqueMerchants = this.countUniqueMerchants();
@@ -529,575 +646,2493 @@ class BudgetTrackerApp {
     }
   }
 
-  // Find column indices in the spreadsheet
-  async findColumnIndices() {
-    const headers = this.rowsData[0] || [];
+  // Load the tabs chosen in the sheet picker as one dataset
+  async loadSelectedTabs(sheetId) {
+    const { rows, sources, tabs } = await this.sheetsAPI.loadTabs(sheetId, Storage.getSelectedTabs(sheetId));
     
-    this.columnIndices.account = headers.findIndex(h => 
-      h && h.toLowerCase().includes('account')
-    );
+    this.rowsData = rows;
+    this.rowSources = sources;
+    this.loadedTabs = tabs;
     
-    this.columnIndices.category = headers.findIndex(h => 
-      h && h.toLowerCase().includes('category') && !h.toLowerCase().includes('group')
-    );
+    return rows;
+  }
+
+  // Open straight from the offline cache when this sheet has been loaded before,
+  // then refresh from the sheet in the background. Otherwise do a full load
+  async startSession(sheetId, loadFromSheet) {
+    if (await this.openFromCache(sheetId)) {
+      this.refreshFromSheet(sheetId);
+    } else {
+      await loadFromSheet();
+    }
+  }
+
+  async openFromCache(sheetId) {
+    const cached = await this.sheetsAPI.loadCachedTabs(sheetId, Storage.getSelectedTabs(sheetId));
+    if (!cached) return false;
     
-    this.columnIndices.categoryGroup = headers.findIndex(h => 
-      h && h.toLowerCase().includes('category') && h.toLowerCase().includes('group')
-    );
+    // The cache is only usable with a saved mapping - the wizard needs a live sheet
+    const saved = Storage.getColumnMapping(sheetId);
+    if (!saved || saved.signature !== ColumnMapper.getSignature(cached.rows[0])) return false;
     
-    this.columnIndices.recurring = headers.findIndex(h => 
-      h && h.toLowerCase().includes('recurring')
-    );
+    this.rowsData = cached.rows;
+    this.rowSources = cached.sources;
+    this.loadedTabs = cached.tabs;
+    this.columnIndices = { ...saved.mapping };
     
-    this.columnIndices.merchantGroup = headers.findIndex(h => 
-      h && h.toLowerCase().includes('merchant') && h.toLowerCase().includes('group')
-    );
+    this.loadedTransactions = this.processTransactions();
+    this.enterApp();
+    return true;
+  }
+
+  // Send queued writes first so the fresh data includes them, then reload from the sheet
+  async refreshFromSheet(sheetId) {
+    try {
+      await this.sheetsAPI.syncPendingWrites();
+      await this.loadSelectedTabs(sheetId);
+      await this.findColumnIndices({ promptIfUnmapped: true });
+      
+      this.loadedTransactions = this.processTransactions();
+      this.dataChanged = true;
+      this.updateCurrentView();
+    } catch (error) {
+      if (this.sheetsAPI.isOffline() || this.sheetsAPI.isNetworkError(error)) {
+        UI.showToast('📴 Offline - showing cached data. Changes will sync when the connection returns', 'warning', 6000);
+      } else {
+        UI.handleError(error, 'Refreshing data');
+      }
+    }
+  }
+
+  // Header badge for the offline write queue
+  renderSyncStatus(status) {
+    const element = document.getElementById('sync-status');
+    if (!element) return;
+    
+    let label = '☁️ Synced';
+    if (status.failed > 0) {
+      label = `⚠️ ${status.failed} failed`;
+    } else if (status.syncing) {
+      label = `🔄 Syncing ${status.pending}...`;
+    } else if (status.pending > 0) {
+      label = `⏳ ${status.pending} pending`;
+    }
+    if (status.offline) {
+      label = `📴 Offline${status.pending > 0 ? ` · ${status.pending} pending` : ''}${status.failed > 0 ? ` · ${status.failed} failed` : ''}`;
+    }
     
-    this.columnIndices.merchant = headers.findIndex(h => 
-      h && h.toLowerCase().includes('merchant') && !h.toLowerCase().includes('group')
-    );
+    element.textContent = label;
+    element.style.color = status.failed > 0 ? 'var(--error-color)' : 
+      (status.offline || status.pending > 0 ? 'var(--warning-color)' : 'var(--text-secondary)');
+  }
+
+  // List queued writes and let the user resolve the ones that conflicted
+  async showSyncStatus() {
+    const writes = await this.sheetsAPI.getQueuedWrites();
+    const failed = writes.filter(write => write.status === 'failed');
+    const pending = writes.filter(write => write.status === 'pending');
     
-    this.columnIndices.payweek = headers.findIndex(h => 
-      h && h.toLowerCase().includes('payweek')
-    );
+    if (writes.length === 0) {
+      UI.showToast('All changes are saved to the sheet', 'success');
+      return;
+    }
     
-    this.columnIndices.budget = headers.findIndex(h => 
-      h && h.toLowerCase().includes('budget')
-    );
+    const renderUpdates = (write) => write.updates.map(update => `
+      <tr>
+        <td>${update.range}</td>
+        <td>${update.value ?? ''}</td>
+        <td>${update.actual !== undefined ? `${update.actual} (was ${update.expected ?? ''})` : ''}</td>
+      </tr>
+    `).join('');
+    
+    const content = `
+      <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+        ${pending.length} change${pending.length === 1 ? '' : 's'} waiting to sync,
+        ${failed.length} could not be written.
+      </p>
+      ${failed.map(write => `
+        <div style="margin-bottom: 1rem;">
+          <div style="color: var(--error-color); font-size: 0.875rem; margin-bottom: 0.25rem;">
+            ${Formatters.date(new Date(write.createdAt))} - ${write.error}
+          </div>
+          <div class="table-container">
+            <table style="font-size: 0.75rem;">
+              <thead><tr><th>Cell</th><th>Your Value</th><th>Sheet Now</th></tr></thead>
+              <tbody>${renderUpdates(write)}</tbody>
+            </table>
+          </div>
+        </div>
+      `).join('')}
+    `;
     
-    this.columnIndices.isGrouped = headers.findIndex(h => 
-      h && h.toLowerCase().includes('grouped')
-    );
-
+    const buttons = [{ text: 'Close', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' }];
+    if (pending.length > 0) {
+      buttons.push({ text: '🔄 Sync Now', class: 'btn-secondary', action: 'window.budgetApp?.syncNow()' });
+    }
+    if (failed.length > 0) {
+      buttons.push(
+        { text: '🗑️ Discard Mine', class: 'btn-secondary', action: 'window.budgetApp?.resolveFailedWrites(\'discard\')' },
+        { text: '✍️ Overwrite Sheet', class: 'btn-primary', action: 'window.budgetApp?.resolveFailedWrites(\'overwrite\')' }
+      );
+    }
+    
+    UI.removeModal(document.getElementById('sync-status-modal'));
+    const modal = UI.createModal('☁️ Sync Status', content, buttons);
+    modal.id = 'sync-status-modal';
+    modal.querySelector('.modal').style.maxWidth = '640px';
+  }
 
-    // Ensure required columns exist
-    const credentials = Storage.getCredentials();
-    const sheetId = credentials.sheetId || Storage.get(CONFIG.STORAGE_KEYS.SHEET_ID);
+  async syncNow() {
+    UI.removeModal(document.getElementById('sync-status-modal'));
+    await this.sheetsAPI.syncPendingWrites();
     
-    if (this.columnIndices.category === -1) {
-      this.columnIndices.category = await this.sheetsAPI.ensureColumn(sheetId, 'Category');
+    const status = this.sheetsAPI.syncStatus;
+    if (status.pending > 0) {
+      UI.showToast('Still offline - changes will sync when the connection returns', 'warning');
+    } else if (status.failed === 0) {
+      UI.showToast('✅ All changes synced', 'success');
     }
+  }
+
+  // Conflicting writes: push ours over the sheet, or drop them and take the sheet's values
+  async resolveFailedWrites(action) {
+    UI.removeModal(document.getElementById('sync-status-modal'));
     
-    if (this.columnIndices.budget === -1) {
-      this.columnIndices.budget = await this.sheetsAPI.ensureColumn(sheetId, 'Budget');
+    try {
+      if (action === 'overwrite') {
+        await this.sheetsAPI.overwriteFailedWrites();
+        UI.showToast('✅ Your changes were written to the sheet', 'success');
+      } else {
+        await this.sheetsAPI.discardFailedWrites();
+        await this.refreshFromSheet(Storage.getCredentials().sheetId);
+        UI.showToast('Discarded - showing the values from the sheet', 'success');
+      }
+    } catch (error) {
+      UI.handleError(error, 'Resolving sync conflicts');
     }
+  }
+
+  // A1 reference for a cell of rowsData, routed to the tab and row it was loaded from. Null for
+  // rows that aren't in the sheet (imported without appending, or whose append failed): a row
+  // number across the combined tabs would land on an unrelated row, so they only change locally
+  cellRange(rowIndex, colIndex) {
+    const source = this.rowSources[rowIndex];
+    if (!source) return null;
     
-    if (this.columnIndices.merchantGroup === -1) {
-      this.columnIndices.merchantGroup = await this.sheetsAPI.ensureColumn(sheetId, 'Merchant Group');
-    }
+    const tabColumn = source.tab.columns[colIndex] ?? colIndex;
+    return this.sheetsAPI.tabRange(source.tab.name, `${this.sheetsAPI.numberToLetter(tabColumn + 1)}${source.row}`);
   }
 
-  // Process raw spreadsheet data into transactions
-  processTransactions() {
-    return this.rowsData.slice(1).map(row => {
-      const account = this.getColumnValue(row, 'account') || 'Uncategorized';
-      const amount = parseFloat(row[1]) || 0;
-      const merchant = row[2] || '';
-      const description = row[3] || '';
-      const date = row[4] || '';
-      const id = row[5] || '';
-      const notes = row[6] || '';
-      const category = this.getColumnValue(row, 'category') || 'Uncategorized';
-      
-      return [account, amount, merchant, description, date, id, notes, category];
-    });
+  // Write cell updates ({ rowIndex, colIndex, value }) to the sheet in one batch, leaving out
+  // rows that only exist locally
+  async writeSheetCells(sheetId, cellUpdates) {
+    const updates = cellUpdates
+      .map(({ rowIndex, colIndex, value }) => ({ range: this.cellRange(rowIndex, colIndex), value }))
+      .filter(update => update.range);
+    
+    if (sheetId && updates.length > 0) {
+      await this.sheetsAPI.batchUpdateCells(sheetId, updates);
+    }
   }
 
-  // Get value from specific column
-  getColumnValue(row, columnType) {
-    const colIndex = this.columnIndices[columnType];
-    return colIndex !== -1 && row[colIndex] ? row[colIndex] : null;
+  // Write one cell to the sheet; a row that only exists locally is changed in rowsData instead
+  updateSheetCell(sheetId, rowIndex, colIndex, value) {
+    const range = this.cellRange(rowIndex, colIndex);
+    if (!range) {
+      this.rowsData[rowIndex][colIndex] = value;
+      return Promise.resolve();
+    }
+    return this.sheetsAPI.updateCell(sheetId, range, value);
   }
 
-  // Update all views with new data
-  updateAllViews(transactions) {
-    this.dataChanged = true; // Mark data as changed for dashboard
-    this.updateSummaryCards(transactions);
-    this.categoryManager.updateCategorySummaryCards(transactions);
-    this.chartManager.updateAllCharts(transactions);
-    this.updateQuickStats(transactions);
-    this.renderRecentTable(transactions);
-    // Don't call updateCurrentView() here to avoid infinite loop
+  // Resolve the column mapping for the loaded sheet. A saved mapping is reused while the
+  // header row is unchanged; otherwise detected columns are offered in the mapping wizard
+  async findColumnIndices(options = {}) {
+    const { promptIfUnmapped = false } = options;
+    const headers = this.rowsData[0] || [];
+    const credentials = Storage.getCredentials();
+    const sheetId = credentials.sheetId || Storage.get(CONFIG.STORAGE_KEYS.SHEET_ID);
+    const saved = sheetId ? Storage.getColumnMapping(sheetId) : null;
+    
+    let mapping;
+    if (saved && saved.signature === ColumnMapper.getSignature(headers)) {
+      mapping = saved.mapping;
+    } else {
+      mapping = ColumnMapper.guess(headers);
+      
+      if (promptIfUnmapped && sheetId) {
+        const confirmed = await this.columnMappingWizard.prompt(headers, this.rowsData.slice(1), mapping);
+        if (confirmed) {
+          mapping = confirmed;
+        }
+      }
+    }
+    
+    this.columnIndices = { ...mapping };
+
+    // Imported statements without a connected sheet have nothing to write to
+    if (!sheetId) return;
+    
+    // Ensure required columns exist in the first tab, then in the other loaded tabs
+    const requiredColumns = { category: 'Category', merchantGroup: 'Merchant Group', tags: 'Tags' };
+    await this.ensureDataColumns(sheetId, requiredColumns);
   }
 
-  // Initialize views with empty state
-  initializeEmptyViews() {
-    // Ensure loading is hidden
-    UI.hideLoading();
+  // Add any missing { field: columnName } columns to the sheet and the column mapping
+  async ensureDataColumns(sheetId, columns) {
+    const headers = this.rowsData[0];
+    const primaryTab = this.loadedTabs[0];
+    let addedColumns = false;
+    
+    for (const [field, columnName] of Object.entries(columns)) {
+      if (this.columnIndices[field] === undefined || this.columnIndices[field] === -1) {
+        // Imported data without a sheet only gains the header locally
+        const colIndex = sheetId
+          ? await this.sheetsAPI.ensureColumn(sheetId, columnName, primaryTab?.name)
+          : headers.length;
+        this.columnIndices[field] = colIndex;
+        headers[colIndex] = columnName;
+        
+        if (primaryTab) {
+          primaryTab.columns[colIndex] = colIndex;
+          primaryTab.headerLength = Math.max(primaryTab.headerLength, colIndex + 1);
+        }
+        addedColumns = true;
+      }
+    }
     
-    this.updateSummaryCards([]);
-    this.categoryManager.updateCategorySummaryCards([]);
-    this.updateQuickStats([]);
-    this.renderRecentTable([]);
+    if (!sheetId) return;
     
-    // Update chart title to show empty state
-    const chartTitle = document.querySelector('#dashboard-view .chart-title');
-    if (chartTitle) {
-      chartTitle.textContent = '📊 Connect to Google Sheets to view data';
+    if (addedColumns && this.loadedTabs.length > 1) {
+      await this.sheetsAPI.alignTabColumns(sheetId, headers, this.loadedTabs);
     }
+    
+    Storage.saveColumnMapping(sheetId, ColumnMapper.getSignature(headers), this.columnIndices);
   }
 
-  // Update quick stats display
-  updateQuickStats(transactions) {
-    const now = new Date();
-    
-    // Calculate week spending (current week)
-    const weekStart = new Date(now);
-    weekStart.setDate(now.getDate() - now.getDay());
-    weekStart.setHours(0, 0, 0, 0);
-    const weekSpending = transactions
-      .filter(t => new Date(t[4]) >= weekStart)
-      .reduce((sum, t) => sum + Math.abs(t[1]), 0);
+  // Reopen the column mapping wizard for the loaded sheet
+  async editColumnMapping() {
+    if (this.rowsData.length === 0) {
+      UI.showToast('Load a sheet before mapping its columns', 'error');
+      return;
+    }
     
-    // Calculate month spending (current month)
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthSpending = transactions
-      .filter(t => new Date(t[4]) >= monthStart)
-      .reduce((sum, t) => sum + Math.abs(t[1]), 0);
+    const headers = this.rowsData[0];
+    const confirmed = await this.columnMappingWizard.prompt(headers, this.rowsData.slice(1), this.columnIndices);
+    if (!confirmed) return;
     
-    // Calculate year spending (current year)
-    const yearStart = new Date(now.getFullYear(), 0, 1);
-    const yearSpending = transactions
-      .filter(t => new Date(t[4]) >= yearStart)
-      .reduce((sum, t) => sum + Math.abs(t[1]), 0);
+    this.columnIndices = { ...confirmed };
     
-    // Update display
-    const weekEl = document.getElementById('stat-week');
-    const monthEl = document.getElementById('stat-month');
-    const yearEl = document.getElementById('stat-year');
+    const sheetId = Storage.getCredentials().sheetId;
+    if (sheetId) {
+      Storage.saveColumnMapping(sheetId, ColumnMapper.getSignature(headers), this.columnIndices);
+    }
     
-    if (weekEl) weekEl.textContent = `$${weekSpending.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-    if (monthEl) monthEl.textContent = `$${monthSpending.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-    if (yearEl) yearEl.textContent = `$${yearSpending.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    this.updateCurrentView();
+    UI.showToast('Column mapping saved', 'success');
   }
 
-  // Update summary cards
-  updateSummaryCards(transactions) {
-    const totalSpending = transactions.reduce((sum, t) => sum + Math.abs(t[1]), 0);
-    const transactionCount = transactions.length;
-    const avgTransaction = transactionCount > 0 ? totalSpending / transactionCount : 0;
-
-    // Update card values
-    document.querySelectorAll('.summary-card').forEach((card, index) => {
-      const valueElement = card.querySelector('.card-value');
-      if (valueElement) {
-        switch (index) {
-          case 0:
-            valueElement.textContent = `$${totalSpending.toLocaleString(undefined, {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2
-            })}`;
-            break;
-          case 1:
-            valueElement.textContent = transactionCount.toLocaleString();
-            break;
-          case 2:
-            valueElement.textContent = `$${avgTransaction.toLocaleString(undefined, {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2
-            })}`;
-            break;
-        }
-      }
-    });
+  // Base reporting currency and exchange rates, entered by hand or imported from a CSV of daily rates
+  showCurrencyDialog() {
+    const modal = UI.createModal('💱 Currencies', '<div id="currency-settings"></div>', [
+      { text: 'Close', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' }
+    ]);
+    modal.id = 'currency-modal';
+    modal.querySelector('.modal').style.maxWidth = '640px';
+    this.renderCurrencySettings();
   }
 
-  // Render recent transactions table
-  renderRecentTable(transactions = null) {
-    const tbody = document.querySelector('#recent-table tbody');
-    if (!tbody) return;
-
-    const filteredTransactions = transactions || this.getFilteredRows();
-    const recentTransactions = filteredTransactions
-      .sort((a, b) => new Date(b[4]) - new Date(a[4]))
-      .slice(0, this.currentLimit);
-
-    tbody.innerHTML = recentTransactions.map((transaction, rowIndex) => {
-      const [account, amount, merchant, description, date, , , category] = transaction;
-      
-      // Get the actual row from the spreadsheet data (add 1 to skip header)
-      const actualRowIndex = rowIndex + 1;
-      const actualRow = this.rowsData[actualRowIndex] || [];
-      
-      // Get category group from actual column
-      const categoryGroup = this.getColumnValue(actualRow, 'categoryGroup') || 
-                           this.categoryManager.findCategoryGroup(category) || '–';
-      
-      // Use Merchant Group first, then fallback to Merchant
-      const merchantGroupCol = this.getColumnValue(actualRow, 'merchantGroup');
-      const merchantCol = this.getColumnValue(actualRow, 'merchant') || merchant;
-      const displayMerchant = merchantGroupCol || merchantCol;
-      
-      // Get payweek from actual column
-      const payweekCol = this.getColumnValue(actualRow, 'payweek') || description;
+  renderCurrencySettings() {
+    const container = document.getElementById('currency-settings');
+    if (!container) return;
+    
+    const { base, rates } = this.exchangeRates;
+    const missing = [...this.missingRateCurrencies].sort();
+    
+    container.innerHTML = `
+      <label>Base currency <span class="text-muted">(totals, charts and budgets are reported in it)</span><br>
+        ${this.renderCurrencySelect('currency-base', base)}
+      </label>
+      <button class="btn btn-secondary" style="margin-left: 0.5rem;" onclick="window.budgetApp?.changeBaseCurrency()">Change</button>
+      
+      ${missing.length > 0 ? `
+        <div style="margin-top: 1rem; color: var(--error-color);">
+          ⚠️ No exchange rate for ${missing.join(', ')} - those amounts are counted unconverted
+        </div>
+      ` : ''}
+      
+      <h4 style="margin: 1.5rem 0 0.5rem;">Add a rate</h4>
+      <p class="text-muted" style="font-size: 0.875rem; margin-bottom: 0.5rem;">
+        What one unit is worth in ${base}. Each transaction uses the latest rate on or before its date.
+      </p>
+      <div style="display: flex; gap: 0.5rem; align-items: flex-end; flex-wrap: wrap;">
+        <label>Currency<br>${this.renderCurrencySelect('rate-currency', missing[0] || '')}</label>
+        <label>Date<br><input type="date" id="rate-date" class="input-standard" value="${this.todayKey()}"></label>
+        <label>Rate<br><input type="number" id="rate-value" class="input-standard" step="0.0001" min="0" placeholder="1.3500"></label>
+        <button class="btn btn-primary" onclick="window.budgetApp?.addExchangeRate()">Add</button>
+      </div>
+      <div style="margin-top: 0.75rem;">
+        <label class="text-muted" style="font-size: 0.875rem;">Or import a CSV of daily rates (date, currency, rate - or a column per currency):<br>
+          <input type="file" accept=".csv,text/csv" onchange="window.budgetApp?.importExchangeRates(this.files[0])">
+        </label>
+      </div>
       
-      return `
-        <tr>
-          <td>${new Date(date).toLocaleDateString()}</td>
-          <td>${account}</td>
-          <td>${category}</td>
-          <td>${categoryGroup}</td>
-          <td>$${Math.abs(amount).toLocaleString(undefined, {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-          })}</td>
-          <td>${displayMerchant}</td>
-          <td>${payweekCol}</td>
-        </tr>
-      `;
-    }).join('');
+      <div class="table-container" style="margin-top: 1rem;">
+        <table style="width: 100%; font-size: 0.875rem;">
+          <thead>
+            <tr>
+              <th>Currency</th>
+              <th>Rates</th>
+              <th>From</th>
+              <th style="text-align: right;">Latest</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${Object.keys(rates).length === 0 ? '<tr><td colspan="5" class="text-muted">No exchange rates yet</td></tr>' : ''}
+            ${Object.entries(rates).sort(([a], [b]) => a.localeCompare(b)).map(([code, entries]) => `
+              <tr>
+                <td>${code}</td>
+                <td>${entries.length}</td>
+                <td>${entries[0].date}</td>
+                <td style="text-align: right;">${entries[entries.length - 1].rate} (${entries[entries.length - 1].date})</td>
+                <td>
+                  <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Remove every ${code} rate"
+                          onclick="window.budgetApp?.removeExchangeRates('${code}')">🗑️</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
   }
 
-  // Get filtered transactions based on current period
-  getFilteredRows() {
-    if (this.rowsData.length === 0) return [];
+  addExchangeRate() {
+    const modal = document.getElementById('currency-modal');
+    if (!modal) return;
     
-    const transactions = this.processTransactions();
-    const now = new Date();
+    const currency = modal.querySelector('#rate-currency').value;
+    if (currency === this.exchangeRates.base) {
+      UI.showToast(`${currency} is the base currency`, 'error');
+      return;
+    }
+    if (!this.exchangeRates.setRate(currency, modal.querySelector('#rate-date').value, modal.querySelector('#rate-value').value)) {
+      UI.showToast('Enter a date and a rate above zero', 'error');
+      return;
+    }
     
-    return transactions.filter(transaction => {
-      const transactionDate = new Date(transaction[4]); // Date is at index 4
-      
-      switch (this.currentPeriod) {
-        case 'week':
-          const weekStart = new Date(now);
-          weekStart.setDate(now.getDate() - now.getDay()); // Start of current week
-          weekStart.setHours(0, 0, 0, 0);
-          return transactionDate >= weekStart;
-          
-        case 'payweek':
-          // Assuming payweek is bi-weekly, starting from a reference date
-          const payweekStart = new Date(now);
-          const daysSinceRef = Math.floor((now - new Date(now.getFullYear(), 0, 1)) / (1000 * 60 * 60 * 24));
-          const payweekNumber = Math.floor(daysSinceRef / 14);
-          payweekStart.setTime(new Date(now.getFullYear(), 0, 1).getTime() + (payweekNumber * 14 * 24 * 60 * 60 * 1000));
-          return transactionDate >= payweekStart;
-          
-        case 'month':
-          const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-          return transactionDate >= monthStart;
-          
-        case 'year':
-          const yearStart = new Date(now.getFullYear(), 0, 1);
-          return transactionDate >= yearStart;
-          
-        default:
-          return true;
+    this.saveExchangeRates();
+    UI.showToast(`Added a ${currency} rate`, 'success', 2000);
+  }
+
+  async importExchangeRates(file) {
+    if (!file) return;
+    
+    try {
+      const rates = ExchangeRates.parseCsv(await file.text(), this.exchangeRates.base)
+        .filter(entry => this.exchangeRates.setRate(entry.currency, entry.date, entry.rate));
+      if (rates.length === 0) {
+        UI.showToast('No exchange rates found - the file needs a date column and rates', 'error');
+        return;
       }
-    });
+      
+      this.saveExchangeRates();
+      const currencies = [...new Set(rates.map(entry => entry.currency))];
+      UI.showToast(`Imported ${rates.length} rates for ${currencies.join(', ')}`, 'success');
+    } catch (error) {
+      UI.handleError(error, 'Importing exchange rates');
+    }
   }
 
-  // Setup period controls for both dashboard and transactions views
-  setupPeriodControls() {
-    document.querySelectorAll('.period-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.preventDefault();
-        const period = btn.getAttribute('data-period');
-        if (period) {
-          this.changePeriod(period);
-        }
-      });
-    });
+  removeExchangeRates(code) {
+    if (!confirm(`Remove every ${code} exchange rate?`)) return;
     
-    // Set default active period
-    this.changePeriod('month');
+    delete this.exchangeRates.rates[code];
+    this.saveExchangeRates();
   }
 
-  // Handle period changes across all views
-  changePeriod(newPeriod) {
-    // Update current period
-    this.currentPeriod = newPeriod;
+  // Rates are relative to the base currency, so changing it starts the rate table over
+  changeBaseCurrency() {
+    const base = document.getElementById('currency-base')?.value;
+    if (!base || base === this.exchangeRates.base) return;
     
-    // Update button active states in both views
-    document.querySelectorAll('.period-btn').forEach(btn => {
-      btn.classList.remove('active');
-      if (btn.getAttribute('data-period') === newPeriod) {
-        btn.classList.add('active');
-      }
-    });
+    const hasRates = Object.keys(this.exchangeRates.rates).length > 0;
+    if (hasRates && !confirm(`Rates are entered in ${this.exchangeRates.base}. Switch to ${base} and clear them?`)) {
+      this.renderCurrencySettings();
+      return;
+    }
     
-    // Update period display text
-    this.updatePeriodText();
+    this.exchangeRates = new ExchangeRates(base);
+    Formatters.setBaseCurrency(base);
+    this.saveExchangeRates();
+  }
+
+  // Save the rates and convert every amount again
+  saveExchangeRates() {
+    Storage.saveExchangeRates(this.exchangeRates.toJSON());
     
-    // Refresh current view based on what's active
-    if (this.currentView === 'dashboard') {
-      this.updateComparisonData();
-      this.updateDashboard();
-    } else if (this.currentView === 'transactions') {
-      this.renderTransactionsView();
+    if (this.rowsData.length > 0) {
+      this.loadedTransactions = this.processTransactions();
+      this.dataChanged = true;
+      this.updateCurrentView();
     }
+    this.renderCurrencySettings();
   }
 
-  // Update period text display
-  updatePeriodText() {
-    const periodText = document.getElementById('current-period-text');
-    if (periodText) {
-      const now = new Date();
-      let text = '';
-      
-      switch (this.currentPeriod) {
-        case 'week':
-          text = `Week of ${now.toLocaleDateString()}`;
-          break;
-        case 'payweek':
-          text = `Payweek of ${now.toLocaleDateString()}`;
-          break;
-        case 'month':
-          text = `${now.toLocaleDateString('default', { month: 'long', year: 'numeric' })}`;
-          break;
-        case 'year':
-          text = `${now.getFullYear()}`;
-          break;
+  // Point out currencies that have no exchange rate, once for each new set of them
+  warnMissingRates() {
+    const missing = [...this.missingRateCurrencies].sort().join(', ');
+    if (missing === this.lastMissingRates) return;
+    
+    this.lastMissingRates = missing;
+    if (missing) {
+      UI.showToast(`No exchange rate for ${missing} - add one under 💱 Currencies`, 'warning');
+    }
+  }
+
+  // Export the transactions list, a category summary, budget vs. actual or a printable statement.
+  // Every report covers the selected period and transaction search, and optionally one category group
+  showExportDialog() {
+    const range = this.getSelectedRange();
+    const groups = Object.keys(this.categoryManager.categoryGroups);
+    const currentGroup = document.getElementById('budget-group-filter')?.value || '';
+    const field = (label, control) => `
+      <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+        ${label}
+        ${control}
+      </label>
+    `;
+    
+    const content = `
+      <div style="display: flex; flex-direction: column; gap: 0.75rem;">
+        ${field('Report', `
+          <select id="export-report" class="input-standard"
+                  onchange="document.getElementById('export-format').disabled = this.value === 'statement'">
+            <option value="transactions">Transactions</option>
+            <option value="summary">Category summary by period</option>
+            <option value="budget">Budget vs. actual</option>
+            <option value="statement">Statement (print or save as PDF)</option>
+          </select>
+        `)}
+        ${field('Format', `
+          <select id="export-format" class="input-standard">
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (.xlsx)</option>
+          </select>
+        `)}
+        ${field('Category group', `
+          <select id="export-group" class="input-standard">
+            <option value="">All groups</option>
+            ${groups.map(group => `<option value="${group}" ${group === currentGroup ? 'selected' : ''}>${group}</option>`).join('')}
+          </select>
+        `)}
+        <div class="text-muted" style="font-size: 0.875rem;">
+          Period: ${range.label}${this.transactionSearchTerm ? `<br>Search: ${this.transactionSearchTerm}` : ''}${this.transactionTagFilter ? `<br>Tag: ${this.transactionTagFilter}` : ''}
+        </div>
+      </div>
+    `;
+    
+    const modal = UI.createModal('📤 Export', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '📤 Export', class: 'btn-primary', action: 'window.budgetApp?.runExport()' }
+    ]);
+    modal.id = 'export-modal';
+    modal.querySelector('.modal').style.maxWidth = '420px';
+  }
+
+  // Transactions in the selected period matching the search and category group, newest first
+  getExportTransactions(groupFilter = '') {
+    const query = TransactionQuery.parse(this.transactionSearchTerm);
+    return TransactionQuery.filter(this.getFilteredRows(), query, transaction => this.toQueryRecord(transaction))
+      .filter(transaction => this.matchesTagFilter(transaction))
+      .filter(transaction => !groupFilter || this.categoryManager.findCategoryGroup(transaction[7]) === groupFilter)
+      .sort((a, b) => DateParser.compareDesc(a[4], b[4]));
+  }
+
+  toExportRecord(transaction) {
+    const [account, amount, merchant, , date, , notes, category, rowIndex, original] = transaction;
+    const row = this.rowsData[rowIndex] || [];
+    return {
+      date: DateParser.parse(date) || date,
+      account,
+      merchant: this.getColumnValue(row, 'merchantGroup') || merchant,
+      category,
+      group: this.categoryManager.findCategoryGroup(category) || '',
+      amount,
+      originalAmount: original.amount,
+      originalCurrency: original.currency,
+      notes,
+      tags: this.getColumnValue(row, 'tags') || ''
+    };
+  }
+
+  async runExport() {
+    const modal = document.getElementById('export-modal');
+    if (!modal) return;
+    
+    const report = modal.querySelector('#export-report').value;
+    const format = modal.querySelector('#export-format').value;
+    const groupFilter = modal.querySelector('#export-group').value;
+    const transactions = this.getExportTransactions(groupFilter);
+    const range = this.getSelectedRange();
+    const groupOf = (category) => this.categoryManager.findCategoryGroup(category);
+    
+    if (report === 'statement') {
+      // Opened before the charts are captured so the browser treats it as part of the click
+      const printWindow = window.open('', '_blank');
+      if (!printWindow) {
+        UI.showToast('Allow pop-ups to open the statement', 'error');
+        return;
+      }
+      UI.removeModal(modal);
+      await this.exportStatement(printWindow, transactions, range, groupFilter);
+      return;
+    }
+    
+    let rows;
+    if (report === 'transactions') {
+      rows = ReportExporter.transactionReport(transactions.map(transaction => this.toExportRecord(transaction)), this.exchangeRates.base);
+    } else if (report === 'summary') {
+      // A column per week for short periods, per month for longer ones
+      const columnType = (range.end - range.start) / (1000 * 60 * 60 * 24) > 62 ? 'month' : 'week';
+      rows = ReportExporter.categorySummary(this.countedTransactions(transactions), {
+        incomeCategories: this.categoryManager.getIncomeCategories(),
+        groupOf,
+        periodOf: (transaction) => {
+          const date = DateParser.toDate(transaction[4]);
+          return date ? this.periodCalendar.getPeriod(columnType, date) : null;
+        }
+      });
+    } else {
+      // Budget periods overlapping the selected range, with spending matching the search
+      this.loadBudgets();
+      const model = this.budgetModel;
+      const query = TransactionQuery.parse(this.transactionSearchTerm);
+      const buckets = model.bucketTransactions(
+        TransactionQuery.filter(this.countedTransactions(this.processTransactions()), query, transaction => this.toQueryRecord(transaction))
+      );
+      const periods = [];
+      for (let period = model.getPeriod(range.start); period.start <= range.end; period = model.shiftPeriod(period, 1)) {
+        periods.push(period);
+      }
+      // Categories without a group count as Personal, as in the budgets view
+      rows = ReportExporter.budgetReport(model, periods, buckets, { groupOf: (category) => groupOf(category) || 'Personal', groupFilter });
+    }
+    
+    if (rows.length <= 1) {
+      UI.showToast('Nothing to export for this period and search', 'warning');
+      return;
+    }
+    
+    const name = `${report}-${range.label}${groupFilter ? `-${groupFilter}` : ''}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    if (format === 'xlsx') {
+      UI.downloadFile(`${name}.xlsx`, ReportExporter.toXlsx(rows, range.label),
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      // The byte order mark tells Excel the file is UTF-8
+      UI.downloadFile(`${name}.csv`, `\uFEFF${ReportExporter.toCsv(rows)}`, 'text/csv;charset=utf-8');
+    }
+    
+    UI.removeModal(modal);
+    UI.showToast(`Exported ${rows.length - 1} rows`, 'success');
+  }
+
+  // Statement in a new window with spending and cash flow charts as images, ready to print
+  async exportStatement(printWindow, transactions, range, groupFilter) {
+    const counted = this.countedTransactions(transactions);
+    const summary = CashFlow.summarize(counted, this.categoryManager.getIncomeCategories());
+    const filters = [
+      groupFilter && `Group: ${groupFilter}`,
+      this.transactionSearchTerm && `Search: ${this.transactionSearchTerm}`,
+      this.transactionTagFilter && `Tag: ${this.transactionTagFilter}`
+    ].filter(Boolean);
+    
+    let charts = [];
+    try {
+      UI.showLoading('Drawing charts...');
+      charts = await this.chartManager.renderStatementCharts(counted, summary,
+        (category) => this.categoryManager.findCategoryGroup(category), range);
+    } catch (error) {
+      console.warn('Charts could not be captured for the statement:', error);
+    } finally {
+      UI.hideLoading();
+    }
+    
+    printWindow.document.write(ReportExporter.statementHtml({
+      title: 'Statement',
+      periodLabel: range.label,
+      filters,
+      summary,
+      byCategory: summary.byCategory,
+      records: transactions.map(transaction => this.toExportRecord(transaction)),
+      charts
+    }));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }
+
+  // Process raw spreadsheet data into transactions.
+  // The sheet row index is carried after the category so edits can be written back,
+  // followed by the original { amount, currency } before conversion to the base currency
+  processTransactions() {
+    const transactions = [];
+    const accountSettings = this.getAccountData().settings;
+    this.missingRateCurrencies = new Set();
+    
+    this.rowsData.forEach((row, rowIndex) => {
+      // Skip header and rows cleared by duplicate removal
+      if (rowIndex === 0 || row.every(cell => cell === '' || cell === null || cell === undefined)) {
+        return;
       }
       
-      periodText.textContent = text;
+      const account = this.getColumnValue(row, 'account') || 'Uncategorized';
+      const amount = this.getRowAmount(row);
+      const merchant = this.getColumnValue(row, 'merchant') || '';
+      const description = this.getColumnValue(row, 'description') || '';
+      const date = this.getColumnValue(row, 'date') || '';
+      const id = this.getColumnValue(row, 'id') || '';
+      const notes = this.getColumnValue(row, 'notes') || '';
+      const category = this.getColumnValue(row, 'category') || 'Uncategorized';
+      
+      // Amounts are reported in the base currency; the original is kept after the row index
+      const currency = this.getRowCurrency(row, accountSettings[account]);
+      const baseAmount = this.exchangeRates.convert(amount, currency, DateParser.parse(date));
+      if (baseAmount === null) this.missingRateCurrencies.add(currency);
+      
+      transactions.push([account, baseAmount ?? amount, merchant, description, date, id, notes, category, rowIndex, { amount, currency }]);
+    });
+    
+    return transactions;
+  }
+
+  // Currency of a row: its Currency column, else its account's currency, else the base currency
+  getRowCurrency(row, accountSettings = {}) {
+    return ExchangeRates.normalizeCode(this.getColumnValue(row, 'currency') || accountSettings.currency) || this.exchangeRates.base;
+  }
+
+  // Signed amount from the amount column, or credit minus debit for split layouts
+  getRowAmount(row) {
+    if (this.columnIndices.amount !== undefined && this.columnIndices.amount !== -1) {
+      return StatementImporter.parseAmount(row[this.columnIndices.amount]) || 0;
     }
+    
+    const credit = StatementImporter.parseAmount(this.getColumnValue(row, 'credit')) || 0;
+    const debit = StatementImporter.parseAmount(this.getColumnValue(row, 'debit')) || 0;
+    return Math.abs(credit) - Math.abs(debit);
   }
 
-  // Update data based on period selection
-  updateComparisonData() {
-    const transactions = this.getFilteredRows();
-    this.updateSummaryCards(transactions);
-    this.categoryManager.updateCategorySummaryCards(transactions);
-    this.chartManager.drawSpendingChart(transactions);
+  // Add imported statement records to the dataset, optionally appending them to the sheet
+  async loadImportedRecords(records, options = {}) {
+    const { appendToSheet = false } = options;
+    
+    if (records.length === 0) {
+      UI.showToast('No transactions to import', 'warning');
+      return;
+    }
+    
+    // Importing without a connected sheet starts a fresh dataset
+    if (this.rowsData.length === 0) {
+      this.rowsData = [[...CONFIG.IMPORT.DEFAULT_HEADERS]];
+      this.columnIndices = ColumnMapper.guess(this.rowsData[0]);
+    }
+    
+    // Statements in another currency need a Currency column to keep it
+    if (records.some(record => record.currency && record.currency !== this.exchangeRates.base)) {
+      try {
+        await this.ensureDataColumns(appendToSheet ? Storage.getCredentials().sheetId : null, { currency: 'Currency' });
+      } catch (error) {
+        UI.handleError(error, 'Adding the Currency column');
+        return;
+      }
+    }
+    
+    const newRows = records.map(record => this.recordToRow(record));
+    const firstRowIndex = this.rowsData.length;
+    this.rowsData.push(...newRows);
+    
+    if (appendToSheet && this.loadedTabs[0]) {
+      try {
+        await this.appendRowsToSheet(firstRowIndex, newRows);
+        UI.showToast(`✅ Appended ${newRows.length} rows to Google Sheets`, 'success');
+      } catch (error) {
+        UI.handleError(error, 'Appending imported rows to sheet');
+      }
+    }
+    
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    
+    this.hideConnectionUI();
+    this.updateAllViews(this.getFilteredRows());
+    this.switchView('transactions');
+    
+    UI.showToast(`📥 Imported ${newRows.length} transactions`, 'success');
+    
+    // Overlapping statements are the usual source of duplicates
+    const duplicateGroups = this.findDuplicateGroups();
+    if (duplicateGroups.length > 0) {
+      this.showDuplicateReviewDialog(duplicateGroups);
+    }
+  }
+  
+  // Append rows already added to rowsData at firstRowIndex below the data of the first loaded tab
+  async appendRowsToSheet(firstRowIndex, rows) {
+    const sheetId = Storage.getCredentials().sheetId;
+    const targetTab = this.loadedTabs[0];
+    if (!sheetId || !targetTab) return;
+    
+    const firstRowNumber = await this.sheetsAPI.appendRows(sheetId, targetTab.name, rows, targetTab.lastRow + 1);
+    
+    rows.forEach((_, offset) => {
+      this.rowSources[firstRowIndex + offset] = { tab: targetTab, row: firstRowNumber + offset };
+    });
+    targetTab.lastRow = Math.max(targetTab.lastRow, firstRowNumber + rows.length - 1);
+  }
+  
+  // Build a sheet row from an imported or manually entered record, following the column mapping
+  recordToRow(record) {
+    const row = new Array(this.rowsData[0].length).fill('');
+    const setValue = (field, value) => {
+      const colIndex = this.columnIndices[field];
+      if (colIndex !== undefined && colIndex !== -1 && value !== undefined) {
+        row[colIndex] = value;
+      }
+    };
+    
+    setValue('account', record.account);
+    setValue('merchant', record.merchant);
+    setValue('description', record.description);
+    setValue('date', record.date);
+    setValue('id', record.id);
+    setValue('notes', record.notes);
+    setValue('category', record.category);
+    setValue('merchantGroup', record.merchantGroup);
+    setValue('splitOf', record.splitOf);
+    setValue('currency', record.currency);
+    
+    if (this.columnIndices.amount !== -1) {
+      setValue('amount', record.amount);
+    } else {
+      setValue(record.amount < 0 ? 'debit' : 'credit', Math.abs(record.amount));
+    }
+    
+    return row;
+  }
+
+  // Get value from specific column
+  getColumnValue(row, columnType) {
+    const colIndex = this.columnIndices[columnType];
+    return colIndex !== -1 && row[colIndex] ? row[colIndex] : null;
+  }
+
+  // Update all views with new data
+  updateAllViews(transactions) {
+    this.dataChanged = true; // Mark data as changed for dashboard
+    // Totals skip transfers and count split transactions through their parts; the recent list shows every row
+    const counted = this.countedTransactions(transactions);
+    this.updateSummaryCards(counted);
+    this.categoryManager.updateCategorySummaryCards(counted);
+    this.chartManager.updateAllCharts(counted, this.getSelectedRange(), this.categoryManager.getIncomeCategories());
+    this.updateQuickStats(counted);
     this.renderRecentTable(transactions);
+    this.renderSubscriptionsPanel();
+    this.warnMissingRates();
+    // Don't call updateCurrentView() here to avoid infinite loop
+  }
+
+  // Initialize views with empty state
+  initializeEmptyViews() {
+    // Ensure loading is hidden
+    UI.hideLoading();
+    
+    this.updateSummaryCards([]);
+    this.categoryManager.updateCategorySummaryCards([]);
+    this.updateQuickStats([]);
+    this.renderRecentTable([]);
+    this.renderSubscriptionsPanel();
+    
+    // Update chart title to show empty state
+    const chartTitle = document.querySelector('#dashboard-view .chart-title');
+    if (chartTitle) {
+      chartTitle.textContent = '📊 Connect to Google Sheets to view data';
+    }
+  }
+
+  // Update quick stats display
+  updateQuickStats(transactions) {
+    const now = new Date();
+    const incomeCategories = this.categoryManager.getIncomeCategories();
+    const spendingSince = (start) => transactions
+      .filter(t => DateParser.toDate(t[4]) >= start)
+      .reduce((sum, t) => sum + CashFlow.spendingAmount(t, incomeCategories), 0);
+    
+    // Calculate week spending (current week, from the first day of the week in the regional settings)
+    const weekSpending = spendingSince(this.periodCalendar.getPeriod('week', now).start);
+    
+    // Calculate month spending (current month)
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const monthSpending = spendingSince(monthStart);
+    
+    // Calculate year spending (current year)
+    const yearStart = new Date(now.getFullYear(), 0, 1);
+    const yearSpending = spendingSince(yearStart);
+    
+    // Update display
+    const weekEl = document.getElementById('stat-week');
+    const monthEl = document.getElementById('stat-month');
+    const yearEl = document.getElementById('stat-year');
+    
+    if (weekEl) weekEl.textContent = Formatters.currency(weekSpending);
+    if (monthEl) monthEl.textContent = Formatters.currency(monthSpending);
+    if (yearEl) yearEl.textContent = Formatters.currency(yearSpending);
+  }
+
+  // Update summary cards: spending net of refunds, income, net cash flow and transaction count
+  updateSummaryCards(transactions) {
+    const { income, spending, refunds, net } = CashFlow.summarize(transactions, this.categoryManager.getIncomeCategories());
+    const money = (value) => Formatters.currency(Math.abs(value));
+
+    // Update card values
+    document.querySelectorAll('#dashboard-view .summary-card').forEach((card, index) => {
+      const valueElement = card.querySelector('.card-value');
+      if (valueElement) {
+        switch (index) {
+          case 0:
+            valueElement.textContent = money(spending);
+            valueElement.title = refunds > 0 ? `After ${money(refunds)} in refunds` : '';
+            break;
+          case 1:
+            valueElement.textContent = money(income);
+            break;
+          case 2:
+            valueElement.textContent = `${net < 0 ? '-' : '+'}${money(net)}`;
+            valueElement.style.color = net < 0 ? 'var(--error-color)' : 'var(--success-color)';
+            break;
+          case 3:
+            valueElement.textContent = transactions.length.toLocaleString();
+            break;
+        }
+      }
+    });
+  }
+
+  // Table amounts: money out as a plain amount, money in with a + in green. Amounts converted
+  // from another currency show the original ({ amount, currency }) after them
+  formatAmount(amount, original = null) {
+    const text = amount > 0
+      ? `<span style="color: var(--success-color);">${Formatters.signedCurrency(amount)}</span>`
+      : Formatters.currency(Math.abs(amount));
+    
+    if (!original || original.currency === this.exchangeRates.base) return text;
+    const rate = this.missingRateCurrencies.has(original.currency) ? ' - no exchange rate' : '';
+    return `${text} <span class="text-muted" style="font-size: 0.75rem;">(${Formatters.currency(Math.abs(original.amount), { currency: original.currency })}${rate})</span>`;
+  }
+
+  // Render recent transactions table
+  renderRecentTable(transactions = null) {
+    const tbody = document.querySelector('#recent-table tbody');
+    if (!tbody) return;
+
+    const filteredTransactions = transactions || this.getFilteredRows();
+    const recentTransactions = filteredTransactions
+      .sort((a, b) => DateParser.compareDesc(a[4], b[4]))
+      .slice(0, this.currentLimit);
+
+    tbody.innerHTML = recentTransactions.map(transaction => {
+      const [account, amount, merchant, description, date, , , category, rowIndex, original] = transaction;
+      
+      // Get the actual row from the spreadsheet data
+      const actualRow = this.rowsData[rowIndex] || [];
+      
+      // Get category group from actual column
+      const categoryGroup = this.getColumnValue(actualRow, 'categoryGroup') || 
+                           this.categoryManager.findCategoryGroup(category) || '–';
+      
+      // Use Merchant Group first, then fallback to Merchant
+      const merchantGroupCol = this.getColumnValue(actualRow, 'merchantGroup');
+      const merchantCol = this.getColumnValue(actualRow, 'merchant') || merchant;
+      const displayMerchant = merchantGroupCol || merchantCol;
+      
+      // Get payweek from actual column
+      const payweekCol = this.getColumnValue(actualRow, 'payweek') || description;
+      
+      return `
+        <tr>
+          <td>${this.formatSheetDate(date)}</td>
+          <td>${account}</td>
+          <td>${category}</td>
+          <td>${categoryGroup}</td>
+          <td>${this.formatAmount(amount, original)}</td>
+          <td>${displayMerchant}</td>
+          <td>${payweekCol}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  // Setup period controls for both dashboard and transactions views
+  setupPeriodControls() {
+    document.querySelectorAll('.period-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const period = btn.getAttribute('data-period');
+        if (period === 'custom') {
+          this.showDateRangeDialog();
+        } else if (period) {
+          this.changePeriod(period);
+        }
+      });
+    });
+    
+    // Set default active period
+    this.changePeriod(CONFIG.PERIODS.DEFAULT_PERIOD);
+  }
+
+  // Handle period changes across all views
+  changePeriod(newPeriod) {
+    // Update current period, starting from the one containing today
+    this.currentPeriod = newPeriod;
+    this.periodOffset = 0;
+    
+    // Update button active states in both views
+    document.querySelectorAll('.period-btn').forEach(btn => {
+      btn.classList.remove('active');
+      if (btn.getAttribute('data-period') === newPeriod) {
+        btn.classList.add('active');
+      }
+    });
+    
+    this.onPeriodRangeChange();
+  }
+
+  // Step to the previous (-1) or next (1) period of the current type
+  shiftPeriodRange(offset) {
+    if (this.currentPeriod === 'custom') {
+      this.customRange = this.periodCalendar.shiftPeriod(this.getSelectedRange(), offset);
+    } else {
+      this.periodOffset += offset;
+    }
+    this.onPeriodRangeChange();
+  }
+
+  // Back to the period containing today
+  resetPeriodRange() {
+    if (this.currentPeriod === 'custom') {
+      this.changePeriod(CONFIG.PERIODS.DEFAULT_PERIOD);
+      return;
+    }
+    this.periodOffset = 0;
+    this.onPeriodRangeChange();
+  }
+
+  // Selected date range: { type, key, start, end, label }
+  getSelectedRange() {
+    if (this.currentPeriod === 'custom' && this.customRange) {
+      return this.periodCalendar.getCustomRange(this.customRange.start, this.customRange.end);
+    }
+    const type = this.currentPeriod === 'custom' ? CONFIG.PERIODS.DEFAULT_PERIOD : this.currentPeriod;
+    return this.periodCalendar.shiftPeriod(this.periodCalendar.getPeriod(type, new Date()), this.periodOffset);
+  }
+
+  // Refresh the period text and whichever view is showing; other views redraw when opened
+  onPeriodRangeChange() {
+    this.updatePeriodText();
+    this.budgetPeriodOffset = 0;
+    this.dataChanged = true;
+    this.updateCurrentView();
+  }
+
+  // Update period text display
+  updatePeriodText() {
+    const range = this.getSelectedRange();
+    document.querySelectorAll('.period-range-text').forEach(element => {
+      element.textContent = range.label;
+    });
+  }
+
+  // Custom date range picker
+  showDateRangeDialog() {
+    const range = this.getSelectedRange();
+    const toInput = (date) => date.toLocaleDateString('en-CA');
+    
+    const content = `
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          From
+          <input id="range-start" type="date" class="input-standard" value="${toInput(range.start)}">
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          To
+          <input id="range-end" type="date" class="input-standard" value="${toInput(range.end)}">
+        </label>
+      </div>
+    `;
+    
+    UI.removeModal(document.getElementById('date-range-modal'));
+    const modal = UI.createModal('📅 Custom Date Range', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: 'Apply', class: 'btn-primary', action: 'window.budgetApp?.applyDateRange()' }
+    ]);
+    modal.id = 'date-range-modal';
+    modal.querySelector('.modal').style.maxWidth = '480px';
+  }
+  
+  applyDateRange() {
+    const modal = document.getElementById('date-range-modal');
+    if (!modal) return;
+    
+    const start = modal.querySelector('#range-start').value;
+    const end = modal.querySelector('#range-end').value;
+    if (!start || !end) {
+      UI.showToast('Pick both a start and an end date', 'error');
+      return;
+    }
+    
+    this.customRange = this.periodCalendar.getCustomRange(DateParser.toDate(start), DateParser.toDate(end));
+    UI.removeModal(modal);
+    this.changePeriod('custom');
+  }
+  
+  // Fiscal year start month setting
+  showFiscalYearDialog() {
+    const months = Array.from({ length: 12 }, (_, month) => new Date(2000, month, 1).toLocaleDateString(Formatters.locale, { month: 'long' }));
+    
+    const content = `
+      <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+        Fiscal year starts in
+        <select id="fiscal-year-start" class="input-standard">
+          ${months.map((name, month) => `
+            <option value="${month}" ${this.periodCalendar.fiscalYearStart === month ? 'selected' : ''}>${name}</option>
+          `).join('')}
+        </select>
+      </label>
+    `;
+    
+    UI.removeModal(document.getElementById('fiscal-year-modal'));
+    const modal = UI.createModal('⚙️ Fiscal Year', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.saveFiscalYearStart()' }
+    ]);
+    modal.id = 'fiscal-year-modal';
+    modal.querySelector('.modal').style.maxWidth = '400px';
+  }
+  
+  saveFiscalYearStart() {
+    const modal = document.getElementById('fiscal-year-modal');
+    if (!modal) return;
+    
+    const month = parseInt(modal.querySelector('#fiscal-year-start').value, 10);
+    this.periodCalendar.fiscalYearStart = month;
+    Storage.saveFiscalYearStart(month);
+    UI.removeModal(modal);
+    
+    this.onPeriodRangeChange();
+    UI.showToast('Fiscal year start saved', 'success');
+  }
+
+  // Display locale, day/month order of sheet dates and first day of the week
+  applyRegionalSettings() {
+    const { locale, dateFormat, weekStart } = this.regionalSettings;
+    Formatters.setLocale(locale);
+    DateParser.setFormat(dateFormat);
+    this.periodCalendar.weekStart = weekStart;
+    this.chartManager.weekStart = weekStart;
+  }
+
+  // A sheet date in the display locale, or as written when it can't be read
+  formatSheetDate(value) {
+    const date = DateParser.toDate(value);
+    return date ? Formatters.date(date, 'numeric') : (value || '');
+  }
+
+  showRegionalSettingsDialog() {
+    const { locale, dateFormat, weekStart } = this.regionalSettings;
+    const sample = (code) => `${new Date(2026, 2, 31).toLocaleDateString(code)}, ${(1234.5).toLocaleString(code, { minimumFractionDigits: 2 })}`;
+    const field = (label, control) => `
+      <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+        ${label}
+        ${control}
+      </label>
+    `;
+    
+    const content = `
+      <div style="display: flex; flex-direction: column; gap: 0.75rem;">
+        ${field('Display language and region', `
+          <select id="regional-locale" class="input-standard">
+            ${Object.entries(CONFIG.REGIONAL.LOCALES).map(([code, name]) => `
+              <option value="${code}" ${code === locale ? 'selected' : ''}>${name} - ${sample(code)}</option>
+            `).join('')}
+          </select>
+        `)}
+        ${field('Dates in the sheet', `
+          <select id="regional-date-format" class="input-standard">
+            ${Object.entries(DATE_FORMATS).map(([format, name]) => `
+              <option value="${format}" ${format === dateFormat ? 'selected' : ''}>${name}</option>
+            `).join('')}
+          </select>
+          <span class="text-muted" style="font-size: 0.75rem;">Auto-detect reads 03/04/2026 as March 4; pick Day/Month/Year for most Canadian and European bank exports</span>
+        `)}
+        ${field('Weeks start on', `
+          <select id="regional-week-start" class="input-standard">
+            <option value="0" ${weekStart === 0 ? 'selected' : ''}>Sunday</option>
+            <option value="1" ${weekStart === 1 ? 'selected' : ''}>Monday</option>
+          </select>
+        `)}
+      </div>
+    `;
+    
+    const modal = UI.createModal('🌐 Regional Settings', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.saveRegionalSettings()' }
+    ]);
+    modal.id = 'regional-settings-modal';
+    modal.querySelector('.modal').style.maxWidth = '480px';
+  }
+
+  saveRegionalSettings() {
+    const modal = document.getElementById('regional-settings-modal');
+    if (!modal) return;
+    
+    this.regionalSettings = {
+      locale: modal.querySelector('#regional-locale').value,
+      dateFormat: modal.querySelector('#regional-date-format').value,
+      weekStart: parseInt(modal.querySelector('#regional-week-start').value, 10)
+    };
+    Storage.saveRegionalSettings(this.regionalSettings);
+    this.applyRegionalSettings();
+    UI.removeModal(modal);
+    
+    // Dates may read differently now, which moves transactions between periods
+    if (this.rowsData.length > 0) {
+      this.loadedTransactions = this.processTransactions();
+    }
+    this.onPeriodRangeChange();
+    UI.showToast('Regional settings saved', 'success');
+  }
+
+  // Update current view
+  updateCurrentView() {
+    this.initializeViewContent(this.currentView);
+  }
+
+  // Hide connection UI after successful connection
+  hideConnectionUI() {
+    const welcomePage = document.getElementById('welcome-page');
+    const mainApp = document.getElementById('main-app');
+    
+    if (welcomePage) {
+      welcomePage.style.display = 'none';
+    }
+    
+    if (mainApp) {
+      mainApp.style.display = 'block';
+    }
+  }
+
+  // Show connection UI (for disconnection)
+  showConnectionUI() {
+    const welcomePage = document.getElementById('welcome-page');
+    const mainApp = document.getElementById('main-app');
+    
+    if (welcomePage) {
+      welcomePage.style.display = 'block';
+    }
+    
+    if (mainApp) {
+      mainApp.style.display = 'none';
+    }
+  }
+
+  // Show sheet changer
+  showSheetChanger() {
+    const credentials = Storage.getCredentials();
+    if (credentials.useAppsScript && credentials.appsScriptUrl) {
+      this.loadAndShowSheetPicker();
+    } else {
+      UI.showToast('No Apps Script connection found', 'error');
+    }
+  }
+
+  // Disconnect from current sheet
+  disconnect() {
+    // Clear credentials
+    this.sheetsAPI.updateCredentials({
+      useAppsScript: false,
+      appsScriptUrl: '',
+      sheetId: ''
+    });
+    
+    // Clear data
+    this.rowsData = [];
+    this.rowSources = [];
+    this.loadedTabs = [];
+    
+    // Reset UI
+    this.showConnectionUI();
+    this.hideSheetPicker();
+    this.initializeEmptyViews();
+    
+    // Clear input
+    const appsScriptInput = document.getElementById('apps-script-url');
+    if (appsScriptInput) {
+      appsScriptInput.value = '';
+    }
+    
+    UI.showToast('Disconnected successfully', 'success');
+  }
+
+  // Get filtered transaction rows based on current period and search
+  getFilteredRows() {
+    if (!this.rowsData || this.rowsData.length <= 1) {
+      return [];
+    }
+
+    const transactions = this.processTransactions();
+    
+    // If no period filtering, return all transactions
+    if (!this.currentPeriod) {
+      return transactions;
+    }
+
+    const range = this.getSelectedRange();
+    
+    return transactions.filter(transaction => {
+      const date = DateParser.toDate(transaction[4]);
+      return Boolean(date) && this.periodCalendar.contains(range, date);
+    });
+  }
+
+  // Period-filtered transactions to count in totals
+  getCountedRows() {
+    return this.countedTransactions(this.getFilteredRows());
+  }
+
+  // Leave out transfers between accounts, and count split transactions through their parts
+  countedTransactions(transactions) {
+    const transferRows = this.getTransferRows();
+    return TransactionSplits.countable(transactions, this.getSplitOfValues())
+      .filter(transaction => !transferRows.has(transaction[8]));
+  }
+
+  // Row indices of transfers and card payments. Matched across all loaded data, since the
+  // two sides of a transfer can fall in different periods
+  getTransferRows() {
+    return this.transferMatcher.getTransferRows(this.getUnsplitTransactions());
+  }
+
+  // Every transaction except split originals, whose parts stand in for them
+  getUnsplitTransactions() {
+    return TransactionSplits.countable(this.processTransactions(), this.getSplitOfValues());
+  }
+
+  // Split Of column of every row: the IDs of transactions that have been split
+  getSplitOfValues() {
+    const colIndex = this.columnIndices.splitOf;
+    if (colIndex === undefined || colIndex === -1) return [];
+    return this.rowsData.slice(1).map(row => row[colIndex]);
+  }
+
+  // Cash flow for the selected period: income, spending net of refunds and what was saved,
+  // drawn as income sources flowing through category groups
+  renderCashFlowView() {
+    const summaryContainer = document.getElementById('cash-flow-summary');
+    const details = document.getElementById('cash-flow-details');
+    if (!summaryContainer || !details) return;
+    
+    this.updatePeriodText();
+    
+    const summary = CashFlow.summarize(this.getCountedRows(), this.categoryManager.getIncomeCategories());
+    const groupOf = (category) => this.categoryManager.findCategoryGroup(category);
+    const savingsRate = summary.income > 0 ? Formatters.percentage(summary.net, summary.income) : '–';
+    
+    const card = (label, value, color = 'var(--text-primary)') => `
+      <div class="summary-card">
+        <div class="summary-value" style="color: ${color};">${value}</div>
+        <div class="summary-label">${label}</div>
+      </div>
+    `;
+    summaryContainer.innerHTML = [
+      card('Income', Formatters.currency(summary.income)),
+      card('Spending', Formatters.currency(summary.spending)),
+      card('Refunds', Formatters.currency(summary.refunds)),
+      card('Net Cash Flow', Formatters.signedCurrency(summary.net), summary.net < 0 ? 'var(--error-color)' : 'var(--success-color)'),
+      card('Savings Rate', savingsRate)
+    ].join('');
+    
+    this.chartManager.renderCashFlowChart(summary, groupOf);
+    
+    const byGroup = {};
+    Object.entries(summary.byCategory).forEach(([category, amount]) => {
+      const group = groupOf(category) || 'Other';
+      byGroup[group] = (byGroup[group] || 0) + amount;
+    });
+    const list = (title, entries) => `
+      <div>
+        <h4 style="margin-bottom: 0.5rem;">${title}</h4>
+        <table style="width: 100%; font-size: 0.875rem;">
+          ${entries.length === 0 ? '<tr><td class="text-muted">None in this period</td></tr>' : entries
+            .sort(([, a], [, b]) => b - a)
+            .map(([name, amount]) => `
+              <tr>
+                <td>${name}</td>
+                <td style="text-align: right;">${Formatters.currency(amount)}</td>
+              </tr>
+            `).join('')}
+        </table>
+      </div>
+    `;
+    details.innerHTML = list('Income by Source', Object.entries(summary.incomeBySource)) +
+      list('Spending by Group', Object.entries(byGroup));
+  }
+
+  // Account balances, reconciliation and net worth. Balances use every loaded transaction,
+  // not just the selected period
+  renderAccountsView() {
+    const container = document.getElementById('accounts-container');
+    if (!container) return;
+    
+    const data = this.getAccountData();
+    const transactions = this.getLedgerTransactions();
+    this.accountSummaries = AccountLedger.summarize(transactions, data.settings)
+      .map(account => ({ ...account, currency: this.getAccountCurrency(account.name, transactions) }));
+    
+    const today = this.todayKey();
+    const manualRows = data.manual.map((account, index) => {
+      const latest = [...account.history].sort((a, b) => a.date.localeCompare(b.date)).pop();
+      return `
+        <tr>
+          <td>${account.name}</td>
+          <td>${account.type === 'liability' ? 'Liability' : 'Asset'}</td>
+          <td style="text-align: right;">${latest ? Formatters.currency(latest.balance) : '–'}</td>
+          <td>${latest ? latest.date : ''}</td>
+          <td style="white-space: nowrap;">
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Update balance"
+                    onclick="window.budgetApp?.showManualAccountDialog(${index})">✏️</button>
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Remove account"
+                    onclick="window.budgetApp?.deleteManualAccount(${index})">🗑️</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+    
+    const toBase = this.accountBalanceToBase(transactions);
+    const [current] = AccountLedger.netWorthSeries(transactions, data.settings, data.manual, [today], toBase);
+    
+    container.innerHTML = `
+      <div class="summary-cards">
+        <div class="summary-card">
+          <div class="summary-value">${Formatters.currency(current.assets)}</div>
+          <div class="summary-label">Assets</div>
+        </div>
+        <div class="summary-card">
+          <div class="summary-value">${Formatters.currency(current.liabilities)}</div>
+          <div class="summary-label">Liabilities</div>
+        </div>
+        <div class="summary-card">
+          <div class="summary-value" style="color: ${current.netWorth < 0 ? 'var(--error-color)' : 'var(--success-color)'};">${Formatters.currency(current.netWorth)}</div>
+          <div class="summary-label">Net Worth</div>
+        </div>
+      </div>
+      
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Type</th>
+              <th style="text-align: right;">Balance</th>
+              <th>Last Transaction</th>
+              <th>Reconciled</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.accountSummaries.length === 0 ? '<tr><td colspan="6" class="text-muted">No accounts yet - load or import transactions</td></tr>' : ''}
+            ${this.accountSummaries.map((account, index) => `
+              <tr class="${this.selectedAccount === account.name ? 'selected-row' : ''}">
+                <td><a href="#" onclick="event.preventDefault(); window.budgetApp?.showAccountRegister(${index})">${account.name}</a></td>
+                <td>${account.type === 'liability' ? 'Liability' : 'Asset'}</td>
+                <td style="text-align: right;">${this.formatAccountAmount(account.balance, account.currency)}</td>
+                <td>${account.lastDate || '–'}</td>
+                <td>${account.reconciledDate ? `${account.reconciledDate} (${this.formatAccountAmount(account.reconciledBalance, account.currency)})` : 'Never'}</td>
+                <td style="white-space: nowrap;">
+                  <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Opening balance and type"
+                          onclick="window.budgetApp?.showAccountSettingsDialog(${index})">⚙️</button>
+                  <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Reconcile with a statement"
+                          onclick="window.budgetApp?.showReconcileDialog(${index})">✔️ Reconcile</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      
+      <div style="display: flex; justify-content: space-between; align-items: center; margin: 1.5rem 0 0.5rem;">
+        <h4>Other Assets &amp; Liabilities</h4>
+        <button class="btn btn-secondary" onclick="window.budgetApp?.showManualAccountDialog()">➕ Add Account</button>
+      </div>
+      <p class="text-muted" style="font-size: 0.875rem; margin-bottom: 0.5rem;">
+        Accounts without transactions, such as a house, a car or a loan. Enter what they are worth (or what is owed) from time to time.
+      </p>
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Type</th>
+              <th style="text-align: right;">Balance</th>
+              <th>As Of</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${manualRows || '<tr><td colspan="5" class="text-muted">None added</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+      
+      <div class="chart-title" style="margin-top: 1.5rem;">📈 Net Worth</div>
+      <div class="chart-container">
+        <div id="net-worth-chart"></div>
+      </div>
+      
+      <div id="account-register"></div>
+    `;
+    
+    this.chartManager.renderNetWorthChart(
+      AccountLedger.netWorthSeries(transactions, data.settings, data.manual, this.getNetWorthDates(transactions, data.manual), toBase)
+    );
+    this.renderAccountRegister();
+  }
+
+  getAccountData() {
+    return Storage.getAccounts(this.getBudgetStorageId());
+  }
+
+  saveAccountData(data) {
+    Storage.saveAccounts(this.getBudgetStorageId(), data);
+  }
+
+  // Balances count each split transaction once, through the original rather than its parts,
+  // and are kept in the account's own currency
+  getLedgerTransactions() {
+    return this.processTransactions()
+      .filter(transaction => !this.getColumnValue(this.rowsData[transaction[8]] || [], 'splitOf'))
+      .map(transaction => {
+        const ledgerTransaction = [...transaction];
+        ledgerTransaction[1] = transaction[9].amount;
+        return ledgerTransaction;
+      });
+  }
+
+  // Currency an account is kept in: set in its settings, else that of its transactions
+  getAccountCurrency(name, transactions = this.getLedgerTransactions()) {
+    const settings = this.getAccountData().settings[name] || {};
+    const transaction = transactions.find(item => item[0] === name);
+    return settings.currency || transaction?.[9].currency || this.exchangeRates.base;
+  }
+
+  // Formats an account balance in the account's currency
+  formatAccountAmount(amount, currency) {
+    return Formatters.currency(amount, { currency });
+  }
+
+  // Converts an account balance to the base currency for net worth
+  accountBalanceToBase(transactions) {
+    const currencies = {};
+    return (balance, name, date) => {
+      currencies[name] = currencies[name] || this.getAccountCurrency(name, transactions);
+      return this.exchangeRates.convert(balance, currencies[name], date) ?? balance;
+    };
+  }
+
+  todayKey() {
+    return new Date().toLocaleDateString('en-CA');
+  }
+
+  // Month ends from the first transaction or manual balance to today, then today
+  getNetWorthDates(transactions, manualAccounts) {
+    const firstDates = [
+      ...transactions.map(transaction => DateParser.parse(transaction[4])),
+      ...manualAccounts.flatMap(account => account.history.map(entry => entry.date))
+    ].filter(Boolean).sort();
+    if (firstDates.length === 0) return [];
+    
+    const today = this.todayKey();
+    const first = PeriodCalendar.keyToDate(firstDates[0]);
+    const dates = [];
+    for (let month = new Date(first.getFullYear(), first.getMonth() + 1, 0); month.toLocaleDateString('en-CA') < today;
+      month = new Date(month.getFullYear(), month.getMonth() + 2, 0)) {
+      dates.push(month.toLocaleDateString('en-CA'));
+    }
+    dates.push(today);
+    return dates;
+  }
+
+  showAccountRegister(index) {
+    const account = this.accountSummaries?.[index];
+    if (!account) return;
+    
+    this.selectedAccount = this.selectedAccount === account.name ? null : account.name;
+    this.renderAccountsView();
+    document.getElementById('account-register')?.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Transactions of the selected account, newest first, with the balance after each
+  renderAccountRegister() {
+    const container = document.getElementById('account-register');
+    if (!container || !this.selectedAccount) return;
+    
+    const settings = this.getAccountData().settings[this.selectedAccount] || {};
+    const transactions = this.getLedgerTransactions();
+    const currency = this.getAccountCurrency(this.selectedAccount, transactions);
+    const entries = AccountLedger.runningBalances(transactions, this.selectedAccount, settings).reverse();
+    
+    container.innerHTML = `
+      <div class="chart-title" style="margin-top: 1.5rem;">📒 ${this.selectedAccount}</div>
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Merchant</th>
+              <th>Category</th>
+              <th style="text-align: right;">Amount</th>
+              <th style="text-align: right;">Balance</th>
+              <th>Cleared</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map(({ transaction, balance }) => `
+              <tr>
+                <td>${transaction[4]}</td>
+                <td>${transaction[2]}</td>
+                <td>${transaction[7]}</td>
+                <td style="text-align: right;">${this.formatAccountAmount(transaction[1], currency)}</td>
+                <td style="text-align: right;">${this.formatAccountAmount(balance, currency)}</td>
+                <td>${this.isCleared(transaction) ? '✓' : ''}</td>
+              </tr>
+            `).join('')}
+            <tr class="text-muted">
+              <td>${settings.openingDate || ''}</td>
+              <td colspan="3">Opening balance</td>
+              <td style="text-align: right;">${this.formatAccountAmount(parseFloat(settings.openingBalance) || 0, currency)}</td>
+              <td></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  isCleared(transaction) {
+    return Boolean(this.getColumnValue(this.rowsData[transaction[8]] || [], 'cleared'));
+  }
+
+  // Opening balance (the balance at the start of the opening date) and asset/liability type
+  showAccountSettingsDialog(index) {
+    const account = this.accountSummaries?.[index];
+    if (!account) return;
+    
+    const settings = this.getAccountData().settings[account.name] || {};
+    this.editingAccount = account.name;
+    
+    const content = `
+      <div style="display: flex; flex-direction: column; gap: 0.75rem;">
+        <label>Opening balance<br>
+          <input type="number" id="account-opening-balance" class="input-standard" step="0.01" value="${settings.openingBalance ?? ''}" placeholder="0.00">
+        </label>
+        <label>Opening date <span class="text-muted">(earlier transactions are left out of the balance)</span><br>
+          <input type="date" id="account-opening-date" class="input-standard" value="${settings.openingDate || ''}">
+        </label>
+        <label>Type<br>
+          <select id="account-type" class="input-standard">
+            <option value="asset" ${account.type === 'asset' ? 'selected' : ''}>Asset (chequing, savings)</option>
+            <option value="liability" ${account.type === 'liability' ? 'selected' : ''}>Liability (credit card, line of credit)</option>
+          </select>
+        </label>
+        <label>Currency <span class="text-muted">(for transactions without a Currency column)</span><br>
+          ${this.renderCurrencySelect('account-currency', settings.currency || '', 'From transactions')}
+        </label>
+      </div>
+    `;
+    
+    const modal = UI.createModal(`⚙️ ${account.name}`, content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: 'Save', class: 'btn-primary', action: 'window.budgetApp?.saveAccountSettings()' }
+    ]);
+    modal.id = 'account-settings-modal';
+    modal.querySelector('.modal').style.maxWidth = '420px';
+  }
+
+  saveAccountSettings() {
+    const modal = document.getElementById('account-settings-modal');
+    if (!modal || !this.editingAccount) return;
+    
+    const openingBalance = modal.querySelector('#account-opening-balance').value;
+    if (openingBalance !== '' && isNaN(parseFloat(openingBalance))) {
+      UI.showToast('Enter the opening balance as a number', 'error');
+      return;
+    }
+    
+    const data = this.getAccountData();
+    data.settings[this.editingAccount] = {
+      ...data.settings[this.editingAccount],
+      openingBalance: openingBalance === '' ? 0 : parseFloat(openingBalance),
+      openingDate: modal.querySelector('#account-opening-date').value,
+      type: modal.querySelector('#account-type').value,
+      currency: modal.querySelector('#account-currency').value
+    };
+    this.saveAccountData(data);
+    
+    UI.removeModal(modal);
+    // The account currency changes how its transactions convert to the base currency
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    this.renderAccountsView();
+    UI.showToast(`Saved ${this.editingAccount}`, 'success', 2000);
+  }
+
+  // Reconcile: enter the statement's ending balance and tick the transactions it shows.
+  // Transactions cleared in earlier reconciliations stay cleared
+  showReconcileDialog(index) {
+    const account = this.accountSummaries?.[index];
+    if (!account) return;
+    
+    const settings = this.getAccountData().settings[account.name] || {};
+    const uncleared = AccountLedger.accountTransactions(this.getLedgerTransactions(), account.name, settings)
+      .filter(transaction => !this.isCleared(transaction));
+    this.reconcileAccount = { name: account.name, settings, currency: account.currency };
+    
+    const content = `
+      <div style="display: flex; gap: 1rem; margin-bottom: 1rem;">
+        <label>Statement date<br><input type="date" id="reconcile-date" class="input-standard" value="${this.todayKey()}"></label>
+        <label>Statement ending balance<br>
+          <input type="number" id="reconcile-balance" class="input-standard" step="0.01" placeholder="0.00"
+                 oninput="window.budgetApp?.updateReconcileDifference()">
+        </label>
+      </div>
+      <div style="max-height: 50vh; overflow-y: auto;">
+        <table style="width: 100%; font-size: 0.875rem;">
+          <thead>
+            <tr>
+              <th><input type="checkbox" title="Tick all" onchange="document.querySelectorAll('#reconcile-modal [data-row]').forEach(box => { box.checked = this.checked; }); window.budgetApp?.updateReconcileDifference()"></th>
+              <th>Date</th>
+              <th>Merchant</th>
+              <th style="text-align: right;">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${uncleared.length === 0 ? '<tr><td colspan="4" class="text-muted">Every transaction is already cleared</td></tr>' : ''}
+            ${uncleared.map(transaction => `
+              <tr>
+                <td><input type="checkbox" data-row="${transaction[8]}" onchange="window.budgetApp?.updateReconcileDifference()"></td>
+                <td>${transaction[4]}</td>
+                <td>${transaction[2]}</td>
+                <td style="text-align: right;">${this.formatAccountAmount(transaction[1], account.currency)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div style="display: flex; justify-content: space-between; margin-top: 1rem;">
+        <span>Cleared balance: <strong id="reconcile-cleared"></strong></span>
+        <span>Difference: <strong id="reconcile-difference"></strong></span>
+      </div>
+    `;
+    
+    const modal = UI.createModal(`✔️ Reconcile ${account.name}`, content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: 'Finish', class: 'btn-primary', action: 'window.budgetApp?.finishReconcile()' }
+    ]);
+    modal.id = 'reconcile-modal';
+    modal.querySelector('.modal').style.maxWidth = '640px';
+    this.updateReconcileDifference();
+  }
+
+  // Cleared balance and difference from the statement. Returns the difference, or null
+  // while no statement balance is entered
+  updateReconcileDifference() {
+    const modal = document.getElementById('reconcile-modal');
+    if (!modal || !this.reconcileAccount) return null;
+    
+    const ticked = new Set([...modal.querySelectorAll('[data-row]:checked')].map(box => parseInt(box.dataset.row, 10)));
+    const { name, settings, currency } = this.reconcileAccount;
+    const cleared = AccountLedger.clearedBalance(this.getLedgerTransactions(), name, settings,
+      transaction => ticked.has(transaction[8]) || this.isCleared(transaction));
+    const statementBalance = modal.querySelector('#reconcile-balance').value;
+    const difference = statementBalance === '' ? null : AccountLedger.reconcileDifference(statementBalance, cleared);
+    
+    modal.querySelector('#reconcile-cleared').textContent = this.formatAccountAmount(cleared, currency);
+    const differenceElement = modal.querySelector('#reconcile-difference');
+    differenceElement.textContent = difference === null ? '–' : this.formatAccountAmount(difference, currency);
+    differenceElement.style.color = difference === 0 ? 'var(--success-color)' : 'var(--error-color)';
+    return difference;
+  }
+
+  // Mark the ticked transactions cleared in the sheet's Cleared column once the difference is zero
+  async finishReconcile() {
+    const modal = document.getElementById('reconcile-modal');
+    if (!modal || !this.reconcileAccount) return;
+    
+    const difference = this.updateReconcileDifference();
+    if (difference === null) {
+      UI.showToast('Enter the statement ending balance', 'error');
+      return;
+    }
+    if (difference !== 0) {
+      UI.showToast(`The cleared balance is ${this.formatAccountAmount(Math.abs(difference), this.reconcileAccount.currency)} ${difference > 0 ? 'below' : 'above'} the statement - check the ticked transactions`, 'error');
+      return;
+    }
+    
+    const rowIndices = [...modal.querySelectorAll('[data-row]:checked')].map(box => parseInt(box.dataset.row, 10));
+    const sheetId = Storage.getCredentials().sheetId;
+    
+    try {
+      UI.showLoading('Saving reconciliation...');
+      if (rowIndices.length > 0) {
+        await this.ensureDataColumns(sheetId, { cleared: 'Cleared' });
+        await this.writeCellUpdates(sheetId, rowIndices.map(rowIndex => ({ rowIndex, colIndex: this.columnIndices.cleared, value: 'Y' })));
+      }
+    } catch (error) {
+      UI.handleError(error, 'Saving reconciliation');
+      return;
+    } finally {
+      UI.hideLoading();
+    }
+    
+    const { name } = this.reconcileAccount;
+    const data = this.getAccountData();
+    data.settings[name] = {
+      ...data.settings[name],
+      reconciledDate: modal.querySelector('#reconcile-date').value,
+      reconciledBalance: parseFloat(modal.querySelector('#reconcile-balance').value)
+    };
+    this.saveAccountData(data);
+    
+    UI.removeModal(modal);
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    this.renderAccountsView();
+    UI.showToast(`${name} reconciled`, 'success');
+  }
+
+  // Add a manually tracked account, or record a new balance for one
+  showManualAccountDialog(index = null) {
+    const account = index === null ? null : this.getAccountData().manual[index];
+    this.editingManualAccount = index;
+    
+    const content = `
+      <div style="display: flex; flex-direction: column; gap: 0.75rem;">
+        <label>Name<br>
+          <input type="text" id="manual-account-name" class="input-standard" value="${account ? account.name : ''}" placeholder="House, Car loan, RRSP" ${account ? 'disabled' : ''}>
+        </label>
+        <label>Type<br>
+          <select id="manual-account-type" class="input-standard" ${account ? 'disabled' : ''}>
+            <option value="asset" ${account?.type !== 'liability' ? 'selected' : ''}>Asset - what it is worth</option>
+            <option value="liability" ${account?.type === 'liability' ? 'selected' : ''}>Liability - what is owed</option>
+          </select>
+        </label>
+        <label>Balance<br><input type="number" id="manual-account-balance" class="input-standard" step="0.01" min="0" placeholder="0.00"></label>
+        <label>As of<br><input type="date" id="manual-account-date" class="input-standard" value="${this.todayKey()}"></label>
+      </div>
+    `;
+    
+    const modal = UI.createModal(account ? `✏️ ${account.name}` : '➕ Add Account', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: 'Save', class: 'btn-primary', action: 'window.budgetApp?.saveManualAccount()' }
+    ]);
+    modal.id = 'manual-account-modal';
+    modal.querySelector('.modal').style.maxWidth = '420px';
+  }
+
+  saveManualAccount() {
+    const modal = document.getElementById('manual-account-modal');
+    if (!modal) return;
+    
+    const name = Formatters.sanitizeInput(modal.querySelector('#manual-account-name').value);
+    const balance = parseFloat(modal.querySelector('#manual-account-balance').value);
+    const date = modal.querySelector('#manual-account-date').value;
+    
+    if (!name || !date) {
+      UI.showToast('Name and date are required', 'error');
+      return;
+    }
+    if (isNaN(balance) || balance < 0) {
+      UI.showToast('Enter the balance as a positive number', 'error');
+      return;
+    }
+    
+    const data = this.getAccountData();
+    if (this.editingManualAccount === null) {
+      if (data.manual.some(account => account.name === name)) {
+        UI.showToast(`There is already an account called ${name}`, 'error');
+        return;
+      }
+      data.manual.push({ name, type: modal.querySelector('#manual-account-type').value, history: [] });
+    }
+    
+    // One balance per day; a second entry for the same day replaces the first
+    const account = this.editingManualAccount === null ? data.manual[data.manual.length - 1] : data.manual[this.editingManualAccount];
+    account.history = account.history.filter(entry => entry.date !== date).concat({ date, balance });
+    this.saveAccountData(data);
+    
+    UI.removeModal(modal);
+    this.renderAccountsView();
+    UI.showToast(`Saved ${account.name}`, 'success', 2000);
+  }
+
+  deleteManualAccount(index) {
+    const data = this.getAccountData();
+    const account = data.manual[index];
+    if (!account || !confirm(`Remove ${account.name} and its balance history?`)) return;
+    
+    data.manual.splice(index, 1);
+    this.saveAccountData(data);
+    this.renderAccountsView();
+  }
+
+  renderTransactionsView() {
+    // Render transactions table with period and search filtering
+    const tbody = document.querySelector('#transactions-table tbody');
+    if (!tbody) return;
+
+    this.renderSavedSearches();
+    
+    // Start with period-filtered transactions
+    let filteredTransactions = this.getFilteredRows();
+    
+    // Apply the search query (see TransactionQuery for the syntax) and the tag filter
+    const query = TransactionQuery.parse(this.transactionSearchTerm);
+    filteredTransactions = TransactionQuery.filter(filteredTransactions, query, transaction => this.toQueryRecord(transaction))
+      .filter(transaction => this.matchesTagFilter(transaction));
+    this.renderTagFilter();
+    
+    const sortedTransactions = filteredTransactions
+      .sort((a, b) => DateParser.compareDesc(a[4], b[4])); // Sort by date, newest first
+
+    // Update the header to show transaction count
+    const chartTitle = document.querySelector('#transactions-view .chart-title');
+    if (chartTitle) {
+      const totalCount = this.rowsData.length - 1; // Exclude header
+      const filteredCount = sortedTransactions.length;
+      const searchText = `${this.transactionSearchTerm ? ` • Search: "${this.transactionSearchTerm}"` : ''}${this.transactionTagFilter ? ` • 🏷️ ${this.transactionTagFilter}` : ''}`;
+      const errorText = query.errors.length > 0
+        ? ` <span style="color: var(--error-color);">${query.errors.join('; ')}</span>`
+        : '';
+      const periodText = this.currentPeriod ? ` • ${this.getSelectedRange().label}` : '';
+      
+      chartTitle.innerHTML = `💰 Transaction Management <span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(${filteredCount} of ${totalCount}${periodText}${searchText})</span>${errorText}`;
+    }
+
+    // Drop selections that the filters now hide
+    this.visibleTransactionRows = sortedTransactions.map(transaction => transaction[8]);
+    const visible = new Set(this.visibleTransactionRows);
+    this.selectedTransactionRows.forEach(rowIndex => {
+      if (!visible.has(rowIndex)) this.selectedTransactionRows.delete(rowIndex);
+    });
+    
+    const editable = (rowIndex, field, value) =>
+      `<td class="editable-cell" title="Click to edit" onclick="window.budgetApp?.editTransactionCell(this, ${rowIndex}, '${field}')">${value}</td>`;
+    const splitIds = new Set(this.getSplitOfValues().filter(Boolean).map(String));
+    const transferRows = this.getTransferRows();
+    
+    tbody.innerHTML = sortedTransactions.map(transaction => {
+      const [account, amount, merchant, description, date, id, notes, category, rowIndex, original] = transaction;
+      
+      // Get the actual row from the spreadsheet data
+      const actualRow = this.rowsData[rowIndex] || [];
+      
+      // Get category group from actual column
+      const categoryGroup = this.getColumnValue(actualRow, 'categoryGroup') || 
+                           this.categoryManager.findCategoryGroup(category) || '–';
+      
+      // Use Merchant Group first, then fallback to Merchant
+      const merchantGroupCol = this.getColumnValue(actualRow, 'merchantGroup');
+      const merchantCol = this.getColumnValue(actualRow, 'merchant') || merchant;
+      const displayMerchant = merchantGroupCol || merchantCol;
+      
+      // Get payweek from actual column
+      const payweekCol = this.getColumnValue(actualRow, 'payweek') || description;
+      const selected = this.selectedTransactionRows.has(rowIndex);
+      
+      // Split transactions are listed with their parts, which are marked with ↳
+      const isPart = Boolean(this.getColumnValue(actualRow, 'splitOf'));
+      const isSplit = Boolean(id) && splitIds.has(id.toString());
+      const amountText = this.formatAmount(amount, original);
+      
+      return `
+        <tr class="${selected ? 'selected-row' : ''}">
+          <td><input type="checkbox" ${selected ? 'checked' : ''} onchange="window.budgetApp?.toggleTransactionSelection(${rowIndex}, this.checked)"></td>
+          <td>${this.formatSheetDate(date)}</td>
+          ${editable(rowIndex, 'account', account)}
+          ${editable(rowIndex, 'category', category)}
+          <td>${categoryGroup}</td>
+          <td>${isSplit ? `<span style="color: var(--text-secondary); text-decoration: line-through;" title="Counted through its split parts">${amountText}</span>` : amountText}${transferRows.has(rowIndex) ? ' <span title="Transfer between accounts - not counted as spending or income">⇄</span>' : ''}</td>
+          ${editable(rowIndex, 'merchantGroup', `${isPart ? '↳ ' : ''}${displayMerchant}`)}
+          ${editable(rowIndex, 'notes', notes)}
+          ${editable(rowIndex, 'tags', this.renderTagChips(this.getColumnValue(actualRow, 'tags')))}
+          <td>${payweekCol}</td>
+          <td>${isPart ? '' : `<button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="${isSplit ? 'Edit split' : 'Split transaction'}" onclick="window.budgetApp?.showSplitDialog(${rowIndex})">✂️</button>`}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    this.renderBulkEditBar();
+  }
+
+  // Swap a table cell for an editor. Enter or leaving the cell saves; Escape cancels
+  editTransactionCell(cell, rowIndex, field) {
+    if (cell.querySelector('input, select')) return;
+    
+    const current = (this.getColumnValue(this.rowsData[rowIndex] || [], field) || '').toString();
+    cell.innerHTML = field === 'category'
+      ? this.renderCategorySelect(current)
+      : `<input class="input-standard" style="padding: 0.25rem 0.5rem; width: 100%;" value="${current.replace(/"/g, '&quot;')}">`;
+    
+    const editor = cell.querySelector('input, select');
+    let finished = false;
+    const finish = (save) => {
+      if (finished) return;
+      finished = true;
+      
+      const value = field === 'tags' ? Tags.format(Tags.parse(editor.value)) : editor.value.trim();
+      if (save && value !== current) {
+        this.updateTransactionFields([rowIndex], field, value);
+      } else {
+        this.renderTransactionsView();
+      }
+    };
+    
+    editor.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') {
+        // Keep the global Escape handler from clearing the search
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    editor.addEventListener('change', () => field === 'category' && finish(true));
+    editor.addEventListener('blur', () => finish(true));
+    editor.focus();
+  }
+
+  // Category dropdown limited to the categories the category manager knows
+  renderCategorySelect(selected = '', attributes = '', emptyLabel = '') {
+    return `
+      <select class="input-standard" style="padding: 0.25rem 0.5rem;" ${attributes}>
+        ${emptyLabel ? `<option value="">${emptyLabel}</option>` : ''}
+        ${[...this.categoryManager.categories].sort().map(category => `
+          <option value="${category}" ${category === selected ? 'selected' : ''}>${category}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  // Currency dropdown with the configured codes plus any that have exchange rates
+  renderCurrencySelect(id, selected = '', emptyLabel = '') {
+    const codes = [...new Set([this.exchangeRates.base, ...CONFIG.CURRENCY.CODES, ...Object.keys(this.exchangeRates.rates), selected])]
+      .filter(Boolean);
+    return `
+      <select id="${id}" class="input-standard">
+        ${emptyLabel ? `<option value="">${emptyLabel}</option>` : ''}
+        ${codes.map(code => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`).join('')}
+      </select>
+    `;
+  }
+
+  toggleTransactionSelection(rowIndex, selected) {
+    if (selected) {
+      this.selectedTransactionRows.add(rowIndex);
+    } else {
+      this.selectedTransactionRows.delete(rowIndex);
+    }
+    this.renderTransactionsView();
+  }
+
+  // Select or clear every transaction the table is showing
+  selectAllTransactions(selected) {
+    this.selectedTransactionRows = new Set(selected ? this.visibleTransactionRows : []);
+    this.renderTransactionsView();
+  }
+
+  clearTransactionSelection() {
+    this.selectAllTransactions(false);
+  }
+
+  // Bulk edit bar, shown while transactions are selected
+  renderBulkEditBar() {
+    const bar = document.getElementById('bulk-edit-bar');
+    const selectAll = document.getElementById('select-all-transactions');
+    const count = this.selectedTransactionRows.size;
+    
+    if (selectAll) {
+      selectAll.checked = count > 0 && count === this.visibleTransactionRows.length;
+    }
+    if (!bar) return;
+    
+    bar.style.display = count > 0 ? 'flex' : 'none';
+    if (count === 0) return;
+    
+    let valueEditor = this.bulkEditField === 'category'
+      ? this.renderCategorySelect('', 'id="bulk-edit-value"')
+      : '<input id="bulk-edit-value" class="input-standard" style="padding: 0.25rem 0.5rem;" placeholder="New value">';
+    
+    // Tags are added to or removed from the ones each transaction already has
+    if (this.bulkEditField === 'tags') {
+      valueEditor = `
+        <select class="input-standard" style="padding: 0.25rem 0.5rem;" onchange="window.budgetApp && (window.budgetApp.bulkTagMode = this.value)">
+          <option value="add" ${this.bulkTagMode === 'add' ? 'selected' : ''}>adding</option>
+          <option value="remove" ${this.bulkTagMode === 'remove' ? 'selected' : ''}>removing</option>
+        </select>
+        <input id="bulk-edit-value" class="input-standard" style="padding: 0.25rem 0.5rem;" list="bulk-tag-options" placeholder="vacation, tax-deductible">
+        <datalist id="bulk-tag-options">
+          ${this.getAllTags().map(tag => `<option value="${tag}"></option>`).join('')}
+        </datalist>
+      `;
+    }
+    
+    bar.innerHTML = `
+      <strong>${count} selected</strong>
+      <span style="color: var(--text-secondary);">Set</span>
+      <select class="input-standard" style="padding: 0.25rem 0.5rem;" onchange="window.budgetApp?.setBulkEditField(this.value)">
+        ${Object.entries(EDITABLE_FIELDS).map(([field, label]) => `
+          <option value="${field}" ${field === this.bulkEditField ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <span style="color: var(--text-secondary);">${this.bulkEditField === 'tags' ? 'by' : 'to'}</span>
+      ${valueEditor}
+      <button onclick="window.budgetApp?.applyBulkEdit()" class="btn btn-primary" style="font-size: 0.875rem; padding: 0.5rem 0.75rem;">Apply</button>
+      <button onclick="window.budgetApp?.clearTransactionSelection()" class="btn btn-secondary" style="font-size: 0.875rem; padding: 0.5rem 0.75rem;">Clear selection</button>
+    `;
+  }
+
+  setBulkEditField(field) {
+    this.bulkEditField = field;
+    this.renderBulkEditBar();
+  }
+
+  async applyBulkEdit() {
+    let value = (document.getElementById('bulk-edit-value')?.value || '').trim();
+    if (this.bulkEditField === 'tags') {
+      if (Tags.parse(value).length === 0) {
+        UI.showToast(`Enter the tags to ${this.bulkTagMode}`, 'error');
+        return;
+      }
+      const tags = value;
+      value = (rowIndex) => {
+        const current = this.getColumnValue(this.rowsData[rowIndex] || [], 'tags');
+        return this.bulkTagMode === 'remove' ? Tags.remove(current, tags) : Tags.add(current, tags);
+      };
+    }
+    
+    const updated = await this.updateTransactionFields([...this.selectedTransactionRows], this.bulkEditField, value);
+    if (updated) {
+      this.clearTransactionSelection();
+    }
+  }
+
+  // Set a field on transactions and write it to the sheet. value can be a function of the row
+  // index for changes that depend on the current cell, like adding tags. The table shows the
+  // change straight away and is put back if the sheet rejects it. Returns whether the change was kept
+  async updateTransactionFields(rowIndices, field, value) {
+    if (field === 'category' && !this.categoryManager.categories.includes(value)) {
+      UI.showToast(`"${value}" is not a category`, 'error');
+      this.renderTransactionsView();
+      return false;
+    }
+    if (field === 'account' && !value) {
+      UI.showToast('Account cannot be empty', 'error');
+      this.renderTransactionsView();
+      return false;
+    }
+    
+    const sheetId = Storage.getCredentials().sheetId;
+    try {
+      if (sheetId) {
+        await this.ensureDataColumns(sheetId, { [field]: EDITABLE_FIELDS[field] });
+      }
+    } catch (error) {
+      UI.handleError(error, `Adding the ${EDITABLE_FIELDS[field]} column`);
+      this.renderTransactionsView();
+      return false;
+    }
+    
+    const colIndex = this.columnIndices[field];
+    if (colIndex === undefined || colIndex === -1) {
+      UI.showToast(`There is no ${EDITABLE_FIELDS[field]} column to edit`, 'error');
+      this.renderTransactionsView();
+      return false;
+    }
+    
+    // A new category moves the row into that category's group too
+    const groupCol = this.columnIndices.categoryGroup;
+    const valueFor = typeof value === 'function' ? value : () => value;
+    const cellUpdates = rowIndices.flatMap(rowIndex => {
+      const updates = [{ rowIndex, colIndex, value: valueFor(rowIndex) }];
+      if (field === 'category' && groupCol !== undefined && groupCol !== -1) {
+        updates.push({ rowIndex, colIndex: groupCol, value: this.categoryManager.findCategoryGroup(value) || '' });
+      }
+      return updates;
+    }).filter(update => (this.rowsData[update.rowIndex][update.colIndex] ?? '').toString() !== update.value);
+    
+    if (cellUpdates.length === 0) {
+      this.renderTransactionsView();
+      return true;
+    }
+    
+    const previousValues = cellUpdates.map(({ rowIndex, colIndex }) => this.rowsData[rowIndex][colIndex]);
+    const showValues = (values) => {
+      cellUpdates.forEach(({ rowIndex, colIndex }, i) => {
+        this.rowsData[rowIndex][colIndex] = values[i];
+      });
+      this.loadedTransactions = this.processTransactions();
+      this.dataChanged = true;
+      this.renderTransactionsView();
+    };
+    
+    showValues(cellUpdates.map(update => update.value));
+    
+    try {
+      await this.writeSheetCells(sheetId, cellUpdates);
+      
+      const count = new Set(cellUpdates.map(update => update.rowIndex)).size;
+      UI.showToast(`Updated ${EDITABLE_FIELDS[field].toLowerCase()} for ${count} transaction${count === 1 ? '' : 's'}`, 'success', 2000);
+      return true;
+    } catch (error) {
+      showValues(previousValues);
+      UI.handleError(error, `Updating ${EDITABLE_FIELDS[field].toLowerCase()}`);
+      return false;
+    }
   }
 
-  // Update current view
-  updateCurrentView() {
-    this.initializeViewContent(this.currentView);
+  // Manual entry for cash purchases and anything missing from a statement
+  showAddTransactionDialog() {
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const accounts = [...new Set(this.processTransactions().map(transaction => transaction[0]))].sort();
+    
+    const content = `
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+        <label>Date<br><input type="date" id="manual-date" class="input-standard" value="${today}"></label>
+        <label>Account<br><input type="text" id="manual-account" class="input-standard" list="manual-accounts" placeholder="Cash"></label>
+        <datalist id="manual-accounts">
+          ${accounts.map(account => `<option value="${account}"></option>`).join('')}
+        </datalist>
+        <label style="grid-column: span 2;">Merchant<br><input type="text" id="manual-merchant" class="input-standard" style="width: 100%;"></label>
+        <label>Amount<br><input type="number" id="manual-amount" class="input-standard" min="0" step="0.01" placeholder="0.00"></label>
+        <label>Currency<br>${this.renderCurrencySelect('manual-currency', '', 'Account currency')}</label>
+        <label>Type<br>
+          <select id="manual-type" class="input-standard">
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+          </select>
+        </label>
+        <label style="grid-column: span 2;">Category<br>
+          ${this.renderCategorySelect('', 'id="manual-category"', 'Auto-categorize')}
+        </label>
+        <label style="grid-column: span 2;">Notes<br><input type="text" id="manual-notes" class="input-standard" style="width: 100%;"></label>
+      </div>
+    `;
+    
+    const modal = UI.createModal('➕ Add Transaction', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: 'Add', class: 'btn-primary', action: 'window.budgetApp?.saveManualTransaction()' }
+    ]);
+    modal.id = 'add-transaction-modal';
+    modal.querySelector('.modal').style.maxWidth = '480px';
+    modal.querySelector('#manual-merchant')?.focus();
   }
 
-  // Hide connection UI after successful connection
-  hideConnectionUI() {
-    const welcomePage = document.getElementById('welcome-page');
-    const mainApp = document.getElementById('main-app');
+  async saveManualTransaction() {
+    const modal = document.getElementById('add-transaction-modal');
+    if (!modal) return;
     
-    if (welcomePage) {
-      welcomePage.style.display = 'none';
-    }
+    const field = (id) => modal.querySelector(`#${id}`).value.trim();
+    const date = field('manual-date');
+    const account = Formatters.sanitizeInput(field('manual-account'));
+    const merchant = Formatters.sanitizeInput(field('manual-merchant'));
+    const amount = parseFloat(field('manual-amount'));
     
-    if (mainApp) {
-      mainApp.style.display = 'block';
+    if (!date || !account || !merchant) {
+      UI.showToast('Date, account and merchant are required', 'error');
+      return;
+    }
+    if (!(amount > 0)) {
+      UI.showToast('Enter an amount above zero', 'error');
+      return;
     }
-  }
-
-  // Show connection UI (for disconnection)
-  showConnectionUI() {
-    const welcomePage = document.getElementById('welcome-page');
-    const mainApp = document.getElementById('main-app');
     
-    if (welcomePage) {
-      welcomePage.style.display = 'block';
+    const signedAmount = field('manual-type') === 'income' ? amount : -amount;
+    const category = field('manual-category') ||
+      this.categoryManager.autoCategorize(merchant, { account, amount: signedAmount, date });
+    const record = {
+      account,
+      amount: signedAmount,
+      merchant,
+      date,
+      id: `manual-${Date.now().toString(36)}`,
+      notes: Formatters.sanitizeInput(field('manual-notes')),
+      category,
+      currency: field('manual-currency') || undefined
+    };
+    
+    // Entering the first transaction by hand starts a fresh dataset, as importing does
+    if (this.rowsData.length === 0) {
+      this.rowsData = [[...CONFIG.IMPORT.DEFAULT_HEADERS]];
+      this.columnIndices = ColumnMapper.guess(this.rowsData[0]);
     }
     
-    if (mainApp) {
-      mainApp.style.display = 'none';
+    const sheetId = Storage.getCredentials().sheetId;
+    const firstRowIndex = this.rowsData.length;
+    
+    try {
+      UI.showLoading('Adding transaction...');
+      await this.ensureDataColumns(sheetId, {
+        category: 'Category',
+        id: 'Transaction ID',
+        ...(record.currency ? { currency: 'Currency' } : {})
+      });
+      
+      const row = this.recordToRow(record);
+      this.rowsData.push(row);
+      await this.appendRowsToSheet(firstRowIndex, [row]);
+    } catch (error) {
+      this.rowsData.splice(firstRowIndex);
+      UI.handleError(error, 'Adding transaction');
+      return;
+    } finally {
+      UI.hideLoading();
     }
+    
+    UI.removeModal(modal);
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    this.hideConnectionUI();
+    this.updateCurrentView();
+    UI.showToast(`Added ${merchant} (${category})`, 'success');
   }
 
-  // Show sheet changer
-  showSheetChanger() {
-    const credentials = Storage.getCredentials();
-    if (credentials.useAppsScript && credentials.appsScriptUrl) {
-      this.loadAndShowSheetPicker();
-    } else {
-      UI.showToast('No Apps Script connection found', 'error');
-    }
+  // The transaction a split belongs to, as a record, with the rows of its current parts
+  getSplitParent(rowIndex) {
+    const transaction = this.processTransactions().find(t => t[8] === rowIndex);
+    if (!transaction) return null;
+    
+    // Parts are written in the transaction's own currency
+    const [account, , merchant, description, date, id, notes, category, , { amount, currency }] = transaction;
+    const splitOfCol = this.columnIndices.splitOf;
+    const partRows = id && splitOfCol !== undefined && splitOfCol !== -1
+      ? this.rowsData.map((row, index) => index).filter(index => index > 0 && `${this.rowsData[index][splitOfCol] ?? ''}` === id.toString())
+      : [];
+    
+    return {
+      account,
+      amount,
+      currency: this.getColumnValue(this.rowsData[rowIndex], 'currency') ? currency : undefined,
+      merchant,
+      merchantGroup: this.getColumnValue(this.rowsData[rowIndex], 'merchantGroup') || undefined,
+      description,
+      date,
+      id,
+      notes,
+      category,
+      partRows
+    };
   }
 
-  // Disconnect from current sheet
-  disconnect() {
-    // Clear credentials
-    this.sheetsAPI.updateCredentials({
-      useAppsScript: false,
-      appsScriptUrl: '',
-      sheetId: ''
-    });
+  // Divide one transaction into parts with their own categories, e.g. a Costco run
+  // that was part groceries and part household
+  showSplitDialog(rowIndex) {
+    if (this.getColumnValue(this.rowsData[rowIndex] || [], 'splitOf')) {
+      UI.showToast('This is part of a split - edit the original transaction instead', 'warning');
+      return;
+    }
     
-    // Clear data
-    this.rowsData = [];
+    const parent = this.getSplitParent(rowIndex);
+    if (!parent) return;
     
-    // Reset UI
-    this.showConnectionUI();
-    this.hideSheetPicker();
-    this.initializeEmptyViews();
+    const allocations = parent.partRows.length > 0
+      ? parent.partRows.map(index => ({
+          category: this.getColumnValue(this.rowsData[index], 'category') || '',
+          amount: Math.abs(this.getRowAmount(this.rowsData[index])).toFixed(2),
+          notes: this.getColumnValue(this.rowsData[index], 'notes') || ''
+        }))
+      : [{ category: parent.category, amount: Math.abs(parent.amount).toFixed(2) }, { category: '', amount: '' }];
     
-    // Clear input
-    const appsScriptInput = document.getElementById('apps-script-url');
-    if (appsScriptInput) {
-      appsScriptInput.value = '';
-    }
+    this.splitRowIndex = rowIndex;
+    this.splitParent = parent;
     
-    UI.showToast('Disconnected successfully', 'success');
-  }
-
-  // Get filtered transaction rows based on current period and search
-  getFilteredRows() {
-    if (!this.rowsData || this.rowsData.length <= 1) {
-      return [];
-    }
-
-    // Skip header row (index 0)
-    const transactions = this.rowsData.slice(1);
+    const content = `
+      <p class="text-muted">${parent.merchant} • ${parent.date} • ${Formatters.currency(Math.abs(parent.amount), { currency: parent.currency })}</p>
+      <div id="split-allocations" style="display: flex; flex-direction: column; gap: 0.5rem;">
+        ${allocations.map(allocation => this.renderSplitAllocation(allocation)).join('')}
+      </div>
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 0.75rem;">
+        <button class="btn btn-secondary" onclick="window.budgetApp?.addSplitAllocation()">+ Add part</button>
+        <span id="split-remaining"></span>
+      </div>
+    `;
     
-    // If no period filtering, return all transactions
-    if (!this.currentPeriod) {
-      return transactions;
+    const buttons = [{ text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' }];
+    if (parent.partRows.length > 0) {
+      buttons.push({ text: 'Remove Split', class: 'btn-secondary', action: 'window.budgetApp?.removeSplit()' });
     }
-
-    const now = new Date();
+    buttons.push({ text: 'Save Split', class: 'btn-primary', action: 'window.budgetApp?.saveSplit()' });
     
-    return transactions.filter(transaction => {
-      const dateStr = transaction[4]; // Date column
-      if (!dateStr) return false;
-      
-      const transactionDate = new Date(dateStr);
-      if (isNaN(transactionDate.getTime())) return false;
-
-      switch (this.currentPeriod) {
-        case 'week':
-          // Current calendar week (Sunday to Saturday)
-          const weekStart = new Date(now);
-          weekStart.setDate(now.getDate() - now.getDay());
-          weekStart.setHours(0, 0, 0, 0);
-          
-          const weekEnd = new Date(weekStart);
-          weekEnd.setDate(weekStart.getDate() + 6);
-          weekEnd.setHours(23, 59, 59, 999);
-          
-          return transactionDate >= weekStart && transactionDate <= weekEnd;
-
-        case 'payweek':
-          // Bi-weekly pay period - use payweek column if available
-          const payweekValue = this.getColumnValue(transaction, 'payweek');
-          if (payweekValue) {
-            // If we have payweek data, use current payweek
-            return this.isCurrentPayweek(transactionDate, payweekValue);
-          } else {
-            // Fallback to current 2-week period
-            const twoWeeksAgo = new Date(now);
-            twoWeeksAgo.setDate(now.getDate() - 14);
-            return transactionDate >= twoWeeksAgo;
-          }
-
-        case 'month':
-          return transactionDate.getMonth() === this.selectedMonth && 
-                 transactionDate.getFullYear() === this.selectedYear;
-
-        case 'year':
-          return transactionDate.getFullYear() === this.selectedYear;
+    const modal = UI.createModal('✂️ Split Transaction', content, buttons);
+    modal.id = 'split-modal';
+    modal.querySelector('.modal').style.maxWidth = '560px';
+    this.updateSplitRemaining();
+  }
 
-        default:
-          return true;
-      }
-    });
+  renderSplitAllocation(allocation = {}) {
+    return `
+      <div class="split-allocation" style="display: flex; gap: 0.5rem; align-items: center;">
+        ${this.renderCategorySelect(allocation.category || '', 'data-split="category"')}
+        <input type="number" class="input-standard" data-split="amount" min="0" step="0.01" placeholder="0.00"
+               style="width: 110px;" value="${allocation.amount || ''}" oninput="window.budgetApp?.updateSplitRemaining()">
+        <input type="text" class="input-standard" data-split="notes" placeholder="Notes" style="flex: 1;"
+               value="${(allocation.notes || '').replace(/"/g, '&quot;')}">
+        <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Remove part"
+                onclick="this.closest('.split-allocation').remove(); window.budgetApp?.updateSplitRemaining()">✖</button>
+      </div>
+    `;
   }
 
-  // Helper function to check if transaction is in current payweek
-  isCurrentPayweek(transactionDate) {
-    // Simple payweek logic - you can enhance this based on your payweek system
-    const now = new Date();
-    const daysDiff = Math.floor((now - transactionDate) / (1000 * 60 * 60 * 24));
-    return daysDiff <= 14; // Within last 2 weeks
+  addSplitAllocation() {
+    const container = document.getElementById('split-allocations');
+    if (!container) return;
+    
+    container.insertAdjacentHTML('beforeend', this.renderSplitAllocation());
+    // Start the new part with whatever is left
+    const left = Math.max(TransactionSplits.remaining(this.splitParent?.amount || 0, this.readSplitAllocations()), 0);
+    const amountInput = container.lastElementChild.querySelector('[data-split="amount"]');
+    if (left > 0) amountInput.value = left.toFixed(2);
+    this.updateSplitRemaining();
   }
 
-  // Render specific views
-  renderAccountsView() {
+  readSplitAllocations() {
+    return [...document.querySelectorAll('#split-allocations .split-allocation')].map(element => ({
+      category: element.querySelector('[data-split="category"]').value,
+      amount: element.querySelector('[data-split="amount"]').value,
+      notes: Formatters.sanitizeInput(element.querySelector('[data-split="notes"]').value.trim())
+    }));
   }
 
-  renderTransactionsView() {
-    // Render transactions table with period and search filtering
-    const tbody = document.querySelector('#transactions-table tbody');
-    if (!tbody) return;
+  updateSplitRemaining() {
+    const element = document.getElementById('split-remaining');
+    const parent = this.splitParent;
+    if (!element || !parent) return;
+    
+    const left = TransactionSplits.remaining(parent.amount, this.readSplitAllocations());
+    element.textContent = left === 0
+      ? '✅ Fully allocated'
+      : `${Formatters.currency(Math.abs(left), { currency: parent.currency })} ${left > 0 ? 'left to allocate' : 'too much'}`;
+    element.style.color = left === 0 ? 'var(--success-color)' : 'var(--error-color)';
+  }
 
-    // Start with period-filtered transactions
-    let filteredTransactions = this.getFilteredRows();
+  // Write the parts as rows marked with the original's ID in the Split Of column.
+  // The original stays in the sheet; totals count the parts in its place
+  async saveSplit() {
+    const modal = document.getElementById('split-modal');
+    const rowIndex = this.splitRowIndex;
+    const parent = this.getSplitParent(rowIndex);
+    if (!modal || !parent) return;
+    
+    const allocations = this.readSplitAllocations();
+    const problem = TransactionSplits.validate(parent.amount, allocations, this.categoryManager.categories);
+    if (problem) {
+      UI.showToast(problem, 'error');
+      return;
+    }
+    
+    const sheetId = Storage.getCredentials().sheetId;
+    const firstRowIndex = this.rowsData.length;
     
-    // REBUILT: Apply simple search filter
-    if (this.transactionSearchTerm) {
-      const searchTerm = this.transactionSearchTerm;
+    try {
+      UI.showLoading('Saving split...');
+      await this.ensureDataColumns(sheetId, { id: 'Transaction ID', splitOf: 'Split Of', category: 'Category' });
+      
+      // The parts point at the original by ID, so it needs one
+      const parentId = parent.id || `split-${Date.now().toString(36)}`;
+      const cellUpdates = parent.id ? [] : [{ rowIndex, colIndex: this.columnIndices.id, value: parentId }];
+      const rows = TransactionSplits.buildChildren(parent, parentId, allocations).map(record => this.recordToRow(record));
+      // Saving again writes over the earlier parts, then over blanked rows, so only extra parts
+      // are appended. Earlier parts that are no longer needed are blanked
+      const blankRows = TransactionSplits.blankRows(this.rowsData, sheetId ? this.rowSources : null, this.loadedTabs[0]);
+      const reusable = [...parent.partRows, ...blankRows];
+      rows.slice(0, reusable.length).forEach((row, index) => {
+        cellUpdates.push(...TransactionSplits.rowUpdates(reusable[index], this.rowsData[reusable[index]], row));
+      });
+      cellUpdates.push(...this.clearRowUpdates(parent.partRows.slice(rows.length)));
       
-      filteredTransactions = filteredTransactions.filter((transaction) => {
-        const [account, amount, merchant, description, date, , , category] = transaction;
-        
-        // Get the merchant display value (same logic as in table display)
-        const actualRowIndex = this.rowsData.findIndex(row => 
-          row[0] === account && 
-          parseFloat(row[1]) === parseFloat(amount) && 
-          row[2] === merchant &&
-          row[3] === description &&
-          row[4] === date
-        );
-        
-        let displayMerchant = merchant || '';
-        if (actualRowIndex > 0) { // Found matching row
-          const actualRow = this.rowsData[actualRowIndex];
-          const merchantGroupCol = this.getColumnValue(actualRow, 'merchantGroup');
-          displayMerchant = merchantGroupCol || merchant || '';
+      await this.writeCellUpdates(sheetId, cellUpdates);
+      
+      const extraRows = rows.slice(reusable.length);
+      if (extraRows.length > 0) {
+        this.rowsData.push(...extraRows);
+        try {
+          await this.appendRowsToSheet(firstRowIndex, extraRows);
+        } catch (error) {
+          this.rowsData.splice(firstRowIndex);
+          throw error;
         }
-        
-        // Simple search across key fields
-        const searchableText = [
-          account || '',
-          displayMerchant,
-          category || '',
-          description || '',
-          amount?.toString() || ''
-        ].join(' ').toLowerCase();
-        
-        return searchableText.includes(searchTerm);
-      });
+      }
+    } catch (error) {
+      UI.handleError(error, 'Saving split');
+      this.refreshAfterSplit();
+      return;
+    } finally {
+      UI.hideLoading();
     }
     
-    const sortedTransactions = filteredTransactions
-      .sort((a, b) => new Date(b[4]) - new Date(a[4])); // Sort by date, newest first
+    UI.removeModal(modal);
+    this.refreshAfterSplit();
+    UI.showToast(`Split into ${allocations.length} parts`, 'success');
+  }
 
-    // Update the header to show transaction count
-    const chartTitle = document.querySelector('#transactions-view .chart-title');
-    if (chartTitle) {
-      const totalCount = this.rowsData.length - 1; // Exclude header
-      const filteredCount = sortedTransactions.length;
-      const searchText = this.transactionSearchTerm ? ` • Search: "${this.transactionSearchTerm}"` : '';
-      const periodText = this.currentPeriod ? ` • ${this.currentPeriod.charAt(0).toUpperCase() + this.currentPeriod.slice(1)}` : '';
-      
-      chartTitle.innerHTML = `💰 Transaction Management <span style="font-size: 0.875rem; color: var(--text-secondary); font-weight: normal;">(${filteredCount} of ${totalCount}${periodText}${searchText})</span>`;
+  async removeSplit() {
+    const modal = document.getElementById('split-modal');
+    const parent = this.getSplitParent(this.splitRowIndex);
+    if (!modal || !parent) return;
+    
+    try {
+      await this.writeCellUpdates(Storage.getCredentials().sheetId, this.clearRowUpdates(parent.partRows));
+    } catch (error) {
+      UI.handleError(error, 'Removing split');
+      return;
     }
+    
+    UI.removeModal(modal);
+    this.refreshAfterSplit();
+    UI.showToast('Split removed', 'success');
+  }
 
-    tbody.innerHTML = sortedTransactions.map((transaction, rowIndex) => {
-      const [account, amount, merchant, description, date, , , category] = transaction;
-      
-      // Get the actual row from the spreadsheet data (add 1 to skip header)
-      const actualRowIndex = rowIndex + 1;
-      const actualRow = this.rowsData[actualRowIndex] || [];
-      
-      // Get category group from actual column
-      const categoryGroup = this.getColumnValue(actualRow, 'categoryGroup') || 
-                           this.categoryManager.findCategoryGroup(category) || '–';
-      
-      // Use Merchant Group first, then fallback to Merchant
-      const merchantGroupCol = this.getColumnValue(actualRow, 'merchantGroup');
-      const merchantCol = this.getColumnValue(actualRow, 'merchant') || merchant;
-      const displayMerchant = merchantGroupCol || merchantCol;
-      
-      // Get payweek from actual column
-      const payweekCol = this.getColumnValue(actualRow, 'payweek') || description;
-      
-      return `
-        <tr>
-          <td>${new Date(date).toLocaleDateString()}</td>
-          <td>${account}</td>
-          <td>${category}</td>
-          <td>${categoryGroup}</td>
-          <td>$${Math.abs(amount).toLocaleString(undefined, {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-          })}</td>
-          <td>${displayMerchant}</td>
-          <td>${payweekCol}</td>
-        </tr>
-      `;
-    }).join('');
+  // Blank every cell of the given rows, as removing a duplicate does
+  clearRowUpdates(rowIndices) {
+    return rowIndices.flatMap(rowIndex => {
+      const row = this.rowsData[rowIndex];
+      return TransactionSplits.rowUpdates(rowIndex, row, row.map(() => ''));
+    });
+  }
+
+  // Send cell updates to the sheet (when connected), then apply them locally
+  async writeCellUpdates(sheetId, cellUpdates) {
+    await this.writeSheetCells(sheetId, cellUpdates);
+    
+    cellUpdates.forEach(({ rowIndex, colIndex, value }) => {
+      this.rowsData[rowIndex][colIndex] = value;
+    });
+  }
+
+  refreshAfterSplit() {
+    this.loadedTransactions = this.processTransactions();
+    this.dataChanged = true;
+    this.updateCurrentView();
   }
 
   updateDashboard() {
@@ -1105,12 +3140,31 @@ class BudgetTrackerApp {
     this.updateAllViews(transactions);
   }
 
-  // Render budgets view
+  // Render budgets view: envelope summary, per-category budgets for the selected period,
+  // and budget vs. actual history for the periods before it
   renderBudgetsView() {
     const container = document.getElementById('budget-groups-container');
     if (!container) return;
 
-    const transactions = this.getFilteredRows();
+    this.loadBudgets();
+    const model = this.budgetModel;
+    const buckets = model.bucketTransactions(this.countedTransactions(this.processTransactions()));
+    const period = this.getBudgetPeriod();
+    const envelope = model.getEnvelopeSummary(period, buckets);
+    const groupFilter = document.getElementById('budget-group-filter')?.value || '';
+
+    const periodSelect = document.getElementById('budget-period-select');
+    if (periodSelect) {
+      periodSelect.value = model.period;
+    }
+
+    // Budgeted categories plus anything with spending in this period
+    const spentThisPeriod = buckets[period.key]?.spent || {};
+    const categoryNames = new Set([
+      ...model.getBudgetedCategories(),
+      ...Object.keys(spentThisPeriod).filter(category => spentThisPeriod[category] > 0)
+    ]);
+
     const categoryGroups = {
       'Living Expenses': [],
       'Lifestyle': [],
@@ -1118,103 +3172,107 @@ class BudgetTrackerApp {
       'Personal': []
     };
 
-    // Get unique categories and their spending
-    const categorySpending = {};
-    transactions.forEach(transaction => {
-      const category = transaction[7] || 'Uncategorized';
-      if (!categorySpending[category]) {
-        categorySpending[category] = 0;
-      }
-      categorySpending[category] += Math.abs(transaction[1]);
-    });
-
-    // Organize categories by group
-    Object.keys(categorySpending).forEach(category => {
+    categoryNames.forEach(category => {
       const group = this.categoryManager.findCategoryGroup(category) || 'Personal';
-      if (categoryGroups[group]) {
+      if (categoryGroups[group] && (!groupFilter || group === groupFilter)) {
         categoryGroups[group].push({
           name: category,
-          spending: categorySpending[category],
-          budget: this.budgets[category] || 0
+          rollover: Boolean(model.categories[category]?.rolloverFrom),
+          ...model.getStatus(category, period, buckets)
         });
       }
     });
 
-    // Load saved budgets
-    this.loadBudgets();
+    const money = (amount) => Formatters.currency(amount);
+
+    const periodNav = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <button onclick="window.budgetApp?.shiftBudgetPeriod(-1)" class="btn btn-secondary">◀</button>
+        <h3 style="margin: 0; color: var(--text-primary);">${period.label}</h3>
+        <button onclick="window.budgetApp?.shiftBudgetPeriod(1)" class="btn btn-secondary" ${model.shiftPeriod(period, 1).start > new Date() ? 'disabled' : ''}>▶</button>
+      </div>
+
+      <div class="summary-cards" style="margin-bottom: 1.5rem;">
+        <div class="summary-card">
+          <div class="card-value summary-value">${money(envelope.income)}</div>
+          <div class="card-label summary-label">Income</div>
+        </div>
+        <div class="summary-card">
+          <div class="card-value summary-value">${money(envelope.allocated)}</div>
+          <div class="card-label summary-label">Allocated to Envelopes</div>
+        </div>
+        <div class="summary-card">
+          <div class="card-value summary-value" style="color: ${envelope.unallocated < 0 ? 'var(--error-color)' : 'var(--success-color)'};">${money(envelope.unallocated)}</div>
+          <div class="card-label summary-label">${envelope.unallocated < 0 ? 'Over-Allocated' : 'Left to Allocate'}</div>
+        </div>
+      </div>
+    `;
 
-    // Render budget interface
-    container.innerHTML = Object.keys(categoryGroups).map(groupName => {
+    const groupsHtml = Object.keys(categoryGroups).map(groupName => {
       const categories = categoryGroups[groupName];
       if (categories.length === 0) return '';
 
-      const groupTotal = categories.reduce((sum, cat) => sum + cat.spending, 0);
-      const groupBudget = categories.reduce((sum, cat) => {
-        const baseBudget = this.budgets[cat.name] || 0;
-        return sum + this.convertBudgetFromBase(baseBudget, this.budgetPeriod);
-      }, 0);
+      const groupSpent = categories.reduce((sum, cat) => sum + cat.spent, 0);
+      const groupAvailable = categories.reduce((sum, cat) => sum + cat.available, 0);
       
       return `
         <div class="budget-group" style="margin-bottom: 2rem;">
           <div class="budget-group-header" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; padding: 1rem; background: var(--bg-secondary); border-radius: var(--radius-sm);">
             <h3 style="margin: 0; color: var(--text-primary);">${groupName}</h3>
             <div style="display: flex; gap: 1rem; align-items: center;">
-              <span style="color: var(--text-secondary); font-size: 0.875rem;">
-                Spent: $${groupTotal.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-              </span>
-              <span style="color: var(--text-secondary); font-size: 0.875rem;">
-                Budget: $${groupBudget.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-              </span>
-              <span style="color: ${groupBudget > 0 ? (groupTotal > groupBudget ? 'var(--error-color)' : 'var(--success-color)') : 'var(--text-muted)'}; font-weight: 600;">
-                ${groupBudget > 0 ? `${((groupTotal / groupBudget) * 100).toFixed(1)}%` : '—'}
+              <span style="color: var(--text-secondary); font-size: 0.875rem;">Spent: ${money(groupSpent)}</span>
+              <span style="color: var(--text-secondary); font-size: 0.875rem;">Available: ${money(groupAvailable)}</span>
+              <span style="color: ${groupAvailable > 0 ? (groupSpent > groupAvailable ? 'var(--error-color)' : 'var(--success-color)') : 'var(--text-muted)'}; font-weight: 600;">
+                ${groupAvailable > 0 ? `${((groupSpent / groupAvailable) * 100).toFixed(1)}%` : '—'}
               </span>
             </div>
           </div>
           
           <div class="budget-categories" style="display: grid; gap: 0.75rem;">
             ${categories.map(category => {
-              const baseBudgetAmount = this.budgets[category.name] || 0;
-              const displayBudgetAmount = this.convertBudgetFromBase(baseBudgetAmount, this.budgetPeriod);
-              const percentage = displayBudgetAmount > 0 ? (category.spending / displayBudgetAmount) * 100 : 0;
-              const isOverBudget = displayBudgetAmount > 0 && category.spending > displayBudgetAmount;
+              const percentage = category.available > 0 ? (category.spent / category.available) * 100 : 0;
+              const isOverBudget = category.remaining < 0 && (category.budget > 0 || category.rollover);
               
               return `
                 <div class="budget-item" style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr auto; gap: 1rem; align-items: center; padding: 1rem; background: var(--card-bg); border: 1px solid var(--border-light); border-radius: var(--radius-sm);">
                   <div>
                     <div style="font-weight: 500; color: var(--text-primary);">${category.name}</div>
-                    <div style="font-size: 0.75rem; color: var(--text-secondary);">Current spending</div>
+                    <label style="font-size: 0.75rem; color: var(--text-secondary); display: flex; gap: 0.25rem; align-items: center;">
+                      <input type="checkbox" ${category.rollover ? 'checked' : ''}
+                             onchange="window.budgetApp?.setBudgetRollover('${category.name}', this.checked)">
+                      Roll over${category.carried ? ` (${category.carried > 0 ? '+' : ''}${money(category.carried)} carried in)` : ''}
+                    </label>
                   </div>
                   
                   <div style="text-align: right;">
-                    <div style="font-weight: 600; color: var(--text-primary);">
-                      $${category.spending.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                    </div>
+                    <div style="font-weight: 600; color: var(--text-primary);">${money(category.spent)}</div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary);">of ${money(category.available)}</div>
                   </div>
                   
                   <div>
                     <input 
                       type="number" 
-                      value="${displayBudgetAmount.toFixed(2)}" 
+                      value="${category.budget.toFixed(2)}" 
                       placeholder="0.00" 
                       step="0.01" 
                       min="0"
                       style="width: 100%; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-sm); text-align: right;"
                       onchange="window.budgetApp?.updateBudget('${category.name}', this.value)"
                     >
-                    <div style="font-size: 0.75rem; color: var(--text-secondary); text-align: center; margin-top: 0.25rem;">Budget (${this.budgetPeriod})</div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary); text-align: center; margin-top: 0.25rem;">Budget (${this.budgetModel.period})</div>
                   </div>
                   
                   <div style="text-align: center;">
-                    <div style="font-weight: 600; color: ${isOverBudget ? 'var(--error-color)' : displayBudgetAmount > 0 ? 'var(--success-color)' : 'var(--text-muted)'};">
-                      ${displayBudgetAmount > 0 ? `${percentage.toFixed(1)}%` : '—'}
+                    <div style="font-weight: 600; color: ${isOverBudget ? 'var(--error-color)' : category.available > 0 ? 'var(--success-color)' : 'var(--text-muted)'};">
+                      ${money(category.remaining)}
                     </div>
-                    <div style="font-size: 0.75rem; color: var(--text-secondary);">Used</div>
+                    <div style="font-size: 0.75rem; color: var(--text-secondary);">${category.remaining < 0 ? 'Over' : 'Left'}</div>
                   </div>
                   
                   <div style="width: 100px;">
                     <div style="background: var(--bg-secondary); height: 8px; border-radius: 4px; overflow: hidden;">
                       <div style="
-                        width: ${Math.min(percentage, 100)}%; 
+                        width: ${isOverBudget ? 100 : Math.min(percentage, 100)}%; 
                         height: 100%; 
                         background: ${isOverBudget ? 'var(--error-color)' : 'var(--success-color)'};
                         transition: width 0.3s ease;
@@ -1228,112 +3286,258 @@ class BudgetTrackerApp {
         </div>
       `;
     }).join('');
+
+    container.innerHTML = periodNav + groupsHtml + this.renderBudgetHistory(period, buckets, categoryGroups);
+  }
+
+  // Budget vs. actual for each category over the periods up to the selected one
+  renderBudgetHistory(period, buckets, categoryGroups) {
+    const model = this.budgetModel;
+    const periods = [];
+    for (let offset = CONFIG.BUDGETS.HISTORY_PERIODS - 1; offset >= 0; offset--) {
+      periods.push(model.shiftPeriod(period, -offset));
+    }
+
+    const categories = Object.values(categoryGroups).flat().map(category => category.name);
+    if (categories.length === 0) return '';
+
+    return `
+      <div class="chart-title" style="margin-top: 1rem;">📅 Budget vs. Actual History</div>
+      <div class="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Category</th>
+              ${periods.map(p => `<th style="text-align: right;">${p.label}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${categories.map(category => `
+              <tr>
+                <td>${category}</td>
+                ${periods.map(p => {
+                  const status = model.getStatus(category, p, buckets);
+                  const over = status.remaining < 0 && status.available > 0;
+                  return `
+                    <td style="text-align: right; color: ${over ? 'var(--error-color)' : 'var(--text-primary)'};">
+                      ${Formatters.currency(status.spent)}
+                      <div style="font-size: 0.75rem; color: var(--text-secondary);">of ${Formatters.currency(status.available)}</div>
+                    </td>
+                  `;
+                }).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
   }
 
-  // Update budget for a category
+  // Set a category's budget from the selected period onward
   updateBudget(categoryName, amount) {
-    // Convert the entered amount back to payweek base before storing
-    const baseAmount = this.convertBudgetToBase(parseFloat(amount) || 0, this.budgetPeriod);
-    this.budgets[categoryName] = baseAmount;
+    const period = this.getBudgetPeriod();
+    this.budgetModel.setBudget(categoryName, period.key, parseFloat(amount) || 0);
     this.saveBudgets();
+    this.renderBudgetsView();
   }
 
-  // Convert budget period
+  setBudgetRollover(categoryName, enabled) {
+    const period = this.getBudgetPeriod();
+    this.budgetModel.setRollover(categoryName, period.key, enabled);
+    this.saveBudgets();
+    this.renderBudgetsView();
+  }
+
+  // Budget period shown in the budgets view: the one at the selected range (its last day,
+  // or today for a range still in progress), stepped by the view's own arrows
+  getBudgetPeriod() {
+    const range = this.getSelectedRange();
+    const reference = new Date(Math.max(range.start, Math.min(range.end, new Date())));
+    return this.budgetModel.shiftPeriod(this.budgetModel.getPeriod(reference), this.budgetPeriodOffset);
+  }
+
+  // Step the budgets view to an earlier or later period (the next arrow stops at the current one)
+  shiftBudgetPeriod(offset) {
+    this.budgetPeriodOffset += offset;
+    this.renderBudgetsView();
+  }
+
+  // Switch the period budgets are set in; amounts are rescaled by period length
   onBudgetPeriodChange(newPeriod) {
-    this.budgetPeriod = newPeriod;
-    this.renderBudgetsView(); // Re-render with new period values
+    this.budgetModel.changePeriod(newPeriod);
+    this.budgetPeriodOffset = 0;
+    this.saveBudgets();
+    this.renderBudgetsView();
+    UI.showToast(`Budgets converted to ${PERIOD_LABELS[newPeriod].toLowerCase()} amounts`, 'success');
+  }
+
+  getBudgetStorageId() {
+    return Storage.getCredentials().sheetId || 'local';
+  }
+
+  saveBudgets() {
+    Storage.saveBudgets(this.getBudgetStorageId(), this.budgetModel.toJSON());
+  }
+
+  // Budgets live in local storage per sheet. Sheets that still have the old per-row
+  // Budget column are migrated from it the first time they are opened
+  loadBudgets() {
+    const saved = Storage.getBudgets(this.getBudgetStorageId());
+    if (saved) {
+      this.budgetModel = new BudgetModel(saved, this.periodCalendar);
+      return;
+    }
+
+    const legacyBudgets = {};
+    for (let i = 1; i < this.rowsData.length; i++) {
+      const row = this.rowsData[i];
+      const category = this.getColumnValue(row, 'category');
+      const budgetValue = this.getColumnValue(row, 'budget');
+      
+      if (category && budgetValue && !isNaN(parseFloat(budgetValue))) {
+        legacyBudgets[category] = parseFloat(budgetValue);
+      }
+    }
+
+    if (Object.keys(legacyBudgets).length > 0) {
+      this.budgetModel = BudgetModel.fromLegacyBudgets(legacyBudgets, this.periodCalendar);
+      this.saveBudgets();
+    } else {
+      this.budgetModel = new BudgetModel({}, this.periodCalendar);
+    }
   }
 
-  // Convert budget from base payweek to target period
-  convertBudgetFromBase(baseAmount, targetPeriod) {
-    const payweeksPerYear = 26;
+  // Pay schedule settings: frequency, anchor pay date and weekend/holiday shifting
+  showPayScheduleDialog() {
+    const config = this.paySchedule.config;
+    const upcoming = [];
+    let payweek = this.paySchedule.getPayweek(new Date());
+    for (let i = 0; i < 4; i++) {
+      upcoming.push(payweek);
+      payweek = this.paySchedule.shiftPayweek(payweek, 1);
+    }
+    
+    const content = `
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          Pay frequency
+          <select id="pay-frequency" class="input-standard">
+            ${Object.entries(PAY_FREQUENCIES).map(([value, frequency]) => `
+              <option value="${value}" ${config.frequency === value ? 'selected' : ''}>${frequency.label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          A regular pay date
+          <input id="pay-anchor-date" type="date" class="input-standard" value="${config.anchorDate}">
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          Second pay day of the month (semi-monthly)
+          <input id="pay-second-day" type="number" min="1" max="31" class="input-standard" value="${config.secondDay}">
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          Pay date on a weekend or holiday
+          <select id="pay-weekend-shift" class="input-standard">
+            <option value="before" ${config.weekendShift === 'before' ? 'selected' : ''}>Paid the business day before</option>
+            <option value="after" ${config.weekendShift === 'after' ? 'selected' : ''}>Paid the business day after</option>
+            <option value="none" ${config.weekendShift === 'none' ? 'selected' : ''}>Not moved</option>
+          </select>
+        </label>
+      </div>
+      <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary); margin-top: 0.75rem;">
+        Holidays (one YYYY-MM-DD date per line)
+        <textarea id="pay-holidays" class="input-standard" rows="3">${(config.holidays || []).join('\n')}</textarea>
+      </label>
+      <label style="display: flex; gap: 0.5rem; align-items: center; font-size: 0.875rem; margin-top: 0.75rem;">
+        <input id="pay-write-labels" type="checkbox">
+        Write each transaction's payweek into the sheet's Payweek column
+      </label>
+      <div style="margin-top: 1rem; font-size: 0.875rem; color: var(--text-secondary);">
+        <div style="font-weight: 500; color: var(--text-primary);">Upcoming payweeks (current settings)</div>
+        ${upcoming.map(p => `<div>${p.label}</div>`).join('')}
+      </div>
+    `;
+    
+    UI.removeModal(document.getElementById('pay-schedule-modal'));
+    const modal = UI.createModal('🗓️ Pay Schedule', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.savePaySchedule()' }
+    ]);
+    modal.id = 'pay-schedule-modal';
+    modal.querySelector('.modal').style.maxWidth = '640px';
+  }
+  
+  async savePaySchedule() {
+    const modal = document.getElementById('pay-schedule-modal');
+    if (!modal) return;
+    
+    const anchorDate = modal.querySelector('#pay-anchor-date').value;
+    if (!anchorDate) {
+      UI.showToast('Enter a pay date to anchor the schedule', 'error');
+      return;
+    }
+    
+    const config = {
+      frequency: modal.querySelector('#pay-frequency').value,
+      anchorDate,
+      secondDay: parseInt(modal.querySelector('#pay-second-day').value, 10) || CONFIG.PAY_SCHEDULE.secondDay,
+      weekendShift: modal.querySelector('#pay-weekend-shift').value,
+      holidays: modal.querySelector('#pay-holidays').value.split(/\s+/).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+    };
+    const writeLabels = modal.querySelector('#pay-write-labels').checked;
+    
+    this.paySchedule.configure(config);
+    Storage.savePaySchedule(config);
+    UI.removeModal(modal);
+    
+    this.dataChanged = true;
+    this.updatePeriodText();
+    this.updateCurrentView();
+    UI.showToast('Pay schedule saved', 'success');
     
-    switch (targetPeriod) {
-      case 'payweek':
-        return baseAmount;
-      case 'week':
-        return baseAmount / 2; // payweek is 2 weeks
-      case 'month':
-        return (baseAmount * payweeksPerYear) / 12; // Convert to yearly, then monthly
-      case 'year':
-        return baseAmount * payweeksPerYear;
-      default:
-        return baseAmount;
+    if (writeLabels) {
+      await this.writePayweekLabels();
     }
   }
-
-  // Convert budget from any period back to base payweek
-  convertBudgetToBase(amount, sourcePeriod) {
-    const payweeksPerYear = 26;
-    
-    switch (sourcePeriod) {
-      case 'payweek':
-        return amount;
-      case 'week':
-        return amount * 2; // week to payweek
-      case 'month':
-        return (amount * 12) / payweeksPerYear; // monthly to yearly, then to payweek
-      case 'year':
-        return amount / payweeksPerYear;
-      default:
-        return amount;
+  
+  // Write the payweek each transaction falls in (its first day) to the Payweek column
+  async writePayweekLabels() {
+    const sheetId = Storage.getCredentials().sheetId;
+    if (!sheetId || this.rowsData.length <= 1) {
+      UI.showToast('Connect a Google Sheet to store payweeks', 'error');
+      return;
     }
-  }
-
-  // Save budgets to Google Sheets
-  async saveBudgets() {
+    
     try {
-      UI.showLoading('Saving budgets to Google Sheets...');
-      
-      const credentials = Storage.getCredentials();
-      const sheetId = credentials.sheetId;
+      UI.showLoading('Writing payweeks to the sheet...');
+      await this.ensureDataColumns(sheetId, { payweek: 'Payweek' });
       
-      // Find the budget column letter
-      const budgetColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.budget + 1);
+      const colIndex = this.columnIndices.payweek;
+      const cellUpdates = [];
       
-      // Update budget values for each category
-      const updatePromises = [];
-      
-      for (let i = 1; i < this.rowsData.length; i++) {
-        const row = this.rowsData[i];
-        const category = this.getColumnValue(row, 'category');
+      this.processTransactions().forEach(transaction => {
+        const date = DateParser.toDate(transaction[4]);
+        if (!date) return;
         
-        if (category && this.budgets[category] !== undefined) {
-          const rowNumber = i + 1; // +1 because sheets are 1-indexed
-          const range = `${budgetColLetter}${rowNumber}`;
-          const budgetValue = this.budgets[category];
-          
-          updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, budgetValue)
-          );
+        const rowIndex = transaction[8];
+        const label = this.paySchedule.getPayweek(date).key;
+        if ((this.rowsData[rowIndex][colIndex] ?? '').toString() !== label) {
+          cellUpdates.push({ rowIndex, value: label });
         }
-      }
+      });
       
-      await Promise.all(updatePromises);
+      if (cellUpdates.length > 0) {
+        await this.writeSheetCells(sheetId, cellUpdates.map(({ rowIndex, value }) => ({ rowIndex, colIndex, value })));
+        cellUpdates.forEach(({ rowIndex, value }) => {
+          this.rowsData[rowIndex][colIndex] = value;
+        });
+      }
       
       UI.hideLoading();
-      UI.showToast('Budgets saved to Google Sheets successfully!', 'success');
-      
+      UI.showToast(`✅ Payweek written for ${cellUpdates.length} transactions`, 'success');
     } catch (error) {
       UI.hideLoading();
-      UI.handleError(error, 'Failed to save budgets');
-    }
-  }
-
-  // Load budgets from Google Sheets
-  loadBudgets() {
-    // Build budgets object from current transaction data
-    this.budgets = {};
-    
-    // Skip header row and process each transaction
-    for (let i = 1; i < this.rowsData.length; i++) {
-      const row = this.rowsData[i];
-      const category = this.getColumnValue(row, 'category');
-      const budgetValue = this.getColumnValue(row, 'budget');
-      
-      if (category && budgetValue && !isNaN(parseFloat(budgetValue))) {
-        this.budgets[category] = parseFloat(budgetValue);
-      }
+      UI.handleError(error, 'Writing payweeks');
     }
   }
 
@@ -1388,7 +3592,7 @@ class BudgetTrackerApp {
     // Read merchant groups directly from the raw data
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
@@ -1546,21 +3750,17 @@ class BudgetTrackerApp {
       // Update all rows with this merchant to have the new merchant group
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
       const updatePromises = [];
       
       // Find all rows with this merchant and update their merchant group
       for (let i = 1; i < this.rowsData.length; i++) {
         const row = this.rowsData[i];
-        const rowMerchant = row[this.columnIndices.merchant] || row[2]; // fallback to index 2
+        const rowMerchant = this.getColumnValue(row, 'merchant');
         
         if (rowMerchant === merchantName) {
-          const rowNumber = i + 1; // +1 because sheets are 1-indexed
-          const range = `${merchantGroupColLetter}${rowNumber}`;
-          
           updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, groupName)
+            this.updateSheetCell(sheetId, i, this.columnIndices.merchantGroup, groupName)
           );
         }
       }
@@ -1588,21 +3788,17 @@ class BudgetTrackerApp {
       // Clear merchant group for all rows with this merchant
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
       const updatePromises = [];
       
       // Find all rows with this merchant and clear their merchant group
       for (let i = 1; i < this.rowsData.length; i++) {
         const row = this.rowsData[i];
-        const rowMerchant = row[this.columnIndices.merchant] || row[2];
+        const rowMerchant = this.getColumnValue(row, 'merchant');
         
         if (rowMerchant === merchantName) {
-          const rowNumber = i + 1;
-          const range = `${merchantGroupColLetter}${rowNumber}`;
-          
           updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, '')
+            this.updateSheetCell(sheetId, i, this.columnIndices.merchantGroup, '')
           );
         }
       }
@@ -1645,7 +3841,7 @@ class BudgetTrackerApp {
     
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       allMerchants.add(merchant);
@@ -1963,7 +4159,7 @@ class BudgetTrackerApp {
     const groupMerchants = [];
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       if (merchantGroup && merchantGroup.trim() === groupName && !groupMerchants.includes(merchant)) {
@@ -2053,7 +4249,7 @@ class BudgetTrackerApp {
     
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       if (!allMerchants.has(merchant)) {
@@ -2316,7 +4512,7 @@ class BudgetTrackerApp {
     
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       uniqueMerchants.add(merchant);
@@ -2362,7 +4558,6 @@ class BudgetTrackerApp {
       
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
       const updatePromises = [];
       
@@ -2372,11 +4567,8 @@ class BudgetTrackerApp {
         const merchantGroup = this.getColumnValue(row, 'merchantGroup');
         
         if (merchantGroup && merchantGroup.trim() === oldGroupName) {
-          const rowNumber = i + 1;
-          const range = `${merchantGroupColLetter}${rowNumber}`;
-          
           updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, trimmedNewName)
+            this.updateSheetCell(sheetId, i, this.columnIndices.merchantGroup, trimmedNewName)
           );
         }
       }
@@ -2416,7 +4608,6 @@ class BudgetTrackerApp {
       
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
       const updatePromises = [];
       
@@ -2426,11 +4617,8 @@ class BudgetTrackerApp {
         const merchantGroup = this.getColumnValue(row, 'merchantGroup');
         
         if (merchantGroup && merchantGroup.trim() === groupName) {
-          const rowNumber = i + 1;
-          const range = `${merchantGroupColLetter}${rowNumber}`;
-          
           updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, '')
+            this.updateSheetCell(sheetId, i, this.columnIndices.merchantGroup, '')
           );
         }
       }
@@ -2580,7 +4768,7 @@ class BudgetTrackerApp {
     // Read merchant groups and categories directly from the raw data
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       const category = this.getColumnValue(row, 'category') || 'Uncategorized';
       
@@ -2750,7 +4938,6 @@ class BudgetTrackerApp {
       // Update all transactions with this merchant group to have the new category
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const categoryColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.category + 1);
       
       const updatePromises = [];
       
@@ -2760,11 +4947,8 @@ class BudgetTrackerApp {
         const rowMerchantGroup = this.getColumnValue(row, 'merchantGroup');
         
         if (rowMerchantGroup === groupName) {
-          const rowNumber = i + 1;
-          const range = `${categoryColLetter}${rowNumber}`;
-          
           updatePromises.push(
-            this.sheetsAPI.updateCell(sheetId, range, categoryName)
+            this.updateSheetCell(sheetId, i, this.columnIndices.category, categoryName)
           );
         }
       }
@@ -2791,7 +4975,7 @@ class BudgetTrackerApp {
     // Read merchants directly from the raw data
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       if (merchantGroup && merchantGroup.trim() === groupName && !merchants.includes(merchant)) {
@@ -2843,15 +5027,24 @@ class BudgetTrackerApp {
       });
     }
 
+    // The threshold is kept between dialogs in the same session
+    this.smartGrouping = {
+      merchantCounts,
+      threshold: this.smartGrouping?.threshold ?? CONFIG.MERCHANT_GROUPING.SIMILARITY_THRESHOLD,
+      groups: []
+    };
+
     // Analyze merchants for similar patterns
-    const proposedGroups = this.analyzeMerchantPatterns(merchantCounts);
+    this.smartGrouping.groups = this.analyzeMerchantPatterns(merchantCounts);
     
-    if (proposedGroups.length === 0) {
+    if (this.smartGrouping.groups.length === 0) {
       UI.showToast('No similar merchant patterns found', 'info');
       this.renderMerchantStepContent(); // Show regular merchant management
       return;
     }
 
+    const { MIN_THRESHOLD, MAX_THRESHOLD } = CONFIG.MERCHANT_GROUPING;
+
     // Create modal backdrop
     const backdrop = document.createElement('div');
     backdrop.id = 'smart-grouping-modal';
@@ -2869,40 +5062,18 @@ class BudgetTrackerApp {
                   style="background: none; border: none; font-size: 1.5rem; cursor: pointer; color: var(--text-secondary);">✖️</button>
         </div>
         
-        <p style="color: var(--text-secondary); margin-bottom: 1.5rem;">
-          I found ${proposedGroups.length} groups of similar merchants. Review and modify the proposed groupings below, then confirm to save them to Google Sheets.
-        </p>
+        <p id="smart-grouping-summary" style="color: var(--text-secondary); margin-bottom: 1rem;"></p>
         
-        <div id="proposed-groups-container" style="margin-bottom: 2rem;">
-          ${proposedGroups.map((group, index) => `
-            <div class="proposed-group" style="border: 1px solid var(--warning-color); border-radius: var(--radius-sm); padding: 1rem; margin-bottom: 1rem; background: linear-gradient(135deg, var(--card-bg) 0%, #fef3c7 100%);">
-              <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 0.75rem;">
-                <input type="checkbox" id="group-${index}" checked style="transform: scale(1.2);">
-                <label for="group-${index}" style="font-weight: 600; color: var(--text-primary);">Include this group</label>
-              </div>
-              
-              <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 0.75rem;">
-                <label style="color: var(--text-secondary); font-weight: 500;">Group Name:</label>
-                <input type="text" id="group-name-${index}" value="${group.groupName}" 
-                       style="flex: 1; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-sm);">
-              </div>
-              
-              <div style="margin-bottom: 0.5rem;">
-                <strong style="color: var(--text-secondary);">Merchants to group (${group.merchants.length}):</strong>
-              </div>
-              
-              <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
-                ${group.merchants.map(merchant => `
-                  <div style="display: flex; align-items: center; gap: 0.25rem; padding: 0.25rem 0.5rem; background: #fcd34d; color: #92400e; border-radius: var(--radius-sm); font-size: 0.875rem;">
-                    <span>${merchant.name}</span>
-                    <span style="font-size: 0.75rem; opacity: 0.8;">(${merchant.count})</span>
-                  </div>
-                `).join('')}
-              </div>
-            </div>
-          `).join('')}
+        <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 1.5rem;">
+          <label for="smart-grouping-threshold" style="color: var(--text-secondary); font-weight: 500;">Similarity threshold:</label>
+          <input type="range" id="smart-grouping-threshold" min="${MIN_THRESHOLD}" max="${MAX_THRESHOLD}" step="0.01" value="${this.smartGrouping.threshold}"
+                 style="flex: 1;" oninput="document.getElementById('smart-grouping-threshold-value').textContent = Math.round(this.value * 100) + '%'"
+                 onchange="window.budgetApp?.changeSmartGroupingThreshold(this.value)">
+          <strong id="smart-grouping-threshold-value" style="min-width: 3rem;">${Math.round(this.smartGrouping.threshold * 100)}%</strong>
         </div>
         
+        <div id="proposed-groups-container" style="margin-bottom: 2rem;"></div>
+        
         <div style="display: flex; gap: 1rem; justify-content: flex-end;">
           <button onclick="document.getElementById('smart-grouping-modal').remove(); window.budgetApp?.renderMerchantStepContent();" 
                   class="btn btn-secondary">Cancel</button>
@@ -2913,6 +5084,122 @@ class BudgetTrackerApp {
     `;
     
     document.body.appendChild(backdrop);
+    this.renderSmartGroups();
+  }
+
+  // Proposed groups with their confidence; tick merchants to split them off, or merge two groups
+  renderSmartGroups() {
+    const container = document.getElementById('proposed-groups-container');
+    if (!container || !this.smartGrouping) return;
+    
+    const { groups, threshold } = this.smartGrouping;
+    const percent = (score) => `${Math.round(score * 100)}%`;
+    const confidenceColor = (score) => (score >= 0.9 ? 'var(--success-color)' : score >= threshold ? 'var(--warning-color)' : 'var(--error-color)');
+    
+    const summary = document.getElementById('smart-grouping-summary');
+    if (summary) {
+      summary.textContent = groups.length === 0
+        ? 'No merchants are this similar - lower the threshold to see looser matches.'
+        : `I found ${groups.length} groups of similar merchants. Review, rename, split or merge them below, then confirm to save them to Google Sheets.`;
+    }
+    
+    container.innerHTML = groups.map((group, index) => `
+      <div class="proposed-group" style="border: 1px solid var(--warning-color); border-radius: var(--radius-sm); padding: 1rem; margin-bottom: 1rem; background: linear-gradient(135deg, var(--card-bg) 0%, #fef3c7 100%); ${group.include ? '' : 'opacity: 0.6;'}">
+        <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 0.75rem;">
+          <input type="checkbox" id="group-${index}" ${group.include ? 'checked' : ''} style="transform: scale(1.2);"
+                 onchange="window.budgetApp?.updateSmartGroup(${index}, 'include', this.checked)">
+          <label for="group-${index}" style="font-weight: 600; color: var(--text-primary);">Include this group</label>
+          <span title="Average similarity to ${Formatters.escapeHtml(group.merchants[0]?.name)}"
+                style="margin-left: auto; padding: 0.125rem 0.5rem; border-radius: var(--radius-sm); color: white; font-size: 0.75rem; font-weight: 600; background: ${confidenceColor(group.confidence)};">
+            ${percent(group.confidence)} match
+          </span>
+        </div>
+        
+        <div style="display: flex; align-items: center; gap: 1rem; margin-bottom: 0.75rem;">
+          <label style="color: var(--text-secondary); font-weight: 500;">Group Name:</label>
+          <input type="text" id="group-name-${index}" value="${Formatters.escapeHtml(group.groupName)}" 
+                 onchange="window.budgetApp?.updateSmartGroup(${index}, 'groupName', this.value)"
+                 style="flex: 1; padding: 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-sm);">
+        </div>
+        
+        <div style="margin-bottom: 0.5rem;">
+          <strong style="color: var(--text-secondary);">Merchants to group (${group.merchants.length}):</strong>
+        </div>
+        
+        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.75rem;">
+          ${group.merchants.map((merchant, merchantIndex) => `
+            <label title="${percent(merchant.score)} similar to ${Formatters.escapeHtml(group.merchants[0].name)}"
+                   style="display: flex; align-items: center; gap: 0.25rem; padding: 0.25rem 0.5rem; background: #fcd34d; color: #92400e; border-radius: var(--radius-sm); font-size: 0.875rem; cursor: pointer;">
+              <input type="checkbox" ${merchant.selected ? 'checked' : ''}
+                     onchange="window.budgetApp?.selectSmartGroupMerchant(${index}, ${merchantIndex}, this.checked)">
+              <span>${Formatters.escapeHtml(merchant.name)}</span>
+              <span style="font-size: 0.75rem; opacity: 0.8;">(${merchant.count}) · ${percent(merchant.score)}</span>
+            </label>
+          `).join('')}
+        </div>
+        
+        <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+          <button class="btn btn-secondary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                  onclick="window.budgetApp?.splitSmartGroup(${index})">✂️ Split off ticked merchants</button>
+          ${groups.length > 1 ? `
+            <select class="input-standard" style="font-size: 0.75rem; padding: 0.25rem;" onchange="window.budgetApp?.mergeSmartGroups(${index}, this.value)">
+              <option value="">🔗 Merge with…</option>
+              ${groups.map((other, otherIndex) => (otherIndex === index ? '' : `<option value="${otherIndex}">${Formatters.escapeHtml(other.groupName)}</option>`)).join('')}
+            </select>
+          ` : ''}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  changeSmartGroupingThreshold(value) {
+    if (!this.smartGrouping) return;
+    this.smartGrouping.threshold = parseFloat(value);
+    this.smartGrouping.groups = this.analyzeMerchantPatterns(this.smartGrouping.merchantCounts);
+    this.renderSmartGroups();
+  }
+
+  updateSmartGroup(index, field, value) {
+    const group = this.smartGrouping?.groups[index];
+    if (!group) return;
+    group[field] = typeof value === 'string' ? value.trim() : value;
+    this.renderSmartGroups();
+  }
+
+  selectSmartGroupMerchant(index, merchantIndex, selected) {
+    const merchant = this.smartGrouping?.groups[index]?.merchants[merchantIndex];
+    if (merchant) merchant.selected = selected;
+  }
+
+  // Move the ticked merchants of a group into a new group of their own
+  splitSmartGroup(index) {
+    const group = this.smartGrouping?.groups[index];
+    if (!group) return;
+    
+    const ticked = group.merchants.filter(merchant => merchant.selected);
+    const rest = group.merchants.filter(merchant => !merchant.selected);
+    if (ticked.length === 0 || rest.length === 0) {
+      UI.showToast('Tick the merchants to move to a new group (but not all of them)', 'info');
+      return;
+    }
+    
+    this.smartGrouping.groups.splice(index, 1,
+      { ...MerchantSimilarity.group(rest), groupName: group.groupName, include: group.include },
+      { ...MerchantSimilarity.group(ticked), include: true }
+    );
+    this.renderSmartGroups();
+  }
+
+  // Merge another group into this one, keeping this group's name
+  mergeSmartGroups(index, otherIndex) {
+    const groups = this.smartGrouping?.groups;
+    const group = groups?.[index];
+    const other = groups?.[parseInt(otherIndex)];
+    if (!group || !other || group === other) return;
+    
+    groups[index] = { ...MerchantSimilarity.group([...group.merchants, ...other.merchants]), groupName: group.groupName, include: true };
+    groups.splice(groups.indexOf(other), 1);
+    this.renderSmartGroups();
   }
 
   // Analyze merchant patterns to find similar merchants
@@ -2924,53 +5211,13 @@ class BudgetTrackerApp {
     return this.findSimilarMerchants(merchants, merchantCounts);
   }
 
-  // NEW: Smart similarity matching function - replaces hardcoded patterns
+  // Fuzzy similarity clustering at the dialog's threshold (see MerchantSimilarity)
   findSimilarMerchants(merchants, merchantCounts) {
-    const groups = [];
-    const processed = new Set();
-    
-    // Clean and normalize merchant names for comparison
-    const normalizedMerchants = merchants.map(merchant => ({
-      original: merchant,
-      normalized: merchant.toLowerCase()
-        .replace(/[#\d\-\s]+$/, '') // Remove trailing numbers, hashes, spaces
-        .replace(/\s+(inc|ltd|llc|corp|co|store|location)\.?$/i, '') // Remove business suffixes
-        .replace(/[^\w\s]/g, '') // Remove special characters
-        .trim(),
-      count: merchantCounts[merchant]
-    }));
-    
-    // Group by similarity
-    normalizedMerchants.forEach(merchant => {
-      if (processed.has(merchant.original)) return;
-      
-      const similar = normalizedMerchants.filter(other => 
-        !processed.has(other.original) && 
-        other.normalized === merchant.normalized &&
-        other.original !== merchant.original
-      );
-      
-      if (similar.length > 0) {
-        // Add the original merchant to the similar group
-        similar.unshift(merchant);
-        
-        // Mark all as processed
-        similar.forEach(m => processed.add(m.original));
-        
-        // Create group name from the most common or longest merchant name
-        const bestName = similar
-          .sort((a, b) => b.count - a.count)[0]
-          .original.split(/[\s#\d-]+/)[0]
-          .trim();
-        
-        groups.push({
-          groupName: bestName,
-          merchants: similar.map(m => ({ name: m.original, count: m.count }))
-        });
-      }
-    });
+    const counts = Object.fromEntries(merchants.map(merchant => [merchant, merchantCounts[merchant] || 0]));
+    const threshold = this.smartGrouping?.threshold ?? CONFIG.MERCHANT_GROUPING.SIMILARITY_THRESHOLD;
     
-    return groups;
+    return MerchantSimilarity.cluster(counts, { threshold })
+      .map(group => ({ ...group, include: true }));
   }
 
   // CACHE MANAGEMENT for responsive merchant editing
@@ -2999,7 +5246,7 @@ class BudgetTrackerApp {
     // Apply immediately to local data for instant UI updates
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const rowMerchant = this.getColumnValue(row, 'merchant') || row[2];
+      const rowMerchant = this.getColumnValue(row, 'merchant');
       
       if (rowMerchant === merchantName) {
         // Update the merchant group in local data
@@ -3021,7 +5268,7 @@ class BudgetTrackerApp {
     const merchantGroups = {};
     for (let i = 1; i < this.rowsData.length; i++) {
       const row = this.rowsData[i];
-      const merchant = this.getColumnValue(row, 'merchant') || row[2] || 'Unknown';
+      const merchant = this.getColumnValue(row, 'merchant') || 'Unknown';
       const merchantGroup = this.getColumnValue(row, 'merchantGroup');
       
       if (merchantGroup && merchantGroup.trim()) {
@@ -3048,18 +5295,14 @@ class BudgetTrackerApp {
       
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
       const updatePromises = [];
       
       // Update all changed rows
       for (const rowIndex of this.merchantEditingCache.changedRows) {
         const newValue = this.rowsData[rowIndex][this.columnIndices.merchantGroup];
-        const rowNumber = rowIndex + 1;
-        const range = `${merchantGroupColLetter}${rowNumber}`;
-        
         updatePromises.push(
-          this.sheetsAPI.updateCell(sheetId, range, newValue)
+          this.updateSheetCell(sheetId, rowIndex, this.columnIndices.merchantGroup, newValue)
         );
       }
       
@@ -3079,44 +5322,521 @@ class BudgetTrackerApp {
     }
   }
 
-  // Revert all cached changes
-  revertCachedChanges() {
-    if (!this.merchantEditingCache.enabled || !this.merchantEditingCache.originalData) {
-      return;
-    }
-
-    // Restore original data
-    this.rowsData = JSON.parse(JSON.stringify(this.merchantEditingCache.originalData));
-    this.disableMerchantEditingCache();
+  // Revert all cached changes
+  revertCachedChanges() {
+    if (!this.merchantEditingCache.enabled || !this.merchantEditingCache.originalData) {
+      return;
+    }
+
+    // Restore original data
+    this.rowsData = JSON.parse(JSON.stringify(this.merchantEditingCache.originalData));
+    this.disableMerchantEditingCache();
+    
+    UI.showToast('🔄 Reverted all changes', 'info');
+  }
+
+  // Set OpenAI API key for merchant cleaning
+  async setOpenAIKey() {
+    const apiKeyInput = document.getElementById('openai-api-key');
+    const apiKey = apiKeyInput?.value?.trim();
+    
+    if (!apiKey) {
+      UI.showToast('❌ Please enter an API key', 'error');
+      return;
+    }
+    
+    try {
+      UI.showToast('🔍 Validating API key...', 'info');
+      
+      const isValid = await this.merchantCleaner.validateApiKey(apiKey);
+      
+      if (isValid) {
+        this.merchantCleaner.setApiKey(apiKey);
+        apiKeyInput.value = '';
+        UI.showToast('✅ OpenAI API key saved successfully!', 'success');
+      } else {
+        UI.showToast('❌ Invalid API key. Please check and try again.', 'error');
+      }
+    } catch (error) {
+      console.error('Error validating API key:', error);
+      UI.showToast('❌ Failed to validate API key', 'error');
+    }
+  }
+
+  // Pick the model used for merchant cleaning: OpenAI, a local OpenAI-compatible server or heuristics
+  showCleaningSettingsDialog() {
+    const settings = this.merchantCleaner.settings;
+    const field = (label, control, id = '') => `
+      <label ${id ? `id="${id}"` : ''} style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+        ${label}
+        ${control}
+      </label>
+    `;
+    const defaults = LLM_PROVIDERS[settings.provider] || {};
+    
+    const content = `
+      <div style="display: flex; flex-direction: column; gap: 0.75rem;">
+        ${field('Provider', `
+          <select id="llm-provider" class="input-standard" onchange="window.budgetApp?.updateCleaningSettingsFields()">
+            ${Object.entries(LLM_PROVIDERS).map(([provider, { label }]) => `
+              <option value="${provider}" ${provider === settings.provider ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        `)}
+        ${field('Base URL', `<input id="llm-base-url" class="input-standard" value="${settings.baseUrl}" placeholder="${defaults.baseUrl || ''}">`, 'llm-base-url-field')}
+        ${field('API key', `<input id="llm-api-key" type="password" class="input-standard" value="${settings.apiKey}" placeholder="Optional for local servers">`, 'llm-api-key-field')}
+        <div id="llm-model-fields" style="display: grid; grid-template-columns: 2fr 1fr; gap: 0.75rem;">
+          ${field('Model', `<input id="llm-model" class="input-standard" value="${settings.model}" placeholder="${defaults.model || ''}">`)}
+          ${field('Temperature', `<input id="llm-temperature" type="number" class="input-standard" min="0" max="2" step="0.1" value="${settings.temperature}">`)}
+        </div>
+        ${field('Prompt', `
+          <textarea id="llm-prompt" class="input-standard" rows="8" style="font-family: monospace; font-size: 0.75rem;">${(settings.prompt || DEFAULT_MERCHANT_PROMPT).replace(/</g, '&lt;')}</textarea>
+        `, 'llm-prompt-field')}
+        <div id="llm-heuristic-note" class="text-muted" style="font-size: 0.875rem;">
+          Names are cleaned in the browser with rules for card processor prefixes, store numbers, web addresses and region codes. Nothing is sent over the network.
+        </div>
+        <div class="text-muted" style="font-size: 0.75rem;">The regex patterns for well-known chains are always tried first, and used whenever the model can't be reached.</div>
+      </div>
+    `;
+    
+    const modal = UI.createModal('🤖 Merchant Cleaning Model', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '🔌 Test', class: 'btn-secondary', action: 'window.budgetApp?.testCleaningSettings()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.saveCleaningSettings()' }
+    ]);
+    modal.id = 'cleaning-settings-modal';
+    modal.querySelector('.modal').style.maxWidth = '600px';
+    this.updateCleaningSettingsFields();
+  }
+
+  // Show only the fields the chosen provider uses, with its defaults as placeholders
+  updateCleaningSettingsFields() {
+    const modal = document.getElementById('cleaning-settings-modal');
+    if (!modal) return;
+    
+    const provider = modal.querySelector('#llm-provider').value;
+    const defaults = LLM_PROVIDERS[provider];
+    const show = (id, visible) => {
+      modal.querySelector(`#${id}`).style.display = visible ? '' : 'none';
+    };
+    
+    show('llm-base-url-field', provider === 'compatible');
+    show('llm-api-key-field', provider !== 'heuristic');
+    show('llm-model-fields', provider !== 'heuristic');
+    show('llm-prompt-field', provider !== 'heuristic');
+    show('llm-heuristic-note', provider === 'heuristic');
+    modal.querySelector('#llm-base-url').placeholder = defaults.baseUrl || '';
+    modal.querySelector('#llm-model').placeholder = defaults.model || '';
+  }
+
+  readCleaningSettings(modal) {
+    const prompt = modal.querySelector('#llm-prompt').value.trim();
+    const provider = modal.querySelector('#llm-provider').value;
+    return {
+      provider,
+      baseUrl: provider === 'compatible' ? modal.querySelector('#llm-base-url').value.trim() : '',
+      apiKey: modal.querySelector('#llm-api-key').value.trim(),
+      model: modal.querySelector('#llm-model').value.trim(),
+      temperature: parseFloat(modal.querySelector('#llm-temperature').value) || 0,
+      // The built-in prompt is stored as blank so it follows future improvements
+      prompt: prompt === DEFAULT_MERCHANT_PROMPT.trim() ? '' : prompt
+    };
+  }
+
+  async testCleaningSettings() {
+    const modal = document.getElementById('cleaning-settings-modal');
+    if (!modal) return;
+    
+    const settings = this.readCleaningSettings(modal);
+    UI.showToast('🔍 Checking the connection...', 'info');
+    const ok = await this.merchantCleaner.testSettings(settings);
+    UI.showToast(ok ? '✅ The model is reachable' : '❌ Could not reach the model - check the URL, key and CORS settings', ok ? 'success' : 'error');
+  }
+
+  saveCleaningSettings() {
+    const modal = document.getElementById('cleaning-settings-modal');
+    if (!modal) return;
+    
+    const settings = this.readCleaningSettings(modal);
+    if (settings.provider === 'openai' && !settings.apiKey) {
+      UI.showToast('⚠️ Without an API key only the regex patterns are used', 'warning');
+    }
+    this.merchantCleaner.saveSettings(settings);
+    UI.removeModal(modal);
+    UI.showToast(`✅ Merchant cleaning now uses ${this.merchantCleaner.provider.label}`, 'success');
+  }
+
+  // Clean merchant names with a progress dialog that can stop the run. Returns the results, or
+  // null when stopped - the names cleaned so far are cached and reused by the next run
+  async runMerchantCleaning(merchantNames) {
+    const controller = new AbortController();
+    this.cleaningController = controller;
+    
+    const content = `
+      <div id="cleaning-progress-text" style="margin-bottom: 0.5rem; color: var(--text-secondary);">
+        Cleaning with ${this.merchantCleaner.provider.label}…
+      </div>
+      <div class="progress-bar"><div id="cleaning-progress-fill" class="progress-fill"></div></div>
+    `;
+    const modal = UI.createModal('🤖 Cleaning Merchants', content, [
+      { text: '⏹ Stop', class: 'btn-secondary', action: 'window.budgetApp?.stopMerchantCleaning()' }
+    ]);
+    modal.id = 'cleaning-progress-modal';
+    // Closing the dialog stops the run rather than leaving it going unseen
+    modal.querySelector('.modal-close').onclick = () => this.stopMerchantCleaning();
+    modal.onclick = null;
+    
+    try {
+      const results = await this.merchantCleaner.cleanMerchantNames(merchantNames, {
+        signal: controller.signal,
+        onProgress: ({ done, total }) => {
+          const text = modal.querySelector('#cleaning-progress-text');
+          const fill = modal.querySelector('#cleaning-progress-fill');
+          if (text) text.textContent = `Cleaning with ${this.merchantCleaner.provider.label}: ${done} of ${total} merchants`;
+          if (fill) fill.style.width = `${total ? (done / total) * 100 : 100}%`;
+        }
+      });
+      
+      if (controller.signal.aborted) {
+        UI.showToast('⏹ Merchant cleaning stopped - the next run picks up where it left off', 'info');
+        return null;
+      }
+      return results;
+    } finally {
+      UI.removeModal(modal);
+      this.cleaningController = null;
+    }
+  }
+
+  stopMerchantCleaning() {
+    this.cleaningController?.abort();
+  }
+
+  // Review, correct, import and export the merchant alias dictionary
+  async showAliasDialog() {
+    await this.merchantCleaner.loadCache();
+    this.aliasDraft = this.merchantCleaner.aliases.map(alias => ({ ...alias }));
+    
+    const content = `
+      <p class="text-muted" style="font-size: 0.875rem; margin-bottom: 0.75rem;">
+        Aliases are checked before the regex patterns and the cleaning model. Patterns ignore case, store numbers and punctuation;
+        <code>*</code> matches anything, so <code>TIM HORTONS*</code> covers every branch. Accepted cleaning results are added as you review them.
+      </p>
+      <div style="display: flex; gap: 0.5rem; margin-bottom: 0.75rem; flex-wrap: wrap; align-items: center;">
+        <input id="alias-filter" class="input-standard" style="flex: 1; min-width: 200px;" placeholder="Filter aliases"
+               oninput="window.budgetApp?.renderAliasRows()">
+        <button class="btn btn-secondary" onclick="window.budgetApp?.addAliasRow()">➕ Add</button>
+        <button class="btn btn-secondary" onclick="window.budgetApp?.exportAliases()">📤 Export CSV</button>
+        <label class="btn btn-secondary" style="margin: 0;">
+          📥 Import CSV
+          <input type="file" accept=".csv,text/csv" style="display: none;" onchange="window.budgetApp?.importAliases(this.files[0])">
+        </label>
+      </div>
+      <div class="table-container" style="max-height: 45vh; overflow-y: auto;">
+        <table style="width: 100%; font-size: 0.875rem;">
+          <thead><tr><th>Pattern</th><th>Merchant</th><th>Source</th><th></th></tr></thead>
+          <tbody id="alias-rows"></tbody>
+        </table>
+      </div>
+      <div class="text-muted" style="font-size: 0.75rem; margin-top: 0.75rem; display: flex; align-items: center; gap: 0.5rem;">
+        <span id="cleaning-cache-size">${this.merchantCleaner.cleaningCache.size} cleaned names cached</span>
+        <button class="btn btn-secondary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;" onclick="window.budgetApp?.clearCleaningCache()">🗑️ Clear cache</button>
+      </div>
+    `;
+    
+    const modal = UI.createModal('📖 Merchant Aliases', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.saveAliases()' }
+    ]);
+    modal.id = 'alias-modal';
+    modal.querySelector('.modal').style.maxWidth = '760px';
+    this.renderAliasRows();
+  }
+
+  renderAliasRows() {
+    const tbody = document.getElementById('alias-rows');
+    if (!tbody) return;
+    
+    const filter = (document.getElementById('alias-filter')?.value || '').trim().toLowerCase();
+    const rows = this.aliasDraft
+      .map((alias, index) => ({ alias, index }))
+      .filter(({ alias }) => !filter || `${alias.pattern} ${alias.merchant}`.toLowerCase().includes(filter));
+    
+    tbody.innerHTML = rows.length === 0
+      ? '<tr><td colspan="4" class="text-muted">No aliases yet - they are added when you save reviewed cleaning results</td></tr>'
+      : rows.map(({ alias, index }) => `
+        <tr>
+          <td><input class="input-standard" style="width: 100%; padding: 0.25rem 0.5rem; font-family: monospace;" value="${Formatters.escapeHtml(alias.pattern)}"
+                     onchange="window.budgetApp?.updateAliasRow(${index}, 'pattern', this.value)"></td>
+          <td><input class="input-standard" style="width: 100%; padding: 0.25rem 0.5rem;" value="${Formatters.escapeHtml(alias.merchant)}"
+                     onchange="window.budgetApp?.updateAliasRow(${index}, 'merchant', this.value)"></td>
+          <td class="text-muted">${alias.source}</td>
+          <td><button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Remove alias"
+                      onclick="window.budgetApp?.removeAliasRow(${index})">🗑️</button></td>
+        </tr>
+      `).join('');
+  }
+
+  addAliasRow() {
+    this.aliasDraft.unshift({ pattern: '', merchant: '', source: 'manual', updatedAt: Date.now() });
+    const filter = document.getElementById('alias-filter');
+    if (filter) filter.value = '';
+    this.renderAliasRows();
+    document.querySelector('#alias-rows input')?.focus();
+  }
+
+  // A corrected alias counts as the user's own, so learned results won't overwrite it
+  updateAliasRow(index, field, value) {
+    const alias = this.aliasDraft[index];
+    if (!alias) return;
+    alias[field] = value.trim();
+    alias.source = 'manual';
+    alias.updatedAt = Date.now();
+    this.renderAliasRows();
+  }
+
+  removeAliasRow(index) {
+    this.aliasDraft.splice(index, 1);
+    this.renderAliasRows();
+  }
+
+  saveAliases() {
+    const modal = document.getElementById('alias-modal');
+    const aliases = MerchantAliases.tidy(this.aliasDraft);
+    this.merchantCleaner.saveAliases(aliases);
+    UI.removeModal(modal);
+    UI.showToast(`✅ Saved ${aliases.length} merchant alias${aliases.length === 1 ? '' : 'es'}`, 'success');
+  }
+
+  exportAliases() {
+    UI.downloadFile('merchant-aliases.csv', MerchantAliases.toCsv(this.aliasDraft), 'text/csv');
+  }
+
+  async importAliases(file) {
+    if (!file) return;
+    
+    try {
+      const entries = MerchantAliases.parseCsv(await file.text());
+      if (entries.length === 0) {
+        UI.showToast('No aliases found - the file needs Pattern and Merchant columns', 'error');
+        return;
+      }
+      this.aliasDraft = MerchantAliases.merge(this.aliasDraft, entries, 'imported');
+      this.renderAliasRows();
+      UI.showToast(`Imported ${entries.length} aliases - save to keep them`, 'success');
+    } catch (error) {
+      UI.handleError(error, 'Importing merchant aliases');
+    }
+  }
+
+  async clearCleaningCache() {
+    if (!confirm('Forget every cleaned merchant name? The cleaning model will be asked about them again.')) return;
+    
+    await this.merchantCleaner.clearCache();
+    const size = document.getElementById('cleaning-cache-size');
+    if (size) size.textContent = '0 cleaned names cached';
+  }
+
+  // Edit, reorder, test, import and export the merchant regex pattern library
+  showPatternDialog() {
+    this.patternDraft = this.merchantCleaner.patterns.map(({ regex, ...pattern }) => ({ ...pattern }));
+    
+    const content = `
+      <p class="text-muted" style="font-size: 0.875rem; margin-bottom: 0.75rem;">
+        Patterns are tried from the top after the aliases, and the first enabled match decides. <strong>Use this name</strong> turns any matching merchant into the replacement;
+        <strong>Replace the match</strong> substitutes what matched, so <code>$1</code> keeps the first group in brackets.
+      </p>
+      <div style="display: flex; gap: 0.5rem; margin-bottom: 0.75rem; flex-wrap: wrap;">
+        <button class="btn btn-secondary" onclick="window.budgetApp?.addPatternRow()">➕ Add</button>
+        <button class="btn btn-secondary" onclick="window.budgetApp?.suggestPatterns()">💡 Suggest from uncleaned merchants</button>
+        <button class="btn btn-secondary" onclick="window.budgetApp?.exportPatterns()">📤 Export JSON</button>
+        <label class="btn btn-secondary" style="margin: 0;">
+          📥 Import JSON
+          <input type="file" accept=".json,application/json" style="display: none;" onchange="window.budgetApp?.importPatterns(this.files[0])">
+        </label>
+        <button class="btn btn-secondary" onclick="window.budgetApp?.resetPatterns()">↩️ Defaults</button>
+      </div>
+      <div class="table-container" style="max-height: 40vh; overflow-y: auto;">
+        <table style="width: 100%; font-size: 0.875rem;">
+          <thead><tr><th>On</th><th>Name</th><th>Pattern</th><th>Match</th><th>Replacement</th><th></th></tr></thead>
+          <tbody id="pattern-rows"></tbody>
+        </table>
+      </div>
+      <div id="pattern-suggestions" style="margin-top: 0.75rem;"></div>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-top: 0.75rem;">
+        <textarea id="pattern-samples" class="input-standard" rows="4" style="font-family: monospace; font-size: 0.8rem;"
+                  placeholder="Sample merchant names, one per line" oninput="window.budgetApp?.renderPatternTest()"></textarea>
+        <div id="pattern-test-results" class="text-muted" style="font-size: 0.8rem; overflow-y: auto; max-height: 8rem;">
+          Paste merchant names from a statement to see how the patterns clean them
+        </div>
+      </div>
+    `;
+    
+    const modal = UI.createModal('🧩 Merchant Patterns', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' },
+      { text: '💾 Save', class: 'btn-primary', action: 'window.budgetApp?.savePatterns()' }
+    ]);
+    modal.id = 'pattern-modal';
+    modal.querySelector('.modal').style.maxWidth = '960px';
+    this.renderPatternRows();
+  }
+
+  renderPatternRows() {
+    const tbody = document.getElementById('pattern-rows');
+    if (!tbody) return;
+    
+    const input = 'class="input-standard" style="width: 100%; padding: 0.25rem 0.5rem;"';
+    const last = this.patternDraft.length - 1;
+    
+    tbody.innerHTML = this.patternDraft.length === 0
+      ? '<tr><td colspan="6" class="text-muted">No patterns - merchant names only have their spacing tidied</td></tr>'
+      : this.patternDraft.map((pattern, index) => {
+        const error = MerchantPatterns.validate(pattern);
+        return `
+        <tr style="${pattern.enabled === false ? 'opacity: 0.5;' : ''}">
+          <td><input type="checkbox" ${pattern.enabled !== false ? 'checked' : ''} title="Use this pattern"
+                     onchange="window.budgetApp?.updatePatternRow(${index}, 'enabled', this.checked)"></td>
+          <td><input ${input} value="${Formatters.escapeHtml(pattern.name)}" onchange="window.budgetApp?.updatePatternRow(${index}, 'name', this.value)"></td>
+          <td>
+            <input class="input-standard" style="width: 100%; padding: 0.25rem 0.5rem; font-family: monospace;" value="${Formatters.escapeHtml(pattern.pattern)}"
+                   onchange="window.budgetApp?.updatePatternRow(${index}, 'pattern', this.value)">
+            ${error ? `<div style="color: var(--error-color); font-size: 0.75rem;">${Formatters.escapeHtml(error)}</div>` : ''}
+          </td>
+          <td>
+            <select class="input-standard" style="padding: 0.25rem;" onchange="window.budgetApp?.updatePatternRow(${index}, 'mode', this.value)">
+              ${Object.entries(PATTERN_MODES).map(([mode, label]) => `<option value="${mode}" ${pattern.mode === mode ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </td>
+          <td><input ${input} value="${Formatters.escapeHtml(pattern.replacement)}" onchange="window.budgetApp?.updatePatternRow(${index}, 'replacement', this.value)"></td>
+          <td style="white-space: nowrap;">
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Try earlier" ${index === 0 ? 'disabled' : ''}
+                    onclick="window.budgetApp?.movePatternRow(${index}, -1)">▲</button>
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Try later" ${index === last ? 'disabled' : ''}
+                    onclick="window.budgetApp?.movePatternRow(${index}, 1)">▼</button>
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" title="Remove pattern"
+                    onclick="window.budgetApp?.removePatternRow(${index})">🗑️</button>
+          </td>
+        </tr>
+      `;
+      }).join('');
+    
+    this.renderPatternTest();
+  }
+
+  // Show how the draft patterns clean the sample names
+  renderPatternTest() {
+    const output = document.getElementById('pattern-test-results');
+    const samples = document.getElementById('pattern-samples')?.value || '';
+    if (!output || !samples.trim()) return;
+    
+    output.innerHTML = MerchantPatterns.preview(this.patternDraft, samples).map(({ sample, cleaned, pattern }) => `
+      <div style="margin-bottom: 0.25rem;">
+        <span style="font-family: monospace;">${Formatters.escapeHtml(sample)}</span> → <strong>${Formatters.escapeHtml(cleaned)}</strong>
+        <span class="text-muted">${pattern ? `(${Formatters.escapeHtml(pattern.name || pattern.pattern)})` : '(no match)'}</span>
+      </div>
+    `).join('');
+  }
+
+  addPatternRow(pattern = {}) {
+    this.patternDraft.push({ id: `pattern-${Date.now()}`, name: '', pattern: '', flags: 'i', mode: 'name', replacement: '', enabled: true, ...pattern });
+    this.renderPatternRows();
+    const rows = document.querySelectorAll('#pattern-rows tr');
+    rows[rows.length - 1]?.querySelector('input:not([type="checkbox"])')?.focus();
+  }
+
+  updatePatternRow(index, field, value) {
+    const pattern = this.patternDraft[index];
+    if (!pattern) return;
+    pattern[field] = typeof value === 'string' ? value.trim() : value;
+    this.renderPatternRows();
+  }
+
+  movePatternRow(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.patternDraft.length) return;
+    [this.patternDraft[index], this.patternDraft[target]] = [this.patternDraft[target], this.patternDraft[index]];
+    this.renderPatternRows();
+  }
+
+  removePatternRow(index) {
+    this.patternDraft.splice(index, 1);
+    this.renderPatternRows();
+  }
+
+  resetPatterns() {
+    if (!confirm('Replace the pattern list with the built-in patterns?')) return;
+    this.patternDraft = CONFIG.DEFAULT_MERCHANT_PATTERNS.map(pattern => ({ ...pattern }));
+    this.renderPatternRows();
+  }
+
+  // Merchants without a merchant group that neither an alias nor a draft pattern matches
+  getUncleanedMerchants() {
+    const { merchant, merchantGroup } = this.columnIndices;
+    if (!this.rowsData || merchant === -1) return [];
+    
+    const prepared = MerchantPatterns.prepare(this.patternDraft);
+    const names = new Set();
+    for (let i = 1; i < this.rowsData.length; i++) { // Skip header
+      const name = (this.rowsData[i][merchant] || '').trim();
+      const group = merchantGroup === -1 ? '' : (this.rowsData[i][merchantGroup] || '').trim();
+      if (name && !group) names.add(name);
+    }
+    return [...names].filter(name => !this.merchantCleaner.findAlias(name) && !MerchantPatterns.apply(prepared, name).pattern);
+  }
+
+  suggestPatterns() {
+    const container = document.getElementById('pattern-suggestions');
+    if (!container) return;
     
-    UI.showToast('🔄 Reverted all changes', 'info');
+    this.patternSuggestions = MerchantPatterns.suggest(this.getUncleanedMerchants());
+    container.innerHTML = this.patternSuggestions.length === 0
+      ? '<div class="text-muted" style="font-size: 0.875rem;">No groups of similar uncleaned merchants found</div>'
+      : `
+        <div style="font-weight: 600; font-size: 0.875rem; margin-bottom: 0.25rem;">💡 Suggested patterns</div>
+        ${this.patternSuggestions.map((suggestion, index) => `
+          <div style="display: flex; gap: 0.5rem; align-items: center; font-size: 0.8rem; margin-bottom: 0.25rem;">
+            <button class="btn btn-secondary" style="padding: 0.25rem 0.5rem;" onclick="window.budgetApp?.addSuggestedPattern(${index}, this)">➕ Add</button>
+            <strong>${Formatters.escapeHtml(suggestion.name)}</strong>
+            <span class="text-muted">${suggestion.count} merchants, e.g. ${suggestion.examples.map(escape).join(', ')}</span>
+          </div>
+        `).join('')}
+      `;
   }
 
-  // Set OpenAI API key for merchant cleaning
-  async setOpenAIKey() {
-    const apiKeyInput = document.getElementById('openai-api-key');
-    const apiKey = apiKeyInput?.value?.trim();
-    
-    if (!apiKey) {
-      UI.showToast('❌ Please enter an API key', 'error');
+  addSuggestedPattern(index, button) {
+    const suggestion = this.patternSuggestions?.[index];
+    if (!suggestion) return;
+    const { name, pattern, flags, mode, replacement } = suggestion;
+    this.addPatternRow({ name, pattern, flags, mode, replacement });
+    if (button) button.disabled = true;
+  }
+
+  savePatterns() {
+    const invalid = this.patternDraft.find(pattern => MerchantPatterns.validate(pattern));
+    if (invalid) {
+      UI.showToast(`Fix "${invalid.name || invalid.pattern || 'new pattern'}": ${MerchantPatterns.validate(invalid)}`, 'error');
       return;
     }
     
+    this.merchantCleaner.savePatterns(this.patternDraft);
+    UI.removeModal(document.getElementById('pattern-modal'));
+    UI.showToast(`✅ Saved ${this.patternDraft.length} merchant pattern${this.patternDraft.length === 1 ? '' : 's'}`, 'success');
+  }
+
+  exportPatterns() {
+    UI.downloadFile('merchant-patterns.json', MerchantPatterns.toJson(this.patternDraft), 'application/json');
+  }
+
+  // Imported patterns replace the draft; nothing is saved until Save
+  async importPatterns(file) {
+    if (!file) return;
+    
     try {
-      UI.showToast('🔍 Validating API key...', 'info');
-      
-      const isValid = await this.merchantCleaner.validateApiKey(apiKey);
-      
-      if (isValid) {
-        this.merchantCleaner.setApiKey(apiKey);
-        apiKeyInput.value = '';
-        UI.showToast('✅ OpenAI API key saved successfully!', 'success');
-      } else {
-        UI.showToast('❌ Invalid API key. Please check and try again.', 'error');
-      }
+      this.patternDraft = MerchantPatterns.parseJson(await file.text());
+      this.renderPatternRows();
+      UI.showToast(`Imported ${this.patternDraft.length} patterns - save to keep them`, 'success');
     } catch (error) {
-      console.error('Error validating API key:', error);
-      UI.showToast('❌ Failed to validate API key', 'error');
+      UI.handleError(error, 'Importing merchant patterns');
     }
   }
 
@@ -3167,11 +5887,12 @@ class BudgetTrackerApp {
       }
       
       // Show cleaning progress on loading screen
-      UI.setLoadingMessage(`🤖 Auto-cleaning ${unclearedMerchants.size} merchant names with GPT-4...`);
+      UI.setLoadingMessage(`🤖 Auto-cleaning ${unclearedMerchants.size} merchant names with ${this.merchantCleaner.provider.label}...`);
       
       // Clean only the new merchant names
       const merchantNames = Array.from(unclearedMerchants);
-      const cleaningResults = await this.merchantCleaner.cleanMerchantNames(merchantNames);
+      const cleaningResults = await this.runMerchantCleaning(merchantNames);
+      if (!cleaningResults) return 0;
       
       // Update Merchant Group column for new merchants only
       const credentials = Storage.getCredentials();
@@ -3191,9 +5912,7 @@ class BudgetTrackerApp {
             cleaningResults.has(merchant.trim())) {
           
           const cleanedName = cleaningResults.get(merchant.trim());
-          const columnLetter = String.fromCharCode(65 + merchantGroupColIndex);
-          const cellRange = `${columnLetter}${i + 1}`;
-          updates.push({ range: cellRange, value: cleanedName });
+          updates.push({ rowIndex: i, range: this.cellRange(i, merchantGroupColIndex), value: cleanedName });
           
           // Update local data immediately for faster UI response
           row[merchantGroupColIndex] = cleanedName;
@@ -3201,8 +5920,8 @@ class BudgetTrackerApp {
       }
       
       if (updates.length > 0) {
-        // Show edit dialog for user to review GPT-4 changes before saving
-        UI.setLoadingMessage(`🤖 GPT-4 cleaned ${updates.length} merchants. Opening review dialog...`);
+        // Show edit dialog for user to review the model's changes before saving
+        UI.setLoadingMessage(`🤖 Cleaned ${updates.length} merchants. Opening review dialog...`);
         
         // Store the updates globally for the edit dialog
         this.pendingMerchantUpdates = updates;
@@ -3257,7 +5976,8 @@ class BudgetTrackerApp {
       }
       
       // Clean all merchant names
-      const cleaningResults = await this.merchantCleaner.cleanMerchantNames(merchantNames);
+      const cleaningResults = await this.runMerchantCleaning(merchantNames);
+      if (!cleaningResults) return;
       
       // Update Merchant Group column for each row
       const credentials = Storage.getCredentials();
@@ -3283,9 +6003,7 @@ class BudgetTrackerApp {
         if (originalMerchant && cleaningResults.has(originalMerchant)) {
           const cleanedName = cleaningResults.get(originalMerchant);
           if (cleanedName !== originalMerchant) {
-            const columnLetter = String.fromCharCode(65 + merchantGroupColIndex);
-            const cellRange = `${columnLetter}${i + 1}`;
-            updates.push({ range: cellRange, value: cleanedName });
+            updates.push({ rowIndex: i, value: cleanedName });
           }
         }
       }
@@ -3299,7 +6017,7 @@ class BudgetTrackerApp {
       UI.showToast(`📝 Updating ${updates.length} merchant groups...`, 'info');
       
       for (const update of updates) {
-        await this.sheetsAPI.updateCell(sheetId, update.range, update.value);
+        await this.updateSheetCell(sheetId, update.rowIndex, merchantGroupColIndex, update.value);
       }
       
       // Reload data to show changes
@@ -3332,13 +6050,6 @@ class BudgetTrackerApp {
         return;
       }
       
-      // Get column letter for Merchant Group (A=0, B=1, etc.)
-      const columnLetter = String.fromCharCode(65 + merchantGroupColIndex);
-      
-      // Clear all values in the Merchant Group column (except header)
-      const range = `${columnLetter}2:${columnLetter}${this.rowsData.length}`;
-      const clearValues = new Array(this.rowsData.length - 1).fill(['']);
-      
       // Get the current sheet ID
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
@@ -3348,8 +6059,14 @@ class BudgetTrackerApp {
         return;
       }
       
-      // Use updateRange method to clear all values
-      await this.sheetsAPI.updateRange(sheetId, range, clearValues);
+      // Clear the Merchant Group column (except header) in every loaded tab
+      for (const tab of this.loadedTabs) {
+        if (tab.lastRow < 2) continue;
+        
+        const columnLetter = this.sheetsAPI.numberToLetter(tab.columns[merchantGroupColIndex] + 1);
+        const range = this.sheetsAPI.tabRange(tab.name, `${columnLetter}2:${columnLetter}${tab.lastRow}`);
+        await this.sheetsAPI.updateRange(sheetId, range, new Array(tab.lastRow - 1).fill(['']));
+      }
       
       // Reload data to reflect changes
       if (credentials.useAppsScript) {
@@ -3372,7 +6089,7 @@ class BudgetTrackerApp {
       <div class="modal-overlay" id="merchant-cleaning-modal">
         <div class="modal" style="max-width: 800px; max-height: 80vh;">
           <div class="modal-header">
-            <h3>🤖 Review GPT-4 Merchant Cleaning</h3>
+            <h3>🤖 Review Merchant Cleaning</h3>
             <p>Review and edit the merchant name changes before saving to Google Sheets.</p>
           </div>
           <div class="modal-content" style="max-height: 400px; overflow-y: auto;">
@@ -3380,7 +6097,7 @@ class BudgetTrackerApp {
               <thead>
                 <tr style="background: var(--bg-secondary);">
                   <th style="padding: 0.5rem; border: 1px solid var(--border-color);">Original Merchant</th>
-                  <th style="padding: 0.5rem; border: 1px solid var(--border-color);">GPT-4 Cleaned</th>
+                  <th style="padding: 0.5rem; border: 1px solid var(--border-color);">Cleaned</th>
                   <th style="padding: 0.5rem; border: 1px solid var(--border-color);">Your Edit</th>
                 </tr>
               </thead>
@@ -3409,8 +6126,7 @@ class BudgetTrackerApp {
     
     updates.forEach((update) => {
       // Find original merchant name for this update
-      const rowIndex = parseInt(update.range.match(/\d+/)[0]) - 1; // Convert A5 to row 4 (0-indexed)
-      const row = this.rowsData[rowIndex];
+      const row = this.rowsData[update.rowIndex];
       const originalMerchant = row[this.columnIndices.merchant];
       
       if (!uniqueMerchants.has(originalMerchant)) {
@@ -3478,22 +6194,27 @@ class BudgetTrackerApp {
       });
       
       console.log('User edits collected:', userEdits.size); // Debug
+      
+      // Accepted names go into the alias dictionary so they are cleaned the same way next time
+      this.merchantCleaner.learnAliases([...userEdits].filter(([, value]) => value));
       console.log('Pending updates:', this.pendingMerchantUpdates?.length || 0); // Debug
       
       // Update pending updates with user edits
       this.pendingMerchantUpdates.forEach(update => {
-        const rowIndex = parseInt(update.range.match(/\d+/)[0]) - 1;
-        const row = this.rowsData[rowIndex];
+        const row = this.rowsData[update.rowIndex];
         const originalMerchant = row[this.columnIndices.merchant];
         
         console.log(`Processing update for "${originalMerchant}" at ${update.range}`); // Debug
         
         if (userEdits.has(originalMerchant)) {
           const finalValue = userEdits.get(originalMerchant);
-          finalUpdates.push({
-            range: update.range,
-            value: finalValue
-          });
+          // Rows that only exist locally keep the local change below
+          if (update.range) {
+            finalUpdates.push({
+              range: update.range,
+              value: finalValue
+            });
+          }
           
           console.log(`Will update ${update.range} with "${finalValue}"`); // Debug
           
@@ -3588,11 +6309,11 @@ function handleBatchUpdate(params) {
     const sheetId = params.sheetId;
     const updates = params.updates; // Array of {range, value} objects
     
-    const sheet = SpreadsheetApp.openById(sheetId).getActiveSheet();
+    const spreadsheet = SpreadsheetApp.openById(sheetId);
     
     // Process all updates in a single operation for much better performance
     updates.forEach(update => {
-      sheet.getRange(update.range).setValue(update.value);
+      spreadsheet.getRange(update.range).setValue(update.value);
     });
     
     return ContentService
@@ -3699,11 +6420,11 @@ function handleBatchUpdate(params) {
     const sheetId = params.sheetId;
     const updates = params.updates; // Array of {range, value} objects
     
-    const sheet = SpreadsheetApp.openById(sheetId).getActiveSheet();
+    const spreadsheet = SpreadsheetApp.openById(sheetId);
     
     // Process all updates efficiently
     updates.forEach(update => {
-      sheet.getRange(update.range).setValue(update.value);
+      spreadsheet.getRange(update.range).setValue(update.value);
     });
     
     return ContentService
@@ -3736,8 +6457,8 @@ function handleUpdate(params) {
     const range = params.range;
     const values = params.values; // Will be array like [["New Merchant Name"]]
     
-    const sheet = SpreadsheetApp.openById(sheetId).getActiveSheet();
-    sheet.getRange(range).setValues(values);
+    const spreadsheet = SpreadsheetApp.openById(sheetId);
+    spreadsheet.getRange(range).setValues(values);
     
     return ContentService
       .createTextOutput(JSON.stringify({
@@ -3793,13 +6514,19 @@ function handleUpdate(params) {
       
       // Update all UI components with the loaded data
       if (this.loadedTransactions) {
-        this.updateAllViews(this.loadedTransactions);
+        this.updateAllViews(this.getFilteredRows());
         UI.showToast(`✅ Successfully loaded ${this.loadedTransactions.length} transactions`, 'success');
       }
       
       // Check merchant grouping status and auto-navigate if needed
       this.checkMerchantGroupingStatus();
       
+      // Let the user know about likely duplicates without interrupting
+      const duplicateGroups = this.findDuplicateGroups();
+      if (duplicateGroups.length > 0) {
+        UI.showToast(`⚠️ ${duplicateGroups.length} possible duplicate transactions found - review them from the Transactions view`, 'warning', 6000);
+      }
+      
       // Show main app
       this.showView('dashboard');
       
@@ -3808,14 +6535,216 @@ function handleUpdate(params) {
     }
   }
 
-  // REBUILT: Simple transaction search functionality
+  // Transaction search, e.g. `category:Dining amount>50 account:"Visa" after:2026-03-01 -merchant:starbucks`
   searchTransactions(searchTerm) {
-    this.transactionSearchTerm = searchTerm.trim().toLowerCase();
+    this.transactionSearchTerm = searchTerm.trim();
+    this.updateSearchSuggestions(searchTerm);
     if (this.currentView === 'transactions') {
       this.renderTransactionsView();
     }
   }
 
+  // Query record for a processed transaction, read from the same columns the tables show
+  toQueryRecord(transaction) {
+    const [account, amount, merchant, description, date, , notes, category, rowIndex] = transaction;
+    const row = this.rowsData[rowIndex] || [];
+    
+    return {
+      account,
+      amount,
+      merchant: [merchant, this.getColumnValue(row, 'merchantGroup')].filter(Boolean),
+      category,
+      group: this.getColumnValue(row, 'categoryGroup') || this.categoryManager.findCategoryGroup(category) || '',
+      description,
+      notes,
+      tags: (this.getColumnValue(row, 'tags') || '').toString().split(',').map(tag => tag.trim()).filter(Boolean),
+      date
+    };
+  }
+
+  // Autocomplete the word being typed with field names or values from the loaded data
+  updateSearchSuggestions(searchTerm) {
+    const datalist = document.getElementById('transaction-search-suggestions');
+    if (!datalist) return;
+    
+    const values = {};
+    this.processTransactions().forEach(transaction => {
+      Object.entries(this.toQueryRecord(transaction)).forEach(([field, value]) => {
+        if (typeof value === 'number') return;
+        values[field] = values[field] || new Set();
+        [].concat(value).forEach(item => item && values[field].add(item));
+      });
+    });
+    
+    datalist.innerHTML = TransactionQuery.getSuggestions(searchTerm, values)
+      .map(suggestion => `<option value="${suggestion.replace(/"/g, '&quot;')}"></option>`)
+      .join('');
+  }
+
+  // Saved searches, listed in the transactions view
+  renderSavedSearches() {
+    const select = document.getElementById('saved-searches');
+    if (!select) return;
+    
+    const searches = Storage.getSavedSearches();
+    const current = searches.find(search => search.query === this.transactionSearchTerm);
+    select.innerHTML = `
+      <option value="">Saved searches…</option>
+      ${searches.map(search => `
+        <option value="${search.name}" ${current?.name === search.name ? 'selected' : ''}>${search.name}</option>
+      `).join('')}
+    `;
+  }
+
+  // Every tag on the loaded transactions
+  getAllTags() {
+    return Tags.collect(this.rowsData.slice(1).map(row => this.getColumnValue(row, 'tags')));
+  }
+
+  matchesTagFilter(transaction) {
+    return !this.transactionTagFilter ||
+      Tags.has(this.getColumnValue(this.rowsData[transaction[8]] || [], 'tags'), this.transactionTagFilter);
+  }
+
+  // Tags as chips; clicking one filters the table to it
+  renderTagChips(value) {
+    return Tags.parse(value).map(tag => `
+      <span class="tag-chip" title="Show only this tag" onclick="event.stopPropagation(); window.budgetApp?.filterByTag(${tagArgument(tag)})">${tag}</span>
+    `).join('');
+  }
+
+  renderTagFilter() {
+    const select = document.getElementById('transaction-tag-filter');
+    if (!select) return;
+    
+    const tags = this.getAllTags();
+    if (this.transactionTagFilter && !tags.some(tag => tag.toLowerCase() === this.transactionTagFilter.toLowerCase())) {
+      tags.unshift(this.transactionTagFilter);
+    }
+    select.innerHTML = `
+      <option value="">All tags</option>
+      ${tags.map(tag => `
+        <option value="${tag}" ${tag.toLowerCase() === this.transactionTagFilter.toLowerCase() ? 'selected' : ''}>🏷️ ${tag}</option>
+      `).join('')}
+    `;
+  }
+
+  filterByTag(tag) {
+    UI.removeModal(document.getElementById('tag-report-modal'));
+    this.transactionTagFilter = tag || '';
+    if (this.currentView !== 'transactions') {
+      this.switchView('transactions');
+    } else {
+      this.renderTransactionsView();
+    }
+  }
+
+  // Spending per tag across every loaded transaction, with the categories and months of one tag
+  showTagReport(selectedTag = '') {
+    const report = Tags.report(this.countedTransactions(this.processTransactions()), {
+      tagsOf: (transaction) => this.getColumnValue(this.rowsData[transaction[8]] || [], 'tags'),
+      periodOf: (transaction) => {
+        const date = DateParser.toDate(transaction[4]);
+        return date ? this.periodCalendar.getPeriod('month', date) : null;
+      },
+      incomeCategories: this.categoryManager.getIncomeCategories()
+    });
+    
+    if (report.length === 0) {
+      UI.showToast('No tagged transactions yet - add tags in the Tags column', 'info');
+      return;
+    }
+    
+    const entry = report.find(item => item.tag.toLowerCase() === selectedTag.toLowerCase()) || report[0];
+    const byCategory = Object.entries(entry.byCategory).sort((a, b) => b[1] - a[1]);
+    
+    const content = `
+      <div style="max-height: 60vh; overflow-y: auto;">
+        <table style="width: 100%; font-size: 0.875rem;">
+          <thead><tr><th>Tag</th><th style="text-align: right;">Transactions</th><th style="text-align: right;">Spending</th></tr></thead>
+          <tbody>
+            ${report.map(item => `
+              <tr class="${item === entry ? 'selected-row' : ''}" style="cursor: pointer;"
+                  onclick="window.budgetApp?.showTagReport(${tagArgument(item.tag)})">
+                <td><span class="tag-chip">${item.tag}</span></td>
+                <td style="text-align: right;">${item.count}</td>
+                <td style="text-align: right;">${Formatters.currency(item.spending)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        
+        <h4 style="margin: 1rem 0 0.5rem;">🏷️ ${entry.tag}</h4>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+          <table style="width: 100%; font-size: 0.875rem;">
+            <thead><tr><th>Category</th><th style="text-align: right;">Spending</th></tr></thead>
+            <tbody>
+              ${byCategory.map(([category, amount]) => `
+                <tr><td>${category}</td><td style="text-align: right;">${Formatters.currency(amount)}</td></tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <table style="width: 100%; font-size: 0.875rem;">
+            <thead><tr><th>Month</th><th style="text-align: right;">Spending</th></tr></thead>
+            <tbody>
+              ${entry.byPeriod.map(period => `
+                <tr><td>${period.label}</td><td style="text-align: right;">${Formatters.currency(period.amount)}</td></tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    `;
+    
+    UI.removeModal(document.getElementById('tag-report-modal'));
+    const modal = UI.createModal('🏷️ Tag Report', content, [
+      { text: 'Show Transactions', class: 'btn-primary', action: `window.budgetApp?.filterByTag(${tagArgument(entry.tag)})` },
+      { text: 'Close', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' }
+    ]);
+    modal.id = 'tag-report-modal';
+    modal.querySelector('.modal').style.maxWidth = '760px';
+  }
+
+  applySavedSearch(name) {
+    const search = Storage.getSavedSearches().find(saved => saved.name === name);
+    if (!search) return;
+    
+    const searchInput = document.getElementById('transaction-search');
+    if (searchInput) {
+      searchInput.value = search.query;
+    }
+    this.searchTransactions(search.query);
+  }
+
+  saveCurrentSearch() {
+    if (!this.transactionSearchTerm) {
+      UI.showToast('Type a search to save first', 'warning');
+      return;
+    }
+    
+    const name = Formatters.sanitizeInput(prompt('Name this search:', '') || '');
+    if (!name) return;
+    
+    // Saving under an existing name replaces that search
+    const searches = Storage.getSavedSearches().filter(search => search.name !== name);
+    searches.push({ name, query: this.transactionSearchTerm });
+    Storage.saveSavedSearches(searches);
+    this.renderSavedSearches();
+    UI.showToast(`Saved search "${name}"`, 'success');
+  }
+
+  deleteSavedSearch() {
+    const name = document.getElementById('saved-searches')?.value;
+    if (!name) {
+      UI.showToast('Pick a saved search to delete', 'warning');
+      return;
+    }
+    if (!confirm(`Delete the saved search "${name}"?`)) return;
+    
+    Storage.saveSavedSearches(Storage.getSavedSearches().filter(search => search.name !== name));
+    this.renderSavedSearches();
+  }
+
   clearTransactionSearch() {
     this.transactionSearchTerm = '';
     const searchInput = document.getElementById('transaction-search');
@@ -3827,6 +6756,406 @@ function handleUpdate(params) {
     }
   }
 
+  // Recurring series across all loaded transactions. Rows marked "No" in the recurring
+  // column are left out, so a false positive can be switched off from the sheet
+  findRecurringSeries() {
+    const transactions = this.processTransactions().filter(t => {
+      const flag = (this.getColumnValue(this.rowsData[t[8]], 'recurring') || '').toString().toLowerCase().trim();
+      return flag !== 'no' && flag !== 'false';
+    });
+    
+    return this.recurringDetector.findRecurring(transactions).map(series => ({
+      ...series,
+      rowIndices: series.indices.map(index => transactions[index][8])
+    }));
+  }
+
+  // Dashboard panel of active subscriptions: next charge, yearly cost and price changes
+  renderSubscriptionsPanel() {
+    const container = document.getElementById('subscriptions-panel');
+    if (!container) return;
+    
+    const subscriptions = this.rowsData.length > 1
+      ? this.findRecurringSeries().filter(series => series.active && series.amount < 0)
+      : [];
+    
+    if (subscriptions.length === 0) {
+      container.innerHTML = '<p style="color: var(--text-secondary); font-size: 0.875rem;">No recurring charges found yet</p>';
+      return;
+    }
+    
+    const totalAnnual = subscriptions.reduce((sum, series) => sum + series.annualCost, 0);
+    
+    container.innerHTML = `
+      <div class="stat-row" style="margin-bottom: 0.75rem;">
+        <span class="stat-label">${subscriptions.length} recurring charges</span>
+        <span class="stat-value">${Formatters.currency(totalAnnual)}/yr</span>
+      </div>
+      ${subscriptions.map(series => `
+        <div style="padding: 0.5rem 0; border-top: 1px solid var(--border-light);">
+          <div style="display: flex; justify-content: space-between; gap: 0.5rem;">
+            <span style="font-weight: 500; color: var(--text-primary);">${series.merchant}</span>
+            <span>${Formatters.currency(Math.abs(series.amount))}</span>
+          </div>
+          <div style="display: flex; justify-content: space-between; gap: 0.5rem; font-size: 0.75rem; color: var(--text-secondary);">
+            <span>${CADENCES[series.cadence].label} · next ${Formatters.date(`${series.nextDate}T00:00:00`)}</span>
+            <span>${Formatters.currency(series.annualCost)}/yr</span>
+          </div>
+          ${series.priceChange ? `
+            <div style="font-size: 0.75rem; color: var(--warning-color);">
+              ⚠️ Price ${series.priceChange.to > series.priceChange.from ? 'up' : 'down'}:
+              ${Formatters.currency(series.priceChange.from)} → ${Formatters.currency(series.priceChange.to)}
+            </div>
+          ` : ''}
+        </div>
+      `).join('')}
+    `;
+  }
+
+  // Write each transaction's cadence to the recurring column. Flags this detector wrote
+  // earlier are cleared when a series stops qualifying; anything else typed there is kept
+  async flagRecurringTransactions() {
+    if (this.rowsData.length <= 1) {
+      UI.showToast('Load transactions before flagging recurring charges', 'error');
+      return;
+    }
+    
+    try {
+      UI.showLoading('Flagging recurring transactions...');
+      const sheetId = Storage.getCredentials().sheetId;
+      if (sheetId) {
+        await this.ensureDataColumns(sheetId, { recurring: 'Recurring' });
+      }
+      
+      const flags = new Map();
+      this.findRecurringSeries().forEach(series => {
+        series.rowIndices.forEach(rowIndex => flags.set(rowIndex, CADENCES[series.cadence].label));
+      });
+      
+      const colIndex = this.columnIndices.recurring;
+      if (colIndex === undefined || colIndex === -1) {
+        UI.hideLoading();
+        UI.showToast('Connect a Google Sheet to store recurring flags', 'error');
+        return;
+      }
+      
+      const cadenceLabels = Object.values(CADENCES).map(cadence => cadence.label);
+      const cellUpdates = [];
+      
+      this.rowsData.forEach((row, rowIndex) => {
+        if (rowIndex === 0) return;
+        const current = (row[colIndex] ?? '').toString();
+        const flag = flags.get(rowIndex) ?? (cadenceLabels.includes(current) ? '' : current);
+        if (flag !== current) {
+          cellUpdates.push({ rowIndex, value: flag });
+        }
+      });
+      
+      await this.writeSheetCells(sheetId, cellUpdates.map(({ rowIndex, value }) => ({ rowIndex, colIndex, value })));
+      
+      cellUpdates.forEach(({ rowIndex, value }) => {
+        this.rowsData[rowIndex][colIndex] = value;
+      });
+      
+      UI.hideLoading();
+      UI.showToast(`✅ ${flags.size} transactions flagged as recurring (${cellUpdates.length} cells updated)`, 'success');
+    } catch (error) {
+      UI.hideLoading();
+      UI.handleError(error, 'Flagging recurring transactions');
+    }
+  }
+
+  // Transactions a rule matches, with the field changes it would make to each
+  previewRule(rule) {
+    return this.processTransactions()
+      .filter(t => RulesEngine.matches(rule, {
+        account: t[0], amount: t[1], merchant: t[2], description: t[3], date: t[4]
+      }))
+      .map(t => {
+        const row = this.rowsData[t[8]];
+        const current = {
+          category: this.getColumnValue(row, 'category') || '',
+          merchantGroup: this.getColumnValue(row, 'merchantGroup') || '',
+          tags: this.getColumnValue(row, 'tags') || '',
+          notes: this.getColumnValue(row, 'notes') || ''
+        };
+        return { transaction: t, changes: RulesEngine.getChanges(rule, current) };
+      });
+  }
+
+  // Apply a rule to every matching transaction in one batch update
+  async applyRule(rule) {
+    const changing = this.previewRule(rule).filter(match => Object.keys(match.changes).length > 0);
+    if (changing.length === 0) {
+      UI.showToast(`Rule "${rule.name}" doesn't change any transactions`, 'success');
+      return;
+    }
+    
+    try {
+      UI.showLoading(`Applying rule "${rule.name}"...`);
+      const sheetId = Storage.getCredentials().sheetId;
+      
+      // Tags and notes columns are only added once a rule needs them (locally for imported data)
+      const fields = new Set(changing.flatMap(match => Object.keys(match.changes)));
+      const missing = Object.fromEntries(Object.entries(RULE_ACTIONS).filter(([field]) => fields.has(field)));
+      await this.ensureDataColumns(sheetId, missing);
+      
+      const cellUpdates = changing.flatMap(({ transaction, changes }) =>
+        Object.entries(changes).map(([field, change]) => ({
+          rowIndex: transaction[8],
+          colIndex: this.columnIndices[field],
+          value: change.to
+        }))
+      ).filter(update => update.colIndex !== undefined && update.colIndex !== -1);
+      
+      await this.writeSheetCells(sheetId, cellUpdates);
+      
+      cellUpdates.forEach(({ rowIndex, colIndex, value }) => {
+        this.rowsData[rowIndex][colIndex] = value;
+      });
+      
+      this.loadedTransactions = this.processTransactions();
+      this.dataChanged = true;
+      this.updateCurrentView();
+      
+      const updated = new Set(cellUpdates.map(update => update.rowIndex)).size;
+      UI.hideLoading();
+      UI.showToast(`✅ Rule "${rule.name}" updated ${updated} transaction${updated === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+      UI.hideLoading();
+      UI.handleError(error, 'Applying rule');
+    }
+  }
+
+  // Find likely duplicate transactions. Groups carry sheet row indices, earliest first
+  findDuplicateGroups() {
+    const transactions = this.processTransactions();
+    
+    return this.duplicateDetector.findDuplicates(transactions).map(group => ({
+      ...group,
+      rowIndices: group.indices.map(index => transactions[index][8])
+    }));
+  }
+
+  // Open the transfer review: matched pairs can be undone, and lone transfer-like
+  // transactions (e.g. a card payment whose card isn't loaded) confirmed or dismissed
+  reviewTransfers() {
+    const transactions = this.getUnsplitTransactions();
+    const { pairs, marked, candidates } = this.transferMatcher.findTransfers(transactions);
+    
+    if (pairs.length + marked.length + candidates.length === 0) {
+      UI.showToast('No transfers between accounts found', 'success');
+      return;
+    }
+    
+    // Each review item is a list of transactions decided together
+    this.transferReviewItems = [
+      ...candidates.map(index => ({ section: 'candidates', transactions: [transactions[index]] })),
+      ...pairs.map(pair => ({ section: 'pairs', confident: pair.confident, transactions: pair.indices.map(index => transactions[index]) })),
+      ...marked.map(index => ({ section: 'marked', transactions: [transactions[index]] }))
+    ];
+    
+    const renderItem = (item, itemIndex) => `
+      <div id="transfer-item-${itemIndex}" style="border: 1px solid var(--border-color); border-radius: var(--radius-sm); padding: 0.75rem; margin-bottom: 0.5rem;">
+        <div style="display: flex; align-items: center; justify-content: space-between; gap: 0.5rem;">
+          <table style="width: 100%; font-size: 0.875rem;">
+            ${item.transactions.map(([account, amount, merchant, , date]) => `
+              <tr>
+                <td>${date}</td>
+                <td>${account}</td>
+                <td>${merchant}</td>
+                <td style="text-align: right;">${Formatters.currency(amount)}</td>
+              </tr>
+            `).join('')}
+          </table>
+          <div style="display: flex; gap: 0.5rem; white-space: nowrap;">
+            ${item.section === 'candidates' ? `
+              <button class="btn btn-primary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                      onclick="window.budgetApp?.resolveTransfer(${itemIndex}, 'transfer')">Transfer</button>
+            ` : ''}
+            <button class="btn btn-secondary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                    onclick="window.budgetApp?.resolveTransfer(${itemIndex}, 'notTransfer')">Not a Transfer</button>
+          </div>
+        </div>
+        ${item.section === 'pairs' && !item.confident ? '<div style="font-size: 0.75rem; color: var(--warning-color); margin-top: 0.25rem;">Matched on amount and date only</div>' : ''}
+      </div>
+    `;
+    const renderSection = (section, title, description) => {
+      const items = this.transferReviewItems
+        .map((item, itemIndex) => (item.section === section ? renderItem(item, itemIndex) : ''))
+        .join('');
+      return items ? `
+        <h4 style="margin: 1rem 0 0.25rem;">${title}</h4>
+        <p style="color: var(--text-secondary); font-size: 0.875rem; margin-bottom: 0.5rem;">${description}</p>
+        ${items}
+      ` : '';
+    };
+    
+    const content = `
+      <div style="max-height: 60vh; overflow-y: auto;">
+        ${renderSection('candidates', 'Needs Review', 'These look like transfers or card payments, but no matching amount was found in another account.')}
+        ${renderSection('pairs', 'Matched Transfers', `The same amount left one account and arrived in another within ${CONFIG.TRANSFERS.DATE_WINDOW_DAYS} days. Neither side counts as spending or income.`)}
+        ${renderSection('marked', 'Marked as Transfers', 'Confirmed in an earlier review.')}
+      </div>
+    `;
+    
+    const modal = UI.createModal('⇄ Review Transfers', content, [
+      { text: 'Close', class: 'btn-secondary', action: 'this.closest(".modal-overlay").remove()' }
+    ]);
+    modal.id = 'transfer-review-modal';
+    modal.querySelector('.modal').style.maxWidth = '760px';
+  }
+
+  resolveTransfer(itemIndex, decision) {
+    const item = this.transferReviewItems?.[itemIndex];
+    if (!item) return;
+    
+    // Undoing a confirmed transfer just forgets the decision, so it is offered for review again
+    this.transferMatcher.decide(item.transactions, item.section === 'marked' ? null : decision);
+    document.getElementById(`transfer-item-${itemIndex}`)?.remove();
+    
+    this.dataChanged = true;
+    this.updateAllViews(this.getFilteredRows());
+    if (this.currentView === 'transactions') {
+      this.renderTransactionsView();
+    }
+    UI.showToast(decision === 'transfer' ? 'Marked as a transfer' : 'Counted as spending or income again', 'success', 2000);
+  }
+
+  // Open the duplicate review dialog from the transactions view
+  reviewDuplicates() {
+    const groups = this.findDuplicateGroups();
+    if (groups.length === 0) {
+      UI.showToast('No duplicate transactions found', 'success');
+      return;
+    }
+    this.showDuplicateReviewDialog(groups);
+  }
+
+  // Show likely duplicates with keep/merge/delete actions per group
+  showDuplicateReviewDialog(groups) {
+    this.duplicateGroups = groups;
+    
+    const content = `
+      <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+        Found ${groups.length} groups of transactions with the same account, amount and merchant within
+        ${CONFIG.DUPLICATES.DATE_WINDOW_DAYS} days. The first row of each group is kept when merging or deleting.
+      </p>
+      <div style="max-height: 60vh; overflow-y: auto;">
+        ${groups.map((group, groupIndex) => `
+          <div id="duplicate-group-${groupIndex}" style="border: 1px solid var(--border-color); border-radius: var(--radius-sm); padding: 0.75rem; margin-bottom: 0.75rem;">
+            <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 0.5rem;">
+              <span style="font-size: 0.75rem; font-weight: 600; color: ${group.confidence === 'high' ? 'var(--error-color)' : 'var(--warning-color)'};">
+                ${group.confidence === 'high' ? 'Very likely duplicate' : 'Possible duplicate'}
+              </span>
+              <div style="display: flex; gap: 0.5rem;">
+                <button class="btn btn-secondary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                        onclick="window.budgetApp?.resolveDuplicateGroup(${groupIndex}, 'keep')">Keep All</button>
+                <button class="btn btn-secondary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                        onclick="window.budgetApp?.resolveDuplicateGroup(${groupIndex}, 'merge')">Merge</button>
+                <button class="btn btn-primary" style="font-size: 0.75rem; padding: 0.25rem 0.5rem;"
+                        onclick="window.budgetApp?.resolveDuplicateGroup(${groupIndex}, 'delete')">Delete Extras</button>
+              </div>
+            </div>
+            <table style="width: 100%; font-size: 0.875rem;">
+              ${group.rowIndices.map((rowIndex, position) => {
+                const row = this.rowsData[rowIndex];
+                return `
+                  <tr style="${position === 0 ? 'font-weight: 500;' : 'color: var(--text-secondary);'}">
+                    <td>${this.getColumnValue(row, 'date') || ''}</td>
+                    <td>${this.getColumnValue(row, 'account') || ''}</td>
+                    <td>${this.getColumnValue(row, 'merchant') || ''}</td>
+                    <td>${this.getColumnValue(row, 'notes') || ''}</td>
+                    <td style="text-align: right;">${Formatters.currency(this.getRowAmount(row))}</td>
+                  </tr>
+                `;
+              }).join('')}
+            </table>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    
+    const modal = UI.createModal('🔁 Review Duplicate Transactions', content, [
+      { text: 'Close', class: 'btn-secondary', action: 'window.budgetApp?.closeDuplicateReview()' }
+    ]);
+    modal.id = 'duplicate-review-modal';
+    modal.querySelector('.modal').style.maxWidth = '760px';
+  }
+
+  closeDuplicateReview() {
+    UI.removeModal(document.getElementById('duplicate-review-modal'));
+    this.duplicateGroups = null;
+  }
+
+  // Resolve one duplicate group: 'keep' remembers it, 'merge' fills gaps in the first row
+  // from the others before clearing them, 'delete' just clears the extra rows
+  async resolveDuplicateGroup(groupIndex, action) {
+    const group = this.duplicateGroups?.[groupIndex];
+    if (!group) return;
+    
+    if (action === 'keep') {
+      this.duplicateDetector.ignoreGroup(group.key);
+      this.removeDuplicateGroupElement(groupIndex);
+      UI.showToast('Marked as intentional repeat', 'success');
+      return;
+    }
+    
+    const [primaryIndex, ...extraIndices] = group.rowIndices;
+    const columnCount = this.rowsData[0].length;
+    const cellUpdates = []; // { rowIndex, colIndex, value }
+    
+    if (action === 'merge') {
+      const primary = this.rowsData[primaryIndex];
+      for (let col = 0; col < columnCount; col++) {
+        if (primary[col] !== undefined && primary[col] !== '') continue;
+        const donor = extraIndices.map(i => this.rowsData[i][col]).find(value => value !== undefined && value !== '');
+        if (donor !== undefined) {
+          cellUpdates.push({ rowIndex: primaryIndex, colIndex: col, value: donor });
+        }
+      }
+    }
+    
+    extraIndices.forEach(rowIndex => {
+      const row = this.rowsData[rowIndex];
+      for (let col = 0; col < columnCount; col++) {
+        if (row[col] !== undefined && row[col] !== '') {
+          cellUpdates.push({ rowIndex, colIndex: col, value: '' });
+        }
+      }
+    });
+    
+    try {
+      const sheetId = Storage.getCredentials().sheetId;
+      await this.writeSheetCells(sheetId, cellUpdates);
+      
+      // Only touch local data once the sheet accepted the write
+      cellUpdates.forEach(({ rowIndex, colIndex, value }) => {
+        this.rowsData[rowIndex][colIndex] = value;
+      });
+      
+      this.loadedTransactions = this.processTransactions();
+      this.updateAllViews(this.getFilteredRows());
+      if (this.currentView === 'transactions') {
+        this.renderTransactionsView();
+      }
+      
+      this.removeDuplicateGroupElement(groupIndex);
+      UI.showToast(`${action === 'merge' ? 'Merged' : 'Removed'} ${extraIndices.length} duplicate${extraIndices.length > 1 ? 's' : ''}`, 'success');
+    } catch (error) {
+      UI.handleError(error, 'Resolving duplicates');
+    }
+  }
+
+  removeDuplicateGroupElement(groupIndex) {
+    this.duplicateGroups[groupIndex] = null;
+    document.getElementById(`duplicate-group-${groupIndex}`)?.remove();
+    
+    if (this.duplicateGroups.every(group => !group)) {
+      this.closeDuplicateReview();
+    }
+  }
+
   // Accept all merchant changes and close dialog
   async acceptMerchantChanges() {
     const success = await this.commitCachedChanges();
@@ -3870,41 +7199,27 @@ function handleUpdate(params) {
       const modal = document.getElementById('smart-grouping-modal');
       if (!modal) return;
       
-      const proposedGroups = modal.querySelectorAll('.proposed-group');
+      const groups = (this.smartGrouping?.groups || []).filter(group => group.include && group.groupName?.trim());
       const updatePromises = [];
       
       const credentials = Storage.getCredentials();
       const sheetId = credentials.sheetId;
-      const merchantGroupColLetter = this.sheetsAPI.numberToLetter(this.columnIndices.merchantGroup + 1);
       
-      // Process each proposed group
-      proposedGroups.forEach((groupElement, index) => {
-        const checkbox = groupElement.querySelector(`#group-${index}`);
-        const groupNameInput = groupElement.querySelector(`#group-name-${index}`);
+      // Process each accepted group, as split, merged and renamed in the dialog
+      groups.forEach(group => {
+        const groupName = group.groupName.trim();
+        const merchantNames = new Set(group.merchants.map(merchant => merchant.name));
         
-        if (checkbox?.checked && groupNameInput?.value?.trim()) {
-          const groupName = groupNameInput.value.trim();
+        // Find all rows with these merchants and update their merchant group
+        for (let i = 1; i < this.rowsData.length; i++) {
+          const row = this.rowsData[i];
+          const rowMerchant = this.getColumnValue(row, 'merchant');
           
-          // Get merchants from this group
-          const merchantElements = groupElement.querySelectorAll('[style*="background: #fcd34d"]');
-          merchantElements.forEach(merchantElement => {
-            const merchantName = merchantElement.querySelector('span').textContent.trim();
-            
-            // Find all rows with this merchant and update their merchant group
-            for (let i = 1; i < this.rowsData.length; i++) {
-              const row = this.rowsData[i];
-              const rowMerchant = row[this.columnIndices.merchant] || row[2];
-              
-              if (rowMerchant === merchantName) {
-                const rowNumber = i + 1;
-                const range = `${merchantGroupColLetter}${rowNumber}`;
-                
-                updatePromises.push(
-                  this.sheetsAPI.updateCell(sheetId, range, groupName)
-                );
-              }
-            }
-          });
+          if (merchantNames.has(rowMerchant)) {
+            updatePromises.push(
+              this.updateSheetCell(sheetId, i, this.columnIndices.merchantGroup, groupName)
+            );
+          }
         }
       });
       
@@ -3917,7 +7232,7 @@ function handleUpdate(params) {
       await Promise.all(updatePromises);
       
       UI.hideLoading();
-      UI.showToast(`Successfully created ${updatePromises.length > 0 ? 'merchant groups' : 'no groups'}!`, 'success');
+      UI.showToast(`Successfully created ${groups.length} merchant group${groups.length === 1 ? '' : 's'}!`, 'success');
       
       // Close modal and reload data
       modal.remove();
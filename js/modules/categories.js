@@ -3,6 +3,8 @@ import { CONFIG } from '../../config/settings.js';
 import { Storage } from '../utils/storage.js';
 import { UI } from '../utils/ui.js';
 import { Formatters } from '../utils/formatters.js';
+import { RulesEngine } from '../services/rules-engine.js';
+import { CashFlow } from '../services/cash-flow.js';
 
 export class CategoryManager {
   constructor(sheetsAPI) {
@@ -10,6 +12,7 @@ export class CategoryManager {
     this.categories = Storage.getCategories();
     this.categoryGroups = Storage.getCategoryGroups();
     this.merchantGroups = Storage.getMerchantGroups();
+    this.rulesEngine = new RulesEngine();
   }
 
   // Load category data from storage
@@ -64,6 +67,11 @@ export class CategoryManager {
     return false;
   }
 
+  // Categories whose inflows are income rather than refunds
+  getIncomeCategories() {
+    return [...new Set([CONFIG.INCOME_GROUP, ...(this.categoryGroups[CONFIG.INCOME_GROUP] || [])])];
+  }
+
   // Find category group
   findCategoryGroup(categoryName) {
     for (const [groupName, categories] of Object.entries(this.categoryGroups)) {
@@ -74,8 +82,9 @@ export class CategoryManager {
     return null;
   }
 
-  // Auto-categorize merchant
-  autoCategorize(merchantName) {
+  // Auto-categorize merchant. Pass the rest of the transaction so amount, account,
+  // weekday and description rules can match too
+  autoCategorize(merchantName, transaction = {}) {
     if (!merchantName) return 'Uncategorized';
 
     const lowerMerchant = merchantName.toLowerCase();
@@ -87,14 +96,9 @@ export class CategoryManager {
       }
     }
 
-    // Check predefined patterns
-    for (const [category, patterns] of Object.entries(CONFIG.MERCHANT_PATTERNS)) {
-      if (patterns.some(pattern => lowerMerchant.includes(pattern))) {
-        return category;
-      }
-    }
-
-    return 'Uncategorized';
+    // Then the auto-categorization rules
+    const { actions } = this.rulesEngine.evaluate({ ...transaction, merchant: merchantName });
+    return actions.category || 'Uncategorized';
   }
 
   // Update category for transaction
@@ -121,13 +125,15 @@ export class CategoryManager {
     if (!container) return;
 
     // Get spending data for categories
+    // Net of refunds; income isn't spending
     const categorySpending = {};
+    const incomeCategories = this.getIncomeCategories();
     transactions.forEach(transaction => {
       const category = transaction[7] || 'Uncategorized';
       if (!categorySpending[category]) {
         categorySpending[category] = 0;
       }
-      categorySpending[category] += Math.abs(transaction[1]);
+      categorySpending[category] += CashFlow.spendingAmount(transaction, incomeCategories);
     });
 
     // Organize categories by group
@@ -167,7 +173,7 @@ export class CategoryManager {
             <h3 style="margin: 0; color: var(--text-primary);">${groupName}</h3>
             <div style="display: flex; gap: 1rem; align-items: center;">
               <span style="color: var(--text-secondary); font-size: 0.875rem;">
-                Total Spent: $${groupTotal.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                Total Spent: ${Formatters.currency(groupTotal)}
               </span>
               <span style="color: var(--text-secondary); font-size: 0.875rem;">
                 ${categories.length} categories
@@ -186,7 +192,7 @@ export class CategoryManager {
                   
                   <div style="text-align: right;">
                     <div style="font-weight: 600; color: var(--text-primary);">
-                      $${category.spending.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      ${Formatters.currency(category.spending)}
                     </div>
                     <div style="font-size: 0.75rem; color: var(--text-secondary);">Total spent</div>
                   </div>
@@ -233,16 +239,11 @@ export class CategoryManager {
     const container = document.getElementById('category-summary-cards');
     if (!container) return;
 
-    const categoryTotals = {};
-    const totalSpending = transactions.reduce((sum, t) => sum + Math.abs(t[1]), 0);
-
-    transactions.forEach(transaction => {
-      const category = transaction[7] || 'Uncategorized';
-      categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction[1]);
-    });
+    const { byCategory, spending: totalSpending } = CashFlow.summarize(transactions, this.getIncomeCategories());
 
     // Sort by amount and take top categories
-    const sortedCategories = Object.entries(categoryTotals)
+    const sortedCategories = Object.entries(byCategory)
+      .filter(([, amount]) => amount > 0)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 6);
 
@@ -258,17 +259,17 @@ export class CategoryManager {
     }).join('');
   }
 
-  // Smart categorization suggestions
-  getSuggestions(merchantName, amount) {
-    const autoCategory = this.autoCategorize(merchantName);
-    const suggestions = [autoCategory];
+  // Smart categorization suggestions - the best guess first, then every other
+  // category a matching rule would set, in priority order
+  getSuggestions(merchantName, amount, transaction = {}) {
+    const details = { ...transaction, merchant: merchantName, amount };
+    const suggestions = [this.autoCategorize(merchantName, details)];
 
-    // Add contextual suggestions based on amount
-    if (amount > 100) {
-      suggestions.push('Travel', 'Shopping');
-    } else if (amount < 20) {
-      suggestions.push('Dining', 'Transportation');
-    }
+    this.rulesEngine.getRules().forEach(rule => {
+      if (rule.enabled !== false && rule.actions?.category && RulesEngine.matches(rule, details)) {
+        suggestions.push(rule.actions.category);
+      }
+    });
 
     // Remove duplicates and invalid categories
     return [...new Set(suggestions)].filter(cat => this.categories.includes(cat));
@@ -323,7 +324,7 @@ export class CategoryManager {
     
     // Re-render with current transaction data
     if (window.budgetApp) {
-      const transactions = window.budgetApp.getFilteredRows();
+      const transactions = window.budgetApp.getCountedRows();
       this.renderCategories(null, transactions);
     }
   }
@@ -352,7 +353,7 @@ export class CategoryManager {
       
       // Re-render
       if (window.budgetApp) {
-        const transactions = window.budgetApp.getFilteredRows();
+        const transactions = window.budgetApp.getCountedRows();
         this.renderCategories(null, transactions);
       }
     }
@@ -381,7 +382,7 @@ export class CategoryManager {
       
       // Re-render
       if (window.budgetApp) {
-        const transactions = window.budgetApp.getFilteredRows();
+        const transactions = window.budgetApp.getCountedRows();
         this.renderCategories(null, transactions);
       }
     }
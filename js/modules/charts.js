@@ -1,5 +1,7 @@
 // Chart visualization using Plotly.js
 import { Formatters } from '../utils/formatters.js';
+import { DateParser } from '../utils/date-parser.js';
+import { CashFlow } from '../services/cash-flow.js';
 
 export class ChartManager {
   constructor() {
@@ -16,31 +18,39 @@ export class ChartManager {
       displayModeBar: false,
       staticPlot: false
     };
+
+    // Set by updateAllCharts; inflows in these categories are income, other inflows are refunds
+    this.incomeCategories = [];
+    // First day of the week for weekly bars (0 = Sunday), from the regional settings
+    this.weekStart = 0;
+  }
+
+  // Spending from one transaction: refunds count against it and income isn't spending
+  spendingOf(transaction) {
+    return CashFlow.spendingAmount(transaction, this.incomeCategories);
   }
 
-  // Draw main account/spending chart based on timeframe
-  drawSpendingChart(transactions, containerId = 'chart') {
+  // Draw main account/spending chart for the selected { type, start, end } range
+  drawSpendingChart(transactions, containerId = 'chart', range = null) {
     // Handle empty data
     if (!transactions || transactions.length === 0) {
       this.renderEmptyChart(containerId);
       return;
     }
 
-    const currentPeriod = this.getCurrentPeriod();
     let chartData, chartTitle;
 
-    switch (currentPeriod) {
-      case 'year':
-        chartData = this.groupByMonth(transactions);
+    switch (this.getGrouping(range)) {
+      case 'month':
+        chartData = this.groupByMonth(transactions, range);
         chartTitle = 'Spending by Month';
         break;
-      case 'month':
+      case 'week':
         chartData = this.groupByWeek(transactions);
         chartTitle = 'Spending by Week';
         break;
-      case 'week':
-      case 'payweek':
-        chartData = this.groupByDay(transactions);
+      case 'day':
+        chartData = this.groupByDay(transactions, range);
         chartTitle = 'Spending by Day';
         break;
       default:
@@ -49,18 +59,51 @@ export class ChartManager {
     }
 
     this.renderBarChart(containerId, chartData, chartTitle);
-    this.updateChartTitle(chartTitle);
+    // Only the dashboard chart has a title outside the plot
+    if (containerId === 'chart') {
+      this.updateChartTitle(chartTitle);
+    }
+  }
+
+  // Bar size for a range: days for weeks and payweeks, weeks for months, months for longer
+  // periods. Custom ranges pick by length
+  getGrouping(range) {
+    if (!range) return 'account';
+
+    switch (range.type) {
+      case 'quarter':
+      case 'year':
+      case 'fiscalYear':
+        return 'month';
+      case 'month':
+        return 'week';
+      case 'week':
+      case 'payweek':
+        return 'day';
+      default: {
+        const days = Math.round((range.end - range.start) / (1000 * 60 * 60 * 24)) + 1;
+        if (days > 92) return 'month';
+        return days > 31 ? 'week' : 'day';
+      }
+    }
   }
 
-  // Group transactions by month
-  groupByMonth(transactions) {
+  // Group transactions by month. With a { start, end } range every month of it gets a bar
+  groupByMonth(transactions, range = null) {
     const monthlyTotals = {};
     
+    if (range) {
+      for (let month = new Date(range.start.getFullYear(), range.start.getMonth(), 1); month <= range.end;
+        month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+        monthlyTotals[Formatters.date(month, 'monthYear')] = 0;
+      }
+    }
+    
     transactions.forEach(transaction => {
-      if (transaction[4]) { // Check if date exists
-        const date = new Date(transaction[4]);
+      const date = DateParser.toDate(transaction[4]);
+      if (date) {
         const monthKey = Formatters.date(date, 'monthYear');
-        monthlyTotals[monthKey] = (monthlyTotals[monthKey] || 0) + Math.abs(transaction[1]);
+        monthlyTotals[monthKey] = (monthlyTotals[monthKey] || 0) + this.spendingOf(transaction);
       }
     });
 
@@ -75,11 +118,11 @@ export class ChartManager {
     const weeklyTotals = {};
     
     transactions.forEach(transaction => {
-      if (transaction[4]) {
-        const date = new Date(transaction[4]);
-        const weekStart = new Date(date.setDate(date.getDate() - date.getDay()));
+      const date = DateParser.toDate(transaction[4]);
+      if (date) {
+        const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() - this.weekStart + 7) % 7));
         const weekKey = Formatters.date(weekStart, 'dayMonth');
-        weeklyTotals[weekKey] = (weeklyTotals[weekKey] || 0) + Math.abs(transaction[1]);
+        weeklyTotals[weekKey] = (weeklyTotals[weekKey] || 0) + this.spendingOf(transaction);
       }
     });
 
@@ -89,15 +132,22 @@ export class ChartManager {
     };
   }
 
-  // Group transactions by day
-  groupByDay(transactions) {
+  // Group transactions by day. With a { start, end } range every day of it gets a bar,
+  // in order, including days without spending
+  groupByDay(transactions, range = null) {
     const dailyTotals = {};
     
+    if (range) {
+      for (let day = new Date(range.start); day <= range.end; day.setDate(day.getDate() + 1)) {
+        dailyTotals[Formatters.date(day, 'weekday')] = 0;
+      }
+    }
+    
     transactions.forEach(transaction => {
-      if (transaction[4]) {
-        const date = new Date(transaction[4]);
+      const date = DateParser.toDate(transaction[4]);
+      if (date) {
         const dayKey = Formatters.date(date, 'weekday');
-        dailyTotals[dayKey] = (dailyTotals[dayKey] || 0) + Math.abs(transaction[1]);
+        dailyTotals[dayKey] = (dailyTotals[dayKey] || 0) + this.spendingOf(transaction);
       }
     });
 
@@ -113,7 +163,7 @@ export class ChartManager {
     
     transactions.forEach(transaction => {
       const account = transaction[0] || 'Uncategorized';
-      accountTotals[account] = (accountTotals[account] || 0) + Math.abs(transaction[1]);
+      accountTotals[account] = (accountTotals[account] || 0) + this.spendingOf(transaction);
     });
 
     return {
@@ -138,7 +188,7 @@ export class ChartManager {
       ...this.defaultLayout,
       title: title,
       xaxis: { title: '' },
-      yaxis: { title: 'Amount ($)' }
+      yaxis: { title: `Amount (${Formatters.baseCurrency})` }
     };
 
     Plotly.newPlot(containerId, chartData, layout, this.defaultConfig);
@@ -150,14 +200,11 @@ export class ChartManager {
       return; // Skip rendering if no data
     }
 
-    const categoryTotals = {};
-    
-    transactions.forEach(transaction => {
-      const category = transaction[7] || 'Uncategorized';
-      categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction[1]);
-    });
+    // Net spending per category - a pie can't show refunds larger than the spending
+    const { byCategory } = CashFlow.summarize(transactions, this.incomeCategories);
 
-    const sortedData = Object.entries(categoryTotals)
+    const sortedData = Object.entries(byCategory)
+      .filter(([, amount]) => amount > 0)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 8); // Top 8 categories
 
@@ -167,7 +214,8 @@ export class ChartManager {
       type: 'pie',
       textinfo: 'label+percent',
       textposition: 'auto',
-      hovertemplate: '%{label}<br>%{value:$,.2f}<br>%{percent}<extra></extra>',
+      customdata: sortedData.map(([, amount]) => Formatters.currency(amount)),
+      hovertemplate: '%{label}<br>%{customdata}<br>%{percent}<extra></extra>',
       marker: {
         colors: [
           '#6366f1', '#8b5cf6', '#ec4899', '#ef4444',
@@ -195,10 +243,9 @@ export class ChartManager {
     const dailyTotals = {};
     
     transactions.forEach(transaction => {
-      if (transaction[4]) {
-        const date = new Date(transaction[4]);
-        const dateKey = date.toISOString().split('T')[0];
-        dailyTotals[dateKey] = (dailyTotals[dateKey] || 0) + Math.abs(transaction[1]);
+      const dateKey = DateParser.parse(transaction[4]);
+      if (dateKey) {
+        dailyTotals[dateKey] = (dailyTotals[dateKey] || 0) + this.spendingOf(transaction);
       }
     });
 
@@ -212,25 +259,20 @@ export class ChartManager {
       mode: 'lines+markers',
       line: { color: '#6366f1', width: 2 },
       marker: { color: '#6366f1', size: 6 },
-      hovertemplate: '%{x}<br>%{y:$,.2f}<extra></extra>'
+      customdata: values.map(value => Formatters.currency(value)),
+      hovertemplate: '%{x}<br>%{customdata}<extra></extra>'
     }];
 
     const layout = {
       ...this.defaultLayout,
       title: 'Spending Trend',
       xaxis: { title: 'Date', type: 'date' },
-      yaxis: { title: 'Amount ($)' }
+      yaxis: { title: `Amount (${Formatters.baseCurrency})` }
     };
 
     Plotly.newPlot(containerId, chartData, layout, this.defaultConfig);
   }
 
-  // Get current period from UI
-  getCurrentPeriod() {
-    const activeBtn = document.querySelector('.period-btn.active');
-    return activeBtn ? activeBtn.getAttribute('data-period') : 'month';
-  }
-
   // Update chart title in UI
   updateChartTitle(title) {
     const titleElement = document.querySelector('#dashboard-view .chart-title');
@@ -254,9 +296,88 @@ export class ChartManager {
     }
   }
 
+  // Income sources flowing through category groups to savings, from a CashFlow summary
+  renderCashFlowChart(summary, groupOf, containerId = 'cash-flow-chart') {
+    const element = document.getElementById(containerId);
+    if (!element) return;
+
+    const { labels, links } = CashFlow.buildSankey(summary, groupOf);
+    if (links.length === 0) {
+      element.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: center; height: 300px; color: var(--text-secondary);">
+          No income or spending in this period
+        </div>
+      `;
+      return;
+    }
+
+    const chartData = [{
+      type: 'sankey',
+      orientation: 'h',
+      valueformat: ',.2f',
+      valuesuffix: ` ${Formatters.baseCurrency}`,
+      node: {
+        label: labels,
+        pad: 15,
+        thickness: 18,
+        color: labels.map(label => (label === 'Income' || label === 'Savings' ? '#10b981' : label === 'From savings' ? '#ef4444' : '#6366f1'))
+      },
+      link: {
+        source: links.map(link => link.source),
+        target: links.map(link => link.target),
+        value: links.map(link => link.value),
+        color: 'rgba(99, 102, 241, 0.25)'
+      }
+    }];
+
+    const layout = {
+      ...this.defaultLayout,
+      margin: { t: 20, l: 20, r: 20, b: 20 }
+    };
+
+    Plotly.newPlot(containerId, chartData, layout, this.defaultConfig);
+  }
+
+  // Net worth over time from AccountLedger.netWorthSeries, with assets and liabilities behind it
+  renderNetWorthChart(series, containerId = 'net-worth-chart') {
+    if (!document.getElementById(containerId)) return;
+    if (series.length === 0) {
+      this.renderEmptyChart(containerId);
+      return;
+    }
+
+    const dates = series.map(point => point.date);
+    const line = (name, key, color, dash = 'solid') => ({
+      x: dates,
+      y: series.map(point => point[key]),
+      name,
+      type: 'scatter',
+      mode: 'lines',
+      line: { color, width: key === 'netWorth' ? 3 : 1.5, dash },
+      customdata: series.map(point => Formatters.currency(point[key])),
+      hovertemplate: `${name}<br>%{x}<br>%{customdata}<extra></extra>`
+    });
+
+    const layout = {
+      ...this.defaultLayout,
+      margin: { t: 20, l: 70, r: 20, b: 40 },
+      showlegend: true,
+      legend: { orientation: 'h', y: -0.15 },
+      xaxis: { type: 'date' },
+      yaxis: { title: `Amount (${Formatters.baseCurrency})` }
+    };
+
+    Plotly.newPlot(containerId, [
+      line('Net Worth', 'netWorth', '#6366f1'),
+      line('Assets', 'assets', '#10b981', 'dot'),
+      line('Liabilities', 'liabilities', '#ef4444', 'dot')
+    ], layout, this.defaultConfig);
+  }
+
   // Update all charts
-  updateAllCharts(transactions) {
-    this.drawSpendingChart(transactions);
+  updateAllCharts(transactions, range = null, incomeCategories = this.incomeCategories) {
+    this.incomeCategories = incomeCategories;
+    this.drawSpendingChart(transactions, 'chart', range);
     // Only render category chart if the element exists
     if (document.getElementById('category-chart')) {
       this.renderCategoryPieChart(transactions);
@@ -267,9 +388,42 @@ export class ChartManager {
     }
   }
 
+  // Spending, category, trend and cash flow charts for a statement as PNG data URLs:
+  // [{ title, src }]. They are drawn off screen from the given transactions and CashFlow summary
+  async renderStatementCharts(transactions, summary, groupOf, range) {
+    if (typeof Plotly === 'undefined' || transactions.length === 0) return [];
+
+    const container = document.createElement('div');
+    container.style.cssText = 'position: absolute; left: -10000px; top: 0; width: 900px;';
+    const charts = [
+      { id: 'statement-spending-chart', title: 'Spending Over Time', draw: (id) => this.drawSpendingChart(transactions, id, range) },
+      { id: 'statement-category-chart', title: 'Spending by Category', draw: (id) => this.renderCategoryPieChart(transactions, id) },
+      { id: 'statement-trend-chart', title: 'Spending Trend', draw: (id) => this.renderTrendChart(transactions, id) },
+      { id: 'statement-cash-flow-chart', title: 'Cash Flow', draw: (id) => this.renderCashFlowChart(summary, groupOf, id) }
+    ];
+    container.innerHTML = charts.map(chart => `<div id="${chart.id}" style="height: 420px;"></div>`).join('');
+    document.body.appendChild(container);
+
+    try {
+      const images = [];
+      for (const chart of charts) {
+        chart.draw(chart.id);
+        const element = document.getElementById(chart.id);
+        if (!element.data) continue; // Nothing to draw, e.g. no income for the cash flow chart
+
+        const src = await Plotly.toImage(element, { format: 'png', width: 900, height: 420 });
+        images.push({ title: chart.title, src });
+      }
+      return images;
+    } finally {
+      charts.forEach(chart => Plotly.purge(chart.id));
+      container.remove();
+    }
+  }
+
   // Resize charts (useful for responsive design)
   resizeCharts() {
-    const chartContainers = ['chart', 'category-chart', 'trend-chart'];
+    const chartContainers = ['chart', 'category-chart', 'trend-chart', 'cash-flow-chart', 'net-worth-chart'];
     chartContainers.forEach(id => {
       const element = document.getElementById(id);
       if (element && element.data) {
@@ -0,0 +1,112 @@
+// Column mapping wizard - lets the user assign sheet columns to transaction fields
+import { CONFIG } from '../../config/settings.js';
+import { UI } from '../utils/ui.js';
+import { ColumnMapper, COLUMN_FIELDS } from '../services/column-mapper.js';
+
+export class ColumnMappingWizard {
+  constructor(sheetsAPI) {
+    this.sheetsAPI = sheetsAPI;
+    this.modal = null;
+    this.resolve = null;
+    this.mapping = null;
+  }
+
+  // Show the wizard and resolve with the confirmed mapping, or null when dismissed
+  prompt(headers, rows, mapping) {
+    this.close(null);
+    this.mapping = { ...mapping };
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.render(headers, rows);
+    });
+  }
+
+  render(headers, rows) {
+    const previewRows = rows.slice(0, CONFIG.UI.PREVIEW_ROWS);
+    const columnLabel = (index) => headers[index] || `Column ${this.columnLetter(index)}`;
+
+    const content = `
+      <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+        Tell BudgetTracker which column holds each field. The mapping is saved for this sheet
+        and can be changed later from the header.
+      </p>
+
+      <div class="table-container" style="max-height: 180px; overflow: auto; margin-bottom: 1rem;">
+        <table style="font-size: 0.75rem;">
+          <thead>
+            <tr>${headers.map((_, index) => `<th>${columnLabel(index)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${previewRows.map(row => `
+              <tr>${headers.map((_, index) => `<td>${row[index] ?? ''}</td>`).join('')}</tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+        ${Object.entries(COLUMN_FIELDS).map(([field, label]) => `
+          <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+            ${label}
+            <select data-column-field="${field}" class="input-standard" style="padding: 0.5rem;">
+              <option value="-1">— Not in this sheet —</option>
+              ${headers.map((_, index) => `
+                <option value="${index}" ${this.mapping[field] === index ? 'selected' : ''}>${this.columnLetter(index)}: ${columnLabel(index)}</option>
+              `).join('')}
+            </select>
+          </label>
+        `).join('')}
+      </div>
+      <div id="column-mapping-errors" style="color: var(--error-color); font-size: 0.875rem; margin-top: 0.75rem;"></div>
+    `;
+
+    this.modal = UI.createModal('🧭 Map Sheet Columns', content, [
+      { text: 'Use Detected Columns', class: 'btn-secondary', action: 'window.budgetApp?.columnMappingWizard?.dismiss()' },
+      { text: '💾 Save Mapping', class: 'btn-primary', action: 'window.budgetApp?.columnMappingWizard?.confirm()' }
+    ]);
+    this.modal.querySelector('.modal').style.maxWidth = '760px';
+
+    // Closing the dialog any other way counts as dismissing it
+    this.modal.querySelector('.modal-close').onclick = () => this.dismiss();
+    this.modal.onclick = (e) => {
+      if (e.target === this.modal) this.dismiss();
+    };
+  }
+
+  confirm() {
+    if (!this.modal) return;
+
+    const mapping = { ...this.mapping };
+    this.modal.querySelectorAll('[data-column-field]').forEach(select => {
+      mapping[select.dataset.columnField] = parseInt(select.value, 10);
+    });
+
+    const errors = ColumnMapper.validate(mapping);
+    if (errors.length > 0) {
+      this.modal.querySelector('#column-mapping-errors').textContent = errors.join('. ');
+      return;
+    }
+
+    this.close(mapping);
+  }
+
+  dismiss() {
+    this.close(null);
+  }
+
+  close(result) {
+    UI.removeModal(this.modal);
+    this.modal = null;
+
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(result);
+    }
+  }
+
+  columnLetter(index) {
+    return this.sheetsAPI.numberToLetter(index + 1);
+  }
+}
@@ -0,0 +1,268 @@
+// Statement import UI - drop zone, column mapping dialog and mapping profiles
+import { CONFIG } from '../../config/settings.js';
+import { Storage } from '../utils/storage.js';
+import { UI } from '../utils/ui.js';
+import { Formatters } from '../utils/formatters.js';
+import { DATE_FORMATS } from '../utils/date-parser.js';
+import { StatementImporter, IMPORT_FIELDS } from '../services/statement-importer.js';
+
+const FIELD_LABELS = {
+  date: 'Date',
+  amount: 'Amount',
+  debit: 'Debit (money out)',
+  credit: 'Credit (money in)',
+  merchant: 'Merchant',
+  description: 'Description',
+  account: 'Account',
+  id: 'Transaction ID',
+  notes: 'Notes',
+  currency: 'Currency'
+};
+
+export class ImportManager {
+  constructor(sheetsAPI) {
+    this.sheetsAPI = sheetsAPI;
+    this.importer = new StatementImporter();
+    this.queue = [];
+    this.current = null; // { file, parsed }
+  }
+
+  // Wire up drag & drop and the hidden file input
+  setupDropZone(zoneId = 'import-drop-zone', inputId = 'import-file-input') {
+    const zone = document.getElementById(zoneId);
+    const input = document.getElementById(inputId);
+
+    if (input) {
+      input.addEventListener('change', (e) => {
+        this.handleFiles(e.target.files);
+        e.target.value = ''; // Allow re-selecting the same file
+      });
+    }
+
+    if (!zone) return;
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+      zone.addEventListener(eventName, (e) => {
+        e.preventDefault();
+        zone.classList.add('dragover');
+      });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+      zone.addEventListener(eventName, (e) => {
+        e.preventDefault();
+        zone.classList.remove('dragover');
+      });
+    });
+
+    zone.addEventListener('drop', (e) => {
+      this.handleFiles(e.dataTransfer?.files);
+    });
+  }
+
+  // Open the native file picker
+  openFilePicker() {
+    document.getElementById('import-file-input')?.click();
+  }
+
+  // Queue dropped files - each one gets its own mapping dialog
+  async handleFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    this.queue.push(...files);
+
+    // The dialog may have been dismissed with the close button
+    if (this.current && !document.getElementById('import-mapping-modal')) {
+      this.current = null;
+    }
+
+    if (!this.current) {
+      await this.processNext();
+    }
+  }
+
+  async processNext() {
+    const file = this.queue.shift();
+    if (!file) {
+      this.current = null;
+      return;
+    }
+
+    try {
+      const parsed = await this.importer.parseFile(file);
+      this.current = { file, parsed };
+      this.showMappingDialog();
+    } catch (error) {
+      UI.handleError(error, `Importing ${file.name}`);
+      await this.processNext();
+    }
+  }
+
+  // Show column mapping dialog with a live preview
+  showMappingDialog() {
+    const { file, parsed } = this.current;
+    const { headers, rows, mapping, profile, format } = parsed;
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const canAppend = Boolean(Storage.getCredentials().sheetId) && (window.budgetApp?.rowsData?.length || 0) > 0;
+
+    const columnOptions = (selected) => `
+      <option value="-1">— Not mapped —</option>
+      ${headers.map((header, index) => `
+        <option value="${index}" ${selected === index ? 'selected' : ''}>${header || `Column ${index + 1}`}</option>
+      `).join('')}
+    `;
+
+    const content = `
+      <p style="color: var(--text-secondary); margin-bottom: 1rem;">
+        ${rows.length} rows detected (${format.toUpperCase()}).
+        ${profile ? `<strong style="color: var(--success-color);">Using saved profile "${profile.name}"</strong>` : 'Map each column to a transaction field.'}
+      </p>
+
+      <div id="import-mapping-fields" style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-bottom: 1rem;">
+        ${IMPORT_FIELDS.map(field => `
+          <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+            ${FIELD_LABELS[field]}
+            <select data-import-field="${field}" class="input-standard" style="padding: 0.5rem;"
+                    onchange="window.budgetApp?.importManager?.updatePreview()">
+              ${columnOptions(mapping[field])}
+            </select>
+          </label>
+        `).join('')}
+      </div>
+
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-bottom: 1rem;">
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          Account name (when no account column)
+          <input type="text" id="import-account-name" class="input-standard" style="padding: 0.5rem;"
+                 value="${mapping.accountName || baseName}" oninput="window.budgetApp?.importManager?.updatePreview()">
+        </label>
+        <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+          Date format
+          <select id="import-date-format" class="input-standard" style="padding: 0.5rem;"
+                  onchange="window.budgetApp?.importManager?.updatePreview()">
+            ${Object.entries(DATE_FORMATS).map(([f, name]) => `
+              <option value="${f}" ${(mapping.dateFormat || 'auto') === f ? 'selected' : ''}>${name}</option>
+            `).join('')}
+          </select>
+        </label>
+      </div>
+
+      <div style="display: flex; flex-direction: column; gap: 0.5rem; margin-bottom: 1rem; font-size: 0.875rem;">
+        <label><input type="checkbox" id="import-invert-amount" ${mapping.invertAmount ? 'checked' : ''}
+                      onchange="window.budgetApp?.importManager?.updatePreview()"> Bank exports charges as positive amounts (flip signs)</label>
+        <label style="display: flex; align-items: center; gap: 0.5rem;">
+          <input type="checkbox" id="import-save-profile" checked> Save mapping as profile
+          <input type="text" id="import-profile-name" value="${profile?.name || baseName}"
+                 style="flex: 1; padding: 0.25rem 0.5rem; border: 1px solid var(--border-color); border-radius: var(--radius-sm);">
+        </label>
+        ${canAppend ? `
+          <label><input type="checkbox" id="import-append-sheet" checked> Append imported rows to the connected sheet</label>
+        ` : ''}
+      </div>
+
+      <div style="font-weight: 500; color: var(--text-primary); margin-bottom: 0.5rem;">Preview</div>
+      <div id="import-preview" class="table-container" style="max-height: 200px; overflow-y: auto;"></div>
+    `;
+
+    const modal = UI.createModal(`📥 Import ${file.name}`, content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'window.budgetApp?.importManager?.cancelImport()' },
+      { text: '📥 Import Transactions', class: 'btn-primary', action: 'window.budgetApp?.importManager?.confirmImport()' }
+    ]);
+    modal.id = 'import-mapping-modal';
+    modal.querySelector('.modal').style.maxWidth = '760px';
+
+    this.updatePreview();
+  }
+
+  // Read the current mapping from the dialog controls
+  readMapping() {
+    const modal = document.getElementById('import-mapping-modal');
+    if (!modal) return null;
+
+    const mapping = {};
+    modal.querySelectorAll('[data-import-field]').forEach(select => {
+      mapping[select.dataset.importField] = parseInt(select.value, 10);
+    });
+
+    mapping.accountName = modal.querySelector('#import-account-name')?.value?.trim() || '';
+    mapping.dateFormat = modal.querySelector('#import-date-format')?.value || 'auto';
+    mapping.invertAmount = Boolean(modal.querySelector('#import-invert-amount')?.checked);
+
+    return mapping;
+  }
+
+  // Re-render the preview table from the current mapping
+  updatePreview() {
+    const preview = document.getElementById('import-preview');
+    const mapping = this.readMapping();
+    if (!preview || !mapping || !this.current) return;
+
+    const sampleRows = this.current.parsed.rows.slice(0, CONFIG.UI.PREVIEW_ROWS);
+    const records = StatementImporter.applyMapping(sampleRows, mapping);
+
+    if (records.length === 0) {
+      preview.innerHTML = `
+        <div style="padding: 1rem; text-align: center; color: var(--warning-color);">
+          No valid rows with this mapping - make sure Date and Amount (or Debit/Credit) are mapped.
+        </div>
+      `;
+      return;
+    }
+
+    preview.innerHTML = `
+      <table>
+        <thead><tr><th>Date</th><th>Account</th><th>Merchant</th><th>Amount</th></tr></thead>
+        <tbody>
+          ${records.map(record => `
+            <tr>
+              <td>${record.date}</td>
+              <td>${record.account}</td>
+              <td>${record.merchant}</td>
+              <td style="color: ${record.amount < 0 ? 'var(--error-color)' : 'var(--success-color)'};">${Formatters.currency(record.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // Apply the mapping to every row and hand the records to the app
+  async confirmImport() {
+    const modal = document.getElementById('import-mapping-modal');
+    const mapping = this.readMapping();
+    if (!modal || !mapping || !this.current) return;
+
+    const { parsed } = this.current;
+    const records = StatementImporter.applyMapping(parsed.rows, mapping);
+
+    if (records.length === 0) {
+      UI.showToast('No valid transactions with this mapping', 'error');
+      return;
+    }
+
+    if (modal.querySelector('#import-save-profile')?.checked) {
+      const profileName = Formatters.sanitizeInput(modal.querySelector('#import-profile-name')?.value || '');
+      if (profileName) {
+        this.importer.saveProfile(profileName, parsed.headers, mapping);
+      }
+    }
+
+    const appendToSheet = Boolean(modal.querySelector('#import-append-sheet')?.checked);
+    UI.removeModal(modal);
+
+    try {
+      await window.budgetApp?.loadImportedRecords(records, { appendToSheet });
+    } catch (error) {
+      UI.handleError(error, 'Import failed');
+    }
+
+    await this.processNext();
+  }
+
+  cancelImport() {
+    UI.removeModal(document.getElementById('import-mapping-modal'));
+    UI.showToast(`Skipped ${this.current?.file?.name || 'import'}`, 'info');
+    this.processNext();
+  }
+}
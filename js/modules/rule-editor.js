@@ -0,0 +1,252 @@
+// Rule editor - create, test and apply auto-categorization rules from the Categories view
+import { UI } from '../utils/ui.js';
+import { Formatters } from '../utils/formatters.js';
+import { RulesEngine, RULE_ACTIONS, WEEKDAYS } from '../services/rules-engine.js';
+
+const PREVIEW_LIMIT = 25;
+
+export class RuleEditor {
+  constructor(rulesEngine, categoryManager) {
+    this.rulesEngine = rulesEngine;
+    this.categoryManager = categoryManager;
+    this.modal = null;
+    this.editingId = null;
+  }
+
+  // Render the rule list into the Categories view
+  renderRules() {
+    const container = document.getElementById('rules-list');
+    if (!container) return;
+
+    const rules = this.rulesEngine.getRules();
+    if (rules.length === 0) {
+      container.innerHTML = '<p style="color: var(--text-secondary);">No rules yet. Add one to categorize transactions automatically.</p>';
+      return;
+    }
+
+    container.innerHTML = rules.map(rule => `
+      <div class="category-item" style="display: grid; grid-template-columns: auto 2fr 2fr auto; gap: 1rem; align-items: center; padding: 0.75rem 1rem; background: var(--card-bg); border: 1px solid var(--border-light); border-radius: var(--radius-sm); margin-bottom: 0.5rem; ${rule.enabled === false ? 'opacity: 0.5;' : ''}">
+        <input type="checkbox" ${rule.enabled === false ? '' : 'checked'} title="Enabled"
+               onchange="window.budgetApp?.ruleEditor?.toggleRule('${rule.id}', this.checked)">
+        <div>
+          <div style="font-weight: 500; color: var(--text-primary);">${rule.name}</div>
+          <div style="font-size: 0.75rem; color: var(--text-secondary);">Priority ${rule.priority || 0} · ${this.describeConditions(rule)}</div>
+        </div>
+        <div style="font-size: 0.875rem; color: var(--text-secondary);">${this.describeActions(rule)}</div>
+        <div style="display: flex; gap: 0.5rem;">
+          <button onclick="window.budgetApp?.ruleEditor?.open('${rule.id}')"
+                  style="padding: 0.25rem 0.5rem; border: 1px solid var(--border-color); background: var(--card-bg); border-radius: var(--radius-sm); cursor: pointer; font-size: 0.75rem;"
+                  title="Edit rule">✏️</button>
+          <button onclick="window.budgetApp?.ruleEditor?.deleteRule('${rule.id}')"
+                  style="padding: 0.25rem 0.5rem; border: 1px solid var(--error-color); background: var(--card-bg); color: var(--error-color); border-radius: var(--radius-sm); cursor: pointer; font-size: 0.75rem;"
+                  title="Delete rule">🗑️</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  describeConditions(rule) {
+    const { merchant, amountMin, amountMax, account, daysOfWeek, keywords } = rule.conditions || {};
+    const parts = [];
+
+    if (merchant) parts.push(`merchant ~ /${merchant}/`);
+    if (RulesEngine.isSet(amountMin) || RulesEngine.isSet(amountMax)) {
+      parts.push(`amount ${RulesEngine.isSet(amountMin) ? Formatters.currency(amountMin) : '…'}–${RulesEngine.isSet(amountMax) ? Formatters.currency(amountMax) : '…'}`);
+    }
+    if (account) parts.push(`account ${account}`);
+    if (daysOfWeek?.length > 0) parts.push(daysOfWeek.map(day => WEEKDAYS[day]).join('/'));
+    if (keywords) parts.push(`description has ${keywords}`);
+
+    return parts.join(', ') || 'no conditions';
+  }
+
+  describeActions(rule) {
+    return Object.entries(rule.actions || {})
+      .filter(([, value]) => value)
+      .map(([field, value]) => `${RULE_ACTIONS[field]} → ${value}`)
+      .join('<br>');
+  }
+
+  // Open the editor for an existing rule, or a blank one
+  open(ruleId = null) {
+    const rule = (ruleId && this.rulesEngine.getRule(ruleId)) || {
+      name: '', priority: 10, enabled: true, conditions: {}, actions: {}
+    };
+    const conditions = rule.conditions || {};
+    const actions = rule.actions || {};
+    this.editingId = ruleId;
+
+    const field = (label, html) => `
+      <label style="display: flex; flex-direction: column; gap: 0.25rem; font-size: 0.875rem; color: var(--text-secondary);">
+        ${label}
+        ${html}
+      </label>
+    `;
+    const input = (name, value, attributes = '') =>
+      `<input data-rule-field="${name}" class="input-standard" style="padding: 0.5rem;" value="${(value ?? '').toString().replace(/"/g, '&quot;')}" ${attributes}>`;
+
+    const content = `
+      <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 0.75rem; margin-bottom: 1rem;">
+        ${field('Rule name', input('name', rule.name, 'placeholder="e.g. Coffee shops"'))}
+        ${field('Priority (higher runs first)', input('priority', rule.priority, 'type="number"'))}
+      </div>
+
+      <h4 style="margin: 0 0 0.5rem;">When a transaction matches all of</h4>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; margin-bottom: 1rem;">
+        ${field('Merchant (regular expression)', input('merchant', conditions.merchant, 'placeholder="starbucks|tim hortons"'))}
+        ${field('Account', input('account', conditions.account))}
+        ${field('Amount from', input('amountMin', conditions.amountMin, 'type="number" step="0.01" min="0"'))}
+        ${field('Amount to', input('amountMax', conditions.amountMax, 'type="number" step="0.01" min="0"'))}
+        ${field('Description contains any of (comma separated)', input('keywords', conditions.keywords))}
+        ${field('Day of week', `
+          <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+            ${WEEKDAYS.map((day, index) => `
+              <label style="display: flex; gap: 0.25rem; align-items: center;">
+                <input type="checkbox" data-rule-day="${index}" ${conditions.daysOfWeek?.includes(index) ? 'checked' : ''}>${day}
+              </label>
+            `).join('')}
+          </div>
+        `)}
+      </div>
+
+      <h4 style="margin: 0 0 0.5rem;">Set</h4>
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem;">
+        ${field('Category', `
+          <select data-rule-field="category" class="input-standard" style="padding: 0.5rem;">
+            <option value="">— Leave unchanged —</option>
+            ${this.categoryManager.categories.map(category => `
+              <option value="${category}" ${actions.category === category ? 'selected' : ''}>${category}</option>
+            `).join('')}
+          </select>
+        `)}
+        ${field('Merchant group', input('merchantGroup', actions.merchantGroup))}
+        ${field('Tags (added to existing)', input('tags', actions.tags))}
+        ${field('Notes', input('notes', actions.notes))}
+      </div>
+
+      <div id="rule-editor-errors" style="color: var(--error-color); font-size: 0.875rem; margin-top: 0.75rem;"></div>
+      <div id="rule-preview" style="margin-top: 1rem;"></div>
+    `;
+
+    this.close();
+    this.modal = UI.createModal(ruleId ? '✏️ Edit Rule' : '➕ New Rule', content, [
+      { text: 'Cancel', class: 'btn-secondary', action: 'window.budgetApp?.ruleEditor?.close()' },
+      { text: '🔍 Test Against History', class: 'btn-secondary', action: 'window.budgetApp?.ruleEditor?.test()' },
+      { text: '💾 Save', class: 'btn-secondary', action: 'window.budgetApp?.ruleEditor?.save(false)' },
+      { text: '⚡ Save & Apply', class: 'btn-primary', action: 'window.budgetApp?.ruleEditor?.save(true)' }
+    ]);
+    this.modal.querySelector('.modal').style.maxWidth = '760px';
+  }
+
+  // Read the form into a rule, or null (with errors shown) when it isn't valid
+  readForm() {
+    const value = (name) => this.modal.querySelector(`[data-rule-field="${name}"]`).value.trim();
+    const existing = this.editingId ? this.rulesEngine.getRule(this.editingId) : null;
+
+    const rule = {
+      id: this.editingId,
+      name: value('name'),
+      priority: parseInt(value('priority'), 10) || 0,
+      enabled: existing ? existing.enabled !== false : true,
+      conditions: {
+        merchant: value('merchant'),
+        amountMin: value('amountMin'),
+        amountMax: value('amountMax'),
+        account: value('account'),
+        daysOfWeek: [...this.modal.querySelectorAll('[data-rule-day]:checked')].map(box => parseInt(box.dataset.ruleDay, 10)),
+        keywords: value('keywords')
+      },
+      actions: Object.fromEntries(Object.keys(RULE_ACTIONS).map(name => [name, value(name)]))
+    };
+
+    const errors = [];
+    if (!rule.name) errors.push('Give the rule a name');
+    if (rule.conditions.merchant && !RulesEngine.toRegex(rule.conditions.merchant)) {
+      errors.push('Merchant pattern is not a valid regular expression');
+    }
+    if (!RulesEngine.hasConditions(rule)) {
+      errors.push('Add at least one condition');
+    }
+    if (!Object.values(rule.actions).some(Boolean)) {
+      errors.push('Choose at least one field to set');
+    }
+
+    this.modal.querySelector('#rule-editor-errors').textContent = errors.join('. ');
+    return errors.length === 0 ? rule : null;
+  }
+
+  // Show which past transactions the rule would change, without writing anything
+  test() {
+    if (!this.modal) return;
+
+    const rule = this.readForm();
+    if (!rule) return;
+
+    const matches = window.budgetApp?.previewRule(rule) || [];
+    const changing = matches.filter(match => Object.keys(match.changes).length > 0);
+    const preview = this.modal.querySelector('#rule-preview');
+
+    preview.innerHTML = `
+      <div style="font-weight: 500; margin-bottom: 0.5rem;">
+        Matches ${matches.length} transaction${matches.length === 1 ? '' : 's'}, ${changing.length} would change
+      </div>
+      ${changing.length > 0 ? `
+        <div class="table-container" style="max-height: 240px; overflow: auto;">
+          <table style="font-size: 0.75rem;">
+            <thead><tr><th>Date</th><th>Merchant</th><th>Amount</th><th>Changes</th></tr></thead>
+            <tbody>
+              ${changing.slice(0, PREVIEW_LIMIT).map(({ transaction, changes }) => `
+                <tr>
+                  <td>${transaction[4]}</td>
+                  <td>${transaction[2]}</td>
+                  <td>${Formatters.currency(transaction[1])}</td>
+                  <td>${Object.entries(changes).map(([name, change]) => `${RULE_ACTIONS[name]}: ${change.from || '—'} → ${change.to}`).join('<br>')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${changing.length > PREVIEW_LIMIT ? `<div style="font-size: 0.75rem; color: var(--text-secondary);">…and ${changing.length - PREVIEW_LIMIT} more</div>` : ''}
+      ` : ''}
+    `;
+  }
+
+  async save(apply) {
+    if (!this.modal) return;
+
+    const rule = this.readForm();
+    if (!rule) return;
+
+    const saved = this.rulesEngine.saveRule(rule);
+    this.close();
+    this.renderRules();
+
+    if (apply) {
+      await window.budgetApp?.applyRule(saved);
+    } else {
+      UI.showToast(`Saved rule "${saved.name}"`, 'success');
+    }
+  }
+
+  toggleRule(ruleId, enabled) {
+    const rule = this.rulesEngine.getRule(ruleId);
+    if (!rule) return;
+
+    this.rulesEngine.saveRule({ ...rule, enabled });
+    this.renderRules();
+  }
+
+  deleteRule(ruleId) {
+    const rule = this.rulesEngine.getRule(ruleId);
+    if (!rule || !confirm(`Delete the rule "${rule.name}"?`)) return;
+
+    this.rulesEngine.deleteRule(ruleId);
+    this.renderRules();
+    UI.showToast(`Deleted rule "${rule.name}"`, 'success');
+  }
+
+  close() {
+    UI.removeModal(this.modal);
+    this.modal = null;
+  }
+}
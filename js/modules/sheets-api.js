@@ -3,6 +3,7 @@ import { CONFIG } from '../../config/settings.js';
 import { Storage } from '../utils/storage.js';
 import { UI } from '../utils/ui.js';
 import { Validators } from '../utils/validators.js';
+import { OfflineStore } from '../services/offline-store.js';
 
 export class SheetsAPI {
   constructor() {
@@ -10,6 +11,15 @@ export class SheetsAPI {
     this.gisLoaded = false;
     this.tokenClient = null;
     this.credentials = Storage.getCredentials();
+
+    // Offline cache and write queue
+    this.offlineStore = new OfflineStore();
+    this.cachedSheetId = null;
+    this.cachedTabNames = [];
+    this.tabValues = {};
+    this.syncing = false;
+    this.syncStatus = { pending: 0, failed: 0, syncing: false, offline: false };
+    this.onSyncStatusChange = null;
   }
 
   // Initialize Google APIs
@@ -78,9 +88,9 @@ export class SheetsAPI {
 
   // Apps Script Integration - Multiple request strategies
   async appsScriptRequest(method, data) {
-    // For batch updates, use POST to avoid URL length limits
-    if (method === 'BATCH_UPDATE') {
-      return this.appsScriptBatchRequest(data);
+    // For batch updates and appends, use POST to avoid URL length limits
+    if (method === 'BATCH_UPDATE' || method === 'APPEND') {
+      return this.appsScriptPostRequest(method, data);
     }
     
     const strategies = [
@@ -129,6 +139,7 @@ export class SheetsAPI {
     ];
 
     let lastError = null;
+    let fetchRejections = 0;
     
     for (let i = 0; i < strategies.length; i++) {
       try {
@@ -147,6 +158,8 @@ export class SheetsAPI {
         return result;
         
       } catch (error) {
+        // fetch() itself rejects with a TypeError; HTTP and parse errors are thrown above
+        if (error instanceof TypeError) fetchRejections++;
         lastError = error;
         continue;
       }
@@ -155,6 +168,12 @@ export class SheetsAPI {
     // All strategies failed
     console.error('All Apps Script connection strategies failed:', lastError);
     
+    // Even the no-cors request was rejected, so the script couldn't be reached at all: pass the
+    // fetch error on so the caller can treat it as offline
+    if (fetchRejections === strategies.length) {
+      throw lastError;
+    }
+    
     // Provide helpful error message
     if (lastError.message.includes('Failed to fetch') || lastError.message.includes('CORS')) {
       throw new Error(`CORS Configuration Required: Please ensure your Google Apps Script is:
@@ -181,12 +200,11 @@ function doGet(e) {
     throw lastError;
   }
 
-  // Special handling for batch updates
-  async appsScriptBatchRequest(data) {
-    console.log('Sending batch request with', data.updates?.length, 'updates');
+  // Special handling for batch updates and appends, whose payloads don't fit in a URL
+  async appsScriptPostRequest(method, data) {
+    console.log(`Sending ${method} request with`, data.updates?.length ?? data.rows?.length, 'items');
     
     try {
-      // Use POST only for batch updates to avoid URL length limits
       const response = await fetch(this.credentials.appsScriptUrl, {
         method: 'POST',
         mode: 'cors',
@@ -194,11 +212,7 @@ function doGet(e) {
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
-        body: JSON.stringify({ 
-          method: 'BATCH_UPDATE',
-          sheetId: data.sheetId,
-          updates: data.updates
-        })
+        body: JSON.stringify({ method, ...data })
       });
       
       if (!response.ok) {
@@ -209,8 +223,8 @@ function doGet(e) {
       return result;
       
     } catch (error) {
-      console.error('Batch request failed:', error);
-      throw new Error(`Apps Script batch request failed: ${error.message}. Please ensure your Apps Script supports BATCH_UPDATE method via POST.`);
+      console.error(`${method} request failed:`, error);
+      throw new Error(`Apps Script ${method} request failed: ${error.message}. Please ensure your Apps Script supports the ${method} method via POST.`);
     }
   }
 
@@ -225,7 +239,7 @@ function doGet(e) {
       if (this.credentials.useAppsScript) {
         const response = await this.appsScriptRequest('GET', {
           sheetId: validatedSheetId,
-          range: 'Sheet1!A1:B2'
+          range: 'A1:B2'
         });
         
         if (response.error) {
@@ -242,7 +256,7 @@ function doGet(e) {
         // Test connection with a simple read
         const response = await gapi.client.sheets.spreadsheets.values.get({
           spreadsheetId: validatedSheetId,
-          range: 'Sheet1!A1:B2'
+          range: 'A1:B2'
         });
         
         if (!response.result) {
@@ -261,37 +275,11 @@ function doGet(e) {
   }
 
   // Load data from sheets
-  async loadData(sheetId) {
+  async loadData(sheetId, tab = CONFIG.GOOGLE.DEFAULT_TAB) {
     try {
       UI.showLoading('Fetching data from Google Sheets...');
       
-      const validatedSheetId = Validators.sheetId(sheetId);
-      let dataRows = [];
-
-      if (this.credentials.useAppsScript) {
-        const response = await this.appsScriptRequest('GET', {
-          sheetId: validatedSheetId,
-          range: 'Sheet1!A:Z'
-        });
-        
-        if (response.error) {
-          throw new Error(`Apps Script error: ${response.error}`);
-        }
-        
-        dataRows = response.values || [];
-      } else {
-        // Check if gapi client is initialized
-        if (!window.gapi || !window.gapi.client || !window.gapi.client.sheets) {
-          throw new Error('Google Sheets API not initialized. Please check your API credentials.');
-        }
-
-        const response = await gapi.client.sheets.spreadsheets.values.get({
-          spreadsheetId: validatedSheetId,
-          range: 'Sheet1!A:Z'
-        });
-        
-        dataRows = response.result.values || [];
-      }
+      const dataRows = await this.fetchRange(sheetId, this.tabRange(tab, CONFIG.GOOGLE.DATA_COLUMNS));
 
       if (dataRows.length === 0) {
         throw new Error('No data found in the spreadsheet');
@@ -305,8 +293,372 @@ function doGet(e) {
     }
   }
 
-  // Update cell in sheets
+  // Read raw values for an A1 range
+  async fetchRange(sheetId, range) {
+    const validatedSheetId = Validators.sheetId(sheetId);
+
+    if (this.credentials.useAppsScript) {
+      const response = await this.appsScriptRequest('GET', {
+        sheetId: validatedSheetId,
+        range: range
+      });
+      
+      if (response.error) {
+        throw new Error(`Apps Script error: ${response.error}`);
+      }
+      
+      return response.values || [];
+    }
+
+    // Check if gapi client is initialized
+    if (!window.gapi || !window.gapi.client || !window.gapi.client.sheets) {
+      throw new Error('Google Sheets API not initialized. Please check your API credentials.');
+    }
+
+    const response = await gapi.client.sheets.spreadsheets.values.get({
+      spreadsheetId: validatedSheetId,
+      range: range
+    });
+    
+    return response.result.values || [];
+  }
+
+  // List the tabs of a spreadsheet: [{ name, index, rows, columns }]
+  async listTabs(sheetId) {
+    const validatedSheetId = Validators.sheetId(sheetId);
+
+    if (this.credentials.useAppsScript) {
+      const response = await this.appsScriptRequest('GET', {
+        action: 'listTabs',
+        sheetId: validatedSheetId
+      });
+      
+      if (response.error) {
+        throw new Error(`Apps Script error: ${response.error}`);
+      }
+      
+      // Older Apps Script deployments don't know the listTabs action
+      return response.tabs || [];
+    }
+
+    const response = await gapi.client.sheets.spreadsheets.get({
+      spreadsheetId: validatedSheetId,
+      fields: 'sheets.properties'
+    });
+    
+    return (response.result.sheets || []).map(sheet => ({
+      name: sheet.properties.title,
+      index: sheet.properties.index,
+      rows: sheet.properties.gridProperties?.rowCount || 0,
+      columns: sheet.properties.gridProperties?.columnCount || 0
+    }));
+  }
+
+  // Load several tabs as one dataset. Later tabs are re-ordered to the first tab's header
+  // by column name. Returns { rows, sources, tabs } where sources[i] tells which tab and
+  // sheet row rows[i] came from, so writes can be routed back to it
+  async loadTabs(sheetId, tabNames) {
+    const tabValues = {};
+    for (const tabName of tabNames) {
+      tabValues[tabName] = await this.fetchRange(sheetId, this.tabRange(tabName, CONFIG.GOOGLE.DATA_COLUMNS));
+    }
+
+    const result = this.combineTabs(tabNames, tabValues);
+    if (result.rows.length === 0) {
+      throw new Error('No data found in the selected tabs');
+    }
+
+    this.cachedSheetId = sheetId;
+    this.cachedTabNames = [...tabNames];
+    this.tabValues = tabValues;
+
+    await this.alignTabColumns(sheetId, result.rows[0], result.tabs);
+    this.saveSnapshot();
+
+    return result;
+  }
+
+  // Same dataset as loadTabs, built from the offline cache. Null when nothing is cached
+  // for this sheet and tab selection
+  async loadCachedTabs(sheetId, tabNames) {
+    try {
+      const snapshot = await this.offlineStore.getSnapshot(sheetId);
+      if (!snapshot || snapshot.tabNames.join('|') !== tabNames.join('|')) return null;
+
+      const result = this.combineTabs(tabNames, snapshot.tabValues);
+      if (result.rows.length === 0) return null;
+
+      this.cachedSheetId = sheetId;
+      this.cachedTabNames = [...tabNames];
+      this.tabValues = snapshot.tabValues;
+      return result;
+    } catch (error) {
+      console.warn('Could not read the offline cache:', error);
+      return null;
+    }
+  }
+
+  // Union raw tab values ({ tabName: [[...]] }) into one dataset keyed by the first tab's header
+  combineTabs(tabNames, tabValues) {
+    const tabs = [];
+    const rows = [];
+    const sources = [];
+
+    for (const tabName of tabNames) {
+      const values = tabValues[tabName] || [];
+      if (values.length === 0) continue;
+
+      const tabHeaders = values[0].map(h => (h ?? '').toString().toLowerCase().trim());
+      const tab = { name: tabName, headerLength: tabHeaders.length, columns: null, lastRow: 1 };
+
+      if (tabs.length === 0) {
+        rows.push([...values[0]]);
+        tab.columns = values[0].map((_, index) => index);
+        sources.push({ tab, row: 1 });
+      } else {
+        tab.columns = rows[0].map(h => tabHeaders.indexOf((h ?? '').toString().toLowerCase().trim()));
+      }
+      tabs.push(tab);
+
+      values.slice(1).forEach((row, offset) => {
+        // Skip the empty rows Apps Script returns below the data
+        if (row.every(cell => cell === '' || cell === null || cell === undefined)) return;
+
+        const sheetRow = offset + 2;
+        rows.push(tab.columns.map(tabCol => (tabCol === -1 ? '' : row[tabCol] ?? '')));
+        sources.push({ tab, row: sheetRow });
+        tab.lastRow = sheetRow;
+      });
+    }
+
+    return { rows, sources, tabs };
+  }
+
+  // Add header cells to secondary tabs for any column of the combined header they lack,
+  // so every cell of the combined dataset has somewhere to be written
+  async alignTabColumns(sheetId, headers, tabs) {
+    const updates = [];
+
+    tabs.slice(1).forEach(tab => {
+      headers.forEach((header, index) => {
+        if (!header || (tab.columns[index] !== undefined && tab.columns[index] !== -1)) return;
+
+        tab.columns[index] = tab.headerLength++;
+        updates.push({
+          range: this.tabRange(tab.name, `${this.numberToLetter(tab.columns[index] + 1)}1`),
+          value: header
+        });
+      });
+    });
+
+    if (updates.length > 0) {
+      await this.batchUpdateCells(sheetId, updates);
+    }
+  }
+
+  // Qualify an A1 range with a tab name ("My Tab", "B2" -> "'My Tab'!B2")
+  tabRange(tab, range) {
+    if (!tab) return range;
+    return `'${tab.replace(/'/g, "''")}'!${range}`;
+  }
+
+  // Update cell in sheets. Queued for later when the sheet can't be reached
   async updateCell(sheetId, range, value) {
+    return this.writeOrQueue(sheetId, [{ range, value }], () => this.sendCellUpdate(sheetId, range, value));
+  }
+
+  // Batch update multiple cells at once. Queued for later when the sheet can't be reached
+  async batchUpdateCells(sheetId, updates) {
+    return this.writeOrQueue(sheetId, updates, () => this.sendBatchUpdate(sheetId, updates));
+  }
+
+  // Send a write now, or queue it in the offline store. Writes made while older ones are
+  // still queued join the queue so they reach the sheet in order
+  async writeOrQueue(sheetId, updates, send) {
+    // A bare "B12" means the spreadsheet's first tab, which needn't be the tab the row came from,
+    // and can't be checked for conflicts against the tab it was edited in
+    const unqualified = updates.find(({ range }) => !OfflineStore.parseCellRange(range)?.tab);
+    if (unqualified) {
+      throw new Error(`Cell ${unqualified.range} doesn't name a tab, so it was not written`);
+    }
+
+    if (!this.offlineStore.available) {
+      return send();
+    }
+
+    if (this.isOffline() || this.syncStatus.pending > 0) {
+      return this.queueWrite(sheetId, updates);
+    }
+
+    try {
+      const result = await send();
+      this.recordWrite(updates);
+      return result;
+    } catch (error) {
+      if (!this.isNetworkError(error)) throw error;
+      return this.queueWrite(sheetId, updates);
+    }
+  }
+
+  async queueWrite(sheetId, updates) {
+    // Remember what each cell held when we last saw the sheet, to spot conflicting edits on replay
+    await this.offlineStore.addWrite({
+      sheetId,
+      updates: updates.map(({ range, value }) => ({
+        range,
+        value,
+        expected: OfflineStore.getCellValue(this.tabValues, range)
+      }))
+    });
+
+    this.recordWrite(updates);
+    await this.refreshSyncStatus();
+
+    if (!this.isOffline()) {
+      this.syncPendingWrites();
+    }
+
+    return { success: true, queued: true };
+  }
+
+  // Keep the cached sheet values in step with writes so the cache reopens with them
+  recordWrite(updates) {
+    updates.forEach(({ range, value }) => OfflineStore.setCellValues(this.tabValues, range, [[value]]));
+    this.saveSnapshot();
+  }
+
+  saveSnapshot() {
+    if (!this.cachedSheetId) return;
+
+    this.offlineStore.saveSnapshot({
+      sheetId: this.cachedSheetId,
+      tabNames: this.cachedTabNames,
+      tabValues: this.tabValues
+    }).catch(error => console.warn('Could not update the offline cache:', error));
+  }
+
+  // Replay queued writes in order. A cell that changed in the sheet since it was edited
+  // offline is not overwritten - the write is kept as failed for the user to resolve
+  async syncPendingWrites() {
+    if (this.syncing || this.isOffline() || !this.offlineStore.available) return;
+
+    this.syncing = true;
+    await this.refreshSyncStatus();
+
+    try {
+      const currentValues = {};
+      let writes = await this.getPendingWrites();
+
+      while (writes.length > 0) {
+        for (const write of writes) {
+          await this.replayWrite(write, currentValues);
+        }
+        writes = await this.getPendingWrites();
+      }
+    } catch (error) {
+      if (!this.isNetworkError(error)) {
+        console.error('Error syncing queued writes:', error);
+      }
+    } finally {
+      this.syncing = false;
+      await this.refreshSyncStatus();
+    }
+  }
+
+  async getPendingWrites() {
+    return (await this.offlineStore.getWrites()).filter(write => write.status === 'pending');
+  }
+
+  async replayWrite(write, currentValues) {
+    try {
+      await this.fetchCurrentValues(write.sheetId, write.updates, currentValues);
+
+      const { safe, conflicts } = OfflineStore.findConflicts(write.updates, currentValues);
+      if (safe.length > 0) {
+        await this.sendBatchUpdate(write.sheetId, safe.map(({ range, value }) => ({ range, value })));
+        safe.forEach(({ range, value }) => OfflineStore.setCellValues(currentValues, range, [[value]]));
+      }
+
+      if (conflicts.length > 0) {
+        await this.offlineStore.updateWrite({
+          ...write,
+          updates: conflicts,
+          status: 'failed',
+          error: 'Changed in the sheet while you were offline'
+        });
+      } else {
+        await this.offlineStore.deleteWrite(write.id);
+      }
+    } catch (error) {
+      if (this.isNetworkError(error)) throw error;
+      await this.offlineStore.updateWrite({ ...write, status: 'failed', error: error.message });
+    }
+  }
+
+  // Fetch the tabs a write touches into currentValues, once per sync
+  async fetchCurrentValues(sheetId, updates, currentValues) {
+    for (const { range } of updates) {
+      const tab = OfflineStore.parseCellRange(range)?.tab;
+      if (!tab || currentValues[tab]) continue;
+      currentValues[tab] = await this.fetchRange(sheetId, this.tabRange(tab, CONFIG.GOOGLE.DATA_COLUMNS));
+    }
+  }
+
+  // Send failed writes again as they are, overwriting whatever the sheet holds now
+  async overwriteFailedWrites() {
+    const failed = (await this.offlineStore.getWrites()).filter(write => write.status === 'failed');
+
+    for (const write of failed) {
+      await this.sendBatchUpdate(write.sheetId, write.updates.map(({ range, value }) => ({ range, value })));
+      await this.offlineStore.deleteWrite(write.id);
+    }
+    await this.refreshSyncStatus();
+  }
+
+  async discardFailedWrites() {
+    const failed = (await this.offlineStore.getWrites()).filter(write => write.status === 'failed');
+
+    for (const write of failed) {
+      await this.offlineStore.deleteWrite(write.id);
+    }
+    await this.refreshSyncStatus();
+  }
+
+  async getQueuedWrites() {
+    return this.offlineStore.available ? this.offlineStore.getWrites() : [];
+  }
+
+  async refreshSyncStatus() {
+    try {
+      const writes = await this.getQueuedWrites();
+      this.syncStatus = {
+        pending: writes.filter(write => write.status === 'pending').length,
+        failed: writes.filter(write => write.status === 'failed').length,
+        syncing: this.syncing,
+        offline: this.isOffline()
+      };
+    } catch (error) {
+      console.warn('Could not read the write queue:', error);
+    }
+
+    this.onSyncStatusChange?.(this.syncStatus);
+    return this.syncStatus;
+  }
+
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  // fetch() rejects with a TypeError when the network is down. appsScriptRequest's CORS error
+  // means the script answered but is deployed wrongly, so it isn't queued and retried
+  isNetworkError(error) {
+    const message = error?.message || '';
+    if (message.startsWith('CORS Configuration Required')) return false;
+    return error instanceof TypeError || /Failed to fetch|NetworkError|Load failed/i.test(message);
+  }
+
+  // Write a single cell straight to the sheet
+  async sendCellUpdate(sheetId, range, value) {
     try {
       const validatedSheetId = Validators.sheetId(sheetId);
 
@@ -352,8 +704,8 @@ function doGet(e) {
     }
   }
 
-  // Batch update multiple cells at once
-  async batchUpdateCells(sheetId, updates) {
+  // Write several cells straight to the sheet
+  async sendBatchUpdate(sheetId, updates) {
     try {
       const validatedSheetId = Validators.sheetId(sheetId);
       console.log(`Apps Script BATCH_UPDATE request: ${updates.length} updates`); // Debug
@@ -376,28 +728,16 @@ function doGet(e) {
         
         return response;
       } else {
-        // For Google Sheets API, use batchUpdate
-        const requests = updates.map(update => ({
-          updateCells: {
-            range: {
-              sheetId: 0, // Assuming first sheet
-              startRowIndex: parseInt(update.range.match(/\d+/)[0]) - 1,
-              endRowIndex: parseInt(update.range.match(/\d+/)[0]),
-              startColumnIndex: update.range.charCodeAt(0) - 65,
-              endColumnIndex: update.range.charCodeAt(0) - 64
-            },
-            rows: [{
-              values: [{
-                userEnteredValue: { stringValue: update.value }
-              }]
-            }],
-            fields: 'userEnteredValue'
-          }
-        }));
-
-        const response = await gapi.client.sheets.spreadsheets.batchUpdate({
+        // values.batchUpdate understands tab-qualified A1 ranges
+        const response = await gapi.client.sheets.spreadsheets.values.batchUpdate({
           spreadsheetId: validatedSheetId,
-          resource: { requests }
+          resource: {
+            valueInputOption: 'RAW',
+            data: updates.map(update => ({
+              range: update.range,
+              values: [[update.value]]
+            }))
+          }
         });
         
         return response.result;
@@ -408,6 +748,70 @@ function doGet(e) {
     }
   }
 
+  // Append rows below the last row of a tab. Resolves to the sheet row number of the first
+  // appended row. When the sheet can't be reached the rows are queued as cell writes starting
+  // at nextRow, the row the loaded data says comes next
+  async appendRows(sheetId, tab, rows, nextRow) {
+    const cellUpdates = () => rows.flatMap((row, rowOffset) => row.map((value, colIndex) => ({
+      range: this.tabRange(tab, `${this.numberToLetter(colIndex + 1)}${nextRow + rowOffset}`),
+      value
+    })));
+
+    if (this.offlineStore.available && (this.isOffline() || this.syncStatus.pending > 0)) {
+      await this.queueWrite(sheetId, cellUpdates());
+      return nextRow;
+    }
+
+    try {
+      const firstRow = await this.sendAppend(sheetId, tab, rows);
+      OfflineStore.setCellValues(this.tabValues, this.tabRange(tab, `A${firstRow}`), rows);
+      this.saveSnapshot();
+      return firstRow;
+    } catch (error) {
+      if (!this.offlineStore.available || !this.isNetworkError(error)) throw error;
+      await this.queueWrite(sheetId, cellUpdates());
+      return nextRow;
+    }
+  }
+
+  async sendAppend(sheetId, tab, rows) {
+    try {
+      const validatedSheetId = Validators.sheetId(sheetId);
+
+      // Auto-detect Apps Script usage if URL is present
+      const usingAppsScript = this.credentials.useAppsScript || 
+                            (this.credentials.appsScriptUrl && this.credentials.appsScriptUrl.includes('script.google.com'));
+
+      if (usingAppsScript) {
+        const response = await this.appsScriptRequest('APPEND', {
+          sheetId: validatedSheetId,
+          tab,
+          rows
+        });
+        
+        if (response.error || !response.firstRow) {
+          throw new Error(`Append failed: ${response.error || 'the Apps Script did not report where the rows went. Update it to the latest template'}`);
+        }
+        
+        return response.firstRow;
+      } else {
+        const response = await gapi.client.sheets.spreadsheets.values.append({
+          spreadsheetId: validatedSheetId,
+          range: this.tabRange(tab, 'A1'),
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          resource: { values: rows }
+        });
+        
+        // updatedRange looks like "'Tab'!A42:J43"
+        return OfflineStore.parseCellRange(response.result.updates.updatedRange.replace(/:.*$/, '')).row;
+      }
+    } catch (error) {
+      console.error('Error appending rows:', error);
+      throw error;
+    }
+  }
+
   async updateRange(sheetId, range, values) {
     try {
       const validatedSheetId = Validators.sheetId(sheetId);
@@ -423,6 +827,8 @@ function doGet(e) {
           throw new Error(`Update failed: ${response.error}`);
         }
         
+        OfflineStore.setCellValues(this.tabValues, range, values);
+        this.saveSnapshot();
         return response;
       } else {
         const response = await gapi.client.sheets.spreadsheets.values.update({
@@ -432,6 +838,8 @@ function doGet(e) {
           resource: { values: values }
         });
         
+        OfflineStore.setCellValues(this.tabValues, range, values);
+        this.saveSnapshot();
         return response.result;
       }
     } catch (error) {
@@ -441,9 +849,9 @@ function doGet(e) {
   }
 
   // Ensure column exists
-  async ensureColumn(sheetId, columnName) {
+  async ensureColumn(sheetId, columnName, tab = CONFIG.GOOGLE.DEFAULT_TAB) {
     try {
-      const data = await this.loadData(sheetId);
+      const data = await this.fetchRange(sheetId, this.tabRange(tab, '1:1'));
       const headers = data[0] || [];
       
       let columnIndex = headers.findIndex(h => 
@@ -455,7 +863,7 @@ function doGet(e) {
         columnIndex = headers.length;
         const columnLetter = this.numberToLetter(columnIndex + 1);
         
-        await this.updateCell(sheetId, `${columnLetter}1`, columnName);
+        await this.updateCell(sheetId, this.tabRange(tab, `${columnLetter}1`), columnName);
       }
 
       return columnIndex;
@@ -0,0 +1,116 @@
+// Account Ledger - balances, reconciliation and net worth from transactions plus
+// accounts tracked by hand (a house, a loan, an investment account)
+import { DateParser } from '../utils/date-parser.js';
+
+const toCents = (value) => Math.round((parseFloat(value) || 0) * 100);
+
+export class AccountLedger {
+  // Transactions of one account that count towards its balance: on or after its opening date
+  // (the opening balance is the balance at the start of that day), oldest first
+  static accountTransactions(transactions, account, settings = {}) {
+    return transactions
+      .filter(transaction => transaction[0] === account)
+      .map(transaction => ({ transaction, date: DateParser.parse(transaction[4]) }))
+      .filter(({ date }) => date && (!settings.openingDate || date >= settings.openingDate))
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ transaction }) => transaction);
+  }
+
+  // Each transaction with the account balance after it: [{ transaction, balance }]
+  static runningBalances(transactions, account, settings = {}) {
+    let cents = toCents(settings.openingBalance);
+    return this.accountTransactions(transactions, account, settings).map(transaction => {
+      cents += toCents(transaction[1]);
+      return { transaction, balance: cents / 100 };
+    });
+  }
+
+  // One entry per account seen in transactions or settings:
+  // [{ name, type, balance, lastDate, count, reconciledDate, reconciledBalance }]
+  static summarize(transactions, accountSettings = {}) {
+    const names = new Set([...transactions.map(transaction => transaction[0]).filter(Boolean), ...Object.keys(accountSettings)]);
+
+    return [...names].sort().map(name => {
+      const settings = accountSettings[name] || {};
+      const entries = this.runningBalances(transactions, name, settings);
+      const last = entries[entries.length - 1];
+      return {
+        name,
+        type: settings.type || 'asset',
+        balance: last ? last.balance : toCents(settings.openingBalance) / 100,
+        lastDate: last ? DateParser.parse(last.transaction[4]) : '',
+        count: entries.length,
+        reconciledDate: settings.reconciledDate || '',
+        reconciledBalance: settings.reconciledBalance
+      };
+    });
+  }
+
+  // Balance of the cleared transactions: what the bank statement should show.
+  // isCleared decides per transaction (ticked in the dialog or cleared before)
+  static clearedBalance(transactions, account, settings, isCleared) {
+    const cents = this.accountTransactions(transactions, account, settings)
+      .filter(isCleared)
+      .reduce((sum, transaction) => sum + toCents(transaction[1]), toCents(settings.openingBalance));
+    return cents / 100;
+  }
+
+  // Statement balance less cleared balance; zero when the account reconciles
+  static reconcileDifference(statementBalance, clearedBalance) {
+    return (toCents(statementBalance) - toCents(clearedBalance)) / 100;
+  }
+
+  // Balance of a manually tracked account on a date: its latest entry on or before it
+  static manualBalance(account, date) {
+    const entry = [...(account.history || [])]
+      .filter(item => item.date <= date)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .pop();
+    return entry ? parseFloat(entry.balance) || 0 : null;
+  }
+
+  // Net worth at each date (ISO strings): transaction accounts at their balance that day,
+  // plus manual assets less manual liabilities (entered as the amount owed).
+  // toBase(balance, accountName, date) converts an account balance kept in another currency.
+  // Returns [{ date, assets, liabilities, netWorth }]
+  static netWorthSeries(transactions, accountSettings, manualAccounts, dates, toBase = (balance) => balance) {
+    const accounts = this.summarize(transactions, accountSettings).map(account => ({
+      ...account,
+      entries: this.runningBalances(transactions, account.name, accountSettings[account.name] || {})
+        .map(entry => ({ date: DateParser.parse(entry.transaction[4]), balance: entry.balance })),
+      opening: toCents(accountSettings[account.name]?.openingBalance) / 100,
+      openingDate: accountSettings[account.name]?.openingDate || ''
+    }));
+
+    return dates.map(date => {
+      let assets = 0;
+      let liabilities = 0;
+
+      accounts.forEach(account => {
+        const before = account.entries.filter(entry => entry.date <= date);
+        if (before.length === 0 && (!account.openingDate || account.openingDate > date)) return;
+
+        const balance = toBase(before.length > 0 ? before[before.length - 1].balance : account.opening, account.name, date);
+        // A card with money owed has a negative balance
+        if (account.type === 'liability') {
+          liabilities -= balance;
+        } else {
+          assets += balance;
+        }
+      });
+
+      manualAccounts.forEach(account => {
+        const balance = this.manualBalance(account, date);
+        if (balance === null) return;
+        if (account.type === 'liability') {
+          liabilities += balance;
+        } else {
+          assets += balance;
+        }
+      });
+
+      const round = (value) => Math.round(value * 100) / 100;
+      return { date, assets: round(assets), liabilities: round(liabilities), netWorth: round(assets - liabilities) };
+    });
+  }
+}
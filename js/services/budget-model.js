@@ -0,0 +1,132 @@
+// Budget Model - per-category budgets by period, with rollover and envelope totals
+import { CONFIG } from '../../config/settings.js';
+import { DateParser } from '../utils/date-parser.js';
+import { PeriodCalendar, PERIOD_DAYS } from './period-calendar.js';
+
+export class BudgetModel {
+  // categories: { name: { amounts: { periodKey: amount }, rolloverFrom: periodKey | null } }.
+  // An amount applies from its period onward until a later one replaces it; the '' key
+  // holds the amount used before any dated change
+  constructor(data = {}, calendar = new PeriodCalendar()) {
+    this.period = data.period || CONFIG.BUDGETS.DEFAULT_PERIOD;
+    this.categories = data.categories || {};
+    this.calendar = calendar;
+  }
+
+  toJSON() {
+    return { period: this.period, categories: this.categories };
+  }
+
+  getPeriod(date) {
+    return this.calendar.getPeriod(this.period, date);
+  }
+
+  shiftPeriod(period, offset) {
+    return this.calendar.shiftPeriod(period, offset);
+  }
+
+  // Budgeted amount for a category in a period - the latest amount set at or before it
+  getBudget(category, periodKey) {
+    const amounts = this.categories[category]?.amounts || {};
+    const key = Object.keys(amounts).filter(k => k <= periodKey).sort().pop();
+    return key === undefined ? 0 : amounts[key];
+  }
+
+  // Set a category's budget from this period onward
+  setBudget(category, periodKey, amount) {
+    const entry = this.categories[category] || (this.categories[category] = { amounts: {}, rolloverFrom: null });
+    entry.amounts[periodKey] = amount;
+  }
+
+  // Carry unspent (or overspent) amounts into the next period, starting from this one
+  setRollover(category, periodKey, enabled) {
+    const entry = this.categories[category] || (this.categories[category] = { amounts: {}, rolloverFrom: null });
+    entry.rolloverFrom = enabled ? periodKey : null;
+  }
+
+  getBudgetedCategories() {
+    return Object.keys(this.categories);
+  }
+
+  // Switch the period budgets are set in, rescaling amounts by period length
+  changePeriod(type) {
+    if (type === this.period) return;
+
+    const ratio = this.calendar.periodDays(type) / this.calendar.periodDays(this.period);
+    const rekey = (key) => (key === '' ? '' : this.calendar.getPeriod(type, PeriodCalendar.keyToDate(key)).key);
+
+    Object.values(this.categories).forEach(entry => {
+      const amounts = {};
+      Object.entries(entry.amounts).forEach(([key, amount]) => {
+        amounts[rekey(key)] = Math.round(amount * ratio * 100) / 100;
+      });
+      entry.amounts = amounts;
+      entry.rolloverFrom = entry.rolloverFrom ? rekey(entry.rolloverFrom) : null;
+    });
+
+    this.period = type;
+  }
+
+  // Group processed transactions by period: { periodKey: { spent: { category: amount }, income } }.
+  // Spending is net of refunds; income is every inflow in the period
+  bucketTransactions(transactions) {
+    const buckets = {};
+
+    transactions.forEach(transaction => {
+      const date = DateParser.parse(transaction[4]);
+      const amount = parseFloat(transaction[1]);
+      if (!date || isNaN(amount)) return;
+
+      const key = this.getPeriod(new Date(`${date}T00:00:00`)).key;
+      const bucket = buckets[key] || (buckets[key] = { spent: {}, income: 0 });
+      const category = transaction[7] || 'Uncategorized';
+
+      bucket.spent[category] = (bucket.spent[category] || 0) - amount;
+      if (amount > 0) {
+        bucket.income += amount;
+      }
+    });
+
+    return buckets;
+  }
+
+  // Budget, carried-over amount, available, spent and remaining for a category in a period
+  getStatus(category, period, buckets) {
+    const spentIn = (key) => buckets[key]?.spent[category] || 0;
+    const budget = this.getBudget(category, period.key);
+    const rolloverFrom = this.categories[category]?.rolloverFrom;
+
+    let carried = 0;
+    if (rolloverFrom && rolloverFrom < period.key) {
+      let current = this.getPeriod(PeriodCalendar.keyToDate(rolloverFrom));
+      while (current.key < period.key) {
+        carried += this.getBudget(category, current.key) - spentIn(current.key);
+        current = this.shiftPeriod(current, 1);
+      }
+    }
+
+    const available = budget + carried;
+    const spent = spentIn(period.key);
+    return { budget, carried, available, spent, remaining: available - spent };
+  }
+
+  // Envelope view of a period: income received, how much of it is given to budgets,
+  // and how much is still unallocated
+  getEnvelopeSummary(period, buckets) {
+    const income = buckets[period.key]?.income || 0;
+    const allocated = this.getBudgetedCategories()
+      .reduce((sum, category) => sum + this.getBudget(category, period.key), 0);
+
+    return { income, allocated, unallocated: income - allocated };
+  }
+
+  // Model from the old per-row Budget column, whose values were 14-day payweek amounts
+  static fromLegacyBudgets(budgetsByCategory, calendar = new PeriodCalendar()) {
+    const model = new BudgetModel({}, calendar);
+    const ratio = PERIOD_DAYS[model.period] / PERIOD_DAYS.payweek;
+    Object.entries(budgetsByCategory).forEach(([category, amount]) => {
+      model.setBudget(category, '', Math.round(amount * ratio * 100) / 100);
+    });
+    return model;
+  }
+}
@@ -0,0 +1,94 @@
+// Cash Flow - sign-aware income and spending totals. Amounts are negative for money going out
+// and positive for money coming in; an inflow is income or a refund depending on its category
+
+export class CashFlow {
+  // Inflows in an income category, or not categorized yet (usually pay), are income.
+  // Inflows in a spending category are refunds and come off that category's spending
+  static isIncome(transaction, incomeCategories) {
+    const amount = parseFloat(transaction[1]) || 0;
+    const category = transaction[7] || 'Uncategorized';
+    return amount > 0 && (incomeCategories.includes(category) || category === 'Uncategorized');
+  }
+
+  // What a transaction adds to spending: outflows are positive, refunds negative, income 0
+  static spendingAmount(transaction, incomeCategories) {
+    const amount = parseFloat(transaction[1]) || 0;
+    return this.isIncome(transaction, incomeCategories) ? 0 : -amount;
+  }
+
+  // Totals for a set of transactions (transfers already left out):
+  // { income, expenses, refunds, spending, net, byCategory, incomeBySource }.
+  // spending is expenses less refunds; byCategory is net spending per category and
+  // incomeBySource is income per payer (merchant)
+  static summarize(transactions, incomeCategories) {
+    const summary = { income: 0, expenses: 0, refunds: 0, spending: 0, net: 0, byCategory: {}, incomeBySource: {} };
+
+    transactions.forEach(transaction => {
+      const amount = parseFloat(transaction[1]) || 0;
+
+      if (this.isIncome(transaction, incomeCategories)) {
+        const source = transaction[2] || transaction[7] || 'Income';
+        summary.income += amount;
+        summary.incomeBySource[source] = (summary.incomeBySource[source] || 0) + amount;
+        return;
+      }
+
+      const category = transaction[7] || 'Uncategorized';
+      summary.byCategory[category] = (summary.byCategory[category] || 0) - amount;
+      if (amount < 0) {
+        summary.expenses -= amount;
+      } else {
+        summary.refunds += amount;
+      }
+    });
+
+    summary.spending = summary.expenses - summary.refunds;
+    summary.net = summary.income - summary.spending;
+    return summary;
+  }
+
+  // Sankey diagram from income sources through "Income" to category groups, with what is
+  // left over going to "Savings". When spending is more than income the gap is drawn as
+  // coming "From savings". groupOf maps a category to its group.
+  // Returns { labels, links: [{ source, target, value }] } with sources/targets as label indices
+  static buildSankey(summary, groupOf) {
+    const keys = [];
+    const labels = [];
+    // Sources and groups are separate nodes even when they share a name
+    const node = (kind, label) => {
+      const key = `${kind}:${label}`;
+      if (!keys.includes(key)) {
+        keys.push(key);
+        labels.push(label);
+      }
+      return keys.indexOf(key);
+    };
+    const links = [];
+    const link = (source, target, value) => {
+      if (value > 0.005) links.push({ source, target, value: Math.round(value * 100) / 100 });
+    };
+
+    const income = node('hub', 'Income');
+    Object.entries(summary.incomeBySource)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([source, amount]) => link(node('source', source), income, amount));
+    if (summary.net < 0) {
+      link(node('source', 'From savings'), income, -summary.net);
+    }
+
+    const byGroup = {};
+    Object.entries(summary.byCategory).forEach(([category, amount]) => {
+      const group = groupOf(category) || 'Other';
+      byGroup[group] = (byGroup[group] || 0) + amount;
+    });
+    Object.entries(byGroup)
+      .filter(([, amount]) => amount > 0)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([group, amount]) => link(income, node('group', group), amount));
+
+    if (summary.net > 0) {
+      link(income, node('savings', 'Savings'), summary.net);
+    }
+    return { labels, links };
+  }
+}
@@ -0,0 +1,101 @@
+// Column Mapping Service - maps sheet headers onto the semantic fields the app reads
+
+// Fields the user assigns in the mapping wizard
+export const COLUMN_FIELDS = {
+  date: 'Date',
+  amount: 'Amount',
+  debit: 'Debit (money out)',
+  credit: 'Credit (money in)',
+  merchant: 'Merchant',
+  description: 'Description',
+  account: 'Account',
+  category: 'Category',
+  payweek: 'Payweek',
+  notes: 'Notes',
+  id: 'Transaction ID',
+  currency: 'Currency'
+};
+
+// Columns the app manages itself - still detected by header name
+const MANAGED_COLUMN_MATCHERS = {
+  merchantGroup: h => h.includes('merchant') && h.includes('group'),
+  categoryGroup: h => h.includes('category') && h.includes('group'),
+  budget: h => h.includes('budget'),
+  recurring: h => h.includes('recurring'),
+  isGrouped: h => h.includes('grouped'),
+  tags: h => h === 'tags' || h === 'tag',
+  splitOf: h => h.includes('split'),
+  cleared: h => h.includes('cleared') || h.includes('reconciled')
+};
+
+const FIELD_MATCHERS = {
+  date: h => h.includes('date'),
+  amount: h => h.includes('amount'),
+  debit: h => h.includes('debit') || h.includes('withdrawal'),
+  credit: h => (h.includes('credit') && !h.includes('card')) || h.includes('deposit'),
+  merchant: h => (h.includes('merchant') && !h.includes('group')) || h.includes('payee'),
+  description: h => h.includes('description') || h === 'memo',
+  account: h => h.includes('account'),
+  currency: h => h.includes('currency') || h === 'ccy',
+  category: h => h.includes('category') && !h.includes('group'),
+  payweek: h => h.includes('payweek'),
+  notes: h => h.includes('note'),
+  id: h => h === 'id' || h.includes('transaction id')
+};
+
+// Positions the original sheet template used before mappings existed
+const LEGACY_POSITIONS = { amount: 1, merchant: 2, description: 3, date: 4, id: 5, notes: 6 };
+
+export class ColumnMapper {
+  // Guess a mapping from header names, falling back to the legacy layout
+  static guess(headers) {
+    const normalized = headers.map(h => (h ?? '').toString().toLowerCase().trim());
+    const used = new Set();
+    const mapping = {};
+
+    const claim = (field, matcher) => {
+      const index = normalized.findIndex((h, i) => h && !used.has(i) && matcher(h));
+      mapping[field] = index;
+      if (index !== -1) used.add(index);
+    };
+
+    // Managed columns first so "Merchant Group" isn't taken as the merchant
+    Object.entries(MANAGED_COLUMN_MATCHERS).forEach(([field, matcher]) => claim(field, matcher));
+    Object.entries(FIELD_MATCHERS).forEach(([field, matcher]) => claim(field, matcher));
+
+    // A single amount column wins over a debit/credit split
+    if (mapping.amount !== -1) {
+      if (mapping.debit !== -1) used.delete(mapping.debit);
+      if (mapping.credit !== -1) used.delete(mapping.credit);
+      mapping.debit = -1;
+      mapping.credit = -1;
+    }
+
+    Object.entries(LEGACY_POSITIONS).forEach(([field, position]) => {
+      if (field === 'amount' && (mapping.debit !== -1 || mapping.credit !== -1)) return;
+      if (mapping[field] === -1 && position < headers.length && !used.has(position)) {
+        mapping[field] = position;
+        used.add(position);
+      }
+    });
+
+    return mapping;
+  }
+
+  // Header signature - a saved mapping only applies while the header row is unchanged
+  static getSignature(headers) {
+    return headers.map(h => (h ?? '').toString().toLowerCase().trim()).join('|');
+  }
+
+  // Fields that must be mapped before transactions can be read
+  static validate(mapping) {
+    const errors = [];
+    if (mapping.date === -1) {
+      errors.push('Date column is required');
+    }
+    if (mapping.amount === -1 && mapping.debit === -1 && mapping.credit === -1) {
+      errors.push('Map an Amount column or a Debit/Credit pair');
+    }
+    return errors;
+  }
+}
@@ -0,0 +1,108 @@
+// Duplicate Detection Service - finds the same charge loaded twice from overlapping statements
+import { CONFIG } from '../../config/settings.js';
+import { DateParser } from '../utils/date-parser.js';
+import { Storage } from '../utils/storage.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export class DuplicateDetector {
+  constructor(merchantCleaner = null) {
+    this.merchantCleaner = merchantCleaner;
+  }
+
+  // Reduce a merchant to a comparable token ("TIM HORTONS #1234" -> "timhortons")
+  normalizeMerchant(merchant) {
+    const cleaned = this.merchantCleaner ? this.merchantCleaner.cleanWithRegex(merchant || '') : merchant;
+    return (cleaned || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Fingerprint leaves out the date so charges posted a few days apart share a bucket
+  getFingerprint(transaction) {
+    const [account, amount, merchant] = transaction;
+    const cents = Math.round((parseFloat(amount) || 0) * 100);
+    return `${(account || '').toLowerCase().trim()}|${cents}|${this.normalizeMerchant(merchant)}`;
+  }
+
+  // Stable identity for a single transaction, used to remember ignored groups
+  getTransactionKey(transaction) {
+    const date = transaction[4];
+    const id = transaction[5];
+    return id ? `id:${id}` : `${this.getFingerprint(transaction)}|${date}`;
+  }
+
+  // Find groups of likely duplicates in processed transactions.
+  // Returns [{ key, indices, confidence }] where indices point into the transactions array
+  findDuplicates(transactions, windowDays = CONFIG.DUPLICATES.DATE_WINDOW_DAYS) {
+    const ignored = new Set(Storage.getIgnoredDuplicates());
+    const buckets = new Map();
+
+    transactions.forEach((transaction, index) => {
+      const date = DateParser.toDate(transaction[4]);
+      if (!date) return;
+      const time = date.getTime();
+
+      const fingerprint = this.getFingerprint(transaction);
+      if (!buckets.has(fingerprint)) {
+        buckets.set(fingerprint, []);
+      }
+      buckets.get(fingerprint).push({ index, time });
+    });
+
+    const groups = [];
+
+    buckets.forEach(entries => {
+      if (entries.length < 2) return;
+
+      entries.sort((a, b) => a.time - b.time);
+
+      // Chain entries that sit within the date window of their neighbour
+      let cluster = [entries[0]];
+      const flush = () => {
+        if (cluster.length > 1) {
+          const group = this.buildGroup(transactions, cluster.map(entry => entry.index));
+          if (!ignored.has(group.key)) {
+            groups.push(group);
+          }
+        }
+      };
+
+      for (let i = 1; i < entries.length; i++) {
+        if (entries[i].time - entries[i - 1].time <= windowDays * DAY_MS) {
+          cluster.push(entries[i]);
+        } else {
+          flush();
+          cluster = [entries[i]];
+        }
+      }
+      flush();
+    });
+
+    return groups;
+  }
+
+  buildGroup(transactions, indices) {
+    const members = indices.map(index => transactions[index]);
+    const key = members.map(t => this.getTransactionKey(t)).sort().join('||');
+
+    // Same date and same bank ID (or no ID at all) is almost certainly the same charge
+    const sameDate = members.every(t => t[4] === members[0][4]);
+    const ids = members.map(t => t[5]).filter(Boolean);
+    const sameId = ids.length === members.length && new Set(ids).size === 1;
+    const confidence = sameId || (sameDate && ids.length === 0) ? 'high' : 'medium';
+
+    return { key, indices, confidence };
+  }
+
+  // Remember a group as intentional repeats so it isn't flagged again
+  ignoreGroup(key) {
+    const ignored = Storage.getIgnoredDuplicates();
+    if (!ignored.includes(key)) {
+      ignored.push(key);
+      Storage.saveIgnoredDuplicates(ignored);
+    }
+  }
+
+  clearIgnored() {
+    Storage.saveIgnoredDuplicates([]);
+  }
+}
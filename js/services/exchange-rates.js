@@ -0,0 +1,97 @@
+// Exchange Rates - daily rates into the base reporting currency, entered by hand or
+// imported from CSV, for converting amounts in other currencies
+import { CSVParser, StatementImporter } from './statement-importer.js';
+
+export class ExchangeRates {
+  // rates: { currency: [{ date, rate }] } where one unit of currency is worth `rate` in base
+  constructor(base = 'CAD', rates = {}) {
+    this.base = base;
+    this.rates = rates;
+  }
+
+  static normalizeCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+  }
+
+  setRate(currency, date, rate) {
+    const code = ExchangeRates.normalizeCode(currency);
+    const value = parseFloat(rate);
+    if (!/^[A-Z]{3}$/.test(code) || !date || !(value > 0)) return false;
+
+    const entries = (this.rates[code] || []).filter(entry => entry.date !== date);
+    entries.push({ date, rate: value });
+    entries.sort((a, b) => a.date.localeCompare(b.date));
+    this.rates[code] = entries;
+    return true;
+  }
+
+  removeRate(currency, date) {
+    const code = ExchangeRates.normalizeCode(currency);
+    this.rates[code] = (this.rates[code] || []).filter(entry => entry.date !== date);
+    if (this.rates[code].length === 0) delete this.rates[code];
+  }
+
+  // Rate on a date: the latest on or before it, or the earliest one for dates before any rate.
+  // 1 for the base currency and null when there is no rate at all
+  getRate(currency, date) {
+    const code = ExchangeRates.normalizeCode(currency) || this.base;
+    if (code === this.base) return 1;
+
+    const entries = this.rates[code] || [];
+    if (entries.length === 0) return null;
+
+    let found = entries[0];
+    for (const entry of entries) {
+      if (entry.date > date) break;
+      found = entry;
+    }
+    return found.rate;
+  }
+
+  // Amount in the base currency, or null when the currency has no rate
+  convert(amount, currency, date) {
+    const rate = this.getRate(currency, date);
+    if (rate === null) return null;
+    return Math.round(amount * rate * 100) / 100;
+  }
+
+  // Rates from a CSV of daily rates, either one row per rate (date, currency, rate) or one
+  // column per currency (date, USD, EUR - headers like FXUSDCAD work too).
+  // Returns [{ currency, date, rate }]; rows that can't be read are skipped
+  static parseCsv(text, base = 'CAD') {
+    // Rate files often start with a title or notes above the header row
+    const parsed = CSVParser.parse(text);
+    const rows = [parsed.headers, ...parsed.rows];
+    const headerIndex = rows.findIndex(row => row.some(cell => /date/i.test(cell)));
+    if (headerIndex === -1) return [];
+
+    const headers = rows[headerIndex].map(cell => cell.trim().toLowerCase());
+    const dateCol = headers.findIndex(header => header.includes('date'));
+    const currencyCol = headers.findIndex(header => header.includes('currency') || header === 'code');
+    const rateCol = headers.findIndex(header => header.includes('rate'));
+    const rates = [];
+
+    rows.slice(headerIndex + 1).forEach(row => {
+      const date = StatementImporter.parseDate(row[dateCol]);
+      if (!date) return;
+
+      if (currencyCol !== -1 && rateCol !== -1) {
+        rates.push({ currency: this.normalizeCode(row[currencyCol]), date, rate: parseFloat(row[rateCol]) });
+        return;
+      }
+
+      headers.forEach((header, col) => {
+        const code = header.toUpperCase().replace(/^FX/, '').replace(new RegExp(`${base}$`), '');
+        if (col !== dateCol && /^[A-Z]{3}$/.test(code)) {
+          rates.push({ currency: code, date, rate: parseFloat(row[col]) });
+        }
+      });
+    });
+
+    return rates.filter(entry => /^[A-Z]{3}$/.test(entry.currency) && entry.rate > 0);
+  }
+
+  toJSON() {
+    return { base: this.base, rates: this.rates };
+  }
+}
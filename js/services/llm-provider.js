@@ -0,0 +1,238 @@
+// LLM providers for merchant cleaning. Each provider has clean(merchantName), which resolves to
+// the cleaned name or throws, cleanBatch(names) for many names in one request, and test(), which
+// checks the settings before they are saved
+import { CONFIG } from '../../config/settings.js';
+
+export const DEFAULT_MERCHANT_PROMPT = `You are a merchant name cleaner for financial transactions. Your job is to:
+1. Clean up messy merchant names from credit card transactions
+2. Remove store numbers, location codes, and extra identifiers
+3. Standardize to the main brand name
+4. Keep only the essential business name
+
+Examples:
+- "WAL-MART #3454" → "Wal-Mart"
+- "TIM HORTONS #2341 DOWNTOWN" → "Tim Hortons"
+- "COSTCO WHOLESALE #123" → "Costco"
+- "MCDONALD'S #29082 Q04" → "McDonald's"
+- "SP NAPOLEON HOME COMFO" → "Napoleon Home Comfort"
+
+Respond with ONLY the cleaned merchant name, nothing else.`;
+
+// Added to the prompt when several names are sent at once
+const BATCH_INSTRUCTIONS = `You will be given a JSON array of merchant names instead of a single name.
+Respond with ONLY a JSON object of the form {"results": [{"original": "<name as given>", "cleaned": "<cleaned name>"}]},
+with one entry per name in the same order.`;
+
+// A failed request. Rate limits (429) and server errors (5xx) are worth retrying;
+// retryAfter is the server's Retry-After in seconds, when it sent one
+export class ProviderError extends Error {
+  constructor(message, status = 0, retryAfter = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+// Provider choices with their defaults. Local servers (Ollama, llama.cpp, LM Studio) speak the
+// OpenAI chat completions API, so they only differ in the base URL, model and key
+export const LLM_PROVIDERS = {
+  openai: { label: 'OpenAI', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', needsKey: true },
+  compatible: { label: 'OpenAI-compatible server (Ollama, llama.cpp, LM Studio)', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', needsKey: false },
+  heuristic: { label: 'Heuristics only (no network)' }
+};
+
+// Card processors and wallets put their own prefix before the merchant
+const PROCESSOR_PREFIXES = /^(sq|tst|sp|pp|paypal|in|dd|py|pos|sumup|zettle|iz|izettle|clover|wpy|google|apple pay)\s*\*\s*|^(sq|tst|sp|pos)\s+/i;
+const DOMAIN_SUFFIX = /\.(com|ca|net|org|co\.uk|io)\b.*$/i;
+const REGION_CODES = new Set([
+  'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT',
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD',
+  'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC',
+  'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'US', 'USA', 'CAN'
+]);
+const SMALL_WORDS = new Set(['and', 'of', 'the', 'de', 'du', 'la', 'le', 'et', 'for', 'at']);
+
+// Talks to OpenAI or any server with the same /chat/completions API
+export class ChatCompletionProvider {
+  constructor({ provider = 'openai', baseUrl = '', apiKey = '', model = '', temperature = CONFIG.MERCHANT_CLEANING.TEMPERATURE, prompt = '' } = {}, fetchImpl = (...args) => fetch(...args)) {
+    const defaults = LLM_PROVIDERS[provider] || LLM_PROVIDERS.openai;
+    this.needsKey = defaults.needsKey;
+    this.baseUrl = (baseUrl || defaults.baseUrl).replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model || defaults.model;
+    this.temperature = Number.isFinite(+temperature) ? +temperature : CONFIG.MERCHANT_CLEANING.TEMPERATURE;
+    this.prompt = prompt || DEFAULT_MERCHANT_PROMPT;
+    this.fetch = fetchImpl;
+    this.remote = true;
+    this.label = provider === 'compatible' ? `${this.model} at ${this.baseUrl.replace(/^https?:\/\//, '')}` : `OpenAI ${this.model}`;
+  }
+
+  // OpenAI can't be used without a key; local servers usually don't need one
+  get configured() {
+    return !this.needsKey || Boolean(this.apiKey);
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+    };
+  }
+
+  // Text of one chat completion. Network failures count as retryable, like a 5xx
+  async complete(messages, maxTokens, { json = false, signal } = {}) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.headers(),
+        signal,
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          max_tokens: maxTokens,
+          temperature: this.temperature,
+          // Local servers don't all accept response_format, so only OpenAI gets it
+          ...(json && this.needsKey ? { response_format: { type: 'json_object' } } : {})
+        })
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ProviderError(`${this.label} unreachable: ${error.message}`, 503);
+    }
+
+    if (!response.ok) {
+      const retryAfter = parseFloat(response.headers?.get?.('Retry-After'));
+      throw new ProviderError(`${this.label} error: ${response.status}`, response.status, Number.isFinite(retryAfter) ? retryAfter : null);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content?.trim();
+    if (!content) {
+      throw new ProviderError(`No response from ${this.label}`);
+    }
+    return content;
+  }
+
+  async clean(merchantName, signal) {
+    const content = await this.complete([
+      { role: 'system', content: this.prompt },
+      { role: 'user', content: `Clean this merchant name: "${merchantName}"` }
+    ], CONFIG.MERCHANT_CLEANING.MAX_TOKENS, { signal });
+
+    // Models sometimes wrap the answer in quotes or add a trailing period
+    const cleanedName = content.split('\n')[0].replace(/^["'“]+|["'”.]+$/g, '').trim();
+    if (!cleanedName) {
+      throw new ProviderError(`No response from ${this.label}`);
+    }
+    return cleanedName;
+  }
+
+  // Map of name → cleaned name for names the model answered; names it skipped are left out
+  async cleanBatch(names, signal) {
+    const content = await this.complete([
+      { role: 'system', content: `${this.prompt}\n\n${BATCH_INSTRUCTIONS}` },
+      { role: 'user', content: JSON.stringify(names) }
+    ], CONFIG.MERCHANT_CLEANING.MAX_TOKENS * names.length, { json: true, signal });
+
+    return ChatCompletionProvider.parseBatch(content, names);
+  }
+
+  // Read the JSON answer, tolerating code fences or text around it. Entries are matched by the
+  // original name, or by position when the model rewrote the originals
+  static parseBatch(content, names) {
+    const results = new Map();
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    let entries;
+    try {
+      entries = JSON.parse(content.slice(start, end + 1)).results;
+    } catch (error) {
+      throw new ProviderError('The model did not answer with JSON');
+    }
+    if (!Array.isArray(entries)) {
+      throw new ProviderError('The model did not answer with a results list');
+    }
+
+    const wanted = new Set(names);
+    entries.forEach((entry, index) => {
+      const cleaned = typeof entry?.cleaned === 'string' ? entry.cleaned.trim() : '';
+      if (!cleaned) return;
+      const original = wanted.has(entry.original) ? entry.original : (entries.length === names.length ? names[index] : null);
+      if (original && !results.has(original)) {
+        results.set(original, cleaned);
+      }
+    });
+    return results;
+  }
+
+  // Whether the server answers and accepts the key
+  async test() {
+    try {
+      const response = await this.fetch(`${this.baseUrl}/models`, { headers: this.headers() });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Cleans names with string rules only, so no transaction data leaves the browser
+export class HeuristicProvider {
+  constructor() {
+    this.remote = false;
+    this.configured = true;
+    this.label = 'heuristics';
+  }
+
+  async clean(merchantName) {
+    return HeuristicProvider.cleanName(merchantName);
+  }
+
+  async cleanBatch(names) {
+    return new Map(names.map(name => [name, HeuristicProvider.cleanName(name)]));
+  }
+
+  async test() {
+    return true;
+  }
+
+  static cleanName(merchantName) {
+    let name = (merchantName || '').toString().trim().replace(PROCESSOR_PREFIXES, '');
+
+    // "AMAZON.COM*4B2X3Y" and "NETFLIX.COM 866-579-7172" keep just the brand
+    name = name.split('*')[0].replace(DOMAIN_SUFFIX, '');
+
+    // Store numbers, reference codes and anything with digits go; so do trailing region codes
+    const words = name.replace(/#\s*\d+.*$/, '').split(/\s+/).filter(word => word && !/\d/.test(word));
+    while (words.length > 1 && REGION_CODES.has(words[words.length - 1].toUpperCase())) {
+      words.pop();
+    }
+
+    const cleaned = words.map((word, index) => this.titleCase(word, index)).join(' ').replace(/[\s\-–,.]+$/, '');
+    return cleaned || (merchantName || '').toString().trim();
+  }
+
+  static titleCase(word, index) {
+    const lower = word.toLowerCase();
+    if (index > 0 && SMALL_WORDS.has(lower)) return lower;
+    return lower
+      .replace(/(^|[-/&'])([a-z])/g, (match, separator, letter) => (separator === "'" ? match : separator + letter.toUpperCase()))
+      .replace(/^Mc([a-z])/, (match, letter) => `Mc${letter.toUpperCase()}`);
+  }
+}
+
+export class LLMProvider {
+  // Provider for saved settings: { provider, baseUrl, apiKey, model, temperature, prompt }
+  static create(settings = {}, fetchImpl) {
+    if (settings.provider === 'heuristic') {
+      return new HeuristicProvider();
+    }
+    return new ChatCompletionProvider(settings, fetchImpl);
+  }
+}
@@ -0,0 +1,99 @@
+// Merchant Aliases - a user-curated dictionary of raw merchant text → canonical merchant, checked
+// before the regex patterns and the model. Aliases are { pattern, merchant, source, updatedAt };
+// source is 'learned' (from an accepted cleaning review), 'manual' or 'imported'
+import { CSVParser } from './statement-importer.js';
+import { ReportExporter } from './report-exporter.js';
+
+export class MerchantAliases {
+  // Raw names differ by store number, punctuation and spacing from one statement to the next,
+  // so both sides are compared in this form: "TIM HORTONS #2341 DOWNTOWN" → "TIM HORTONS DOWNTOWN"
+  static key(text) {
+    return (text || '').toString().toUpperCase()
+      .replace(/#\s*\d+/g, ' ')
+      .replace(/[^A-Z0-9*&' ]+/g, ' ')
+      .split(/\s+/)
+      .filter(word => word && !/\d/.test(word))
+      .join(' ');
+  }
+
+  // A pattern matches a name with the same key; * matches anything, so "TIM HORTONS*" covers every branch
+  static matches(pattern, merchantName) {
+    const patternKey = this.key(pattern);
+    if (!patternKey) return false;
+
+    const name = this.key((merchantName || '').toString().replace(/\*/g, ' '));
+    if (!patternKey.includes('*')) return patternKey === name;
+
+    const source = patternKey.split('*').map(part => part.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+  }
+
+  // Canonical merchant for a raw name. Exact patterns win over wildcards, then longer patterns
+  static find(aliases, merchantName) {
+    let best = null;
+    aliases.forEach(alias => {
+      if (!alias.merchant || !this.matches(alias.pattern, merchantName)) return;
+      const rank = [alias.pattern.includes('*') ? 0 : 1, this.key(alias.pattern).length];
+      if (!best || rank[0] > best.rank[0] || (rank[0] === best.rank[0] && rank[1] > best.rank[1])) {
+        best = { alias, rank };
+      }
+    });
+    return best ? best.alias.merchant : null;
+  }
+
+  // Add or update aliases. entries are [rawName, merchant] pairs; an entry replaces an alias with
+  // the same pattern, except that learned results never overwrite ones the user wrote
+  static merge(aliases, entries, source = 'learned', now = Date.now()) {
+    const byKey = new Map(aliases.map(alias => [this.key(alias.pattern), alias]));
+
+    entries.forEach(([rawName, merchant]) => {
+      // Learned patterns are the raw name's key; a * in a raw name ("SQ *CAFE") is not a wildcard
+      const pattern = source === 'learned' ? this.key((rawName || '').toString().replace(/\*/g, ' ')) : (rawName || '').toString().trim();
+      const canonical = (merchant || '').toString().trim();
+      if (!this.key(pattern) || !canonical) return;
+
+      const existing = byKey.get(this.key(pattern));
+      if (existing && source === 'learned' && existing.source !== 'learned') return;
+      if (existing && existing.merchant === canonical) return;
+      byKey.set(this.key(pattern), { pattern, merchant: canonical, source, updatedAt: now });
+    });
+
+    return this.sort([...byKey.values()]);
+  }
+
+  // Aliases as edited: blank ones dropped and one per pattern, keeping the latest edit
+  static tidy(aliases) {
+    const byKey = new Map();
+    aliases.forEach(alias => {
+      const key = this.key(alias.pattern);
+      if (!key || !alias.merchant) return;
+      if (!byKey.has(key) || (alias.updatedAt || 0) >= (byKey.get(key).updatedAt || 0)) byKey.set(key, alias);
+    });
+    return this.sort([...byKey.values()]);
+  }
+
+  static sort(aliases) {
+    return aliases.sort((a, b) => a.merchant.localeCompare(b.merchant) || a.pattern.localeCompare(b.pattern));
+  }
+
+  static toCsv(aliases) {
+    return ReportExporter.toCsv([
+      ['Pattern', 'Merchant', 'Source'],
+      ...aliases.map(alias => [alias.pattern, alias.merchant, alias.source])
+    ]);
+  }
+
+  // [pattern, merchant] pairs from a CSV with Pattern and Merchant columns (or the first two columns)
+  static parseCsv(text) {
+    const { headers, rows } = CSVParser.parse(text);
+    const lower = headers.map(header => header.trim().toLowerCase());
+    const patternCol = lower.findIndex(header => ['pattern', 'raw', 'original', 'alias'].includes(header));
+    const merchantCol = lower.findIndex(header => ['merchant', 'canonical', 'merchant group', 'cleaned'].includes(header));
+
+    // Without a recognised header the first row is an alias too
+    const hasHeader = patternCol !== -1 && merchantCol !== -1;
+    return (hasHeader ? rows : [headers, ...rows])
+      .map(row => [row[hasHeader ? patternCol : 0], row[hasHeader ? merchantCol : 1]])
+      .filter(([pattern, merchant]) => pattern && merchant && pattern.trim() && merchant.trim());
+  }
+}
@@ -1,158 +1,158 @@
-// Merchant Cleaning Service - GPT-4 + Regex Integration
+// Merchant Cleaning Service - the alias dictionary, then the regex pattern library, then an LLM provider
+// (OpenAI, a local model or heuristics)
 import { CONFIG } from '../../config/settings.js';
 import { Storage } from '../utils/storage.js';
 import { UI } from '../utils/ui.js';
+import { LLMProvider } from './llm-provider.js';
+import { MerchantAliases } from './merchant-aliases.js';
+import { MerchantPatterns } from './merchant-patterns.js';
+import { OfflineStore } from './offline-store.js';
+
+// Run worker over items with at most limit running at once
+const runPool = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+};
 
 export class MerchantCleaner {
-  constructor() {
-    this.openaiApiKey = Storage.get('openai_api_key', '');
+  constructor(store = new OfflineStore()) {
+    this.settings = Storage.getLLMSettings();
+    this.provider = LLMProvider.create(this.settings);
+    this.aliases = Storage.getMerchantAliases();
+    this.store = store; // Keeps the model's answers between sessions
+    this.cacheLoaded = null;
     this.cleaningCache = new Map(); // Cache cleaned names to avoid duplicate API calls
-    this.regexPatterns = this.initializeRegexPatterns();
+    this.patterns = MerchantPatterns.prepare(Storage.getMerchantPatterns());
   }
 
-  // Initialize common regex patterns for merchant cleaning
-  initializeRegexPatterns() {
-    return [
-      // Walmart variations
-      { pattern: /wal[-\s]?mart\s*#?\d*/i, cleanName: 'Wal-Mart' },
-      { pattern: /walmart\s*#?\d*/i, cleanName: 'Wal-Mart' },
-      
-      // Costco variations
-      { pattern: /costco\s*(wholesale)?\s*#?\d*/i, cleanName: 'Costco' },
-      
-      // Tim Hortons variations
-      { pattern: /tim\s*hortons?\s*#?\d*/i, cleanName: 'Tim Hortons' },
-      
-      // McDonald's variations
-      { pattern: /mcdonald'?s\s*#?\d*/i, cleanName: "McDonald's" },
-      { pattern: /mcdonalds\s*#?\d*/i, cleanName: "McDonald's" },
-      
-      // Shoppers Drug Mart variations
-      { pattern: /shoppers?\s*drug\s*mart\s*#?\d*/i, cleanName: 'Shoppers Drug Mart' },
-      
-      // Generic store number removal
-      { pattern: /^(.+?)\s*#\d+.*$/i, cleanName: '$1' },
-      
-      // Remove location codes (last resort)
-      { pattern: /^(.+?)\s*\d{4,}.*$/i, cleanName: '$1' },
-      
-      // Clean up extra spaces
-      { pattern: /\s+/g, cleanName: ' ' }
-    ];
+  // Fill the cache with names the current model cleaned in earlier sessions (once per model)
+  loadCache() {
+    if (!this.cacheLoaded) {
+      const signature = this.settingsSignature();
+      this.cacheLoaded = this.store.getCleanedNames()
+        .then(entries => entries.forEach(({ name, cleaned, source }) => {
+          if (source === signature && !this.cleaningCache.has(name)) this.cleaningCache.set(name, cleaned);
+        }))
+        .catch(error => console.warn('Could not read the merchant cleaning cache:', error));
+    }
+    return this.cacheLoaded;
+  }
+
+  // Remember the model's answers in memory and in IndexedDB. Heuristic results cost nothing to
+  // work out again, so only a remote model's answers are kept between sessions
+  async rememberCleaned(entries) {
+    entries.forEach(([name, cleaned]) => this.cleaningCache.set(name, cleaned));
+    if (!this.provider.remote) return;
+    
+    try {
+      const source = this.settingsSignature();
+      await this.store.saveCleanedNames(entries.map(([name, cleaned]) => ({ name, cleaned, source })));
+    } catch (error) {
+      console.warn('Could not save the merchant cleaning cache:', error);
+    }
   }
 
-  // Set OpenAI API key
+  // Canonical merchant from the alias dictionary, or null
+  findAlias(merchantName) {
+    return MerchantAliases.find(this.aliases, merchantName);
+  }
+
+  saveAliases(aliases) {
+    this.aliases = aliases;
+    Storage.saveMerchantAliases(aliases);
+  }
+
+  // Add aliases for accepted cleaning results ([rawName, merchant] pairs), so the same raw
+  // names are cleaned the same way next time without the regex patterns or the model
+  learnAliases(entries) {
+    this.saveAliases(MerchantAliases.merge(this.aliases, entries, 'learned'));
+  }
+
+  // Replace the regex pattern library (kept in order)
+  savePatterns(patterns) {
+    this.patterns = MerchantPatterns.prepare(patterns);
+    Storage.saveMerchantPatterns(patterns);
+  }
+
+  // Swap the cleaning model. Names cleaned by another model, prompt or server aren't reused; the
+  // cache is reloaded with what this one cleaned before
+  saveSettings(settings) {
+    const previous = this.settingsSignature();
+    this.settings = settings;
+    this.provider = LLMProvider.create(settings);
+    Storage.saveLLMSettings(settings);
+    
+    if (this.settingsSignature() !== previous) {
+      this.cleaningCache.clear();
+      this.cacheLoaded = null;
+    }
+  }
+
+  // Which model answered: cached names are only reused with the same settings
+  settingsSignature() {
+    const { provider, baseUrl, model, prompt } = this.settings;
+    return JSON.stringify([provider, baseUrl, model, prompt]);
+  }
+
+  // Set OpenAI API key, switching to OpenAI if another provider was picked
   setApiKey(apiKey) {
-    this.openaiApiKey = apiKey;
-    Storage.set('openai_api_key', apiKey);
+    this.saveSettings({ ...this.settings, provider: 'openai', apiKey });
   }
 
   // Get OpenAI API key
   getApiKey() {
-    return this.openaiApiKey || Storage.get('openai_api_key', '');
+    return this.settings.apiKey;
   }
 
-  // Clean merchant name using regex patterns first
+  // Clean merchant name with the pattern library
   cleanWithRegex(merchantName) {
     if (!merchantName || typeof merchantName !== 'string') {
       return merchantName;
     }
 
-    let cleaned = merchantName.trim();
-    
-    // Apply each regex pattern
-    for (const { pattern, cleanName } of this.regexPatterns) {
-      if (pattern.test(cleaned)) {
-        if (cleanName.includes('$1')) {
-          // Use regex capture group
-          cleaned = cleaned.replace(pattern, cleanName);
-        } else {
-          // Use fixed clean name
-          cleaned = cleanName;
-        }
-        break; // Stop at first match to avoid over-processing
-      }
-    }
-    
-    return cleaned.trim();
+    return MerchantPatterns.apply(this.patterns, merchantName).cleaned;
   }
 
-  // Clean merchant name using GPT-4 API
-  async cleanWithGPT4(merchantName) {
-    const apiKey = this.getApiKey();
-    if (!apiKey) {
+  // Clean merchant name with the configured model, falling back to the regex patterns
+  async cleanWithProvider(merchantName) {
+    if (!this.provider.configured) {
       throw new Error('OpenAI API key not configured');
     }
 
     // Check cache first
+    await this.loadCache();
     if (this.cleaningCache.has(merchantName)) {
       return this.cleaningCache.get(merchantName);
     }
 
     try {
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini', // Use cost-effective model for this task
-          messages: [
-            {
-              role: 'system',
-              content: `You are a merchant name cleaner for financial transactions. Your job is to:
-1. Clean up messy merchant names from credit card transactions
-2. Remove store numbers, location codes, and extra identifiers
-3. Standardize to the main brand name
-4. Keep only the essential business name
-
-Examples:
-- "WAL-MART #3454" → "Wal-Mart"
-- "TIM HORTONS #2341 DOWNTOWN" → "Tim Hortons"
-- "COSTCO WHOLESALE #123" → "Costco"
-- "MCDONALD'S #29082 Q04" → "McDonald's"
-- "SP NAPOLEON HOME COMFO" → "Napoleon Home Comfort"
-
-Respond with ONLY the cleaned merchant name, nothing else.`
-            },
-            {
-              role: 'user',
-              content: `Clean this merchant name: "${merchantName}"`
-            }
-          ],
-          max_tokens: 50,
-          temperature: 0.1
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const cleanedName = data.choices[0]?.message?.content?.trim();
-      
-      if (cleanedName) {
-        // Cache the result
-        this.cleaningCache.set(merchantName, cleanedName);
-        return cleanedName;
-      } else {
-        throw new Error('No response from GPT-4');
-      }
+      const cleanedName = await this.provider.clean(merchantName);
+      await this.rememberCleaned([[merchantName, cleanedName]]);
+      return cleanedName;
     } catch (error) {
-      console.error('GPT-4 cleaning failed:', error);
+      console.error(`Cleaning with ${this.provider.label} failed:`, error);
       // Fallback to regex cleaning
       return this.cleanWithRegex(merchantName);
     }
   }
 
-  // Main cleaning function - tries regex first, then GPT-4 for complex cases
+  // Main cleaning function - tries regex first, then the model for complex cases
   async cleanMerchantName(merchantName) {
     if (!merchantName || typeof merchantName !== 'string') {
       return merchantName;
     }
 
+    // The user's aliases win over everything else
+    const alias = this.findAlias(merchantName);
+    if (alias) {
+      return alias;
+    }
+
     // Try regex cleaning first (fast and free)
     const regexCleaned = this.cleanWithRegex(merchantName);
     
@@ -162,12 +162,12 @@ Respond with ONLY the cleaned merchant name, nothing else.`
       return regexCleaned;
     }
 
-    // For complex cases, use GPT-4 (only if API key is available)
-    if (this.getApiKey()) {
+    // For complex cases, use the model (only if it is set up)
+    if (this.provider.configured) {
       try {
-        return await this.cleanWithGPT4(merchantName);
+        return await this.cleanWithProvider(merchantName);
       } catch (error) {
-        console.warn('GPT-4 cleaning failed, using regex result:', error);
+        console.warn('Model cleaning failed, using regex result:', error);
         return regexCleaned;
       }
     }
@@ -176,41 +176,92 @@ Respond with ONLY the cleaned merchant name, nothing else.`
     return regexCleaned;
   }
 
-  // Bulk clean multiple merchant names
-  async cleanMerchantNames(merchantNames) {
+  // Bulk clean merchant names. Aliases, cached names and names the regex patterns handle are done
+  // locally; the rest go to the model in batches, a few requests at a time. Each finished batch
+  // is cached in IndexedDB, so a run that is stopped (signal) or interrupted picks up where it
+  // left off next time. onProgress({ done, total }) follows along. Returns a Map of name →
+  // cleaned name, without the names a stopped run didn't reach
+  async cleanMerchantNames(merchantNames, { signal, onProgress } = {}) {
     const results = new Map();
     const uniqueNames = [...new Set(merchantNames.filter(name => name && name.trim()))];
+    const pending = [];
+    await this.loadCache();
+    
+    uniqueNames.forEach(merchantName => {
+      const regexCleaned = this.cleanWithRegex(merchantName);
+      const known = this.findAlias(merchantName) ?? this.cleaningCache.get(merchantName);
+      if (known !== undefined) {
+        results.set(merchantName, known);
+      } else if ((regexCleaned !== merchantName && regexCleaned.length > 3) || !this.provider.configured) {
+        results.set(merchantName, regexCleaned);
+      } else {
+        pending.push(merchantName);
+      }
+    });
     
-    let processed = 0;
     const total = uniqueNames.length;
+    const report = () => onProgress?.({ done: results.size, total });
+    report();
     
-    for (const merchantName of uniqueNames) {
+    const { BATCH_SIZE, CONCURRENCY } = CONFIG.MERCHANT_CLEANING;
+    const batches = [];
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      batches.push(pending.slice(i, i + BATCH_SIZE));
+    }
+    
+    await runPool(batches, CONCURRENCY, async (batch) => {
+      if (signal?.aborted) return;
+      
+      let cleaned = new Map();
       try {
-        const cleaned = await this.cleanMerchantName(merchantName);
-        results.set(merchantName, cleaned);
-        processed++;
-        
-        // Show progress on loading screen
-        if (processed % 2 === 0) {
-          UI.setLoadingMessage(`🤖 GPT-4 Cleaning ${processed}/${total}: "${merchantName}" → "${cleaned}"`);
-        }
+        cleaned = await this.withRetry(() => this.provider.cleanBatch(batch, signal), signal);
       } catch (error) {
-        console.error(`Failed to clean merchant: ${merchantName}`, error);
-        results.set(merchantName, merchantName); // Keep original on error
+        if (signal?.aborted) return;
+        console.error(`Cleaning a batch with ${this.provider.label} failed, using regex results:`, error);
       }
       
-      // Small delay to avoid rate limiting
-      if (this.getApiKey() && processed % 3 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      // Only the model's answers are cached; names it missed are tried again next run
+      batch.forEach(merchantName => results.set(merchantName, cleaned.get(merchantName) || this.cleanWithRegex(merchantName)));
+      await this.rememberCleaned([...cleaned].filter(([merchantName]) => batch.includes(merchantName)));
+      report();
+    });
+    
+    return results;
+  }
+
+  // Run a request again after rate limits and server errors, waiting longer each time
+  async withRetry(request, signal) {
+    const { MAX_RETRIES, RETRY_DELAY_MS } = CONFIG.MERCHANT_CLEANING;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!error.retryable || attempt >= MAX_RETRIES || signal?.aborted) throw error;
+        
+        const delay = error.retryAfter !== null && error.retryAfter !== undefined
+          ? error.retryAfter * 1000
+          : RETRY_DELAY_MS * 2 ** attempt;
+        console.warn(`${error.message} - retrying in ${Math.round(delay / 1000)}s`);
+        await this.sleep(delay, signal);
       }
     }
+  }
 
-    return results;
+  // Waits, cut short when the run is stopped
+  sleep(ms, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
   }
 
-  // Clear cleaning cache
-  clearCache() {
+  // Clear cleaning cache, including the names saved in IndexedDB
+  async clearCache() {
     this.cleaningCache.clear();
+    await this.store.clearCleanedNames();
     UI.showToast('🗑️ Merchant cleaning cache cleared', 'info');
   }
 
@@ -224,16 +275,11 @@ Respond with ONLY the cleaned merchant name, nothing else.`
 
   // Validate API key
   async validateApiKey(apiKey) {
-    try {
-      const response = await fetch('https://api.openai.com/v1/models', {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`
-        }
-      });
-      
-      return response.ok;
-    } catch (error) {
-      return false;
-    }
+    return LLMProvider.create({ provider: 'openai', apiKey }).test();
+  }
+
+  // Check settings before saving them: the server answers and the key is accepted
+  async testSettings(settings) {
+    return LLMProvider.create(settings).test();
   }
 }
\ No newline at end of file
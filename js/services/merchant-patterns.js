@@ -0,0 +1,158 @@
+// Merchant Patterns - the user-editable regex library cleanWithRegex applies. Patterns are
+// { id, name, pattern, flags, mode, replacement, enabled } and are tried in order; the first
+// enabled one that matches decides. mode 'name' turns any matching merchant into the replacement,
+// mode 'replace' substitutes the match (so $1 keeps a captured part of the name)
+import { HeuristicProvider } from './llm-provider.js';
+
+export const PATTERN_MODES = {
+  name: 'Use this name',
+  replace: 'Replace the match'
+};
+
+const VALID_FLAGS = /^[imsu]*$/;
+const SUGGESTION_MIN_NAMES = 3;
+
+export class MerchantPatterns {
+  // RegExp for a pattern, or null when it doesn't compile
+  static compile(entry) {
+    try {
+      return entry.pattern ? new RegExp(entry.pattern, entry.flags ?? 'i') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // What is wrong with a pattern, or '' when it can be saved
+  static validate(entry) {
+    if (!entry.pattern) return 'Enter a pattern';
+    if (!VALID_FLAGS.test(entry.flags ?? 'i')) return 'Flags can only be i, m, s and u';
+    try {
+      new RegExp(entry.pattern, entry.flags ?? 'i');
+    } catch (error) {
+      return error.message;
+    }
+    if (!PATTERN_MODES[entry.mode]) return 'Pick what a match does';
+    if (entry.mode === 'name' && !entry.replacement) return 'Enter the merchant name to use';
+    return '';
+  }
+
+  // Cleaned name and the pattern that matched (null when none did). Runs of spaces are always
+  // collapsed, whether or not a pattern matched
+  static apply(patterns, merchantName) {
+    const name = (merchantName || '').toString().trim();
+
+    for (const entry of patterns) {
+      if (entry.enabled === false) continue;
+      const regex = entry.regex || this.compile(entry);
+      if (!regex) continue;
+
+      regex.lastIndex = 0;
+      if (!regex.test(name)) continue;
+
+      regex.lastIndex = 0;
+      const cleaned = entry.mode === 'replace' ? name.replace(regex, entry.replacement || '') : entry.replacement;
+      return { cleaned: this.tidy(cleaned) || name, pattern: entry };
+    }
+
+    return { cleaned: this.tidy(name), pattern: null };
+  }
+
+  // How each sample merchant name (one per line) comes out: [{ sample, cleaned, pattern }]
+  static preview(patterns, samples) {
+    const prepared = this.prepare(patterns);
+    return samples.split('\n')
+      .map(sample => sample.trim())
+      .filter(Boolean)
+      .map(sample => ({ sample, ...this.apply(prepared, sample) }));
+  }
+
+  static tidy(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Patterns with their RegExp compiled once, for cleaning many names
+  static prepare(patterns) {
+    return patterns.map(entry => ({ ...entry, regex: this.compile(entry) }));
+  }
+
+  static toJson(patterns) {
+    return JSON.stringify({
+      version: 1,
+      patterns: patterns.map(({ id, name, pattern, flags, mode, replacement, enabled }) => ({ id, name, pattern, flags, mode, replacement, enabled }))
+    }, null, 2);
+  }
+
+  // Patterns from an exported file (or a bare array). Throws when the file isn't a pattern
+  // library or one of its patterns is invalid
+  static parseJson(text, now = Date.now()) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not JSON');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.patterns;
+    if (!Array.isArray(entries)) {
+      throw new Error('The file has no "patterns" list');
+    }
+
+    return entries.map((entry, index) => {
+      const pattern = {
+        id: entry.id || `pattern-${now}-${index}`,
+        name: (entry.name || entry.replacement || entry.pattern || '').toString(),
+        pattern: (entry.pattern || '').toString(),
+        flags: (entry.flags ?? 'i').toString(),
+        mode: entry.mode || 'name',
+        replacement: (entry.replacement || '').toString(),
+        enabled: entry.enabled !== false
+      };
+      const error = this.validate(pattern);
+      if (error) {
+        throw new Error(`Pattern ${index + 1} (${pattern.name || pattern.pattern}): ${error}`);
+      }
+      return pattern;
+    });
+  }
+
+  // Patterns for groups of merchant names that start with the same words but differ after them,
+  // like "PIZZA PIZZA 022 OTTAWA" and "PIZZA PIZZA 1187 KANATA". Returns
+  // [{ name, pattern, flags, mode, replacement, count, examples }] with the largest groups first
+  static suggest(merchantNames, { minNames = SUGGESTION_MIN_NAMES } = {}) {
+    const unique = [...new Set(merchantNames.map(name => this.tidy(name)).filter(Boolean))];
+    const groups = new Map();
+
+    unique.forEach(name => {
+      // Leading words up to the first store number or code
+      const words = [];
+      for (const word of name.toUpperCase().split(/[^A-Z0-9&']+/).filter(Boolean)) {
+        if (/\d/.test(word)) break;
+        words.push(word);
+      }
+      // The first two words, or one when it is long enough to stand for the brand
+      const prefix = words.length >= 2 && words[0].length < 6 ? words.slice(0, 2) : words.slice(0, 1);
+      if (prefix.length === 0 || prefix.join('').length < 4) return;
+
+      const key = prefix.join(' ');
+      if (!groups.has(key)) groups.set(key, { words: prefix, names: [] });
+      groups.get(key).names.push(name);
+    });
+
+    return [...groups.values()]
+      .filter(group => group.names.length >= minNames)
+      .map(({ words, names }) => {
+        const replacement = words.map((word, index) => HeuristicProvider.titleCase(word, index)).join(' ');
+        const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return {
+          name: replacement,
+          pattern: `^\\W*${escaped.join('[\\s\\W]+')}\\b`,
+          flags: 'i',
+          mode: 'name',
+          replacement,
+          count: names.length,
+          examples: names.slice(0, 3)
+        };
+      })
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+}
@@ -0,0 +1,184 @@
+// Merchant Similarity - fuzzy matching of merchant names for Smart Grouping. Names are reduced to
+// word tokens ("AMZN Mktp CA*2K3" → amazon marketplace) and compared word by word with
+// Jaro-Winkler and edit distance, so spelling variants, abbreviations and extra words still score high
+import { CONFIG } from '../../config/settings.js';
+import { HeuristicProvider } from './llm-provider.js';
+
+// Short forms card statements use for common brands and words
+const ABBREVIATIONS = {
+  amzn: 'amazon',
+  mktp: 'marketplace',
+  mkt: 'market',
+  wm: 'walmart',
+  wal: 'walmart',
+  mcd: 'mcdonalds',
+  mcdonald: 'mcdonalds',
+  sbux: 'starbucks',
+  intl: 'international',
+  svc: 'service',
+  svcs: 'services',
+  phrm: 'pharmacy',
+  rest: 'restaurant'
+};
+
+// Words that say nothing about which business it is
+const IGNORED_WORDS = new Set(['inc', 'ltd', 'llc', 'corp', 'store', 'location', 'the']);
+
+export class MerchantSimilarity {
+  // Comparable words of a merchant name
+  static tokens(merchantName) {
+    return HeuristicProvider.cleanName(merchantName).toLowerCase()
+      .replace(/['’]/g, '')
+      .replace(/\bwal[-\s]?mart\b/g, 'walmart')
+      .split(/[^a-z0-9&]+/)
+      .filter(word => word && !IGNORED_WORDS.has(word))
+      .map(word => ABBREVIATIONS[word] || word);
+  }
+
+  // Jaro-Winkler similarity of two strings, from 0 (nothing alike) to 1 (equal)
+  static jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      const end = Math.min(i + window + 1, b.length);
+      for (let j = Math.max(0, i - window); j < end; j++) {
+        if (bMatched[j] || a[i] !== b[j]) continue;
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+      if (!aMatched[i]) continue;
+      while (!bMatched[j]) j++;
+      if (a[i] !== b[j]) transpositions++;
+      j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+  }
+
+  // 1 minus the Levenshtein edit distance over the longer length: 1 for equal strings
+  static levenshteinRatio(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  // Similarity of two words. Jaro-Winkler alone rates a shared start very highly ("metro" and
+  // "metrolinx"), so the edit distance is averaged in
+  static wordSimilarity(a, b) {
+    return (this.jaroWinkler(a, b) + this.levenshteinRatio(a, b)) / 2;
+  }
+
+  // Share of words two token lists have in common
+  static jaccard(aTokens, bTokens) {
+    const a = new Set(aTokens);
+    const b = new Set(bTokens);
+    const shared = [...a].filter(word => b.has(word)).length;
+    return a.size + b.size === 0 ? 0 : shared / (a.size + b.size - shared);
+  }
+
+  // How well each word of one name is matched by some word of the other, on average
+  static wordMatch(fromTokens, toTokens) {
+    if (fromTokens.length === 0) return 0;
+    const total = fromTokens.reduce((sum, word) => sum + Math.max(...toTokens.map(other => this.wordSimilarity(word, other))), 0);
+    return total / fromTokens.length;
+  }
+
+  // Similarity of two merchant names (or their tokens), from 0 to 1. The first word counts
+  // extra because it is usually the brand: "Blue Cafe" and "Cafe" share a word but not a business
+  static score(a, b) {
+    const aTokens = Array.isArray(a) ? a : this.tokens(a);
+    const bTokens = Array.isArray(b) ? b : this.tokens(b);
+    if (aTokens.length === 0 || bTokens.length === 0) return 0;
+
+    const words = (this.wordMatch(aTokens, bTokens) + this.wordMatch(bTokens, aTokens)) / 2;
+    const blended = (this.wordSimilarity(aTokens[0], bTokens[0]) + words) / 2;
+    return Math.max(this.jaccard(aTokens, bTokens), blended);
+  }
+
+  // Group merchants ({ name: count }) whose names score at least threshold against the group's
+  // most common merchant. Returns groups of two or more, busiest first (see group())
+  static cluster(merchantCounts, { threshold = CONFIG.MERCHANT_GROUPING.SIMILARITY_THRESHOLD } = {}) {
+    const merchants = Object.entries(merchantCounts)
+      .map(([name, count]) => ({ name, count, tokens: this.tokens(name) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    const clusters = [];
+
+    merchants.forEach(merchant => {
+      let best = null;
+      clusters.forEach(cluster => {
+        const score = this.score(merchant.tokens, cluster[0].tokens);
+        if (score >= threshold && (!best || score > best.score)) best = { cluster, score };
+      });
+      if (best) {
+        best.cluster.push(merchant);
+      } else {
+        clusters.push([merchant]);
+      }
+    });
+
+    return clusters
+      .filter(cluster => cluster.length > 1)
+      .map(cluster => this.group(cluster))
+      .sort((a, b) => b.total - a.total || a.groupName.localeCompare(b.groupName));
+  }
+
+  // A group of merchants ([{ name, count }]): { groupName, confidence, total, merchants }, where
+  // each merchant has its score against the most common one and confidence is their average.
+  // Used for split and merged groups too, so their scores are worked out again
+  static group(members) {
+    const merchants = members
+      .map(({ name, count }) => ({ name, count, tokens: this.tokens(name) }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    const [leader] = merchants;
+    const scored = merchants.map(merchant => ({
+      name: merchant.name,
+      count: merchant.count,
+      score: merchant === leader ? 1 : this.score(merchant.tokens, leader.tokens)
+    }));
+    const others = scored.slice(1);
+
+    return {
+      groupName: this.groupName(merchants),
+      confidence: others.length ? others.reduce((sum, merchant) => sum + merchant.score, 0) / others.length : 1,
+      total: scored.reduce((sum, merchant) => sum + merchant.count, 0),
+      merchants: scored
+    };
+  }
+
+  // The cleaned name most transactions share, preferring names without statement abbreviations
+  // ("Amazon" over "Amzn Mktp") and then shorter ones
+  static groupName(merchants) {
+    const counts = new Map();
+    merchants.forEach(({ name, count }) => {
+      const cleaned = HeuristicProvider.cleanName(name);
+      counts.set(cleaned, (counts.get(cleaned) || 0) + count);
+    });
+    const abbreviated = (name) => name.toLowerCase().split(/\s+/).some(word => ABBREVIATIONS[word]);
+    return [...counts]
+      .sort(([a, aCount], [b, bCount]) => abbreviated(a) - abbreviated(b) || bCount - aCount || a.length - b.length || a.localeCompare(b))[0]?.[0] || '';
+  }
+}
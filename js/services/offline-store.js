@@ -0,0 +1,172 @@
+// Offline Store - IndexedDB cache of loaded sheet data, a queue of writes made offline and the
+// merchant names the cleaning model has already answered
+import { CONFIG } from '../../config/settings.js';
+
+const SNAPSHOTS = 'snapshots';
+const PENDING_WRITES = 'pendingWrites';
+const CLEANED_NAMES = 'cleanedNames';
+
+// Promise wrapper for a single IndexedDB request
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export class OfflineStore {
+  constructor(indexedDBFactory = globalThis.indexedDB) {
+    this.factory = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  get available() {
+    return Boolean(this.factory);
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      const request = this.factory.open(CONFIG.OFFLINE.DB_NAME, CONFIG.OFFLINE.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOTS)) {
+          db.createObjectStore(SNAPSHOTS, { keyPath: 'sheetId' });
+        }
+        if (!db.objectStoreNames.contains(PENDING_WRITES)) {
+          db.createObjectStore(PENDING_WRITES, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(CLEANED_NAMES)) {
+          db.createObjectStore(CLEANED_NAMES, { keyPath: 'name' });
+        }
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return promisify(operation(store));
+  }
+
+  // Last-loaded data for a sheet: { sheetId, tabNames, rows, sources, tabs, tabValues, savedAt }
+  async getSnapshot(sheetId) {
+    if (!this.available) return null;
+    return (await this.run(SNAPSHOTS, 'readonly', store => store.get(sheetId))) || null;
+  }
+
+  async saveSnapshot(snapshot) {
+    if (!this.available) return;
+    await this.run(SNAPSHOTS, 'readwrite', store => store.put({ ...snapshot, savedAt: Date.now() }));
+  }
+
+  // Queued writes in the order they were made
+  async getWrites(sheetId) {
+    if (!this.available) return [];
+    const writes = await this.run(PENDING_WRITES, 'readonly', store => store.getAll());
+    return writes.filter(write => !sheetId || write.sheetId === sheetId).sort((a, b) => a.id - b.id);
+  }
+
+  async addWrite(write) {
+    return this.run(PENDING_WRITES, 'readwrite', store => store.add({
+      status: 'pending',
+      createdAt: Date.now(),
+      ...write
+    }));
+  }
+
+  async updateWrite(write) {
+    await this.run(PENDING_WRITES, 'readwrite', store => store.put(write));
+  }
+
+  async deleteWrite(id) {
+    await this.run(PENDING_WRITES, 'readwrite', store => store.delete(id));
+  }
+
+  // Merchant cleaning cache: [{ name, cleaned, source, savedAt }]
+  async getCleanedNames() {
+    if (!this.available) return [];
+    return this.run(CLEANED_NAMES, 'readonly', store => store.getAll());
+  }
+
+  async saveCleanedNames(entries) {
+    if (!this.available || entries.length === 0) return;
+    const db = await this.open();
+    const transaction = db.transaction(CLEANED_NAMES, 'readwrite');
+    const store = transaction.objectStore(CLEANED_NAMES);
+    const savedAt = Date.now();
+    entries.forEach(entry => store.put({ ...entry, savedAt }));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearCleanedNames() {
+    if (!this.available) return;
+    await this.run(CLEANED_NAMES, 'readwrite', store => store.clear());
+  }
+
+  // Split "'My Tab'!H12" into { tab: 'My Tab', row: 12, col: 7 }. Unqualified ranges have tab null
+  static parseCellRange(range) {
+    const match = /^(?:(?:'((?:[^']|'')+)'|([^!']+))!)?\$?([A-Z]+)\$?(\d+)$/i.exec((range || '').trim());
+    if (!match) return null;
+
+    const tab = match[1] !== undefined ? match[1].replace(/''/g, "'") : (match[2] ?? null);
+    const col = match[3].toUpperCase().split('').reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+    return { tab, row: parseInt(match[4], 10), col };
+  }
+
+  // Look up a cell in per-tab raw values ({ tabName: [[...]] }). Unqualified ranges are
+  // undefined: which tab they mean depends on the sheet, not on which tabs were fetched
+  static getCellValue(tabValues, range) {
+    const cell = this.parseCellRange(range);
+    if (!cell?.tab || !tabValues) return undefined;
+
+    const values = tabValues[cell.tab];
+    if (!values) return undefined;
+
+    const value = values[cell.row - 1]?.[cell.col];
+    return value === undefined || value === null ? '' : value.toString();
+  }
+
+  // Write a block of values into per-tab raw values, starting at the range's first cell
+  static setCellValues(tabValues, range, values) {
+    const cell = this.parseCellRange((range || '').replace(/:\$?[A-Z]+\$?\d+$/i, ''));
+    if (!cell || !tabValues) return;
+
+    const tabName = cell.tab ?? Object.keys(tabValues)[0];
+    if (!tabName) return;
+
+    const target = tabValues[tabName] || (tabValues[tabName] = []);
+    values.forEach((row, rowOffset) => {
+      const rowIndex = cell.row - 1 + rowOffset;
+      while (target.length <= rowIndex) target.push([]);
+      row.forEach((value, colOffset) => {
+        const colIndex = cell.col + colOffset;
+        while (target[rowIndex].length < colIndex) target[rowIndex].push('');
+        target[rowIndex][colIndex] = value;
+      });
+    });
+  }
+
+  // Split queued updates into ones safe to write and ones whose cell changed in the
+  // sheet since the update was made (someone else edited it while we were offline)
+  static findConflicts(updates, currentValues) {
+    const safe = [];
+    const conflicts = [];
+
+    updates.forEach(update => {
+      const actual = this.getCellValue(currentValues, update.range);
+      const unchanged = update.expected === undefined || actual === undefined ||
+        actual === update.expected || actual === (update.value ?? '').toString();
+
+      if (unchanged) {
+        safe.push(update);
+      } else {
+        conflicts.push({ ...update, actual });
+      }
+    });
+
+    return { safe, conflicts };
+  }
+}
@@ -0,0 +1,119 @@
+// Pay Schedule - pay dates and the payweeks between them
+import { CONFIG } from '../../config/settings.js';
+
+export const PAY_FREQUENCIES = {
+  weekly: { label: 'Weekly', days: 7 },
+  biweekly: { label: 'Bi-weekly', days: 14 },
+  semimonthly: { label: 'Semi-monthly', days: 365.25 / 24 },
+  monthly: { label: 'Monthly', days: 365.25 / 12 }
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (n) => n.toString().padStart(2, '0');
+const toKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const parseKey = (key) => new Date(`${key}T00:00:00`);
+
+// Day of month clamped to the month's length, so the 31st pays on the 30th or 28th
+const dayInMonth = (year, month, day) => new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+export class PaySchedule {
+  // config: { frequency, anchorDate, secondDay, weekendShift: 'before'|'after'|'none', holidays: [] }.
+  // anchorDate is any regular (unshifted) pay date; secondDay is the other semi-monthly pay day
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  configure(config) {
+    this.config = { ...CONFIG.PAY_SCHEDULE, ...config };
+    this.holidays = new Set(this.config.holidays || []);
+  }
+
+  get averageDays() {
+    return PAY_FREQUENCIES[this.config.frequency]?.days || 14;
+  }
+
+  isBusinessDay(date) {
+    return date.getDay() !== 0 && date.getDay() !== 6 && !this.holidays.has(toKey(date));
+  }
+
+  // Move a pay date that lands on a weekend or holiday to the business day before or after it
+  adjust(date) {
+    if (this.config.weekendShift === 'none') return date;
+
+    const step = this.config.weekendShift === 'after' ? 1 : -1;
+    let adjusted = date;
+    while (!this.isBusinessDay(adjusted)) {
+      adjusted = addDays(adjusted, step);
+    }
+    return adjusted;
+  }
+
+  // Regular pay dates from a little before `from` to a little after `to`, before shifting
+  nominalPayDates(from, to) {
+    const anchor = parseKey(this.config.anchorDate);
+    const dates = [];
+
+    if (this.config.frequency === 'weekly' || this.config.frequency === 'biweekly') {
+      const step = PAY_FREQUENCIES[this.config.frequency].days;
+      const first = Math.floor(Math.round((from - anchor) / DAY_MS) / step) - 1;
+      const last = Math.ceil(Math.round((to - anchor) / DAY_MS) / step) + 1;
+      for (let i = first; i <= last; i++) {
+        dates.push(addDays(anchor, i * step));
+      }
+      return dates;
+    }
+
+    const payDays = this.config.frequency === 'semimonthly'
+      ? [anchor.getDate(), parseInt(this.config.secondDay, 10) || 15]
+      : [anchor.getDate()];
+
+    for (let month = new Date(from.getFullYear(), from.getMonth() - 1, 1);
+      month <= new Date(to.getFullYear(), to.getMonth() + 1, 1);
+      month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+      payDays.forEach(day => dates.push(dayInMonth(month.getFullYear(), month.getMonth(), day)));
+    }
+    return dates.sort((a, b) => a - b);
+  }
+
+  // Actual pay dates (after weekend/holiday shifts) covering the range
+  getPayDates(from, to) {
+    const dates = this.nominalPayDates(from, to).map(date => this.adjust(date));
+    return [...new Map(dates.map(date => [toKey(date), date])).values()].sort((a, b) => a - b);
+  }
+
+  // Payweek containing a date: from one pay date up to the day before the next.
+  // Returns { key, start, end, label, payDate }
+  getPayweek(date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const span = Math.ceil(this.averageDays) + 7;
+    const payDates = this.getPayDates(addDays(day, -span), addDays(day, span));
+
+    const index = payDates.findLastIndex(payDate => payDate <= day);
+    const start = payDates[index];
+    const end = addDays(payDates[index + 1], -1);
+
+    return {
+      key: toKey(start),
+      start,
+      end,
+      payDate: start,
+      label: `Payweek ${MONTHS[start.getMonth()]} ${start.getDate()} – ${MONTHS[end.getMonth()]} ${end.getDate()}`
+    };
+  }
+
+  shiftPayweek(payweek, offset) {
+    let shifted = payweek;
+    for (let i = 0; i < Math.abs(offset); i++) {
+      shifted = this.getPayweek(offset < 0 ? addDays(shifted.start, -1) : addDays(shifted.end, 1));
+    }
+    return shifted;
+  }
+
+  contains(payweek, date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return day >= payweek.start && day <= payweek.end;
+  }
+}
@@ -0,0 +1,121 @@
+// Period Calendar - date ranges for each period type and stepping between them
+import { CONFIG } from '../../config/settings.js';
+import { PaySchedule } from './pay-schedule.js';
+
+// Average length of each period type in days, used to convert amounts between periods.
+// Payweeks take their length from the pay schedule; 14 days is the legacy length
+export const PERIOD_DAYS = { week: 7, payweek: 14, month: 365.25 / 12, quarter: 365.25 / 4, year: 365.25, fiscalYear: 365.25 };
+
+export const PERIOD_LABELS = {
+  week: 'Week',
+  payweek: 'Payweek',
+  month: 'Month',
+  quarter: 'Quarter',
+  year: 'Year',
+  fiscalYear: 'Fiscal Year',
+  custom: 'Custom'
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (n) => n.toString().padStart(2, '0');
+const toKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const dayLabel = (date) => `${MONTHS[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+
+export class PeriodCalendar {
+  // fiscalYearStart is the month (0-11) the fiscal year begins in; weekStart the first day
+  // of the week (0 = Sunday, 1 = Monday)
+  constructor(paySchedule = new PaySchedule(), fiscalYearStart = CONFIG.PERIODS.FISCAL_YEAR_START, weekStart = CONFIG.REGIONAL.WEEK_START) {
+    this.paySchedule = paySchedule;
+    this.fiscalYearStart = fiscalYearStart;
+    this.weekStart = weekStart;
+  }
+
+  periodDays(type) {
+    return type === 'payweek' ? this.paySchedule.averageDays : PERIOD_DAYS[type];
+  }
+
+  // Period of the given type containing a date: { type, key, start, end, label }. end is the last day
+  getPeriod(type, date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    let start;
+    let end;
+
+    switch (type) {
+      case 'week':
+        start = addDays(day, -((day.getDay() - this.weekStart + 7) % 7));
+        end = addDays(start, 6);
+        return { type, key: toKey(start), start, end, label: `Week of ${MONTHS[start.getMonth()]} ${start.getDate()}` };
+
+      case 'payweek':
+        return { type, ...this.paySchedule.getPayweek(day) };
+
+      case 'quarter': {
+        // Calendar quarters whatever the fiscal year start, so quarter budget keys stay put
+        const quarter = Math.floor(day.getMonth() / 3);
+        start = new Date(day.getFullYear(), quarter * 3, 1);
+        end = new Date(day.getFullYear(), quarter * 3 + 3, 0);
+        return { type, key: `${day.getFullYear()}-Q${quarter + 1}`, start, end, label: `Q${quarter + 1} ${day.getFullYear()}` };
+      }
+
+      case 'year':
+        start = new Date(day.getFullYear(), 0, 1);
+        end = new Date(day.getFullYear(), 11, 31);
+        return { type, key: `${day.getFullYear()}`, start, end, label: `${day.getFullYear()}` };
+
+      case 'fiscalYear': {
+        // Named after the calendar year it ends in, e.g. FY2026 for Apr 2025 - Mar 2026
+        const startYear = day.getMonth() >= this.fiscalYearStart ? day.getFullYear() : day.getFullYear() - 1;
+        start = new Date(startYear, this.fiscalYearStart, 1);
+        end = new Date(startYear + 1, this.fiscalYearStart, 0);
+        return { type, key: toKey(start), start, end, label: `FY${end.getFullYear()}` };
+      }
+
+      default:
+        start = new Date(day.getFullYear(), day.getMonth(), 1);
+        end = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+        return { type: 'month', key: toKey(start).slice(0, 7), start, end, label: `${MONTHS[start.getMonth()]} ${start.getFullYear()}` };
+    }
+  }
+
+  // Any span of days, first to last inclusive
+  getCustomRange(start, end) {
+    const first = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const last = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    const [from, to] = first <= last ? [first, last] : [last, first];
+    return { type: 'custom', key: `${toKey(from)}..${toKey(to)}`, start: from, end: to, label: `${dayLabel(from)} – ${dayLabel(to)}` };
+  }
+
+  // The period `offset` periods before (negative) or after (positive) the given one.
+  // Custom ranges move by their own length
+  shiftPeriod(period, offset) {
+    if (period.type === 'custom') {
+      const length = Math.round((period.end - period.start) / DAY_MS) + 1;
+      return this.getCustomRange(addDays(period.start, length * offset), addDays(period.end, length * offset));
+    }
+
+    let shifted = period;
+    for (let i = 0; i < Math.abs(offset); i++) {
+      shifted = this.getPeriod(period.type, offset < 0 ? addDays(shifted.start, -1) : addDays(shifted.end, 1));
+    }
+    return shifted;
+  }
+
+  contains(period, date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return day >= period.start && day <= period.end;
+  }
+
+  // First day of a period key ('2026-03-08', '2026-03', '2026-Q1' or '2026')
+  static keyToDate(key) {
+    const quarter = key.match(/^(\d{4})-Q([1-4])$/);
+    if (quarter) {
+      return new Date(parseInt(quarter[1], 10), (parseInt(quarter[2], 10) - 1) * 3, 1);
+    }
+
+    const [year, month = 1, day = 1] = key.split('-').map(n => parseInt(n, 10));
+    return new Date(year, month - 1, day);
+  }
+}
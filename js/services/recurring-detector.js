@@ -0,0 +1,133 @@
+// Recurring Detection Service - finds subscriptions and other charges on a regular cadence
+import { CONFIG } from '../../config/settings.js';
+import { DateParser } from '../utils/date-parser.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Expected gap between charges, how far a single gap may drift, and charges per year
+export const CADENCES = {
+  weekly: { label: 'Weekly', days: 7, tolerance: 2, perYear: 52 },
+  biweekly: { label: 'Bi-weekly', days: 14, tolerance: 3, perYear: 26 },
+  monthly: { label: 'Monthly', days: 30.4, tolerance: 5, perYear: 12 },
+  annual: { label: 'Annual', days: 365, tolerance: 15, perYear: 1 }
+};
+
+export class RecurringDetector {
+  constructor(merchantCleaner = null) {
+    this.merchantCleaner = merchantCleaner;
+  }
+
+  // Same merchant token the duplicate detector uses ("NETFLIX.COM 866-579" -> "netflixcom")
+  normalizeMerchant(merchant) {
+    const cleaned = this.merchantCleaner ? this.merchantCleaner.cleanWithRegex(merchant || '') : merchant;
+    return (cleaned || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Find recurring series in processed transactions. Returns one entry per merchant and direction:
+  // { key, merchant, cadence, indices, amount, lastDate, nextDate, annualCost, active, priceChange }
+  // where indices point into the transactions array, oldest first
+  findRecurring(transactions, today = new Date()) {
+    const series = new Map();
+
+    transactions.forEach((transaction, index) => {
+      const date = DateParser.parse(transaction[4]);
+      const amount = parseFloat(transaction[1]);
+      if (!date || !amount) return;
+
+      // Money in and money out from the same payee are separate series
+      const key = `${this.normalizeMerchant(transaction[2])}|${amount < 0 ? 'out' : 'in'}`;
+      if (key.startsWith('|')) return;
+
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      series.get(key).push({ index, date, time: new Date(`${date}T00:00:00`).getTime(), amount });
+    });
+
+    const results = [];
+    series.forEach((entries, key) => {
+      const result = this.analyzeSeries(key, entries, transactions, today);
+      if (result) results.push(result);
+    });
+
+    return results.sort((a, b) => b.annualCost - a.annualCost);
+  }
+
+  analyzeSeries(key, entries, transactions, today) {
+    entries.sort((a, b) => a.time - b.time);
+
+    const cadenceKey = this.detectCadence(entries);
+    if (!cadenceKey) return null;
+
+    const amounts = entries.map(entry => Math.abs(entry.amount));
+    if (!this.isStableAmount(amounts)) return null;
+
+    const cadence = CADENCES[cadenceKey];
+    const last = entries[entries.length - 1];
+    const previous = entries[entries.length - 2];
+    const amount = Math.abs(last.amount);
+
+    // A series that has missed two of its charges has probably been cancelled
+    const overdueDays = (today.getTime() - last.time) / DAY_MS;
+    const active = overdueDays <= cadence.days * 2 + cadence.tolerance;
+
+    const priceChange = Math.abs(amount - Math.abs(previous.amount)) >= CONFIG.RECURRING.PRICE_CHANGE_MIN
+      ? { from: Math.abs(previous.amount), to: amount, date: last.date }
+      : null;
+
+    return {
+      key,
+      merchant: transactions[last.index][2],
+      cadence: cadenceKey,
+      indices: entries.map(entry => entry.index),
+      amount: last.amount,
+      lastDate: last.date,
+      nextDate: this.getNextDate(last.date, cadenceKey),
+      annualCost: amount * cadence.perYear,
+      active,
+      priceChange
+    };
+  }
+
+  // Pick the cadence that nearly all gaps between charges fit
+  detectCadence(entries) {
+    const gaps = [];
+    for (let i = 1; i < entries.length; i++) {
+      gaps.push((entries[i].time - entries[i - 1].time) / DAY_MS);
+    }
+
+    return Object.keys(CADENCES).find(cadenceKey => {
+      const cadence = CADENCES[cadenceKey];
+      const minCharges = cadenceKey === 'annual' ? 2 : CONFIG.RECURRING.MIN_OCCURRENCES;
+      if (entries.length < minCharges) return false;
+
+      const fitting = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length;
+      return fitting / gaps.length >= CONFIG.RECURRING.CADENCE_MATCH_RATIO;
+    }) || null;
+  }
+
+  // Most charges within the tolerance of the typical amount. Allows for one-off price changes
+  isStableAmount(amounts) {
+    const sorted = [...amounts].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const stable = amounts.filter(amount => Math.abs(amount - median) <= median * CONFIG.RECURRING.AMOUNT_TOLERANCE);
+    return stable.length / amounts.length >= CONFIG.RECURRING.CADENCE_MATCH_RATIO;
+  }
+
+  // Next expected charge. Monthly and annual keep the day of month; others add days
+  getNextDate(lastDate, cadenceKey) {
+    const [year, month, day] = lastDate.split('-').map(n => parseInt(n, 10));
+    let next;
+
+    if (cadenceKey === 'monthly' || cadenceKey === 'annual') {
+      const target = new Date(year, month - 1 + (cadenceKey === 'monthly' ? 1 : 12), 1);
+      const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+      next = new Date(target.getFullYear(), target.getMonth(), Math.min(day, daysInMonth));
+    } else {
+      next = new Date(year, month - 1, day + CADENCES[cadenceKey].days);
+    }
+
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${next.getFullYear()}-${pad(next.getMonth() + 1)}-${pad(next.getDate())}`;
+  }
+}
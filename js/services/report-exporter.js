@@ -0,0 +1,305 @@
+// Report Exporter - transactions, category summary and budget vs. actual reports as CSV or
+// Excel (.xlsx) files, and a printable statement. Reports are arrays of rows, header first
+import { Formatters } from '../utils/formatters.js';
+import { CashFlow } from './cash-flow.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeXml = (value) => value.toString()
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters aren't allowed in XML
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const escapeHtml = (value) => escapeXml(value ?? '').replace(/'/g, '&#39;');
+
+// Column letters for a 0-based index: 0 -> A, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+let crcTable = null;
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+export class ReportExporter {
+  // A cell as CSV text. Text that a spreadsheet would run as a formula gets a leading quote
+  static csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? value.toString() : '';
+
+    let text = value.toString();
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static toCsv(rows) {
+    return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+  }
+
+  // A single-sheet workbook. Numbers stay numbers; everything else is stored as text
+  static toXlsx(rows, sheetName = 'Report') {
+    const name = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Report');
+    const sheetRows = rows.map((row, rowIndex) => {
+      const cells = row.map((value, colIndex) => {
+        const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+        if (value === null || value === undefined || value === '') return '';
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+      });
+      return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const packageRelationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    return this.zip([
+      {
+        name: '[Content_Types].xml',
+        text: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        text: `${xml}<Relationships xmlns="${packageRelationships}">` +
+          `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+      },
+      {
+        name: 'xl/workbook.xml',
+        text: `${xml}<workbook xmlns="${main}" xmlns:r="${relationships}">` +
+          `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+      },
+      {
+        name: 'xl/_rels/workbook.xml.rels',
+        text: `${xml}<Relationships xmlns="${packageRelationships}">` +
+          `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+      },
+      {
+        name: 'xl/worksheets/sheet1.xml',
+        text: `${xml}<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+      }
+    ]);
+  }
+
+  // Uncompressed zip archive of [{ name, text }]. Returns a Uint8Array
+  static zip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.text);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(12, 0x0021, true); // 1980-01-01
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(14, 0x0021, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      output.set(part, position);
+      position += part.length;
+    });
+    return output;
+  }
+
+  // Transactions as listed: records are { date, account, merchant, category, group, amount,
+  // originalAmount, originalCurrency, notes, tags } with amount in the base currency
+  static transactionReport(records, base) {
+    return [
+      ['Date', 'Account', 'Merchant', 'Category', 'Category Group', `Amount (${base})`, 'Original Amount', 'Original Currency', 'Notes', 'Tags'],
+      ...records.map(record => [
+        record.date,
+        record.account,
+        record.merchant,
+        record.category,
+        record.group,
+        round(record.amount),
+        record.originalCurrency && record.originalCurrency !== base ? round(record.originalAmount) : '',
+        record.originalCurrency && record.originalCurrency !== base ? record.originalCurrency : '',
+        record.notes,
+        record.tags || ''
+      ])
+    ];
+  }
+
+  // Net spending per category with a column per period, then total spending, income and net.
+  // periodOf(transaction) gives the { key, label } a transaction falls in, or null to leave it out
+  static categorySummary(transactions, { incomeCategories, groupOf, periodOf }) {
+    const periods = new Map();
+    const spending = {};
+    const income = {};
+
+    transactions.forEach(transaction => {
+      const period = periodOf(transaction);
+      if (!period) return;
+      periods.set(period.key, period.label);
+
+      if (CashFlow.isIncome(transaction, incomeCategories)) {
+        income[period.key] = (income[period.key] || 0) + (parseFloat(transaction[1]) || 0);
+        return;
+      }
+      const category = transaction[7] || 'Uncategorized';
+      spending[category] = spending[category] || {};
+      spending[category][period.key] = (spending[category][period.key] || 0) + CashFlow.spendingAmount(transaction, incomeCategories);
+    });
+
+    const keys = [...periods.keys()].sort();
+    const line = (label, group, byPeriod) => {
+      const values = keys.map(key => round(byPeriod[key] || 0));
+      return [group, label, ...values, round(values.reduce((sum, value) => sum + value, 0))];
+    };
+    const totalSpending = {};
+    Object.values(spending).forEach(byPeriod => {
+      Object.entries(byPeriod).forEach(([key, amount]) => { totalSpending[key] = (totalSpending[key] || 0) + amount; });
+    });
+    const net = Object.fromEntries(keys.map(key => [key, (income[key] || 0) - (totalSpending[key] || 0)]));
+
+    const categories = Object.keys(spending)
+      .map(category => ({ category, group: groupOf(category) || 'Other' }))
+      .sort((a, b) => a.group.localeCompare(b.group) || a.category.localeCompare(b.category));
+
+    return [
+      ['Group', 'Category', ...keys.map(key => periods.get(key)), 'Total'],
+      ...categories.map(({ category, group }) => line(category, group, spending[category])),
+      line('Total Spending', '', totalSpending),
+      line('Income', '', income),
+      line('Net Cash Flow', '', net)
+    ];
+  }
+
+  // Budget, carried-over amount, available, spent and remaining per category and budget period.
+  // Categories are those with a budget or spending in the periods; groupFilter keeps one group
+  static budgetReport(model, periods, buckets, { groupOf, groupFilter = '' }) {
+    const rows = [['Period', 'Group', 'Category', 'Budget', 'Carried Over', 'Available', 'Spent', 'Remaining']];
+
+    periods.forEach(period => {
+      const spent = buckets[period.key]?.spent || {};
+      const categories = new Set([
+        ...model.getBudgetedCategories(),
+        ...Object.keys(spent).filter(category => spent[category] > 0)
+      ]);
+
+      [...categories]
+        .map(category => ({ category, group: groupOf(category) || 'Other' }))
+        .filter(({ group }) => !groupFilter || group === groupFilter)
+        .sort((a, b) => a.group.localeCompare(b.group) || a.category.localeCompare(b.category))
+        .forEach(({ category, group }) => {
+          const status = model.getStatus(category, period, buckets);
+          rows.push([period.label, group, category, round(status.budget), round(status.carried),
+            round(status.available), round(status.spent), round(status.remaining)]);
+        });
+    });
+
+    return rows;
+  }
+
+  // Printable statement page: summary, spending by category, charts as images and the
+  // transactions. charts are [{ title, src }] with src an image data URL
+  static statementHtml({ title, periodLabel, filters = [], summary, byCategory, records, charts = [] }) {
+    const money = (amount) => escapeHtml(Formatters.currency(amount));
+    const categoryRows = Object.entries(byCategory)
+      .filter(([, amount]) => Math.abs(amount) >= 0.005)
+      .sort(([, a], [, b]) => b - a)
+      .map(([category, amount]) => `<tr><td>${escapeHtml(category)}</td><td class="amount">${money(amount)}</td></tr>`)
+      .join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} - ${escapeHtml(periodLabel)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+  h1 { margin-bottom: 0; }
+  .muted { color: #6b7280; }
+  .cards { display: flex; gap: 1rem; margin: 1.5rem 0; }
+  .card { flex: 1; border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem; }
+  .card strong { display: block; font-size: 1.25rem; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; font-size: 0.85rem; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+  .amount { text-align: right; white-space: nowrap; }
+  .chart { page-break-inside: avoid; margin-bottom: 1rem; }
+  .chart img { max-width: 100%; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">${escapeHtml(periodLabel)}${filters.length > 0 ? ` • ${filters.map(escapeHtml).join(' • ')}` : ''}</div>
+<div class="cards">
+  <div class="card">Income<strong>${money(summary.income)}</strong></div>
+  <div class="card">Spending<strong>${money(summary.spending)}</strong></div>
+  <div class="card">Net Cash Flow<strong>${money(summary.net)}</strong></div>
+</div>
+<h2>Spending by Category</h2>
+<table>${categoryRows || '<tr><td class="muted">No spending</td></tr>'}</table>
+${charts.map(chart => `<div class="chart"><h3>${escapeHtml(chart.title)}</h3><img src="${escapeHtml(chart.src)}" alt="${escapeHtml(chart.title)}"></div>`).join('\n')}
+<h2>Transactions</h2>
+<table>
+  <thead><tr><th>Date</th><th>Account</th><th>Merchant</th><th>Category</th><th class="amount">Amount</th></tr></thead>
+  <tbody>
+    ${records.map(record => `<tr><td>${escapeHtml(record.date)}</td><td>${escapeHtml(record.account)}</td><td>${escapeHtml(record.merchant)}</td><td>${escapeHtml(record.category)}</td><td class="amount">${money(record.amount)}</td></tr>`).join('\n    ')}
+  </tbody>
+</table>
+</body>
+</html>`;
+  }
+}
@@ -0,0 +1,140 @@
+// Rules Engine - user-editable auto-categorization rules
+import { Storage } from '../utils/storage.js';
+import { DateParser } from '../utils/date-parser.js';
+import { Tags } from './tags.js';
+
+// Fields a rule can set, with the sheet column each one writes to
+export const RULE_ACTIONS = {
+  category: 'Category',
+  merchantGroup: 'Merchant Group',
+  tags: 'Tags',
+  notes: 'Notes'
+};
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export class RulesEngine {
+  constructor() {
+    this.rules = Storage.getCategoryRules();
+  }
+
+  // Rules in evaluation order - highest priority first
+  getRules() {
+    return [...this.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  getRule(id) {
+    return this.rules.find(rule => rule.id === id) || null;
+  }
+
+  saveRule(rule) {
+    const saved = { ...rule, id: rule.id || `rule-${Date.now()}` };
+    const index = this.rules.findIndex(r => r.id === saved.id);
+
+    if (index === -1) {
+      this.rules.push(saved);
+    } else {
+      this.rules[index] = saved;
+    }
+
+    Storage.saveCategoryRules(this.rules);
+    return saved;
+  }
+
+  deleteRule(id) {
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    Storage.saveCategoryRules(this.rules);
+  }
+
+  // Does a rule match a transaction ({ account, amount, merchant, description, date })?
+  // Every condition that is filled in must hold
+  static matches(rule, transaction) {
+    if (!this.hasConditions(rule)) return false;
+    const { merchant, amountMin, amountMax, account, daysOfWeek, keywords } = rule.conditions;
+
+    if (merchant) {
+      const pattern = this.toRegex(merchant);
+      if (!pattern || !pattern.test(transaction.merchant || '')) return false;
+    }
+
+    // Amount ranges compare the size of the charge, ignoring its sign
+    const amount = Math.abs(parseFloat(transaction.amount));
+    if (this.isSet(amountMin) && !(amount >= parseFloat(amountMin))) return false;
+    if (this.isSet(amountMax) && !(amount <= parseFloat(amountMax))) return false;
+
+    if (account && (transaction.account || '').toLowerCase().trim() !== account.toLowerCase().trim()) {
+      return false;
+    }
+
+    if (daysOfWeek?.length > 0) {
+      // Read as a local date so the weekday doesn't shift with the timezone
+      const day = DateParser.toDate(transaction.date)?.getDay();
+      if (day === undefined || !daysOfWeek.includes(day)) return false;
+    }
+
+    if (keywords) {
+      const description = (transaction.description || '').toLowerCase();
+      const words = keywords.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+      if (!words.some(word => description.includes(word))) return false;
+    }
+
+    return true;
+  }
+
+  // A rule without conditions would match everything, so it matches nothing instead
+  static hasConditions(rule) {
+    const { merchant, amountMin, amountMax, account, daysOfWeek, keywords } = rule.conditions || {};
+    return Boolean(merchant || account || keywords || daysOfWeek?.length > 0 ||
+      this.isSet(amountMin) || this.isSet(amountMax));
+  }
+
+  // Combined actions of every enabled matching rule. Higher priority rules claim a field first
+  evaluate(transaction) {
+    const actions = {};
+    const ruleIds = [];
+
+    this.getRules().forEach(rule => {
+      if (rule.enabled === false || !RulesEngine.matches(rule, transaction)) return;
+
+      ruleIds.push(rule.id);
+      Object.entries(rule.actions || {}).forEach(([field, value]) => {
+        if (value && actions[field] === undefined) {
+          actions[field] = value;
+        }
+      });
+    });
+
+    return { actions, ruleIds };
+  }
+
+  // Field changes a rule would make to a transaction, given its current values.
+  // Returns { field: { from, to } } for fields that would actually change
+  static getChanges(rule, current) {
+    const changes = {};
+
+    Object.entries(rule.actions || {}).forEach(([field, value]) => {
+      if (!value) return;
+
+      const from = current[field] || '';
+      // Tags are added to the ones already there rather than replacing them
+      const to = field === 'tags' ? Tags.add(from, value) : value;
+      if (to !== from) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+
+  static toRegex(source) {
+    try {
+      return new RegExp(source, 'i');
+    } catch {
+      return null;
+    }
+  }
+
+  static isSet(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+}
@@ -0,0 +1,319 @@
+// Statement Import Service - CSV / OFX / QFX parsing and column mapping
+import { CONFIG } from '../../config/settings.js';
+import { Storage } from '../utils/storage.js';
+import { DateParser } from '../utils/date-parser.js';
+
+// Semantic fields an imported statement can be mapped onto
+export const IMPORT_FIELDS = ['date', 'amount', 'debit', 'credit', 'merchant', 'description', 'account', 'id', 'notes', 'currency'];
+
+// Header keywords used to guess a mapping the first time a layout is seen
+const HEADER_HINTS = {
+  date: ['date', 'posted', 'transaction date'],
+  amount: ['amount', 'amt', 'value'],
+  debit: ['debit', 'withdrawal', 'money out'],
+  credit: ['credit', 'deposit', 'money in'],
+  merchant: ['merchant', 'payee', 'name'],
+  description: ['description', 'details', 'memo', 'narrative'],
+  account: ['account', 'card'],
+  id: ['fitid', 'reference', 'ref', 'transaction id', 'id'],
+  notes: ['notes', 'note', 'comment'],
+  currency: ['currency', 'ccy']
+};
+
+// CSV parser - RFC 4180 quoting with delimiter auto-detection
+export class CSVParser {
+  static parse(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(content);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    // Drop blank lines
+    const dataRows = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    const headers = (dataRows.shift() || []).map(h => h.trim());
+
+    return { headers, rows: dataRows };
+  }
+
+  // Pick whichever common delimiter appears most in the first line
+  static detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/)[0] || '';
+    const candidates = [',', ';', '\t', '|'];
+    return candidates.reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    , ',');
+  }
+}
+
+// OFX / QFX parser - handles both SGML (1.x) and XML (2.x) statements
+export class OFXParser {
+  static HEADERS = ['Date', 'Amount', 'Name', 'Memo', 'FITID', 'Account', 'Type', 'Currency'];
+
+  static parse(text) {
+    const rows = [];
+    const statementPattern = /<(?:CC)?STMTRS>([\s\S]*?)<\/(?:CC)?STMTRS>/gi;
+    const statements = [...text.matchAll(statementPattern)].map(match => match[1]);
+
+    // Some exports omit the closing statement tag - fall back to the whole file
+    if (statements.length === 0) {
+      statements.push(text);
+    }
+
+    statements.forEach(statement => {
+      const account = this.readTag(statement, 'ACCTID');
+      const currency = this.readTag(statement, 'CURDEF');
+      const transactions = statement.split(/<STMTTRN>/i).slice(1);
+
+      transactions.forEach(block => {
+        const body = block.split(/<\/STMTTRN>/i)[0];
+        rows.push([
+          this.readTag(body, 'DTPOSTED'),
+          this.readTag(body, 'TRNAMT'),
+          this.readTag(body, 'NAME') || this.readTag(body, 'PAYEE'),
+          this.readTag(body, 'MEMO'),
+          this.readTag(body, 'FITID'),
+          account,
+          this.readTag(body, 'TRNTYPE'),
+          currency
+        ]);
+      });
+    });
+
+    return {
+      headers: [...this.HEADERS],
+      rows,
+      mapping: { date: 0, amount: 1, merchant: 2, description: 3, id: 4, account: 5, currency: 7, dateFormat: 'YMD' }
+    };
+  }
+
+  // Read a tag value - SGML tags are not closed, so stop at the next tag or line break
+  static readTag(text, tag) {
+    const match = text.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    if (!match) return '';
+
+    return match[1].trim()
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export class StatementImporter {
+  constructor() {
+    this.parsers = new Map();
+    this.registerParser(['csv'], CSVParser);
+    this.registerParser(['ofx', 'qfx'], OFXParser);
+  }
+
+  // Register a parser for one or more file extensions. A parser exposes
+  // parse(text) returning { headers, rows, mapping? }
+  registerParser(extensions, parser) {
+    extensions.forEach(ext => this.parsers.set(ext.toLowerCase(), parser));
+  }
+
+  getFormat(fileName) {
+    const ext = (fileName || '').split('.').pop().toLowerCase();
+    return this.parsers.has(ext) ? ext : null;
+  }
+
+  // Read and parse a dropped File object
+  async parseFile(file) {
+    const format = this.getFormat(file.name);
+    if (!format) {
+      throw new Error(`Unsupported file type: ${file.name}. Supported formats: ${CONFIG.IMPORT.SUPPORTED_FORMATS.join(', ').toUpperCase()}`);
+    }
+
+    const text = await file.text();
+    return this.parseText(text, format);
+  }
+
+  parseText(text, format) {
+    const parser = this.parsers.get(format);
+    if (!parser) {
+      throw new Error(`No parser registered for ${format}`);
+    }
+
+    const parsed = parser.parse(text);
+    if (parsed.rows.length === 0) {
+      throw new Error('No transactions found in file');
+    }
+
+    const profile = this.findProfile(parsed.headers);
+    const mapping = profile?.mapping || parsed.mapping || StatementImporter.guessMapping(parsed.headers);
+
+    return {
+      format,
+      headers: parsed.headers,
+      rows: parsed.rows,
+      mapping: { ...mapping },
+      profile: profile || null
+    };
+  }
+
+  // Guess column positions from header names
+  static guessMapping(headers) {
+    const normalized = headers.map(h => (h || '').toLowerCase().trim());
+    const mapping = { dateFormat: 'auto', invertAmount: false };
+    const used = new Set();
+
+    // Specific fields first so "Account Name" isn't claimed as the merchant
+    const guessOrder = ['date', 'amount', 'debit', 'credit', 'account', 'id', 'notes', 'description', 'merchant'];
+
+    guessOrder.forEach(field => {
+      const hints = HEADER_HINTS[field] || [];
+      // Exact matches take priority; short hints like "id" only match exactly
+      let index = normalized.findIndex((h, i) => !used.has(i) && hints.includes(h));
+      if (index === -1) {
+        index = normalized.findIndex((h, i) => !used.has(i) && hints.some(hint => hint.length > 3 && h.includes(hint)));
+      }
+      mapping[field] = index;
+      if (index !== -1) used.add(index);
+    });
+
+    // A single amount column wins over a debit/credit split
+    if (mapping.amount !== -1) {
+      mapping.debit = -1;
+      mapping.credit = -1;
+    }
+
+    return mapping;
+  }
+
+  // Convert parsed rows into transaction records using a column mapping
+  static applyMapping(rows, mapping) {
+    const cell = (row, field) => {
+      const index = mapping[field];
+      return index !== undefined && index !== null && index >= 0 && row[index] !== undefined
+        ? row[index].toString().trim()
+        : '';
+    };
+
+    return rows.map(row => {
+      let amount;
+      if (mapping.amount >= 0) {
+        amount = this.parseAmount(cell(row, 'amount'));
+      } else {
+        amount = Math.abs(this.parseAmount(cell(row, 'credit')) || 0) -
+                 Math.abs(this.parseAmount(cell(row, 'debit')) || 0);
+      }
+
+      if (mapping.invertAmount) {
+        amount = -amount;
+      }
+
+      const description = cell(row, 'description');
+
+      return {
+        account: cell(row, 'account') || mapping.accountName || '',
+        amount,
+        merchant: cell(row, 'merchant') || description,
+        description,
+        date: this.parseDate(cell(row, 'date'), mapping.dateFormat),
+        id: cell(row, 'id'),
+        notes: cell(row, 'notes'),
+        currency: cell(row, 'currency').toUpperCase()
+      };
+    }).filter(record => record.date && !isNaN(record.amount));
+  }
+
+  // Parse bank-formatted amounts: "$1,234.56", "(12.00)", "12.00-", "1.234,56"
+  static parseAmount(value) {
+    if (value === null || value === undefined) return NaN;
+    let text = value.toString().trim();
+    if (!text) return NaN;
+
+    let negative = false;
+    if (/^\(.*\)$/.test(text) || /-$/.test(text)) {
+      negative = true;
+      text = text.replace(/[()]/g, '').replace(/-$/, '');
+    }
+
+    text = text.replace(/[^\d.,-]/g, '');
+
+    // European format uses comma as the decimal separator
+    if (/,\d{1,2}$/.test(text) && !/\.\d{1,2}$/.test(text)) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return NaN;
+    return negative ? -Math.abs(amount) : amount;
+  }
+
+  // Normalize a statement date to YYYY-MM-DD. format is 'auto', 'MDY', 'DMY' or 'YMD'
+  static parseDate(value, format = 'auto') {
+    return DateParser.parse(value, format);
+  }
+
+  // Header signature used to recognise a bank's export layout on repeat imports
+  static getSignature(headers) {
+    return headers.map(h => (h || '').toLowerCase().trim()).join('|');
+  }
+
+  // Mapping profiles
+  getProfiles() {
+    return Storage.getImportProfiles();
+  }
+
+  findProfile(headers) {
+    const signature = StatementImporter.getSignature(headers);
+    return Object.values(this.getProfiles()).find(profile => profile.signature === signature) || null;
+  }
+
+  saveProfile(name, headers, mapping) {
+    const profiles = this.getProfiles();
+    profiles[name] = {
+      name,
+      signature: StatementImporter.getSignature(headers),
+      mapping,
+      lastUsed: new Date().toISOString()
+    };
+    Storage.saveImportProfiles(profiles);
+    return profiles[name];
+  }
+
+  deleteProfile(name) {
+    const profiles = this.getProfiles();
+    delete profiles[name];
+    Storage.saveImportProfiles(profiles);
+  }
+}
@@ -0,0 +1,87 @@
+// Tags - free-form labels like "vacation-2026" or "tax-deductible" kept comma separated in the
+// Tags column. A transaction has one category but any number of tags
+import { CashFlow } from './cash-flow.js';
+
+export class Tags {
+  // Tags in a cell, trimmed, without repeats (compared ignoring case)
+  static parse(value) {
+    const seen = new Set();
+    return (value || '').toString().split(',')
+      .map(tag => tag.trim())
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  static format(tags) {
+    return this.parse(tags.join(',')).join(', ');
+  }
+
+  static has(value, tag) {
+    return this.parse(value).some(existing => existing.toLowerCase() === tag.toLowerCase());
+  }
+
+  // Cell value with tags added after the ones already there
+  static add(value, added) {
+    return this.format([...this.parse(value), ...this.parse(added)]);
+  }
+
+  static remove(value, removed) {
+    const drop = new Set(this.parse(removed).map(tag => tag.toLowerCase()));
+    return this.format(this.parse(value).filter(tag => !drop.has(tag.toLowerCase())));
+  }
+
+  // Every tag used in the cell values, sorted
+  static collect(values) {
+    const tags = new Map();
+    values.forEach(value => this.parse(value).forEach(tag => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }));
+    return [...tags.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  // Spending per tag across categories and periods. tagsOf(transaction) gives its cell value and
+  // periodOf(transaction) its { key, label }. Returns
+  // [{ tag, count, spending, byCategory: { category: amount }, byPeriod: [{ key, label, amount }] }]
+  // with the most spent first
+  static report(transactions, { tagsOf, periodOf, incomeCategories }) {
+    const tags = new Map();
+
+    transactions.forEach(transaction => {
+      const amount = CashFlow.spendingAmount(transaction, incomeCategories);
+      const period = periodOf(transaction);
+      const category = transaction[7] || 'Uncategorized';
+
+      this.parse(tagsOf(transaction)).forEach(tag => {
+        const key = tag.toLowerCase();
+        if (!tags.has(key)) tags.set(key, { tag, count: 0, spending: 0, byCategory: {}, periods: new Map() });
+        const entry = tags.get(key);
+
+        entry.count++;
+        entry.spending += amount;
+        entry.byCategory[category] = (entry.byCategory[category] || 0) + amount;
+        if (period) {
+          const current = entry.periods.get(period.key) || { key: period.key, label: period.label, amount: 0 };
+          current.amount += amount;
+          entry.periods.set(period.key, current);
+        }
+      });
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return [...tags.values()]
+      .map(({ tag, count, spending, byCategory, periods }) => ({
+        tag,
+        count,
+        spending: round(spending),
+        byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, amount]) => [category, round(amount)])),
+        byPeriod: [...periods.values()]
+          .sort((a, b) => a.key.localeCompare(b.key))
+          .map(period => ({ ...period, amount: round(period.amount) }))
+      }))
+      .sort((a, b) => b.spending - a.spending || a.tag.localeCompare(b.tag));
+  }
+}
@@ -0,0 +1,190 @@
+// Transaction Query - parses and runs searches like `category:Dining amount>50 -merchant:starbucks`
+import { StatementImporter } from './statement-importer.js';
+import { DateParser } from '../utils/date-parser.js';
+
+// Fields a query can name. Text fields match when the value contains the search text (or equals
+// it with =); amounts compare the size of the transaction, ignoring its sign; dates compare days,
+// or whole months/years when given as YYYY-MM or YYYY
+export const QUERY_FIELDS = {
+  account: { type: 'text', label: 'Account' },
+  merchant: { type: 'text', label: 'Merchant or merchant group' },
+  category: { type: 'text', label: 'Category' },
+  group: { type: 'text', label: 'Category group' },
+  description: { type: 'text', label: 'Description' },
+  notes: { type: 'text', label: 'Notes' },
+  tags: { type: 'text', label: 'Tags' },
+  amount: { type: 'number', label: 'Amount' },
+  date: { type: 'date', label: 'Date' },
+  after: { type: 'date', label: 'On or after a date' },
+  before: { type: 'date', label: 'On or before a date' }
+};
+
+const OPERATORS = /^([a-z]+)(>=|<=|:|>|<|=)(.*)$/i;
+const TEXT_FIELDS = Object.keys(QUERY_FIELDS).filter(field => QUERY_FIELDS[field].type === 'text');
+
+export class TransactionQuery {
+  // Split a query on spaces outside double quotes. Returns [{ text, start }]
+  static tokenize(query) {
+    const tokens = [];
+    let current = null;
+    let quoted = false;
+
+    [...query].forEach((char, index) => {
+      if (char === '"') quoted = !quoted;
+
+      if (/\s/.test(char) && !quoted) {
+        if (current) tokens.push(current);
+        current = null;
+      } else if (current) {
+        current.text += char;
+      } else {
+        current = { text: char, start: index };
+      }
+    });
+
+    if (current) tokens.push(current);
+    return tokens;
+  }
+
+  static unquote(value) {
+    return value.replace(/^"/, '').replace(/"$/, '');
+  }
+
+  // Parse a query into terms { field, op, value, negate } that must all match. A term without
+  // a field searches every text field. Terms that can't be used are reported in errors
+  static parse(query) {
+    const terms = [];
+    const errors = [];
+
+    this.tokenize(query || '').forEach(({ text }) => {
+      const negate = text.startsWith('-') && text.length > 1;
+      const body = negate ? text.slice(1) : text;
+      const match = body.match(OPERATORS);
+
+      if (!match) {
+        terms.push({ field: null, op: ':', value: this.unquote(body).toLowerCase(), negate });
+        return;
+      }
+
+      const field = match[1].toLowerCase();
+      const op = match[2];
+      const value = this.unquote(match[3]).trim();
+      const definition = QUERY_FIELDS[field];
+
+      if (!definition) {
+        errors.push(`Unknown field "${match[1]}"`);
+        return;
+      }
+      // A field still being typed, e.g. "category:"
+      if (!value) return;
+
+      const term = this.parseValue(field, op, value, errors);
+      if (term) terms.push({ ...term, negate });
+    });
+
+    return { terms, errors };
+  }
+
+  static parseValue(field, op, value, errors) {
+    switch (QUERY_FIELDS[field].type) {
+      case 'number': {
+        const amount = StatementImporter.parseAmount(value);
+        if (isNaN(amount)) {
+          errors.push(`"${value}" is not an amount`);
+          return null;
+        }
+        return { field, op: op === ':' ? '=' : op, value: Math.abs(amount) };
+      }
+
+      case 'date': {
+        const date = /^\d{4}(-\d{2}){0,2}$/.test(value) ? value : DateParser.parse(value);
+        if (!date) {
+          errors.push(`"${value}" is not a date`);
+          return null;
+        }
+        // after:/before: are inclusive shorthands for date>= and date<=
+        if (field === 'after') return { field: 'date', op: '>=', value: date };
+        if (field === 'before') return { field: 'date', op: '<=', value: date };
+        return { field, op: op === ':' ? '=' : op, value: date };
+      }
+
+      default:
+        if (op !== ':' && op !== '=') {
+          errors.push(`${field} can only be searched with : or =`);
+          return null;
+        }
+        return { field, op, value: value.toLowerCase() };
+    }
+  }
+
+  // Does a record { account, amount, merchant, category, group, description, notes, tags, date }
+  // match every term? Text fields may hold a list of values, e.g. merchant and merchant group
+  static matches(parsed, record) {
+    return parsed.terms.every(term => this.matchesTerm(term, record) !== term.negate);
+  }
+
+  static matchesTerm(term, record) {
+    const textValues = (field) => [].concat(record[field] ?? []).map(value => value.toString().toLowerCase());
+
+    if (!term.field) {
+      return TEXT_FIELDS.some(field => textValues(field).some(value => value.includes(term.value)));
+    }
+
+    switch (QUERY_FIELDS[term.field].type) {
+      case 'number':
+        return this.compare(Math.round(Math.abs(parseFloat(record.amount)) * 100) / 100, term.op, term.value);
+
+      case 'date': {
+        const date = DateParser.parse(record.date);
+        // Compare at the precision of the search value, so 2026-03 covers all of March
+        return Boolean(date) && this.compare(date.slice(0, term.value.length), term.op, term.value);
+      }
+
+      default:
+        return textValues(term.field).some(value => (term.op === '=' ? value === term.value : value.includes(term.value)));
+    }
+  }
+
+  static compare(a, op, b) {
+    switch (op) {
+      case '>': return a > b;
+      case '<': return a < b;
+      case '>=': return a >= b;
+      case '<=': return a <= b;
+      default: return a === b;
+    }
+  }
+
+  // Items whose record matches the query. toRecord maps an item to a query record
+  static filter(items, query, toRecord = item => item) {
+    const parsed = typeof query === 'string' ? this.parse(query) : query;
+    if (parsed.terms.length === 0) return items;
+    return items.filter(item => this.matches(parsed, toRecord(item)));
+  }
+
+  // Completions for the last word of a query: field names, or values of the field being typed
+  // taken from values ({ field: [value] }). Returns whole queries, ready for a datalist
+  static getSuggestions(query, values = {}, limit = 20) {
+    const tokens = this.tokenize(query);
+    const last = /\s$/.test(query) || tokens.length === 0 ? { text: '', start: query.length } : tokens[tokens.length - 1];
+    const prefix = query.slice(0, last.start);
+    const negate = last.text.startsWith('-') ? '-' : '';
+    const body = last.text.slice(negate.length);
+    const match = body.match(OPERATORS);
+
+    if (!match) {
+      return Object.keys(QUERY_FIELDS)
+        .filter(field => field.startsWith(body.toLowerCase()))
+        .map(field => `${prefix}${negate}${field}:`)
+        .slice(0, limit);
+    }
+
+    const field = match[1].toLowerCase();
+    const partial = this.unquote(match[3]).toLowerCase();
+    return [...new Set(values[field] || [])]
+      .filter(value => value && value.toString().toLowerCase().includes(partial))
+      .sort()
+      .slice(0, limit)
+      .map(value => `${prefix}${negate}${field}${match[2]}${/\s/.test(value) ? `"${value}"` : value}`);
+  }
+}
@@ -0,0 +1,78 @@
+// Transaction Splits - one charge divided into allocations with their own categories
+
+export class TransactionSplits {
+  // Transactions to count in totals. A split transaction is counted through its allocations,
+  // which carry its ID in their Split Of column; splitOfValues is that column for every row
+  static countable(transactions, splitOfValues) {
+    const splitIds = new Set([...splitOfValues].filter(Boolean).map(id => id.toString()));
+    if (splitIds.size === 0) return transactions;
+    return transactions.filter(transaction => !(transaction[5] && splitIds.has(transaction[5].toString())));
+  }
+
+  // Amount of the transaction not yet given to an allocation. Worked in cents so
+  // 33.33 + 33.33 + 33.34 adds up to exactly 100
+  static remaining(amount, allocations) {
+    const toCents = (value) => Math.round(Math.abs(parseFloat(value) || 0) * 100);
+    const allocated = allocations.reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+    return (toCents(amount) - allocated) / 100;
+  }
+
+  // Problem with a split before it is saved, or null when it can be saved
+  static validate(amount, allocations, categories) {
+    if (allocations.length < 2) {
+      return 'Split the transaction into at least two parts';
+    }
+    if (allocations.some(allocation => !(parseFloat(allocation.amount) > 0))) {
+      return 'Every part needs an amount above zero';
+    }
+
+    const unknown = allocations.find(allocation => !categories.includes(allocation.category));
+    if (unknown) {
+      return `"${unknown.category || ''}" is not a category`;
+    }
+
+    const left = this.remaining(amount, allocations);
+    if (left !== 0) {
+      return `The parts must add up to the transaction amount (${Math.abs(left).toFixed(2)} ${left > 0 ? 'left to allocate' : 'too much'})`;
+    }
+    return null;
+  }
+
+  // Records for the allocation rows: the parent's account, date, merchant and description,
+  // with each part's amount (signed like the parent), category and notes
+  static buildChildren(parent, parentId, allocations) {
+    const sign = parseFloat(parent.amount) < 0 ? -1 : 1;
+
+    return allocations.map((allocation, index) => ({
+      account: parent.account,
+      merchant: parent.merchant,
+      merchantGroup: parent.merchantGroup,
+      description: parent.description,
+      date: parent.date,
+      id: `${parentId}-${index + 1}`,
+      notes: allocation.notes || '',
+      category: allocation.category,
+      currency: parent.currency,
+      splitOf: parentId,
+      amount: sign * Math.abs(parseFloat(allocation.amount))
+    }));
+  }
+
+  // Cell updates ({ rowIndex, colIndex, value }) that turn current into row, leaving out cells
+  // that already match
+  static rowUpdates(rowIndex, current, row) {
+    return row
+      .map((value, colIndex) => ({ rowIndex, colIndex, value }))
+      .filter(({ colIndex, value }) => `${current[colIndex] ?? ''}` !== `${value ?? ''}`);
+  }
+
+  // Data rows left blank by removed parts or duplicates, which parts can be written into before
+  // rows are appended. With sources (a sheet is connected) only rows of that tab are used, since
+  // a row that isn't in the sheet would keep its part out of it
+  static blankRows(rows, sources = null, tab = null) {
+    return rows
+      .map((row, index) => index)
+      .filter(index => index > 0 && (!sources || (sources[index] && sources[index].tab === tab)) &&
+        rows[index].every(cell => cell === '' || cell === null || cell === undefined));
+  }
+}
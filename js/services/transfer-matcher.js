@@ -0,0 +1,107 @@
+// Transfer Matching - money moving between your own accounts (transfers, credit card payments)
+// so it isn't counted as spending on one side and income on the other
+import { CONFIG } from '../../config/settings.js';
+import { Storage } from '../utils/storage.js';
+import { DateParser } from '../utils/date-parser.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export class TransferMatcher {
+  constructor(options = {}) {
+    this.windowDays = options.windowDays ?? CONFIG.TRANSFERS.DATE_WINDOW_DAYS;
+    this.categories = options.categories || CONFIG.TRANSFERS.CATEGORIES;
+    this.keywords = (options.keywords || CONFIG.TRANSFERS.KEYWORDS).map(keyword => keyword.toLowerCase());
+  }
+
+  // Stable identity for a single transaction, used to remember review decisions
+  getTransactionKey(transaction) {
+    const [account, amount, merchant, , date, id] = transaction;
+    if (id) return `id:${id}`;
+    const cents = Math.round((parseFloat(amount) || 0) * 100);
+    return `${(account || '').toLowerCase().trim()}|${cents}|${date}|${(merchant || '').toLowerCase().trim()}`;
+  }
+
+  // Categorized as a transfer, or described like one ("PAYMENT - THANK YOU", "E-TFR")
+  looksLikeTransfer(transaction) {
+    const [, , merchant, description, , , , category] = transaction;
+    if (this.categories.includes(category)) return true;
+
+    const text = `${merchant || ''} ${description || ''}`.toLowerCase();
+    return this.keywords.some(keyword => text.includes(keyword));
+  }
+
+  // Pair each outgoing amount with an incoming amount of the same size in another account
+  // within the date window, closest dates first. Returns indices into transactions:
+  // { pairs: [{ indices: [from, to], confident }], marked: [index], candidates: [index] }
+  // where marked were confirmed as transfers in review and candidates look like transfers
+  // but have no other side
+  findTransfers(transactions) {
+    const decisions = Storage.getTransferDecisions();
+    const entries = [];
+
+    transactions.forEach((transaction, index) => {
+      const date = DateParser.parse(transaction[4]);
+      const cents = Math.round((parseFloat(transaction[1]) || 0) * 100);
+      const decision = decisions[this.getTransactionKey(transaction)];
+      if (!date || cents === 0) return;
+
+      entries.push({ index, cents, decision, time: new Date(`${date}T00:00:00`).getTime(), account: (transaction[0] || '').toLowerCase().trim() });
+    });
+
+    const incoming = new Map();
+    entries.filter(entry => entry.cents > 0 && entry.decision !== 'notTransfer').forEach(entry => {
+      if (!incoming.has(entry.cents)) incoming.set(entry.cents, []);
+      incoming.get(entry.cents).push(entry);
+    });
+
+    const paired = new Set();
+    const pairs = [];
+
+    entries
+      .filter(entry => entry.cents < 0 && entry.decision !== 'notTransfer')
+      .sort((a, b) => a.time - b.time)
+      .forEach(outgoing => {
+        const match = (incoming.get(-outgoing.cents) || [])
+          .filter(entry => !paired.has(entry.index) && entry.account !== outgoing.account &&
+            Math.abs(entry.time - outgoing.time) <= this.windowDays * DAY_MS)
+          .sort((a, b) => Math.abs(a.time - outgoing.time) - Math.abs(b.time - outgoing.time))[0];
+        if (!match) return;
+
+        paired.add(outgoing.index);
+        paired.add(match.index);
+        pairs.push({
+          indices: [outgoing.index, match.index],
+          confident: this.looksLikeTransfer(transactions[outgoing.index]) || this.looksLikeTransfer(transactions[match.index])
+        });
+      });
+
+    const unpaired = entries.filter(entry => !paired.has(entry.index));
+    return {
+      pairs,
+      marked: unpaired.filter(entry => entry.decision === 'transfer').map(entry => entry.index),
+      candidates: unpaired
+        .filter(entry => !entry.decision && this.looksLikeTransfer(transactions[entry.index]))
+        .map(entry => entry.index)
+    };
+  }
+
+  // Row indices (the last element of each transaction) of every transfer, matched or marked
+  getTransferRows(transactions) {
+    const { pairs, marked } = this.findTransfers(transactions);
+    return new Set([...pairs.flatMap(pair => pair.indices), ...marked].map(index => transactions[index][8]));
+  }
+
+  // Record a review decision for transactions: 'transfer', 'notTransfer' or null to forget it
+  decide(transactions, decision) {
+    const decisions = Storage.getTransferDecisions();
+    transactions.forEach(transaction => {
+      const key = this.getTransactionKey(transaction);
+      if (decision) {
+        decisions[key] = decision;
+      } else {
+        delete decisions[key];
+      }
+    });
+    Storage.saveTransferDecisions(decisions);
+  }
+}
@@ -0,0 +1,99 @@
+// Date parsing for sheet and statement dates. Everything is read into a 'YYYY-MM-DD' key so
+// dates compare as strings and never depend on how the browser reads "03/04/2026"
+
+export const DATE_FORMATS = {
+  auto: 'Auto-detect',
+  MDY: 'Month/Day/Year',
+  DMY: 'Day/Month/Year',
+  YMD: 'Year/Month/Day'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Google Sheets serial dates count days from 1899-12-30
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const pad = (n) => n.toString().padStart(2, '0');
+const fullYear = (year) => (year.toString().length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10));
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+
+export class DateParser {
+  // Day and month order of numeric dates in the sheet; 'auto' reads MDY unless the first part is over 12
+  static format = 'auto';
+
+  static setFormat(format) {
+    this.format = DATE_FORMATS[format] ? format : 'auto';
+  }
+
+  // Key for a real calendar date, or '' for something like Feb 30
+  static toKey(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return '';
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  // 'YYYY-MM-DD' for a date in any of the layouts banks and sheets use, or '' when it can't be read
+  static parse(value, format = this.format) {
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date) {
+      return isNaN(value.getTime()) ? '' : this.toKey(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const text = value.toString().trim();
+
+    // Sheets serial number (values read unformatted)
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(text)) {
+      const date = new Date(SHEETS_EPOCH + Math.floor(parseFloat(text)) * DAY_MS);
+      return this.toKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    }
+
+    // OFX style: YYYYMMDD with optional time and timezone
+    let match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (match) return this.toKey(+match[1], +match[2], +match[3]);
+
+    // ISO style: YYYY-MM-DD or YYYY/MM/DD, with an optional time
+    match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) return this.toKey(+match[1], +match[2], +match[3]);
+
+    // Numeric day/month orderings
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+    if (match) {
+      const [, first, second, third] = match;
+      if (format === 'YMD') return this.toKey(fullYear(first), +second, +third);
+
+      const dayFirst = format === 'DMY' || (format === 'auto' && +first > 12);
+      return dayFirst
+        ? this.toKey(fullYear(third), +second, +first)
+        : this.toKey(fullYear(third), +first, +second);
+    }
+
+    // Textual months, with or without a weekday: "Mar 1, 2026", "1 March 2026", "01-MAR-26"
+    const words = text.replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+    match = words.match(/^([a-z]{3,9})\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s-]+(\d{2,4})\b/i);
+    if (match && monthIndex(match[1]) !== -1) {
+      return this.toKey(fullYear(match[3]), monthIndex(match[1]) + 1, +match[2]);
+    }
+    match = words.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,9})\.?,?[\s-]+(\d{2,4})\b/i);
+    if (match && monthIndex(match[2]) !== -1) {
+      return this.toKey(fullYear(match[3]), monthIndex(match[2]) + 1, +match[1]);
+    }
+
+    return '';
+  }
+
+  // Local midnight of the date, or null
+  static toDate(value, format = this.format) {
+    const key = this.parse(value, format);
+    return key ? new Date(`${key}T00:00:00`) : null;
+  }
+
+  // Sort comparator for newest first; dates that can't be read go last
+  static compareDesc(a, b) {
+    const keyA = this.parse(a);
+    const keyB = this.parse(b);
+    if (keyA === keyB) return 0;
+    if (!keyA) return 1;
+    if (!keyB) return -1;
+    return keyA < keyB ? 1 : -1;
+  }
+}
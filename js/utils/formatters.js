@@ -1,19 +1,37 @@
 // Formatting utilities for dates, currency, etc.
 
 export class Formatters {
+  // Reporting currency used when no currency is given
+  static baseCurrency = 'CAD';
+  // Display locale for numbers, money and dates
+  static locale = 'en-US';
+
+  static setBaseCurrency(code) {
+    this.baseCurrency = code;
+  }
+
+  static setLocale(locale) {
+    this.locale = locale;
+  }
+
   static currency(amount, options = {}) {
     const defaults = {
       style: 'currency',
-      currency: 'CAD',
       minimumFractionDigits: 2,
       maximumFractionDigits: 2
     };
 
-    return new Intl.NumberFormat('en-US', { ...defaults, ...options }).format(amount);
+    // An empty currency falls back to the base currency
+    return new Intl.NumberFormat(this.locale, { ...defaults, ...options, currency: options.currency || this.baseCurrency }).format(amount);
+  }
+
+  // Currency with its sign shown: +CA$1,800.00 in, -CA$64.20 out
+  static signedCurrency(amount, options = {}) {
+    return this.currency(amount, { signDisplay: 'exceptZero', ...options });
   }
 
   static number(value, options = {}) {
-    return new Intl.NumberFormat('en-US', options).format(value);
+    return new Intl.NumberFormat(this.locale, options).format(value);
   }
 
   static date(date, format = 'short') {
@@ -24,10 +42,11 @@ export class Formatters {
       long: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
       monthYear: { month: 'short', year: 'numeric' },
       weekday: { weekday: 'short', month: 'short', day: 'numeric' },
-      dayMonth: { month: 'short', day: 'numeric' }
+      dayMonth: { month: 'short', day: 'numeric' },
+      numeric: { year: 'numeric', month: 'numeric', day: 'numeric' }
     };
 
-    return dateObj.toLocaleDateString('en-US', formats[format] || formats.short);
+    return dateObj.toLocaleDateString(this.locale, formats[format] || formats.short);
   }
 
   static percentage(value, total, decimals = 1) {
@@ -40,6 +59,15 @@ export class Formatters {
     return input.trim().replace(/[<>"']/g, '');
   }
 
+  // Text safe to put inside HTML, including quoted attribute values
+  static escapeHtml(value) {
+    return (value ?? '').toString()
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   static capitalizeFirst(str) {
     return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
   }
@@ -90,4 +90,170 @@ export class Storage {
   static saveCategoryGroups(groups) {
     this.set(CONFIG.STORAGE_KEYS.CATEGORY_GROUPS, groups);
   }
-}
\ No newline at end of file
+
+  // Column-mapping profiles for statement imports, keyed by profile name
+  static getImportProfiles() {
+    return this.get(CONFIG.STORAGE_KEYS.IMPORT_PROFILES, {});
+  }
+
+  static saveImportProfiles(profiles) {
+    this.set(CONFIG.STORAGE_KEYS.IMPORT_PROFILES, profiles);
+  }
+
+  // Duplicate groups the user marked as intentional repeats
+  static getIgnoredDuplicates() {
+    return this.get(CONFIG.STORAGE_KEYS.IGNORED_DUPLICATES, []);
+  }
+
+  static saveIgnoredDuplicates(keys) {
+    this.set(CONFIG.STORAGE_KEYS.IGNORED_DUPLICATES, keys);
+  }
+
+  // Column mappings, keyed by sheet ID: { signature, mapping }
+  static getColumnMapping(sheetId) {
+    const mappings = this.get(CONFIG.STORAGE_KEYS.COLUMN_MAPPINGS, {});
+    return mappings[sheetId] || null;
+  }
+
+  static saveColumnMapping(sheetId, signature, mapping) {
+    const mappings = this.get(CONFIG.STORAGE_KEYS.COLUMN_MAPPINGS, {});
+    mappings[sheetId] = { signature, mapping };
+    this.set(CONFIG.STORAGE_KEYS.COLUMN_MAPPINGS, mappings);
+  }
+
+  // Tabs loaded from each spreadsheet, keyed by sheet ID
+  static getSelectedTabs(sheetId) {
+    const tabs = this.get(CONFIG.STORAGE_KEYS.SELECTED_TABS, {});
+    return tabs[sheetId] || [CONFIG.GOOGLE.DEFAULT_TAB];
+  }
+
+  static saveSelectedTabs(sheetId, tabNames) {
+    const tabs = this.get(CONFIG.STORAGE_KEYS.SELECTED_TABS, {});
+    tabs[sheetId] = tabNames;
+    this.set(CONFIG.STORAGE_KEYS.SELECTED_TABS, tabs);
+  }
+
+  // Auto-categorization rules, seeded with the defaults from settings
+  static getCategoryRules() {
+    return this.get(CONFIG.STORAGE_KEYS.CATEGORY_RULES, CONFIG.DEFAULT_RULES);
+  }
+
+  static saveCategoryRules(rules) {
+    this.set(CONFIG.STORAGE_KEYS.CATEGORY_RULES, rules);
+  }
+
+  // Budget models, keyed by sheet ID ('local' for imported data without a sheet)
+  static getBudgets(sheetId) {
+    const budgets = this.get(CONFIG.STORAGE_KEYS.BUDGETS, {});
+    return budgets[sheetId] || null;
+  }
+
+  static saveBudgets(sheetId, budgets) {
+    const allBudgets = this.get(CONFIG.STORAGE_KEYS.BUDGETS, {});
+    allBudgets[sheetId] = budgets;
+    this.set(CONFIG.STORAGE_KEYS.BUDGETS, allBudgets);
+  }
+
+  static getPaySchedule() {
+    return this.get(CONFIG.STORAGE_KEYS.PAY_SCHEDULE, CONFIG.PAY_SCHEDULE);
+  }
+
+  static savePaySchedule(schedule) {
+    this.set(CONFIG.STORAGE_KEYS.PAY_SCHEDULE, schedule);
+  }
+
+  static getFiscalYearStart() {
+    return this.get(CONFIG.STORAGE_KEYS.FISCAL_YEAR_START, CONFIG.PERIODS.FISCAL_YEAR_START);
+  }
+
+  static saveFiscalYearStart(month) {
+    this.set(CONFIG.STORAGE_KEYS.FISCAL_YEAR_START, month);
+  }
+
+  // Saved transaction searches: [{ name, query }]
+  static getSavedSearches() {
+    return this.get(CONFIG.STORAGE_KEYS.SAVED_SEARCHES, []);
+  }
+
+  static saveSavedSearches(searches) {
+    this.set(CONFIG.STORAGE_KEYS.SAVED_SEARCHES, searches);
+  }
+
+  // Transfer review decisions, keyed by transaction: 'transfer' or 'notTransfer'
+  static getTransferDecisions() {
+    return this.get(CONFIG.STORAGE_KEYS.TRANSFER_DECISIONS, {});
+  }
+
+  static saveTransferDecisions(decisions) {
+    this.set(CONFIG.STORAGE_KEYS.TRANSFER_DECISIONS, decisions);
+  }
+
+  // Account settings and manually tracked accounts, keyed by sheet ID:
+  // { settings: { account: { openingBalance, openingDate, type, reconciledDate, reconciledBalance } },
+  //   manual: [{ name, type, history: [{ date, balance }] }] }
+  static getAccounts(sheetId) {
+    const accounts = this.get(CONFIG.STORAGE_KEYS.ACCOUNTS, {});
+    return { settings: {}, manual: [], ...accounts[sheetId] };
+  }
+
+  static saveAccounts(sheetId, data) {
+    const allAccounts = this.get(CONFIG.STORAGE_KEYS.ACCOUNTS, {});
+    allAccounts[sheetId] = data;
+    this.set(CONFIG.STORAGE_KEYS.ACCOUNTS, allAccounts);
+  }
+
+  // Exchange rates into the base currency: { base, rates: { currency: [{ date, rate }] } }
+  static getExchangeRates() {
+    return this.get(CONFIG.STORAGE_KEYS.EXCHANGE_RATES, { base: CONFIG.CURRENCY.BASE, rates: {} });
+  }
+
+  static saveExchangeRates(data) {
+    this.set(CONFIG.STORAGE_KEYS.EXCHANGE_RATES, data);
+  }
+
+  // Regional settings: { locale, dateFormat, weekStart }
+  static getRegionalSettings() {
+    const defaults = { locale: CONFIG.REGIONAL.LOCALE, dateFormat: CONFIG.REGIONAL.DATE_FORMAT, weekStart: CONFIG.REGIONAL.WEEK_START };
+    return { ...defaults, ...this.get(CONFIG.STORAGE_KEYS.REGIONAL_SETTINGS, {}) };
+  }
+
+  static saveRegionalSettings(settings) {
+    this.set(CONFIG.STORAGE_KEYS.REGIONAL_SETTINGS, settings);
+  }
+
+  // Merchant cleaning model: { provider, baseUrl, apiKey, model, temperature, prompt }. Blank
+  // fields use the provider's defaults; a key saved before providers existed is picked up
+  static getLLMSettings() {
+    const defaults = {
+      provider: CONFIG.MERCHANT_CLEANING.PROVIDER,
+      baseUrl: '',
+      apiKey: this.get('openai_api_key', ''),
+      model: '',
+      temperature: CONFIG.MERCHANT_CLEANING.TEMPERATURE,
+      prompt: ''
+    };
+    return { ...defaults, ...this.get(CONFIG.STORAGE_KEYS.LLM_SETTINGS, {}) };
+  }
+
+  static saveLLMSettings(settings) {
+    this.set(CONFIG.STORAGE_KEYS.LLM_SETTINGS, settings);
+  }
+
+  // Merchant alias dictionary: [{ pattern, merchant, source, updatedAt }] (see MerchantAliases)
+  static getMerchantAliases() {
+    return this.get(CONFIG.STORAGE_KEYS.MERCHANT_ALIASES, []);
+  }
+
+  static saveMerchantAliases(aliases) {
+    this.set(CONFIG.STORAGE_KEYS.MERCHANT_ALIASES, aliases);
+  }
+
+  // Merchant cleaning patterns, in the order they are tried (see MerchantPatterns)
+  static getMerchantPatterns() {
+    return this.get(CONFIG.STORAGE_KEYS.MERCHANT_PATTERNS, CONFIG.DEFAULT_MERCHANT_PATTERNS);
+  }
+
+  static saveMerchantPatterns(patterns) {
+    this.set(CONFIG.STORAGE_KEYS.MERCHANT_PATTERNS, patterns);
+  }
+}
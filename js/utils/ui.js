@@ -176,4 +176,16 @@ export class UI {
       modal.parentNode.removeChild(modal);
     }
   }
+
+  // Save text or bytes as a file through a temporary link
+  static downloadFile(filename, data, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 }
\ No newline at end of file
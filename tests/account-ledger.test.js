@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountLedger } from '../js/services/account-ledger.js';
+
+const transactions = [
+  ['Chequing', 2500, 'ACME PAYROLL', '', '2026-03-06', '', '', 'Income', 1],
+  ['Chequing', -1400, 'LANDLORD', '', '2026-03-01', '', '', 'Rent', 2],
+  ['Visa', -120.35, 'GROCER', '', '2026-03-07', '', '', 'Groceries', 3],
+  ['Chequing', -50, 'OLD FEE', '', '2026-02-20', '', '', 'Bank Fees', 4]
+];
+const settings = {
+  Chequing: { openingBalance: 1000, openingDate: '2026-03-01' },
+  Visa: { type: 'liability' }
+};
+
+test('AccountLedger keeps a running balance from the opening balance and date', () => {
+  const entries = AccountLedger.runningBalances(transactions, 'Chequing', settings.Chequing);
+  assert.deepStrictEqual(entries.map(entry => entry.balance), [-400, 2100]);
+
+  assert.deepStrictEqual(AccountLedger.summarize(transactions, settings).map(({ name, type, balance, lastDate, count }) => [name, type, balance, lastDate, count]), [
+    ['Chequing', 'asset', 2100, '2026-03-06', 2],
+    ['Visa', 'liability', -120.35, '2026-03-07', 1]
+  ]);
+});
+
+test('AccountLedger reconciles cleared transactions against a statement balance', () => {
+  const cleared = AccountLedger.clearedBalance(transactions, 'Chequing', settings.Chequing, transaction => transaction[8] === 2);
+  assert.strictEqual(cleared, -400);
+  assert.strictEqual(AccountLedger.reconcileDifference('-400.00', cleared), 0);
+  assert.strictEqual(AccountLedger.reconcileDifference(2100, cleared), 2500);
+});
+
+test('AccountLedger.netWorthSeries adds manual assets and subtracts liabilities', () => {
+  const manual = [
+    { name: 'House', type: 'asset', history: [{ date: '2026-01-01', balance: 500000 }] },
+    { name: 'Mortgage', type: 'liability', history: [{ date: '2026-01-01', balance: 400000 }, { date: '2026-03-05', balance: 398000 }] }
+  ];
+  const series = AccountLedger.netWorthSeries(transactions, settings, manual, ['2026-02-28', '2026-03-31']);
+
+  assert.deepStrictEqual(series, [
+    { date: '2026-02-28', assets: 500000, liabilities: 400000, netWorth: 100000 },
+    { date: '2026-03-31', assets: 502100, liabilities: 398120.35, netWorth: 103979.65 }
+  ]);
+});
+
+test('AccountLedger.netWorthSeries converts account balances with toBase', () => {
+  const toBase = (balance, account) => (account === 'Visa' ? balance * 2 : balance);
+  const [point] = AccountLedger.netWorthSeries(transactions, settings, [], ['2026-03-31'], toBase);
+
+  assert.deepStrictEqual(point, { date: '2026-03-31', assets: 2100, liabilities: 240.7, netWorth: 1859.3 });
+});
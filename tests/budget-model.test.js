@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BudgetModel } from '../js/services/budget-model.js';
+
+const transactions = [
+  ['Visa', -250, 'Grocer', '', '2026-01-10', '', '', 'Groceries', 1],
+  ['Visa', -420, 'Grocer', '', '2026-02-12', '', '', 'Groceries', 2],
+  ['Visa', 20, 'Grocer', '', '2026-02-14', '', '', 'Groceries', 3],
+  ['Chequing', 3000, 'Payroll', '', '2026-03-01', '', '', 'Income', 4],
+  ['Visa', -310, 'Grocer', '', '2026-03-05', '', '', 'Groceries', 5]
+];
+
+test('BudgetModel keeps per-period amounts and carries rollover forward', () => {
+  const model = new BudgetModel({ period: 'month' });
+  model.setBudget('Groceries', '', 300);
+  model.setBudget('Groceries', '2026-03', 350);
+  model.setRollover('Groceries', '2026-01', true);
+
+  const buckets = model.bucketTransactions(transactions);
+  const march = model.getPeriod(new Date(2026, 2, 15));
+
+  // January +50 unspent, February 100 overspent after the refund
+  assert.deepStrictEqual(model.getStatus('Groceries', march, buckets), {
+    budget: 350, carried: -50, available: 300, spent: 310, remaining: -10
+  });
+  assert.deepStrictEqual(model.getEnvelopeSummary(march, buckets), { income: 3000, allocated: 350, unallocated: 2650 });
+});
+
+test('BudgetModel.changePeriod rescales amounts and rekeys them to the new period', () => {
+  const model = new BudgetModel({ period: 'month' });
+  model.setBudget('Dining', '2026-02', 300);
+  model.changePeriod('quarter');
+
+  assert.deepStrictEqual(model.categories.Dining.amounts, { '2026-Q1': 900 });
+  assert.strictEqual(model.getPeriod(new Date(2026, 4, 2)).key, '2026-Q2');
+});
+
+test('BudgetModel.fromLegacyBudgets converts payweek amounts by period length', () => {
+  const model = BudgetModel.fromLegacyBudgets({ Dining: 140 });
+  assert.strictEqual(model.period, 'month');
+  assert.strictEqual(model.getBudget('Dining', '2026-03'), 304.38);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CashFlow } from '../js/services/cash-flow.js';
+
+const transactions = [
+  ['Chequing', 2500, 'ACME PAYROLL', '', '2026-03-06', '', '', 'Income', 1],
+  ['Chequing', 40, 'BANK', '', '2026-03-31', '', '', 'Uncategorized', 2],
+  ['Visa', -120, 'GROCER', '', '2026-03-07', '', '', 'Groceries', 3],
+  ['Visa', 20, 'GROCER', '', '2026-03-09', '', '', 'Groceries', 4],
+  ['Visa', -1400, 'LANDLORD', '', '2026-03-01', '', '', 'Rent', 5]
+];
+
+test('CashFlow nets refunds against their category and keeps income separate', () => {
+  const summary = CashFlow.summarize(transactions, ['Income']);
+
+  assert.strictEqual(summary.income, 2540);
+  assert.strictEqual(summary.expenses, 1520);
+  assert.strictEqual(summary.refunds, 20);
+  assert.strictEqual(summary.spending, 1500);
+  assert.strictEqual(summary.net, 1040);
+  assert.deepStrictEqual(summary.byCategory, { Groceries: 100, Rent: 1400 });
+  assert.deepStrictEqual(summary.incomeBySource, { 'ACME PAYROLL': 2500, BANK: 40 });
+  assert.strictEqual(CashFlow.spendingAmount(transactions[3], ['Income']), -20);
+});
+
+test('CashFlow.buildSankey flows income through category groups to savings', () => {
+  const summary = CashFlow.summarize(transactions, ['Income']);
+  const { labels, links } = CashFlow.buildSankey(summary, category => (category === 'Rent' ? 'Housing' : 'Living Expenses'));
+
+  assert.deepStrictEqual(labels, ['Income', 'ACME PAYROLL', 'BANK', 'Housing', 'Living Expenses', 'Savings']);
+  assert.deepStrictEqual(links.map(({ source, target, value }) => `${labels[source]}>${labels[target]}:${value}`), [
+    'ACME PAYROLL>Income:2500',
+    'BANK>Income:40',
+    'Income>Housing:1400',
+    'Income>Living Expenses:100',
+    'Income>Savings:1040'
+  ]);
+
+  const overspent = CashFlow.summarize(transactions.slice(2), ['Income']);
+  const flow = CashFlow.buildSankey(overspent, () => 'Living Expenses');
+  assert.deepStrictEqual(flow.labels, ['Income', 'From savings', 'Living Expenses']);
+});
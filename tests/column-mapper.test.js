@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ColumnMapper } from '../js/services/column-mapper.js';
+
+test('ColumnMapper.guess detects fields by header name in any order', () => {
+  const mapping = ColumnMapper.guess(['Posted Date', 'Merchant Group', 'Payee', 'Debit', 'Credit', 'Account', 'Category']);
+
+  assert.strictEqual(mapping.date, 0);
+  assert.strictEqual(mapping.merchantGroup, 1);
+  assert.strictEqual(mapping.merchant, 2);
+  assert.strictEqual(mapping.amount, -1);
+  assert.strictEqual(mapping.debit, 3);
+  assert.strictEqual(mapping.credit, 4);
+  assert.strictEqual(mapping.account, 5);
+  assert.strictEqual(mapping.category, 6);
+});
+
+test('ColumnMapper.guess falls back to the legacy layout for unnamed columns', () => {
+  const mapping = ColumnMapper.guess(['Account', 'Value', 'Store', 'Details', 'When']);
+
+  assert.strictEqual(mapping.account, 0);
+  assert.strictEqual(mapping.amount, 1);
+  assert.strictEqual(mapping.merchant, 2);
+  assert.strictEqual(mapping.description, 3);
+  assert.strictEqual(mapping.date, 4);
+});
+
+test('ColumnMapper.validate requires a date and an amount source', () => {
+  assert.deepStrictEqual(ColumnMapper.validate({ date: 0, amount: -1, debit: 2, credit: -1 }), []);
+  assert.strictEqual(ColumnMapper.validate({ date: -1, amount: -1, debit: -1, credit: -1 }).length, 2);
+});
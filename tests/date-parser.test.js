@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DateParser } from '../js/utils/date-parser.js';
+
+test('DateParser reads ISO, OFX, Sheets serial and textual dates', () => {
+  assert.strictEqual(DateParser.parse('2026-03-01'), '2026-03-01');
+  assert.strictEqual(DateParser.parse('2026/3/1 14:05'), '2026-03-01');
+  assert.strictEqual(DateParser.parse('20260301120000[-5:EST]'), '2026-03-01');
+  assert.strictEqual(DateParser.parse(46082), '2026-03-01');
+  assert.strictEqual(DateParser.parse('Mar 1, 2026'), '2026-03-01');
+  assert.strictEqual(DateParser.parse('Sunday, March 1st 2026'), '2026-03-01');
+  assert.strictEqual(DateParser.parse('01-MAR-26'), '2026-03-01');
+  assert.strictEqual(DateParser.parse(new Date(2026, 2, 1)), '2026-03-01');
+});
+
+test('DateParser follows the day/month order of the sheet', () => {
+  assert.strictEqual(DateParser.parse('03/04/2026'), '2026-03-04');
+  assert.strictEqual(DateParser.parse('03/04/2026', 'DMY'), '2026-04-03');
+  assert.strictEqual(DateParser.parse('25/04/2026'), '2026-04-25');
+  assert.strictEqual(DateParser.parse('26.04.03', 'YMD'), '2026-04-03');
+
+  DateParser.setFormat('DMY');
+  assert.strictEqual(DateParser.parse('03/04/2026'), '2026-04-03');
+  assert.deepStrictEqual(DateParser.toDate('03/04/2026'), new Date(2026, 3, 3));
+  DateParser.setFormat('auto');
+});
+
+test('DateParser rejects dates that do not exist', () => {
+  assert.strictEqual(DateParser.parse('2026-02-30'), '');
+  assert.strictEqual(DateParser.parse('13/13/2026'), '');
+  assert.strictEqual(DateParser.parse('not a date'), '');
+  assert.strictEqual(DateParser.toDate(''), null);
+  assert.deepStrictEqual(['2026-01-02', 'bad', '03/01/2026'].sort((a, b) => DateParser.compareDesc(a, b)), ['03/01/2026', '2026-01-02', 'bad']);
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DuplicateDetector } from '../js/services/duplicate-detector.js';
+import { MerchantCleaner } from '../js/services/merchant-cleaner.js';
+import { DateParser } from '../js/utils/date-parser.js';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+const transactions = [
+  ['Visa', -12.5, 'TIM HORTONS #1234', '', '2026-03-01', '', '', 'Dining', 1],
+  ['Visa', -12.5, 'Tim Hortons #99', '', '2026-03-03', '', '', 'Dining', 2],
+  ['Visa', -12.5, 'TIM HORTONS #1234', '', '2026-03-20', '', '', 'Dining', 3],
+  ['Chequing', -12.5, 'TIM HORTONS #1234', '', '2026-03-01', '', '', 'Dining', 4]
+];
+
+test('DuplicateDetector groups matching charges within the date window', () => {
+  store.clear();
+  const detector = new DuplicateDetector(new MerchantCleaner());
+  const groups = detector.findDuplicates(transactions, 3);
+
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].indices, [0, 1]);
+  assert.strictEqual(groups[0].confidence, 'medium');
+});
+
+test('DuplicateDetector remembers groups marked as intentional repeats', () => {
+  store.clear();
+  const detector = new DuplicateDetector(new MerchantCleaner());
+  const [group] = detector.findDuplicates(transactions, 3);
+
+  detector.ignoreGroup(group.key);
+  assert.strictEqual(detector.findDuplicates(transactions, 3).length, 0);
+});
+
+test('DuplicateDetector reads day-first sheet dates', () => {
+  store.clear();
+  DateParser.setFormat('DMY');
+  try {
+    const detector = new DuplicateDetector(new MerchantCleaner());
+    const groups = detector.findDuplicates([
+      ['Visa', -12.5, 'TIM HORTONS #1234', '', '01/03/2026', '', '', 'Dining', 1],
+      ['Visa', -12.5, 'TIM HORTONS #1234', '', '03/03/2026', '', '', 'Dining', 2]
+    ], 3);
+
+    assert.strictEqual(groups.length, 1);
+    assert.deepStrictEqual(groups[0].indices, [0, 1]);
+  } finally {
+    DateParser.setFormat('auto');
+  }
+});
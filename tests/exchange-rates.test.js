@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ExchangeRates } from '../js/services/exchange-rates.js';
+
+test('ExchangeRates converts with the latest rate on or before the date', () => {
+  const rates = new ExchangeRates('CAD');
+  rates.setRate('usd', '2026-03-02', 1.35);
+  rates.setRate('USD', '2026-03-09', 1.4);
+
+  assert.strictEqual(rates.convert(-100, 'USD', '2026-03-05'), -135);
+  assert.strictEqual(rates.convert(-100, 'USD', '2026-03-10'), -140);
+  // Before the first rate the earliest one is used
+  assert.strictEqual(rates.convert(10, 'USD', '2026-01-01'), 13.5);
+  assert.strictEqual(rates.convert(10, 'CAD', '2026-03-05'), 10);
+  assert.strictEqual(rates.convert(10, 'EUR', '2026-03-05'), null);
+  assert.strictEqual(rates.setRate('EURO', '2026-03-05', 1.5), false);
+});
+
+test('ExchangeRates.parseCsv reads long and wide daily rate files', () => {
+  assert.deepStrictEqual(ExchangeRates.parseCsv('Date,Currency,Rate\n2026-03-02,usd,1.35\nbad,EUR,1.5\n'), [
+    { currency: 'USD', date: '2026-03-02', rate: 1.35 }
+  ]);
+
+  const wide = '"Exchange rates"\n\ndate,FXUSDCAD,FXEURCAD\n2026-03-02,1.3512,1.4620\n2026-03-03,1.3498,\n';
+  assert.deepStrictEqual(ExchangeRates.parseCsv(wide, 'CAD'), [
+    { currency: 'USD', date: '2026-03-02', rate: 1.3512 },
+    { currency: 'EUR', date: '2026-03-02', rate: 1.462 },
+    { currency: 'USD', date: '2026-03-03', rate: 1.3498 }
+  ]);
+});
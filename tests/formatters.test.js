@@ -5,3 +5,15 @@ import { Formatters } from '../js/utils/formatters.js';
 test('Formatters.currency formats numbers as CAD currency', () => {
   assert.strictEqual(Formatters.currency(1234.5), 'CA$1,234.50');
 });
+
+test('Formatters.signedCurrency shows money in and out', () => {
+  assert.strictEqual(Formatters.signedCurrency(1800), '+CA$1,800.00');
+  assert.strictEqual(Formatters.signedCurrency(-64.2), '-CA$64.20');
+  assert.strictEqual(Formatters.signedCurrency(0), 'CA$0.00');
+});
+
+test('Formatters.escapeHtml escapes text for HTML and attribute values', () => {
+  assert.strictEqual(Formatters.escapeHtml('Tim "Tims" <Hortons> & Co'), 'Tim &quot;Tims&quot; &lt;Hortons&gt; &amp; Co');
+  assert.strictEqual(Formatters.escapeHtml(undefined), '');
+  assert.strictEqual(Formatters.escapeHtml(0), '0');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMProvider, HeuristicProvider, ChatCompletionProvider, DEFAULT_MERCHANT_PROMPT } from '../js/services/llm-provider.js';
+
+// Records requests and answers with the given completion
+const fakeFetch = (content, status = 200) => {
+  const calls = [];
+  const fetchImpl = async (url, options = {}) => {
+    calls.push({ url, options });
+    return { ok: status === 200, status, json: async () => ({ choices: [{ message: { content } }] }) };
+  };
+  return { calls, fetchImpl };
+};
+
+test('HeuristicProvider strips processor prefixes, store numbers and region codes', () => {
+  assert.strictEqual(HeuristicProvider.cleanName('SQ *BLUE BOTTLE COFFEE'), 'Blue Bottle Coffee');
+  assert.strictEqual(HeuristicProvider.cleanName('AMAZON.COM*4B2X3Y'), 'Amazon');
+  assert.strictEqual(HeuristicProvider.cleanName('TIM HORTONS #2341 TORONTO ON'), 'Tim Hortons');
+  assert.strictEqual(HeuristicProvider.cleanName("MCDONALD'S 29082 OTTAWA ON"), "McDonald's Ottawa");
+  assert.strictEqual(HeuristicProvider.cleanName('WAL-MART SUPERCENTER'), 'Wal-Mart Supercenter');
+  assert.strictEqual(HeuristicProvider.cleanName('BANK OF MONTREAL'), 'Bank of Montreal');
+  assert.strictEqual(HeuristicProvider.cleanName('12345'), '12345');
+});
+
+test('LLMProvider.create picks the provider from the settings', () => {
+  assert.ok(LLMProvider.create({ provider: 'heuristic' }) instanceof HeuristicProvider);
+
+  const openai = LLMProvider.create({ provider: 'openai' });
+  assert.strictEqual(openai.baseUrl, 'https://api.openai.com/v1');
+  assert.strictEqual(openai.model, 'gpt-4o-mini');
+  assert.strictEqual(openai.configured, false);
+
+  const local = LLMProvider.create({ provider: 'compatible', baseUrl: 'http://localhost:8080/v1/', model: 'qwen2.5' });
+  assert.strictEqual(local.baseUrl, 'http://localhost:8080/v1');
+  assert.strictEqual(local.configured, true);
+  assert.strictEqual(local.prompt, DEFAULT_MERCHANT_PROMPT);
+});
+
+test('ChatCompletionProvider sends the model, prompt and temperature', async () => {
+  const { calls, fetchImpl } = fakeFetch('"Napoleon Home Comfort."');
+  const provider = new ChatCompletionProvider(
+    { provider: 'compatible', model: 'llama3.1', temperature: '0.4', prompt: 'Clean merchants.' },
+    fetchImpl
+  );
+
+  assert.strictEqual(await provider.clean('SP NAPOLEON HOME COMFO'), 'Napoleon Home Comfort');
+
+  const [{ url, options }] = calls;
+  const body = JSON.parse(options.body);
+  assert.strictEqual(url, 'http://localhost:11434/v1/chat/completions');
+  assert.strictEqual(options.headers.Authorization, undefined);
+  assert.strictEqual(body.model, 'llama3.1');
+  assert.strictEqual(body.temperature, 0.4);
+  assert.strictEqual(body.messages[0].content, 'Clean merchants.');
+  assert.match(body.messages[1].content, /SP NAPOLEON HOME COMFO/);
+});
+
+test('ChatCompletionProvider reports errors and empty answers', async () => {
+  const failing = new ChatCompletionProvider({ apiKey: 'sk-test' }, fakeFetch('Costco', 401).fetchImpl);
+  await assert.rejects(failing.clean('COSTCO #123'), /401/);
+  assert.strictEqual(await failing.test(), false);
+
+  const empty = new ChatCompletionProvider({ apiKey: 'sk-test' }, fakeFetch('  ').fetchImpl);
+  await assert.rejects(empty.clean('COSTCO #123'), /No response/);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MerchantAliases } from '../js/services/merchant-aliases.js';
+
+test('MerchantAliases.key ignores case, store numbers and punctuation', () => {
+  assert.strictEqual(MerchantAliases.key('Tim Hortons #2341 - Downtown'), 'TIM HORTONS DOWNTOWN');
+  assert.strictEqual(MerchantAliases.key("MCDONALD'S 29082 Q04"), "MCDONALD'S");
+  assert.strictEqual(MerchantAliases.key('#123'), '');
+});
+
+test('MerchantAliases.find prefers exact patterns, then longer wildcards', () => {
+  const aliases = [
+    { pattern: 'TIM HORTONS*', merchant: 'Tim Hortons' },
+    { pattern: 'TIM HORTONS CAMP*', merchant: 'Tim Hortons Camp Fund' },
+    { pattern: 'tim hortons downtown', merchant: 'Tims Downtown' },
+    { pattern: '*STARBUCKS*', merchant: 'Starbucks' }
+  ];
+
+  assert.strictEqual(MerchantAliases.find(aliases, 'TIM HORTONS #2341 DOWNTOWN'), 'Tims Downtown');
+  assert.strictEqual(MerchantAliases.find(aliases, 'TIM HORTONS #88 KANATA'), 'Tim Hortons');
+  assert.strictEqual(MerchantAliases.find(aliases, 'TIM HORTONS CAMP DAY'), 'Tim Hortons Camp Fund');
+  assert.strictEqual(MerchantAliases.find(aliases, 'SQ *STARBUCKS RESERVE'), 'Starbucks');
+  assert.strictEqual(MerchantAliases.find(aliases, 'COSTCO #123'), null);
+});
+
+test('MerchantAliases.merge learns raw names without overwriting the user\'s aliases', () => {
+  const manual = [{ pattern: 'COSTCO WHOLESALE', merchant: 'Costco', source: 'manual', updatedAt: 1 }];
+
+  const merged = MerchantAliases.merge(manual, [
+    ['COSTCO WHOLESALE #123', 'Costco Wholesale'],
+    ['SQ *BLUE BOTTLE 4411', 'Blue Bottle Coffee'],
+    ['', 'Nothing']
+  ], 'learned', 5);
+
+  assert.deepStrictEqual(merged, [
+    { pattern: 'SQ BLUE BOTTLE', merchant: 'Blue Bottle Coffee', source: 'learned', updatedAt: 5 },
+    { pattern: 'COSTCO WHOLESALE', merchant: 'Costco', source: 'manual', updatedAt: 1 }
+  ]);
+  assert.strictEqual(MerchantAliases.merge(merged, [['costco wholesale', 'Costco Canada']], 'imported', 6)[1].merchant, 'Costco Canada');
+});
+
+test('MerchantAliases CSV export reads back in', () => {
+  const aliases = [{ pattern: 'AMZN MKTP*', merchant: 'Amazon, Marketplace', source: 'manual' }];
+  const csv = MerchantAliases.toCsv(aliases);
+
+  assert.deepStrictEqual(MerchantAliases.parseCsv(csv), [['AMZN MKTP*', 'Amazon, Marketplace']]);
+  assert.deepStrictEqual(MerchantAliases.parseCsv('UBER *EATS,Uber Eats\nUBER *TRIP,Uber'), [['UBER *EATS', 'Uber Eats'], ['UBER *TRIP', 'Uber']]);
+});
+
+test('MerchantAliases.tidy keeps the latest edit of a pattern and drops blanks', () => {
+  const aliases = MerchantAliases.tidy([
+    { pattern: 'Uber *Eats', merchant: 'Uber Eats', updatedAt: 1 },
+    { pattern: 'UBER *EATS', merchant: 'UberEats', updatedAt: 2 },
+    { pattern: '', merchant: 'Blank' }
+  ]);
+
+  assert.deepStrictEqual(aliases, [{ pattern: 'UBER *EATS', merchant: 'UberEats', updatedAt: 2 }]);
+});
@@ -0,0 +1,168 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config/settings.js';
+import { ProviderError, ChatCompletionProvider } from '../js/services/llm-provider.js';
+import { MerchantCleaner } from '../js/services/merchant-cleaner.js';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+// Provider that lower-cases all but the first letter and records each batch it was sent
+const fakeProvider = (failures = []) => {
+  const batches = [];
+  return {
+    batches,
+    configured: true,
+    remote: true,
+    label: 'test model',
+    async cleanBatch(names) {
+      batches.push(names);
+      const failure = failures.shift();
+      if (failure) throw failure;
+      return new Map(names.map(name => [name, name.charAt(0) + name.slice(1).toLowerCase()]));
+    }
+  };
+};
+
+// In-memory stand-in for the IndexedDB cache
+const memoryStore = () => {
+  const names = new Map();
+  return {
+    names,
+    getCleanedNames: async () => [...names.values()],
+    saveCleanedNames: async (entries) => entries.forEach(entry => names.set(entry.name, entry)),
+    clearCleanedNames: async () => names.clear()
+  };
+};
+
+const newCleaner = (provider, store = memoryStore()) => {
+  const cleaner = new MerchantCleaner(store);
+  cleaner.provider = provider;
+  cleaner.sleep = async () => {};
+  return cleaner;
+};
+
+// Names the regex patterns leave alone, so they go to the model
+const names = Array.from({ length: 90 }, (_, i) => `SHOP ${String.fromCharCode(65 + (i % 26))}${String.fromCharCode(65 + Math.floor(i / 26))}`);
+
+test('ChatCompletionProvider.parseBatch matches answers by name or position', () => {
+  const byName = ChatCompletionProvider.parseBatch(
+    '```json\n{"results": [{"original": "B", "cleaned": "Bee"}, {"original": "A", "cleaned": "Ay"}]}\n```',
+    ['A', 'B', 'C']
+  );
+  assert.deepStrictEqual([...byName], [['B', 'Bee'], ['A', 'Ay']]);
+
+  const byPosition = ChatCompletionProvider.parseBatch('{"results": [{"original": "a", "cleaned": "Ay"}, {"cleaned": "Bee"}]}', ['A', 'B']);
+  assert.deepStrictEqual([...byPosition], [['A', 'Ay'], ['B', 'Bee']]);
+
+  assert.throws(() => ChatCompletionProvider.parseBatch('Sorry, I cannot help', ['A']), ProviderError);
+});
+
+test('MerchantCleaner.cleanMerchantNames sends names in batches and uses regex for known chains', async () => {
+  store.clear();
+  const provider = fakeProvider();
+  const cleaner = newCleaner(provider);
+  const progress = [];
+
+  const results = await cleaner.cleanMerchantNames(['WAL-MART #3454', ...names, names[0]], {
+    onProgress: ({ done, total }) => progress.push(`${done}/${total}`)
+  });
+
+  assert.strictEqual(results.get('WAL-MART #3454'), 'Wal-Mart');
+  assert.strictEqual(results.get('SHOP AA'), 'Shop aa');
+  assert.strictEqual(results.size, 91);
+  assert.deepStrictEqual(provider.batches.map(batch => batch.length), [25, 25, 25, 15]);
+  assert.strictEqual(progress.at(-1), '91/91');
+});
+
+test('MerchantCleaner checks aliases before regex patterns and the model', async () => {
+  store.clear();
+  const provider = fakeProvider();
+  const cleaner = newCleaner(provider);
+  cleaner.learnAliases([['WAL-MART #3454 OTTAWA', 'Walmart Supercentre'], ['SHOP AA', 'Shop Aa Boutique']]);
+
+  const results = await cleaner.cleanMerchantNames(['WAL-MART #1022 OTTAWA', 'SHOP AA', 'SHOP AB']);
+  assert.deepStrictEqual([...results], [
+    ['WAL-MART #1022 OTTAWA', 'Walmart Supercentre'],
+    ['SHOP AA', 'Shop Aa Boutique'],
+    ['SHOP AB', 'Shop ab']
+  ]);
+  assert.deepStrictEqual(provider.batches, [['SHOP AB']]);
+  assert.strictEqual(await cleaner.cleanMerchantName('WAL-MART #77 OTTAWA'), 'Walmart Supercentre');
+  assert.strictEqual(JSON.parse(store.get(CONFIG.STORAGE_KEYS.MERCHANT_ALIASES)).length, 2);
+});
+
+test('MerchantCleaner retries rate limits and falls back to regex on other errors', async () => {
+  store.clear();
+  const rateLimited = new ProviderError('test model error: 429', 429, 2);
+  const provider = fakeProvider([rateLimited, rateLimited]);
+  const cleaner = newCleaner(provider);
+  const delays = [];
+  cleaner.sleep = async (ms) => delays.push(ms);
+
+  const results = await cleaner.cleanMerchantNames(['SHOP ONE']);
+  assert.strictEqual(results.get('SHOP ONE'), 'Shop one');
+  assert.deepStrictEqual(delays, [2000, 2000]);
+
+  const failing = newCleaner(fakeProvider([new ProviderError('test model error: 401', 401)]));
+  const fallback = await failing.cleanMerchantNames(['SHOP TWO']);
+  assert.strictEqual(fallback.get('SHOP TWO'), 'SHOP TWO');
+  assert.strictEqual(failing.provider.batches.length, 1);
+});
+
+test('MerchantCleaner resumes a stopped run from the persisted cache', async () => {
+  store.clear();
+  const cache = memoryStore();
+  const controller = new AbortController();
+  const provider = fakeProvider();
+  const cleanBatch = provider.cleanBatch.bind(provider);
+  provider.cleanBatch = async (batch) => {
+    const cleaned = await cleanBatch(batch);
+    controller.abort(); // Stop once the first requests answer, before the last batch is sent
+    return cleaned;
+  };
+
+  const first = await newCleaner(provider, cache).cleanMerchantNames(names, { signal: controller.signal });
+  assert.ok(first.size > 0 && first.size < names.length);
+  assert.strictEqual(cache.names.size, first.size);
+  assert.strictEqual(cache.names.get('SHOP AA').cleaned, 'Shop aa');
+
+  // A new session only sends what the stopped run didn't reach
+  const resumed = fakeProvider();
+  const second = await newCleaner(resumed, cache).cleanMerchantNames(names);
+  assert.strictEqual(second.size, names.length);
+  assert.strictEqual(resumed.batches.flat().length, names.length - first.size);
+
+  // Nothing is sent once every name is cached
+  const again = fakeProvider();
+  await newCleaner(again, cache).cleanMerchantNames(names);
+  assert.deepStrictEqual(again.batches, []);
+});
+
+test('MerchantCleaner only reuses names cleaned with the same model settings', async () => {
+  store.clear();
+  const cache = memoryStore();
+  const cleaner = newCleaner(fakeProvider(), cache);
+  await cleaner.cleanMerchantNames(['SHOP ONE']);
+  assert.strictEqual(cache.names.get('SHOP ONE').source, cleaner.settingsSignature());
+
+  // Switching models forgets the old answers, in memory and from IndexedDB
+  cleaner.saveSettings({ ...cleaner.settings, provider: 'compatible', model: 'qwen2.5' });
+  assert.strictEqual(cleaner.cleaningCache.size, 0);
+  const switched = fakeProvider();
+  cleaner.provider = switched;
+  assert.strictEqual((await cleaner.cleanMerchantNames(['SHOP ONE'])).get('SHOP ONE'), 'Shop one');
+  assert.deepStrictEqual(switched.batches, [['SHOP ONE']]);
+  assert.match(cache.names.get('SHOP ONE').source, /qwen2\.5/);
+
+  // Heuristic results are not kept between sessions
+  const offlineCache = memoryStore();
+  const offline = newCleaner({ ...fakeProvider(), remote: false }, offlineCache);
+  await offline.cleanMerchantNames(['SHOP TWO']);
+  assert.strictEqual(offline.cleaningCache.get('SHOP TWO'), 'Shop two');
+  assert.strictEqual(offlineCache.names.size, 0);
+});
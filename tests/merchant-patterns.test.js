@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../config/settings.js';
+import { MerchantPatterns } from '../js/services/merchant-patterns.js';
+
+const defaults = CONFIG.DEFAULT_MERCHANT_PATTERNS;
+const clean = (name, patterns = defaults) => MerchantPatterns.apply(patterns, name).cleaned;
+
+test('MerchantPatterns.apply cleans the built-in chains and strips store numbers', () => {
+  assert.strictEqual(clean('WAL-MART #3454'), 'Wal-Mart');
+  assert.strictEqual(clean('WALMART SUPERCENTRE 1022'), 'Wal-Mart');
+  assert.strictEqual(clean('COSTCO WHOLESALE #123'), 'Costco');
+  assert.strictEqual(clean('TIM HORTONS #2341 DOWNTOWN'), 'Tim Hortons');
+  assert.strictEqual(clean("MCDONALD'S #29082 Q04"), "McDonald's");
+  assert.strictEqual(clean('SHOPPERS DRUG MART #0872'), 'Shoppers Drug Mart');
+  assert.strictEqual(clean('PETRO-CANADA #0451 KANATA'), 'PETRO-CANADA');
+  assert.strictEqual(clean('ESSO 44120088 OTTAWA'), 'ESSO');
+  // Names no pattern matches only have their spacing tidied
+  assert.strictEqual(clean('  BLUE   BOTTLE  COFFEE '), 'BLUE BOTTLE COFFEE');
+  assert.strictEqual(MerchantPatterns.apply(defaults, 'BLUE BOTTLE').pattern, null);
+});
+
+test('MerchantPatterns.apply tries enabled patterns in order', () => {
+  const patterns = [
+    { id: 'a', pattern: 'shop', flags: 'i', mode: 'name', replacement: 'First', enabled: false },
+    { id: 'b', pattern: 'shop', flags: 'i', mode: 'name', replacement: 'Second', enabled: true },
+    { id: 'c', pattern: 'shop', flags: 'i', mode: 'name', replacement: 'Third', enabled: true },
+    { id: 'd', pattern: '(', flags: 'i', mode: 'name', replacement: 'Broken', enabled: true }
+  ];
+  const result = MerchantPatterns.apply(patterns, 'SHOP 12');
+  assert.strictEqual(result.cleaned, 'Second');
+  assert.strictEqual(result.pattern.id, 'b');
+  assert.strictEqual(clean('CAFE', patterns), 'CAFE');
+
+  const [first] = MerchantPatterns.preview([patterns[2], ...patterns], 'shop one\n\n  other ');
+  assert.strictEqual(first.cleaned, 'Third');
+  assert.deepStrictEqual(MerchantPatterns.preview(patterns, 'shop one\n\n  other ').map(row => row.sample), ['shop one', 'other']);
+});
+
+test('MerchantPatterns.validate reports what is wrong with a pattern', () => {
+  assert.strictEqual(MerchantPatterns.validate(defaults[0]), '');
+  assert.strictEqual(MerchantPatterns.validate({ pattern: '', mode: 'name', replacement: 'X' }), 'Enter a pattern');
+  assert.match(MerchantPatterns.validate({ pattern: '([a-z', mode: 'name', replacement: 'X' }), /Invalid regular expression/);
+  assert.strictEqual(MerchantPatterns.validate({ pattern: 'a', flags: 'g', mode: 'name', replacement: 'X' }), 'Flags can only be i, m, s and u');
+  assert.strictEqual(MerchantPatterns.validate({ pattern: 'a', mode: 'name', replacement: '' }), 'Enter the merchant name to use');
+  assert.strictEqual(MerchantPatterns.validate({ pattern: '^(.+?) \\d+$', mode: 'replace', replacement: '' }), '');
+});
+
+test('MerchantPatterns round-trips through JSON and rejects invalid files', () => {
+  const patterns = MerchantPatterns.parseJson(MerchantPatterns.toJson(MerchantPatterns.prepare(defaults)));
+  assert.deepStrictEqual(patterns, defaults);
+
+  const [imported] = MerchantPatterns.parseJson('[{"pattern": "uber\\\\s*eats", "replacement": "Uber Eats"}]', 42);
+  assert.deepStrictEqual(imported, {
+    id: 'pattern-42-0', name: 'Uber Eats', pattern: 'uber\\s*eats', flags: 'i', mode: 'name', replacement: 'Uber Eats', enabled: true
+  });
+
+  assert.throws(() => MerchantPatterns.parseJson('not json'), /not JSON/);
+  assert.throws(() => MerchantPatterns.parseJson('{"rules": []}'), /no "patterns" list/);
+  assert.throws(() => MerchantPatterns.parseJson('{"patterns": [{"pattern": "(", "replacement": "X"}]}'), /Pattern 1/);
+});
+
+test('MerchantPatterns.suggest groups merchants that share their leading words', () => {
+  const suggestions = MerchantPatterns.suggest([
+    'PIZZA PIZZA 022 OTTAWA', 'PIZZA PIZZA #1187 KANATA', 'PIZZA PIZZA 0045',
+    'LOBLAWS 1043', 'LOBLAWS 0122 ORLEANS', 'LOBLAWS #88',
+    'BLUE BOTTLE COFFEE', 'BLUE BOTTLE 12',
+    'AB 12', 'AB 13', 'AB 14'
+  ]);
+
+  assert.deepStrictEqual(suggestions.map(({ name, count }) => [name, count]), [['Loblaws', 3], ['Pizza Pizza', 3]]);
+  const [loblaws, pizza] = suggestions;
+  assert.strictEqual(pizza.mode, 'name');
+  assert.deepStrictEqual(pizza.examples, ['PIZZA PIZZA 022 OTTAWA', 'PIZZA PIZZA #1187 KANATA', 'PIZZA PIZZA 0045']);
+  assert.strictEqual(clean('pizza-pizza 99 nepean', [pizza]), 'Pizza Pizza');
+  assert.strictEqual(clean('LOBLAWSCITY', [loblaws]), 'LOBLAWSCITY');
+  assert.strictEqual(MerchantPatterns.validate(pizza), '');
+  assert.strictEqual(MerchantPatterns.suggest(['BLUE BOTTLE COFFEE', 'BLUE BOTTLE 12'], { minNames: 2 })[0].name, 'Blue Bottle');
+});
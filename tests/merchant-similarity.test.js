@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MerchantSimilarity } from '../js/services/merchant-similarity.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.001, `${actual} is not ${expected}`);
+
+test('MerchantSimilarity.tokens drops codes and expands statement abbreviations', () => {
+  assert.deepStrictEqual(MerchantSimilarity.tokens('AMZN Mktp CA*2K3'), ['amazon', 'marketplace']);
+  assert.deepStrictEqual(MerchantSimilarity.tokens('Amazon.ca'), ['amazon']);
+  assert.deepStrictEqual(MerchantSimilarity.tokens("MCDONALD'S 29082 OTTAWA ON"), ['mcdonalds', 'ottawa']);
+  assert.deepStrictEqual(MerchantSimilarity.tokens('WAL-MART #3454'), ['walmart']);
+  assert.deepStrictEqual(MerchantSimilarity.tokens('The Keg Steakhouse Inc'), ['keg', 'steakhouse']);
+});
+
+test('MerchantSimilarity string measures', () => {
+  near(MerchantSimilarity.jaroWinkler('martha', 'marhta'), 0.961);
+  near(MerchantSimilarity.jaroWinkler('dixon', 'dicksonx'), 0.813);
+  assert.strictEqual(MerchantSimilarity.jaroWinkler('abc', 'xyz'), 0);
+  near(MerchantSimilarity.levenshteinRatio('kitten', 'sitting'), 1 - 3 / 7);
+  near(MerchantSimilarity.jaccard(['tim', 'hortons'], ['tim', 'hortons', 'kanata']), 2 / 3);
+});
+
+test('MerchantSimilarity.score rates spelling variants above different businesses', () => {
+  const score = (a, b) => MerchantSimilarity.score(a, b);
+  assert.ok(score('AMZN Mktp CA*2K3', 'Amazon.ca') >= 0.85);
+  assert.ok(score('TIM HORTONS #2341', 'TIM HORTONS DOWNTOWN') >= 0.85);
+  assert.ok(score('SQ *BLUE BOTTLE', 'BLUE BOTTLE COFFEE') >= 0.85);
+  assert.ok(score('Blue Cafe', 'Cafe') < 0.85);
+  assert.ok(score('METRO 123', 'METROLINX') < 0.85);
+  assert.ok(score('SHELL C12345', 'ESSO 1234') < 0.5);
+  assert.strictEqual(score('NETFLIX.COM', 'NETFLIX INC'), 1);
+  assert.strictEqual(score('12345', ''), 0);
+});
+
+test('MerchantSimilarity.cluster groups merchants around the most common one', () => {
+  const counts = {
+    'AMZN Mktp CA*2K3': 5, 'AMZN MKTP CA*9Z1': 3, 'Amazon.ca': 2,
+    'TIM HORTONS #1': 4, 'TIM HORTONS #22 KANATA': 2,
+    'ESSO 1234': 1, 'SHELL 1': 1
+  };
+  const groups = MerchantSimilarity.cluster(counts);
+
+  assert.deepStrictEqual(groups.map(group => group.groupName), ['Amazon', 'Tim Hortons']);
+  const [amazon] = groups;
+  assert.deepStrictEqual(amazon.merchants.map(merchant => merchant.name), ['AMZN Mktp CA*2K3', 'AMZN MKTP CA*9Z1', 'Amazon.ca']);
+  assert.strictEqual(amazon.total, 10);
+  assert.ok(amazon.confidence > 0.9 && amazon.confidence < 1);
+
+  // A stricter threshold leaves the looser match out
+  assert.deepStrictEqual(
+    MerchantSimilarity.cluster(counts, { threshold: 0.95 })[0].merchants.map(merchant => merchant.name),
+    ['AMZN Mktp CA*2K3', 'AMZN MKTP CA*9Z1']
+  );
+});
+
+test('MerchantSimilarity.group rescores split and merged groups', () => {
+  const merged = MerchantSimilarity.group([
+    { name: 'UBER TRIP', count: 3 },
+    { name: 'UBER EATS', count: 6 }
+  ]);
+  assert.strictEqual(merged.groupName, 'Uber Eats');
+  assert.deepStrictEqual(merged.merchants.map(merchant => merchant.score), [1, merged.confidence]);
+  assert.ok(merged.confidence < 0.85);
+
+  const single = MerchantSimilarity.group([{ name: 'ESSO 1234', count: 1 }]);
+  assert.deepStrictEqual(single, { groupName: 'Esso', confidence: 1, total: 1, merchants: [{ name: 'ESSO 1234', count: 1, score: 1 }] });
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OfflineStore } from '../js/services/offline-store.js';
+
+test('OfflineStore.parseCellRange reads tab-qualified and plain cells', () => {
+  assert.deepStrictEqual(OfflineStore.parseCellRange("'Bob''s Visa'!H12"), { tab: "Bob's Visa", row: 12, col: 7 });
+  assert.deepStrictEqual(OfflineStore.parseCellRange('Sheet1!AA3'), { tab: 'Sheet1', row: 3, col: 26 });
+  assert.deepStrictEqual(OfflineStore.parseCellRange('B2'), { tab: null, row: 2, col: 1 });
+  assert.strictEqual(OfflineStore.parseCellRange('A:Z'), null);
+});
+
+test('OfflineStore.findConflicts keeps cells edited in the sheet since they were queued', () => {
+  const current = { '2026': [['Date', 'Category'], ['2026-01-02', 'Dining'], ['2026-01-03', 'Travel']] };
+  const updates = [
+    { range: "'2026'!B2", value: 'Groceries', expected: 'Dining' },
+    { range: "'2026'!B3", value: 'Shopping', expected: '' },
+    { range: "'2026'!B4", value: 'Gifts', expected: '' }
+  ];
+
+  const { safe, conflicts } = OfflineStore.findConflicts(updates, current);
+
+  assert.deepStrictEqual(safe.map(update => update.range), ["'2026'!B2", "'2026'!B4"]);
+  assert.deepStrictEqual(conflicts, [{ range: "'2026'!B3", value: 'Shopping', expected: '', actual: 'Travel' }]);
+});
+
+test('OfflineStore.getCellValue does not guess the tab of an unqualified range', () => {
+  const current = { '2025': [['Date', 'Category'], ['2025-12-30', 'Dining']], '2026': [['Date', 'Category'], ['2026-01-02', 'Travel']] };
+  assert.strictEqual(OfflineStore.getCellValue(current, "'2026'!B2"), 'Travel');
+  assert.strictEqual(OfflineStore.getCellValue(current, 'B2'), undefined);
+});
+
+test('OfflineStore.setCellValues writes a block into cached tab values', () => {
+  const tabValues = { Sheet1: [['Date', 'Amount']] };
+
+  OfflineStore.setCellValues(tabValues, 'Sheet1!A3:B3', [['2026-01-05', '-12']]);
+  OfflineStore.setCellValues(tabValues, 'C1', [['Category']]);
+
+  assert.deepStrictEqual(tabValues.Sheet1, [['Date', 'Amount', 'Category'], [], ['2026-01-05', '-12']]);
+});
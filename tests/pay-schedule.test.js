@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PaySchedule } from '../js/services/pay-schedule.js';
+
+const keys = (dates) => dates.map(date => date.toLocaleDateString('en-CA'));
+
+test('PaySchedule moves bi-weekly pay dates off weekends and holidays', () => {
+  // Saturday anchor: every pay date lands on a Saturday and is paid the Friday before
+  const schedule = new PaySchedule({ frequency: 'biweekly', anchorDate: '2026-03-07', weekendShift: 'before', holidays: ['2026-04-03'] });
+
+  assert.deepStrictEqual(keys(schedule.getPayDates(new Date(2026, 2, 1), new Date(2026, 3, 20))).filter(key => key >= '2026-03-01' && key <= '2026-04-20'), [
+    '2026-03-06', '2026-03-20', '2026-04-02', '2026-04-17'
+  ]);
+
+  const payweek = schedule.getPayweek(new Date(2026, 3, 1));
+  assert.strictEqual(payweek.key, '2026-03-20');
+  assert.deepStrictEqual(keys([payweek.end]), ['2026-04-01']);
+  assert.strictEqual(payweek.label, 'Payweek Mar 20 – Apr 1');
+  assert.strictEqual(schedule.contains(payweek, new Date(2026, 3, 2)), false);
+});
+
+test('PaySchedule clamps semi-monthly pay days to short months', () => {
+  const schedule = new PaySchedule({ frequency: 'semimonthly', anchorDate: '2026-01-31', secondDay: 15, weekendShift: 'none' });
+
+  const payweek = schedule.getPayweek(new Date(2026, 1, 20));
+  assert.strictEqual(payweek.key, '2026-02-15');
+  assert.deepStrictEqual(keys([payweek.end]), ['2026-02-27']);
+  assert.strictEqual(schedule.shiftPayweek(payweek, 1).key, '2026-02-28');
+  assert.strictEqual(schedule.shiftPayweek(payweek, 2).key, '2026-03-15');
+});
+
+test('PaySchedule monthly payweeks run from one pay date to the day before the next', () => {
+  const schedule = new PaySchedule({ frequency: 'monthly', anchorDate: '2026-01-25', weekendShift: 'after' });
+
+  // Apr 25 2026 is a Saturday, paid the Monday after
+  const payweek = schedule.getPayweek(new Date(2026, 3, 26));
+  assert.strictEqual(payweek.key, '2026-03-25');
+  assert.deepStrictEqual(keys([payweek.end]), ['2026-04-26']);
+  assert.strictEqual(schedule.getPayweek(new Date(2026, 3, 27)).key, '2026-04-27');
+});
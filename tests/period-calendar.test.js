@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PeriodCalendar } from '../js/services/period-calendar.js';
+
+test('PeriodCalendar periods step across weeks, months and years', () => {
+  const calendar = new PeriodCalendar();
+  const week = calendar.getPeriod('week', new Date(2026, 2, 11));
+  assert.strictEqual(week.key, '2026-03-08');
+  assert.strictEqual(calendar.shiftPeriod(week, 1).key, '2026-03-15');
+  assert.strictEqual(calendar.shiftPeriod(calendar.getPeriod('month', new Date(2026, 0, 31)), -1).key, '2025-12');
+  assert.strictEqual(calendar.getPeriod('payweek', new Date(2024, 0, 18)).key, '2024-01-05');
+});
+
+test('PeriodCalendar weeks can start on Monday', () => {
+  const calendar = new PeriodCalendar(undefined, 0, 1);
+  const week = calendar.getPeriod('week', new Date(2026, 2, 8));
+  assert.strictEqual(week.key, '2026-03-02');
+  assert.deepStrictEqual(week.end, new Date(2026, 2, 8));
+});
+
+test('PeriodCalendar quarters follow the calendar and fiscal years the fiscal year start', () => {
+  const calendar = new PeriodCalendar(undefined, 3);
+
+  const quarter = calendar.getPeriod('quarter', new Date(2026, 4, 20));
+  assert.strictEqual(quarter.label, 'Q2 2026');
+  assert.strictEqual(calendar.shiftPeriod(quarter, -2).key, '2025-Q4');
+  assert.deepStrictEqual(PeriodCalendar.keyToDate('2026-Q2'), new Date(2026, 3, 1));
+
+  const fiscalYear = calendar.getPeriod('fiscalYear', new Date(2026, 1, 10));
+  assert.strictEqual(fiscalYear.key, '2025-04-01');
+  assert.strictEqual(fiscalYear.label, 'FY2026');
+  assert.deepStrictEqual(fiscalYear.end, new Date(2026, 2, 31));
+  assert.strictEqual(calendar.shiftPeriod(fiscalYear, 1).label, 'FY2027');
+});
+
+test('PeriodCalendar fiscal years can start off a quarter boundary', () => {
+  const calendar = new PeriodCalendar(undefined, 1);
+
+  const quarter = calendar.getPeriod('quarter', new Date(2026, 1, 10));
+  assert.strictEqual(quarter.key, '2026-Q1');
+  assert.deepStrictEqual(quarter.start, new Date(2026, 0, 1));
+  assert.deepStrictEqual(quarter.end, new Date(2026, 2, 31));
+
+  const fiscalYear = calendar.getPeriod('fiscalYear', new Date(2026, 0, 31));
+  assert.strictEqual(fiscalYear.key, '2025-02-01');
+  assert.strictEqual(fiscalYear.label, 'FY2026');
+  assert.deepStrictEqual(fiscalYear.end, new Date(2026, 0, 31));
+  assert.strictEqual(calendar.getPeriod('fiscalYear', new Date(2026, 1, 1)).key, '2026-02-01');
+  assert.strictEqual(calendar.shiftPeriod(fiscalYear, -1).key, '2024-02-01');
+});
+
+test('PeriodCalendar custom ranges move by their own length', () => {
+  const calendar = new PeriodCalendar();
+  const range = calendar.getCustomRange(new Date(2026, 2, 10), new Date(2026, 2, 1));
+
+  assert.strictEqual(range.key, '2026-03-01..2026-03-10');
+  assert.strictEqual(calendar.shiftPeriod(range, 1).key, '2026-03-11..2026-03-20');
+  assert.strictEqual(calendar.contains(range, new Date(2026, 2, 10, 18, 30)), true);
+  assert.strictEqual(calendar.contains(range, new Date(2026, 2, 11)), false);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RecurringDetector } from '../js/services/recurring-detector.js';
+
+const transactions = [
+  ['Visa', -15.99, 'NETFLIX.COM', '', '2026-01-05', '', '', 'Entertainment', 1],
+  ['Visa', -15.99, 'NETFLIX.COM', '', '2026-02-05', '', '', 'Entertainment', 2],
+  ['Visa', -15.99, 'NETFLIX.COM', '', '2026-03-06', '', '', 'Entertainment', 3],
+  ['Visa', -17.99, 'NETFLIX.COM', '', '2026-04-05', '', '', 'Entertainment', 4],
+  ['Chequing', 1800, 'ACME PAYROLL', '', '2026-03-06', '', '', 'Income', 5],
+  ['Chequing', 1800, 'ACME PAYROLL', '', '2026-03-20', '', '', 'Income', 6],
+  ['Chequing', 1800, 'ACME PAYROLL', '', '2026-04-03', '', '', 'Income', 7],
+  ['Visa', -42.1, 'CORNER GROCER', '', '2026-03-02', '', '', 'Groceries', 8],
+  ['Visa', -8.5, 'CORNER GROCER', '', '2026-03-19', '', '', 'Groceries', 9],
+  ['Visa', -61.3, 'CORNER GROCER', '', '2026-03-24', '', '', 'Groceries', 10]
+];
+
+test('RecurringDetector finds monthly and bi-weekly series but not irregular shopping', () => {
+  const detector = new RecurringDetector();
+  const series = detector.findRecurring(transactions, new Date(2026, 3, 10));
+
+  assert.deepStrictEqual(series.map(s => [s.merchant, s.cadence]), [
+    ['ACME PAYROLL', 'biweekly'],
+    ['NETFLIX.COM', 'monthly']
+  ]);
+
+  const netflix = series[1];
+  assert.deepStrictEqual(netflix.indices, [0, 1, 2, 3]);
+  assert.strictEqual(netflix.nextDate, '2026-05-05');
+  assert.strictEqual(netflix.annualCost, 17.99 * 12);
+  assert.strictEqual(netflix.active, true);
+  assert.deepStrictEqual(netflix.priceChange, { from: 15.99, to: 17.99, date: '2026-04-05' });
+});
+
+test('RecurringDetector.getNextDate keeps the day of month within short months', () => {
+  const detector = new RecurringDetector();
+  assert.strictEqual(detector.getNextDate('2026-01-31', 'monthly'), '2026-02-28');
+  assert.strictEqual(detector.getNextDate('2026-12-28', 'weekly'), '2027-01-04');
+  assert.strictEqual(detector.getNextDate('2024-02-29', 'annual'), '2025-02-28');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportExporter } from '../js/services/report-exporter.js';
+
+const transactions = [
+  ['Visa', -50, 'GROCER', '', '2026-03-02', '', '', 'Groceries', 1],
+  ['Visa', 10, 'GROCER', '', '2026-03-09', '', '', 'Groceries', 2],
+  ['Visa', -20.5, 'CINEMA', '', '2026-04-01', '', '', 'Entertainment', 3],
+  ['Chequing', 1000, 'EMPLOYER', '', '2026-04-15', '', '', 'Income', 4]
+];
+const groupOf = (category) => ({ Groceries: 'Living Expenses', Entertainment: 'Lifestyle' })[category];
+
+test('ReportExporter.toCsv quotes text and defuses formulas', () => {
+  const csv = ReportExporter.toCsv([['Merchant', 'Amount'], ['Smith, J "Jr"', -12.5], ['=HYPERLINK("x")', null], ['-42', 3]]);
+  assert.strictEqual(csv, 'Merchant,Amount\r\n"Smith, J ""Jr""",-12.5\r\n"\'=HYPERLINK(""x"")",\r\n-42,3');
+});
+
+test('ReportExporter.toXlsx writes a zip with the workbook parts', () => {
+  const bytes = ReportExporter.toXlsx([['Category', 'Total'], ['Dining & Bars', 42.5]], 'Summary');
+  const text = new TextDecoder().decode(bytes);
+
+  assert.deepStrictEqual([...bytes.slice(0, 4)], [0x50, 0x4b, 0x03, 0x04]);
+  assert.ok(text.includes('xl/worksheets/sheet1.xml'));
+  assert.ok(text.includes('<sheet name="Summary" sheetId="1" r:id="rId1"/>'));
+  assert.ok(text.includes('<c r="A2" t="inlineStr"><is><t xml:space="preserve">Dining &amp; Bars</t></is></c><c r="B2"><v>42.5</v></c>'));
+
+  // End of central directory lists the five parts
+  const end = new DataView(bytes.buffer, bytes.length - 22);
+  assert.strictEqual(end.getUint32(0, true), 0x06054b50);
+  assert.strictEqual(end.getUint16(10, true), 5);
+});
+
+test('ReportExporter.categorySummary nets refunds and adds totals per period', () => {
+  const rows = ReportExporter.categorySummary(transactions, {
+    incomeCategories: ['Income'],
+    groupOf,
+    periodOf: (transaction) => ({ key: transaction[4].slice(0, 7), label: transaction[4].slice(0, 7) })
+  });
+
+  assert.deepStrictEqual(rows, [
+    ['Group', 'Category', '2026-03', '2026-04', 'Total'],
+    ['Lifestyle', 'Entertainment', 0, 20.5, 20.5],
+    ['Living Expenses', 'Groceries', 40, 0, 40],
+    ['', 'Total Spending', 40, 20.5, 60.5],
+    ['', 'Income', 0, 1000, 1000],
+    ['', 'Net Cash Flow', -40, 979.5, 939.5]
+  ]);
+});
+
+test('ReportExporter.budgetReport lists budget vs. actual by period and filters a group', () => {
+  const model = {
+    getBudgetedCategories: () => ['Groceries', 'Entertainment'],
+    getStatus: (category, period, buckets) => {
+      const spent = buckets[period.key]?.spent[category] || 0;
+      return { budget: 100, carried: 0, available: 100, spent, remaining: 100 - spent };
+    }
+  };
+  const buckets = { '2026-03': { spent: { Groceries: 40 } } };
+  const rows = ReportExporter.budgetReport(model, [{ key: '2026-03', label: 'Mar 2026' }], buckets, { groupOf, groupFilter: 'Living Expenses' });
+
+  assert.deepStrictEqual(rows, [
+    ['Period', 'Group', 'Category', 'Budget', 'Carried Over', 'Available', 'Spent', 'Remaining'],
+    ['Mar 2026', 'Living Expenses', 'Groceries', 100, 0, 100, 40, 60]
+  ]);
+});
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RulesEngine } from '../js/services/rules-engine.js';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+const coffee = { account: 'Visa', amount: -4.75, merchant: 'STARBUCKS #221', description: 'Card purchase', date: '2026-03-07' };
+
+test('RulesEngine.matches requires every filled-in condition', () => {
+  const rule = { conditions: { merchant: 'starbucks|tim hortons', amountMax: '10', daysOfWeek: [6] } };
+
+  assert.strictEqual(RulesEngine.matches(rule, coffee), true);
+  assert.strictEqual(RulesEngine.matches(rule, { ...coffee, amount: -24 }), false);
+  assert.strictEqual(RulesEngine.matches(rule, { ...coffee, date: '2026-03-09' }), false);
+  assert.strictEqual(RulesEngine.matches({ conditions: { keywords: 'transfer, e-transfer' } }, coffee), false);
+  assert.strictEqual(RulesEngine.matches({ conditions: {} }, coffee), false);
+});
+
+test('RulesEngine.evaluate lets higher priority rules claim a field first', () => {
+  store.clear();
+  const engine = new RulesEngine();
+  engine.rules = [];
+  engine.saveRule({ id: 'low', name: 'Dining', priority: 1, conditions: { merchant: 'starbucks' }, actions: { category: 'Dining', tags: 'coffee' } });
+  engine.saveRule({ id: 'high', name: 'Work coffee', priority: 5, conditions: { account: 'visa' }, actions: { category: 'Business' } });
+
+  assert.deepStrictEqual(engine.evaluate(coffee), {
+    actions: { category: 'Business', tags: 'coffee' },
+    ruleIds: ['high', 'low']
+  });
+});
+
+test('RulesEngine.getChanges merges tags and skips unchanged fields', () => {
+  const rule = { actions: { category: 'Dining', tags: 'coffee, treats', notes: '' } };
+
+  assert.deepStrictEqual(RulesEngine.getChanges(rule, { category: 'Dining', tags: 'treats' }), {
+    tags: { from: 'treats', to: 'treats, coffee' }
+  });
+});
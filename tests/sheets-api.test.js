@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SheetsAPI } from '../js/modules/sheets-api.js';
+
+test('SheetsAPI.loadTabs combines tabs by header name and aligns missing columns', async () => {
+  const api = new SheetsAPI();
+  const values = {
+    "'2025'!A:Z": [['Date', 'Amount', 'Merchant'], ['2025-12-30', '-5', 'Cafe'], ['', '', '']],
+    "'2026'!A:Z": [['Merchant', 'Date', 'Amount'], ['Grocer', '2026-01-02', '-40']]
+  };
+  const writes = [];
+  api.fetchRange = async (sheetId, range) => values[range];
+  api.batchUpdateCells = async (sheetId, updates) => writes.push(...updates);
+
+  const { rows, sources, tabs } = await api.loadTabs('sheet', ['2025', '2026']);
+
+  assert.deepStrictEqual(rows, [
+    ['Date', 'Amount', 'Merchant'],
+    ['2025-12-30', '-5', 'Cafe'],
+    ['2026-01-02', '-40', 'Grocer']
+  ]);
+  assert.deepStrictEqual(sources.map(source => [source.tab.name, source.row]), [['2025', 1], ['2025', 2], ['2026', 2]]);
+  assert.strictEqual(tabs[0].lastRow, 2);
+  assert.deepStrictEqual(tabs[1].columns, [1, 2, 0]);
+  assert.deepStrictEqual(writes, []);
+});
+
+test('SheetsAPI.tabRange quotes tab names', () => {
+  const api = new SheetsAPI();
+  assert.strictEqual(api.tabRange("Bob's Visa", 'B2'), "'Bob''s Visa'!B2");
+});
+
+test('SheetsAPI.isNetworkError queues offline writes but not Apps Script setup errors', async () => {
+  const api = new SheetsAPI();
+  api.credentials = { useAppsScript: true, appsScriptUrl: 'https://script.google.com/macros/s/abc/exec' };
+  assert.strictEqual(api.isNetworkError(new Error('NetworkError when attempting to fetch resource.')), true);
+  assert.strictEqual(api.isNetworkError(new Error('Update failed: no such sheet')), false);
+
+  const originalFetch = globalThis.fetch;
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    // Unreachable: every request, the no-cors one included, is rejected
+    globalThis.fetch = async () => { throw new TypeError('Failed to fetch'); };
+    const offline = await api.appsScriptRequest('UPDATE', { range: "'2026'!B2", value: 'x' }).catch(error => error);
+    assert.ok(offline instanceof TypeError);
+    assert.strictEqual(api.isNetworkError(offline), true);
+
+    // Reachable but answering with errors and refusing cross-origin reads
+    globalThis.fetch = async (url, options) => {
+      if (options.mode === 'no-cors') throw new TypeError('Failed to fetch');
+      return { ok: false, status: 403, statusText: 'Forbidden' };
+    };
+    const misconfigured = await api.appsScriptRequest('UPDATE', { range: "'2026'!B2", value: 'x' }).catch(error => error);
+    assert.match(misconfigured.message, /^CORS Configuration Required/);
+    assert.strictEqual(api.isNetworkError(misconfigured), false);
+  } finally {
+    globalThis.fetch = originalFetch;
+    console.error = originalError;
+  }
+});
+
+test('SheetsAPI refuses cell writes that do not name a tab', async () => {
+  const api = new SheetsAPI();
+  let sent = false;
+  api.sendBatchUpdate = async () => { sent = true; };
+
+  await assert.rejects(api.batchUpdateCells('sheet', [{ range: "'2026'!B2", value: 'x' }, { range: 'B7', value: 'y' }]), /B7 doesn't name a tab/);
+  assert.strictEqual(sent, false);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParser, OFXParser, StatementImporter } from '../js/services/statement-importer.js';
+
+test('CSVParser handles quoted fields and detects the delimiter', () => {
+  const { headers, rows } = CSVParser.parse('Date;Description;Amount\r\n2026-03-01;"Costco; ""Wholesale""";-45,10\r\n');
+  assert.deepStrictEqual(headers, ['Date', 'Description', 'Amount']);
+  assert.deepStrictEqual(rows, [['2026-03-01', 'Costco; "Wholesale"', '-45,10']]);
+});
+
+test('OFXParser reads SGML statement transactions', () => {
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD<BANKACCTFROM><ACCTID>12345</BANKACCTFROM>
+<BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260301120000<TRNAMT>-12.50<FITID>A1<NAME>TIM HORTONS &amp; CO</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+  const { rows, mapping } = OFXParser.parse(ofx);
+  const [record] = StatementImporter.applyMapping(rows, mapping);
+  assert.deepStrictEqual(record, {
+    account: '12345',
+    amount: -12.5,
+    merchant: 'TIM HORTONS & CO',
+    description: '',
+    date: '2026-03-01',
+    id: 'A1',
+    notes: '',
+    currency: 'USD'
+  });
+});
+
+test('StatementImporter maps debit/credit columns into signed amounts', () => {
+  const headers = ['Posted Date', 'Payee', 'Debit', 'Credit'];
+  const mapping = StatementImporter.guessMapping(headers);
+  assert.strictEqual(mapping.amount, -1);
+  assert.strictEqual(mapping.merchant, 1);
+
+  const records = StatementImporter.applyMapping([
+    ['15/03/2026', 'Payroll', '', '1,200.00'],
+    ['16/03/2026', 'Grocer', '$54.20', '']
+  ], { ...mapping, accountName: 'Chequing' });
+
+  assert.deepStrictEqual(records.map(r => [r.date, r.amount, r.account]), [
+    ['2026-03-15', 1200, 'Chequing'],
+    ['2026-03-16', -54.2, 'Chequing']
+  ]);
+});
+
+test('StatementImporter.parseAmount handles bank amount formats', () => {
+  assert.strictEqual(StatementImporter.parseAmount('(12.00)'), -12);
+  assert.strictEqual(StatementImporter.parseAmount('12.00-'), -12);
+  assert.strictEqual(StatementImporter.parseAmount('1.234,56'), 1234.56);
+  assert.ok(isNaN(StatementImporter.parseAmount('')));
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Tags } from '../js/services/tags.js';
+
+test('Tags.parse trims and drops repeats ignoring case', () => {
+  assert.deepStrictEqual(Tags.parse(' vacation-2026, Tax-Deductible,,vacation-2026 , tax-deductible'), ['vacation-2026', 'Tax-Deductible']);
+  assert.deepStrictEqual(Tags.parse(''), []);
+  assert.deepStrictEqual(Tags.parse(undefined), []);
+});
+
+test('Tags.add and Tags.remove keep the other tags in order', () => {
+  assert.strictEqual(Tags.add('vacation-2026', 'work, Vacation-2026'), 'vacation-2026, work');
+  assert.strictEqual(Tags.add('', 'work'), 'work');
+  assert.strictEqual(Tags.remove('vacation-2026, work, gift', 'WORK'), 'vacation-2026, gift');
+  assert.strictEqual(Tags.has('vacation-2026, work', 'Work'), true);
+  assert.strictEqual(Tags.has('vacation-2026', 'vacation'), false);
+});
+
+test('Tags.collect lists every tag once, sorted', () => {
+  assert.deepStrictEqual(Tags.collect(['work, gift', '', 'Gift, vacation-2026', undefined]), ['gift', 'vacation-2026', 'work']);
+});
+
+test('Tags.report sums spending per tag across categories and months', () => {
+  const transactions = [
+    ['Visa', -200, 'HOTEL', '', '2026-03-02', '', '', 'Travel', 1],
+    ['Visa', -50, 'DINER', '', '2026-03-03', '', '', 'Dining', 2],
+    ['Visa', 20, 'HOTEL', '', '2026-04-01', '', '', 'Travel', 3],
+    ['Visa', -30, 'OFFICE', '', '2026-04-05', '', '', 'Supplies', 4],
+    ['Chequing', 500, 'CLIENT', '', '2026-04-10', '', '', 'Income', 5]
+  ];
+  const tags = { 1: 'vacation-2026', 2: 'vacation-2026, tax-deductible', 3: 'Vacation-2026', 4: 'tax-deductible', 5: 'tax-deductible' };
+
+  const report = Tags.report(transactions, {
+    tagsOf: (transaction) => tags[transaction[8]],
+    periodOf: (transaction) => ({ key: transaction[4].slice(0, 7), label: transaction[4].slice(0, 7) }),
+    incomeCategories: ['Income']
+  });
+
+  assert.deepStrictEqual(report.map(entry => [entry.tag, entry.count, entry.spending]), [
+    ['vacation-2026', 3, 230],
+    ['tax-deductible', 3, 80]
+  ]);
+  assert.deepStrictEqual(report[0].byCategory, { Travel: 180, Dining: 50 });
+  assert.deepStrictEqual(report[0].byPeriod, [
+    { key: '2026-03', label: '2026-03', amount: 250 },
+    { key: '2026-04', label: '2026-04', amount: -20 }
+  ]);
+});
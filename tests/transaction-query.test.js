@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TransactionQuery } from '../js/services/transaction-query.js';
+
+const records = [
+  { account: 'Visa', amount: -64.2, merchant: ['THE KEG #12', 'The Keg'], category: 'Dining', group: 'Lifestyle', description: '', notes: '', tags: [], date: '2026-03-14' },
+  { account: 'Visa', amount: -72, merchant: ['STARBUCKS #221', 'Starbucks'], category: 'Dining', group: 'Lifestyle', description: '', notes: '', tags: ['work'], date: '2026-03-02' },
+  { account: 'Visa Infinite', amount: -88, merchant: ['SUSHI BAR'], category: 'Dining', group: 'Lifestyle', description: '', notes: '', tags: [], date: '2026-03-20' },
+  { account: 'Visa', amount: -30, merchant: ['PIZZA PLACE'], category: 'Dining', group: 'Lifestyle', description: 'Team lunch', notes: '', tags: [], date: '2026-03-09' },
+  { account: 'Chequing', amount: 1800, merchant: ['ACME PAYROLL'], category: 'Income', group: 'Financial', description: '', notes: '', tags: [], date: '03/06/2026' }
+];
+
+const search = (query) => TransactionQuery.filter(records, query).map(record => record.merchant[0]);
+
+test('TransactionQuery combines field, amount, date and negated terms', () => {
+  assert.deepStrictEqual(
+    search('category:Dining amount>50 account="Visa" after:2026-03-01 before:2026-03-31 -merchant:starbucks'),
+    ['THE KEG #12']
+  );
+  assert.deepStrictEqual(search('account:visa date:2026-03 amount<=64.20'), ['THE KEG #12', 'PIZZA PLACE']);
+  assert.deepStrictEqual(search('"team lunch"'), ['PIZZA PLACE']);
+  assert.deepStrictEqual(search('date>2026-03-05 group:financial'), ['ACME PAYROLL']);
+  assert.deepStrictEqual(search('tags=work'), ['STARBUCKS #221']);
+});
+
+test('TransactionQuery.parse reports terms it cannot use and skips unfinished ones', () => {
+  const parsed = TransactionQuery.parse('vendor:keg amount>lots category: account>visa');
+  assert.deepStrictEqual(parsed.terms, []);
+  assert.deepStrictEqual(parsed.errors, [
+    'Unknown field "vendor"',
+    '"lots" is not an amount',
+    'account can only be searched with : or ='
+  ]);
+});
+
+test('TransactionQuery.getSuggestions completes field names and values', () => {
+  assert.deepStrictEqual(TransactionQuery.getSuggestions('amount>50 -ac'), ['amount>50 -account:']);
+  assert.deepStrictEqual(
+    TransactionQuery.getSuggestions('category:Dining account:vi', { account: ['Visa', 'Visa Infinite', 'Chequing'] }),
+    ['category:Dining account:Visa', 'category:Dining account:"Visa Infinite"']
+  );
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TransactionSplits } from '../js/services/transaction-splits.js';
+
+const categories = ['Groceries', 'Household'];
+
+test('TransactionSplits counts allocations in place of the split transaction', () => {
+  const transactions = [
+    ['Visa', -250, 'COSTCO', '', '2026-03-07', 'costco-1', '', 'Groceries', 2],
+    ['Visa', -180, 'COSTCO', '', '2026-03-07', 'costco-1-1', '', 'Groceries', 3],
+    ['Visa', -70, 'COSTCO', '', '2026-03-07', 'costco-1-2', '', 'Household', 4],
+    ['Visa', -12, 'CAFE', '', '2026-03-08', '', '', 'Dining', 5]
+  ];
+
+  const counted = TransactionSplits.countable(transactions, ['', 'costco-1', 'costco-1', '']);
+  assert.deepStrictEqual(counted.map(transaction => transaction[8]), [3, 4, 5]);
+});
+
+test('TransactionSplits.validate checks parts add up to the amount in cents', () => {
+  const thirds = [
+    { amount: '33.33', category: 'Groceries' },
+    { amount: '33.33', category: 'Household' },
+    { amount: '33.34', category: 'Groceries' }
+  ];
+  assert.strictEqual(TransactionSplits.validate(-100, thirds, categories), null);
+  assert.strictEqual(TransactionSplits.remaining(-100, thirds.slice(0, 2)), 33.34);
+
+  assert.strictEqual(TransactionSplits.validate(-100, thirds.slice(0, 1), categories), 'Split the transaction into at least two parts');
+  assert.strictEqual(
+    TransactionSplits.validate(-100, [{ amount: '80', category: 'Groceries' }, { amount: '30', category: 'Household' }], categories),
+    'The parts must add up to the transaction amount (10.00 too much)'
+  );
+  assert.strictEqual(
+    TransactionSplits.validate(-100, [{ amount: '80', category: 'Groceries' }, { amount: '20', category: 'Toys' }], categories),
+    '"Toys" is not a category'
+  );
+});
+
+test('TransactionSplits.buildChildren copies the parent and keeps its sign', () => {
+  const parent = { account: 'Visa', amount: -250, merchant: 'COSTCO', description: 'Card purchase', date: '2026-03-07' };
+  const children = TransactionSplits.buildChildren(parent, 'costco-1', [
+    { amount: '180', category: 'Groceries' },
+    { amount: '70', category: 'Household', notes: 'Paper towels' }
+  ]);
+
+  assert.deepStrictEqual(children.map(child => [child.id, child.amount, child.category, child.splitOf, child.notes]), [
+    ['costco-1-1', -180, 'Groceries', 'costco-1', ''],
+    ['costco-1-2', -70, 'Household', 'costco-1', 'Paper towels']
+  ]);
+});
+
+test('TransactionSplits.rowUpdates only writes the cells that change', () => {
+  assert.deepStrictEqual(TransactionSplits.rowUpdates(4, ['Visa', '-180', 'COSTCO', ''], ['Visa', -180, 'COSTCO', 'Groceries', 'costco-1']), [
+    { rowIndex: 4, colIndex: 3, value: 'Groceries' },
+    { rowIndex: 4, colIndex: 4, value: 'costco-1' }
+  ]);
+  assert.deepStrictEqual(TransactionSplits.rowUpdates(4, ['Visa', '', undefined], ['', '', '']), [{ rowIndex: 4, colIndex: 0, value: '' }]);
+});
+
+test('TransactionSplits.blankRows reuses only rows of the sheet tab when a sheet is connected', () => {
+  const tab = { name: '2026' };
+  const otherTab = { name: '2025' };
+  const rows = [['Account', 'Amount'], ['', ''], ['Visa', '-5'], ['', null], ['', ''], [undefined, '']];
+  const sources = [{ tab, row: 1 }, { tab, row: 2 }, { tab, row: 3 }, { tab: otherTab, row: 9 }, { tab, row: 4 }];
+
+  assert.deepStrictEqual(TransactionSplits.blankRows(rows, sources, tab), [1, 4]);
+  // Row 5 was never written to the sheet, so it is only reused without one
+  assert.deepStrictEqual(TransactionSplits.blankRows(rows, sources, undefined), []);
+  assert.deepStrictEqual(TransactionSplits.blankRows(rows), [1, 3, 4, 5]);
+});
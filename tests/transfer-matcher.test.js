@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TransferMatcher } from '../js/services/transfer-matcher.js';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+
+const transactions = [
+  ['Chequing', -500, 'VISA PAYMENT', '', '2026-03-02', '', '', 'CC Payment', 1],
+  ['Visa', 500, 'PAYMENT - THANK YOU', '', '2026-03-04', '', '', 'CC Payment', 2],
+  ['Chequing', -200, 'ONLINE TRANSFER TO SAVINGS', '', '2026-03-10', '', '', 'Transfer', 3],
+  ['Savings', 200, 'TRANSFER FROM CHEQUING', '', '2026-03-20', '', '', 'Transfer', 4],
+  ['Visa', -42.1, 'GROCER', '', '2026-03-05', '', '', 'Groceries', 5],
+  ['Visa', 42.1, 'GROCER REFUND', '', '2026-03-06', '', '', 'Groceries', 6]
+];
+
+test('TransferMatcher pairs equal and opposite amounts across accounts within the window', () => {
+  store.clear();
+  const matcher = new TransferMatcher({ windowDays: 4 });
+  const { pairs, marked, candidates } = matcher.findTransfers(transactions);
+
+  // The refund is in the same account, and the savings transfer posted too late to pair
+  assert.deepStrictEqual(pairs, [{ indices: [0, 1], confident: true }]);
+  assert.deepStrictEqual(marked, []);
+  assert.deepStrictEqual(candidates, [2, 3]);
+});
+
+test('TransferMatcher remembers review decisions', () => {
+  store.clear();
+  const matcher = new TransferMatcher({ windowDays: 4 });
+
+  matcher.decide([transactions[2], transactions[3]], 'transfer');
+  matcher.decide([transactions[0]], 'notTransfer');
+
+  const { pairs, marked, candidates } = matcher.findTransfers(transactions);
+  assert.deepStrictEqual(pairs, []);
+  assert.deepStrictEqual(marked, [2, 3]);
+  assert.deepStrictEqual(candidates, [1]);
+  assert.deepStrictEqual([...matcher.getTransferRows(transactions)], [3, 4]);
+});